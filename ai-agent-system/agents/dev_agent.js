@@ -7,6 +7,35 @@ const { v4: uuidv4 } = require('uuid');
 const memoryManager = require('../core/memoryManager');
 const aiEngine = require('../core/aiEngine');
 const agentManager = require('../core/agentManager');
+const conversationManager = require('../core/conversationManager');
+const codeChunker = require('../core/codeChunker');
+const taskContext = require('../core/taskContext');
+const findingConsensus = require('../core/findingConsensus');
+const promptRegistry = require('../core/promptRegistry');
+
+// סכמת תוצאת סקירת קוד
+const REVIEW_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          category: { type: 'string' },
+          description: { type: 'string' },
+          lines: { type: 'array', items: { type: 'integer', minimum: 1 } },
+          severity: { type: 'string', enum: ['low', 'medium', 'high'] },
+          recommendation: { type: 'string' }
+        },
+        required: ['description', 'severity', 'recommendation']
+      }
+    }
+  },
+  required: ['summary', 'severity', 'issues']
+};
 
 /**
  * סוכן פיתוח
@@ -41,6 +70,9 @@ class DevAgent {
     // האם להשתמש בתת-סוכנים? (ברירת מחדל: כן)
     this.useSubAgents = process.env.USE_SUB_AGENTS !== 'false';
     
+    // כלים שהמודל רשאי להפעיל במשימות חקירה (ההרשאות בפועל נקבעות ב-config/aiEngine.json)
+    this.tools = ['read_file', 'list_project_files', 'run_command'];
+    
     logger.info(`${this.logPrefix} סוכן פיתוח אותחל. שימוש בתת-סוכנים: ${this.useSubAgents ? 'כן' : 'לא'}`);
   }
   
@@ -65,9 +97,6 @@ class DevAgent {
       // תעד את התחלת המפגש
       await this._logSessionStart();
       
-      // ברישום אצל מנהל הסוכנים
-      agentManager.registerAgent('dev_agent', this);
-      
       // הפעל את תת-הסוכנים (אם צריך)
       if (this.useSubAgents) {
         await Promise.all([
@@ -107,9 +136,6 @@ class DevAgent {
         ]);
       }
       
-      // הסר רישום ממנהל הסוכנים
-      agentManager.unregisterAgent('dev_agent');
-      
       this.active = false;
       this.currentSessionId = null;
       
@@ -280,6 +306,9 @@ class DevAgent {
         throw new Error(`הקובץ ${fullPath} כבר קיים ו-overwrite לא מוגדר`);
       }
       
+      // משימה שבוטלה בזמן יצירת התוכן לא כותבת את הקובץ
+      taskContext.throwIfCancelled();
+      
       // כתוב את הקובץ
       await fs.writeFile(fullPath, content, 'utf8');
       
@@ -384,6 +413,28 @@ class DevAgent {
     }
   }
   
+  /**
+   * חקירת שאלה על הפרויקט בעזרת כלים - המודל קורא קבצים, סורק את מבנה הפרויקט
+   * ומריץ פקודות עד שהוא מגיע לתשובה. מעקב ההפעלות נשמר במפגש הנוכחי
+   * @param {string} question - השאלה או המשימה
+   * @param {Object} options - אפשרויות (maxSteps, provider, model)
+   * @returns {Promise<Object>} - התשובה, מספר הצעדים ומעקב הכלים
+   */
+  async investigate(question, options = {}) {
+    if (!this.active) {
+      throw new Error('הסוכן אינו פעיל, יש להפעיל את הסוכן תחילה');
+    }
+    
+    logger.info(`${this.logPrefix} חוקר בעזרת כלים: ${question}`);
+    
+    return aiEngine.runTools(question, {
+      ...options,
+      agentName: 'dev_agent',
+      sessionId: this.currentSessionId,
+      tools: this.tools
+    });
+  }
+  
   /**
    * חפש במאגר הזיכרון של הסוכן
    * @param {string} keyword - מילת מפתח לחיפוש
@@ -528,8 +579,9 @@ class DevAgent {
   
   /**
    * תיעוד פעולה
+   * @param {Array<Object>} prompts - גרסאות תבניות הפרומפטים שיצרו את הפעולה (מ-promptRegistry.render)
    */
-  async _logAction(actionType, parameters, result) {
+  async _logAction(actionType, parameters, result, prompts = []) {
     if (!this.memory || !this.currentSessionId) return;
     
     const session = this.memory.sessions[this.currentSessionId];
@@ -549,6 +601,11 @@ class DevAgent {
       result
     };
     
+    const usedPrompts = promptRegistry.uniqueRefs(prompts);
+    if (usedPrompts.length > 0) {
+      action.prompts = usedPrompts;
+    }
+    
     session.actions.push(action);
     this.memory.lastUpdated = timestamp;
     
@@ -621,6 +678,8 @@ class Gpt4SubAgent {
   
   /**
    * יצירת קוד חדש באמצעות GPT-4
+   * התשובה מוזרמת, וכל חלק משודר ללקוחות המאזינים למשימה (options.taskId או המשימה הנוכחית).
+   * השיחה נשמרת בשרשור של הקובץ, כך שתיקונים בהמשך המפגש ממשיכים מאותו הקשר
    */
   async generateCode(filePath, requirements, options = {}) {
     logger.info(`${this.logPrefix} יוצר קוד עבור: ${filePath}`);
@@ -629,34 +688,38 @@ class Gpt4SubAgent {
       const language = this._detectLanguage(filePath);
       
       // הכן את ה-prompt
-      const prompt = `
-        צור קוד ב-${language} עבור הקובץ: ${filePath}
-        
-        הנה הדרישות:
-        ${requirements}
-        
-        יש לספק קוד איכותי ומקצועי שמיישם את הדרישות האלה.
-        הקוד צריך להיות מתועד, לעקוב אחר העקרונות של קוד נקי, ולהיות יעיל.
-        השתמש בתבניות תכנות מודרניות ובפרקטיקות מומלצות ל-${language}.
-        
-        החזר את הקוד בלבד, ללא הסברים נוספים.
-      `;
+      const prompt = promptRegistry.render('dev/generate_code', { filePath, language, requirements });
       
       // קבל מודל מומלץ ממנהל הסוכנים
-      const { provider, model } = agentManager.getRecommendedModel('dev_agent', 'coding');
+      const { provider, model, params } = agentManager.getRecommendedModel('dev_agent', 'coding');
+      
+      const thread = await this._getFileThread(filePath);
       
-      // שלח לקבלת קוד מה-AI
-      const code = await aiEngine.query(prompt, {
+      // שלח לקבלת קוד מה-AI בהזרמה, כדי שהלקוחות יראו את הקוד נכתב בזמן אמת
+      let code = '';
+      const stream = aiEngine.chatStream([{ role: 'user', content: prompt.text }], {
+        ...params,
         provider: provider,
-        model: model
+        model: model,
+        taskId: options.taskId,
+        threadId: thread.id
       });
       
+      for await (const chunk of stream) {
+        code += chunk;
+      }
+      
       // הוצא את הקוד מתוך התשובה
       const cleanCode = this._extractCode(code, language);
       
       // שמור לקובץ
       await this._saveToFile(filePath, cleanCode);
       
+      await this.parentAgent._logAction('generate_code', { filePath }, {
+        success: true,
+        lines: cleanCode.split('\n').length
+      }, [prompt.ref, thread.prompt]);
+      
       logger.info(`${this.logPrefix} נוצר קוד עבור ${filePath} (${cleanCode.split('\n').length} שורות)`);
       return cleanCode;
     } catch (error) {
@@ -667,6 +730,7 @@ class Gpt4SubAgent {
   
   /**
    * יעזור לסוכן ה-Claude בתיקון באגים אם צריך
+   * התיקון נשלח בשרשור של הקובץ, כך שהמודל רואה את הסבבים הקודמים על אותו קובץ
    */
   async fixBugs(filePath, bugReport, options = {}) {
     logger.info(`${this.logPrefix} מתקן באגים באמצעות GPT-4 עבור: ${filePath}`);
@@ -676,27 +740,19 @@ class Gpt4SubAgent {
       const code = await fs.readFile(filePath, 'utf-8');
       
       // הכן את ה-prompt
-      const prompt = `
-        תקן את הבאגים בקובץ ${filePath} בשפת ${language}.
-        
-        קוד נוכחי:
-        \`\`\`${language}
-        ${code}
-        \`\`\`
-        
-        דוח באגים:
-        ${bugReport}
-        
-        אנא תקן את הבאגים ושפר את הקוד. החזר את הקוד המתוקן בלבד, ללא הסברים נוספים.
-      `;
+      const prompt = promptRegistry.render('dev/fix_bugs', { filePath, language, code, bugReport });
       
       // קבל מודל מומלץ ממנהל הסוכנים
-      const { provider, model } = agentManager.getRecommendedModel('dev_agent', 'coding');
+      const { provider, model, params } = agentManager.getRecommendedModel('dev_agent', 'coding');
+      
+      const thread = await this._getFileThread(filePath);
       
       // שלח לקבלת קוד מתוקן מה-AI
-      const fixedCode = await aiEngine.query(prompt, {
+      const fixedCode = await aiEngine.chat([{ role: 'user', content: prompt.text }], {
+        ...params,
         provider: provider,
-        model: model
+        model: model,
+        threadId: thread.id
       });
       
       // הוצא את הקוד מתוך התשובה
@@ -705,6 +761,8 @@ class Gpt4SubAgent {
       // שמור לקובץ
       await this._saveToFile(filePath, cleanCode);
       
+      await this.parentAgent._logAction('fix_bugs', { filePath }, { success: true }, [prompt.ref, thread.prompt]);
+      
       logger.info(`${this.logPrefix} תוקנו באגים בקובץ ${filePath}`);
       return cleanCode;
     } catch (error) {
@@ -713,6 +771,22 @@ class Gpt4SubAgent {
     }
   }
   
+  /**
+   * שרשור השיחה של קובץ במפגש הנוכחי של סוכן הפיתוח. מחזיר גם את גרסת תבנית
+   * הנחיית המערכת (prompt), לתיעוד עם הפעולה
+   */
+  async _getFileThread(filePath) {
+    const system = promptRegistry.render('dev/system');
+    const thread = await conversationManager.getOrCreateThread(
+      'dev_agent',
+      this.parentAgent.currentSessionId,
+      filePath,
+      { system: system.text }
+    );
+    
+    return { ...thread, prompt: system.ref };
+  }
+  
   /**
    * מיצוי קוד נקי מתוך תשובת ה-AI
    */
@@ -737,6 +811,9 @@ class Gpt4SubAgent {
     const dirname = path.dirname(filePath);
     await fs.ensureDir(dirname);
     
+    // משימה שבוטלה לא שומרת קוד שנוצר לפני הביטול
+    taskContext.throwIfCancelled();
+    
     // שמור את הקוד
     await fs.writeFile(filePath, code, 'utf-8');
   }
@@ -818,7 +895,11 @@ class ClaudeSubAgent {
   }
   
   /**
-   * סקירת קוד באמצעות Claude
+   * סקירת קוד באמצעות Claude. במצב הסכמה (options.consensus או consensus.enabled בהגדרות המנוע)
+   * הסקירה רצה על כמה מודלים, והחומרה - ולכן גם התיקון האוטומטי - נקבעת רק לפי ממצאים
+   * שמספיק מודלים הסכימו עליהם
+   * @param {string} filePath - נתיב הקובץ
+   * @param {Object} options - autoFix (ברירת מחדל: true), consensus (true או דריסות להגדרות ההסכמה)
    */
   async reviewCode(filePath, options = {}) {
     logger.info(`${this.logPrefix} מבצע סקירת קוד באמצעות Claude עבור: ${filePath}`);
@@ -827,39 +908,34 @@ class ClaudeSubAgent {
       const language = this._detectLanguage(filePath);
       const code = await fs.readFile(filePath, 'utf-8');
       
-      // הכן את ה-prompt
-      const prompt = `
-        סקור את הקוד הבא בשפת ${language}:
-        
-        \`\`\`${language}
-        ${code}
-        \`\`\`
-        
-        אנא בצע סקירת קוד מקיפה המתייחסת ל:
-        1. איכות קוד וקריאות
-        2. עקרונות תכנות נכונים
-        3. ביצועים ויעילות
-        4. אבטחה ובאגים פוטנציאליים
-        5. תאימות ואמינות
-        
-        עבור כל בעיה, ספק הסבר והמלצה לתיקון עם דוגמת קוד.
-      `;
-      
       // קבל מודל מומלץ ממנהל הסוכנים
-      const { provider, model } = agentManager.getRecommendedModel('dev_agent', 'review');
+      const { provider, model, params } = agentManager.getRecommendedModel('dev_agent', 'review');
+      const consensus = aiEngine.getConsensusOptions(options.consensus);
       
-      // שלח לקבלת סקירה מה-AI
-      const review = await aiEngine.query(prompt, {
-        provider: provider,
-        model: model
-      });
+      let result;
+      if (consensus) {
+        // כל מודל סוקר בנפרד, בלי ספקי גיבוי - אחרת אותו ספק עלול להיספר פעמיים
+        const { runs, failed } = await findingConsensus.run(
+          consensus.models,
+          target => this._reviewWithModel(filePath, code, language, { ...params, ...target, fallback: false })
+        );
+        result = this._mergeConsensusReviews(runs, failed, consensus);
+      } else {
+        result = await this._reviewWithModel(filePath, code, language, { ...params, provider, model });
+      }
       
-      // בדוק אם יש בעיות חמורות שדורשות תיקון
-      const severity = this._assessReviewSeverity(review);
+      const { severity } = result;
+      const review = this._formatReview(result);
       
       // צור קובץ סקירה בצד הקובץ
       await this._saveReview(filePath, review, severity);
       
+      await this.parentAgent._logAction('review_code', { filePath, consensus: Boolean(result.consensus) }, {
+        success: true,
+        severity,
+        issuesFound: result.issues.length
+      }, [result.prompt]);
+      
       // אם יש בעיות חמורות, הפעל את תת-סוכן ה-GPT-4 לתיקון
       if (severity === 'high' && options.autoFix !== false) {
         logger.info(`${this.logPrefix} נמצאו בעיות חמורות, מפעיל תיקון אוטומטי`);
@@ -867,7 +943,7 @@ class ClaudeSubAgent {
       }
       
       logger.info(`${this.logPrefix} סקירת קוד הושלמה עבור ${filePath} (חומרה: ${severity})`);
-      return { review, severity };
+      return { review, severity, issues: result.issues, consensus: result.consensus };
     } catch (error) {
       logger.error(`${this.logPrefix} שגיאה בסקירת קוד: ${error.message}`);
       throw error;
@@ -875,25 +951,136 @@ class ClaudeSubAgent {
   }
   
   /**
-   * הערכת חומרת הבעיות בסקירה
+   * סקירת הקובץ במודל אחד. קובץ שלא נכנס בחלון ההקשר של המודל נסקר בחלקים,
+   * בגבולות פונקציות ומחלקות
    */
-  _assessReviewSeverity(review) {
-    const lowKeywords = ['קל לשפר', 'המלצה', 'שיפור קטן', 'שיקול'];
-    const mediumKeywords = ['יש לשפר', 'רצוי לשנות', 'בעיה', 'שיפור נדרש'];
-    const highKeywords = ['באג קריטי', 'בעיה חמורה', 'פגיעות אבטחה', 'כשל', 'שגיאה חמורה', 'דליפת זיכרון'];
+  async _reviewWithModel(filePath, code, language, modelOptions) {
+    const chunks = aiEngine.chunkCode(code, {
+      ...modelOptions,
+      reservedTokens: aiEngine.countTokens(
+        this._buildReviewPrompt('', language).text + JSON.stringify(REVIEW_SCHEMA, null, 2),
+        modelOptions
+      )
+    });
+    
+    if (chunks.length > 1) {
+      logger.info(`${this.logPrefix} הקובץ ${filePath} גדול מחלון ההקשר של ${modelOptions.model}, נסקר ב-${chunks.length} חלקים`);
+    }
     
-    // בדוק אם יש מילות מפתח של בעיות חמורות
-    if (highKeywords.some(keyword => review.includes(keyword))) {
-      return 'high';
+    // שלח לקבלת סקירה מובנית מה-AI, כולל חומרת הבעיות
+    const chunkResults = [];
+    let promptRef = null;
+    for (const chunk of chunks) {
+      const prompt = chunks.length === 1
+        ? this._buildReviewPrompt(code, language)
+        : this._buildReviewPrompt(codeChunker.numberLines(chunk), language, { chunk, total: chunks.length });
+      promptRef = prompt.ref;
+      
+      const chunkResult = await aiEngine.queryStructured(prompt.text, REVIEW_SCHEMA, modelOptions);
+      
+      chunkResults.push({ chunk, result: chunkResult });
     }
     
-    // בדוק אם יש מילות מפתח של בעיות בינוניות
-    if (mediumKeywords.some(keyword => review.includes(keyword))) {
-      return 'medium';
+    const review = chunks.length === 1 ? chunkResults[0].result : this._mergeReviews(chunkResults);
+    return { ...review, prompt: promptRef };
+  }
+  
+  /**
+   * איחוד סקירות של כמה מודלים: ממצאים כפולים מאוחדים עם ציון הסכמה, והחומרה
+   * היא הגבוהה ביותר מבין הממצאים שעברו את סף ההסכמה לתיקון אוטומטי
+   */
+  _mergeConsensusReviews(runs, failed, consensus) {
+    const severityOrder = ['low', 'medium', 'high'];
+    const issues = findingConsensus.mergeFindings(
+      runs.map(({ provider, model, result }) => ({ provider, model, issues: result.issues })),
+      { ...consensus, severityOrder }
+    );
+    
+    const severity = issues
+      .filter(issue => issue.agreement >= consensus.autoFixAgreement)
+      .reduce((highest, issue) => (
+        severityOrder.indexOf(issue.severity) > severityOrder.indexOf(highest) ? issue.severity : highest
+      ), 'low');
+    
+    return {
+      summary: runs.map(({ provider, model, result }) => `**${provider}/${model}:** ${result.summary}`).join('\n\n'),
+      severity,
+      issues,
+      prompt: runs[0].result.prompt,
+      consensus: {
+        models: runs.map(({ provider, model }) => `${provider}/${model}`),
+        failed,
+        autoFixAgreement: consensus.autoFixAgreement
+      }
+    };
+  }
+  
+  /**
+   * בניית ה-prompt לסקירת קוד מתבנית dev/review (קובץ שלם, או חלק עם מספרי שורות מוחלטים)
+   * @returns {Object} - { text, ref } - ה-prompt וגרסת התבנית שיצרה אותו
+   */
+  _buildReviewPrompt(code, language, part = null) {
+    return promptRegistry.render('dev/review', {
+      code,
+      language,
+      part: Boolean(part),
+      partIndex: part && part.chunk.index + 1,
+      partTotal: part && part.total,
+      startLine: part && part.chunk.startLine,
+      endLine: part && part.chunk.endLine
+    });
+  }
+  
+  /**
+   * מיזוג סקירות של חלקי קובץ לסקירה אחת: מספרי שורות מוחלטים, ללא בעיות כפולות
+   * מאזורי החפיפה, והחומרה הגבוהה ביותר מבין החלקים
+   */
+  _mergeReviews(chunkResults) {
+    const severityOrder = ['low', 'medium', 'high'];
+    const issues = [];
+    const seen = new Set();
+    let severity = 'low';
+    
+    for (const { chunk, result } of chunkResults) {
+      for (const issue of result.issues) {
+        const lines = codeChunker.toAbsoluteLines(issue.lines, chunk);
+        const key = `${issue.description.trim()}|${lines.join(',')}`;
+        
+        if (seen.has(key)) continue;
+        seen.add(key);
+        
+        issues.push({ ...issue, lines });
+      }
+      
+      if (severityOrder.indexOf(result.severity) > severityOrder.indexOf(severity)) {
+        severity = result.severity;
+      }
     }
     
-    // אחרת, זו בעיה קלה/המלצה
-    return 'low';
+    issues.sort((a, b) => (a.lines[0] || 0) - (b.lines[0] || 0));
+    
+    return {
+      summary: chunkResults
+        .map(({ chunk, result }) => `**שורות ${chunk.startLine}-${chunk.endLine}:** ${result.summary}`)
+        .join('\n\n'),
+      severity,
+      issues
+    };
+  }
+  
+  /**
+   * המרת סקירה מובנית לטקסט Markdown (לקובץ הסקירה ולתיקון האוטומטי)
+   */
+  _formatReview(result) {
+    const issues = result.issues.map((issue, index) => (
+      `### ${index + 1}. ${issue.category ? `${issue.category}: ` : ''}${issue.description}\n\n` +
+      `**חומרה:** ${issue.severity}\n\n` +
+      (issue.lines?.length ? `**שורות:** ${issue.lines.join(', ')}\n\n` : '') +
+      (issue.agreement !== undefined ? `**הסכמה:** ${Math.round(issue.agreement * 100)}% (${issue.reportedBy.join(', ')})\n\n` : '') +
+      `${issue.recommendation}`
+    ));
+    
+    return [result.summary, ...issues].join('\n\n');
   }
   
   /**
@@ -907,6 +1094,8 @@ class ClaudeSubAgent {
                     `**חומרת בעיות:** ${severity}\n\n` +
                     `## סיכום הסקירה\n\n${review}`;
     
+    taskContext.throwIfCancelled();
+    
     await fs.writeFile(reviewPath, content, 'utf-8');
   }
   
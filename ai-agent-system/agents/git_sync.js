@@ -5,9 +5,7 @@ const { EventEmitter } = require('events');
 const { logger } = require('../core/logger');
 const { v4: uuidv4 } = require('uuid');
 const memoryManager = require('../core/memoryManager');
-
-// יבוא סוכן הסיכום לצורך דיווח על שגיאות
-const summaryAgent = require('./summary');
+const messageBus = require('../core/messageBus');
 
 /**
  * סוכן סנכרון Git
@@ -571,7 +569,7 @@ class GitSyncAgent {
   }
   
   /**
-   * דווח על קונפליקט מיזוג לסוכן הסיכום
+   * פרסום קונפליקט מיזוג בערוץ ההודעות (git.conflict) - סוכן הסיכום ואחרים שנרשמו לנושא מקבלים אותו
    * @param {string} errorMessage - הודעת השגיאה
    * @private
    */
@@ -580,26 +578,13 @@ class GitSyncAgent {
       // קבל רשימת קבצים עם קונפליקטים
       const conflictingFiles = await this._executeGitCommand(['diff', '--name-only', '--diff-filter=U']);
       
-      // ודא שסוכן הסיכום פעיל
-      if (!summaryAgent.active) {
-        await summaryAgent.start();
-      }
-      
-      // הכן את דוח הקונפליקט
-      const conflictReport = {
-        type: 'merge_conflict',
-        timestamp: new Date().toISOString(),
-        repositoryPath: this.activeProject,
+      messageBus.publish('git.conflict', {
+        repositoryPath: this.activeProject || null,
         conflictingFiles: conflictingFiles.trim().split('\n').filter(Boolean),
-        errorMessage: errorMessage
-      };
-      
-      // שלח את הדוח לסוכן הסיכום
-      if (typeof summaryAgent.reportIssue === 'function') {
-        await summaryAgent.reportIssue('git_merge_conflict', conflictReport);
-      }
+        errorMessage: errorMessage || ''
+      }, { source: 'git_sync_agent' });
       
-      logger.warn(`${this.logPrefix} דווח על קונפליקט מיזוג לסוכן הסיכום. קבצים מושפעים: ${conflictingFiles}`);
+      logger.warn(`${this.logPrefix} דווח על קונפליקט מיזוג. קבצים מושפעים: ${conflictingFiles}`);
     } catch (error) {
       logger.error(`${this.logPrefix} שגיאה בדיווח על קונפליקט מיזוג: ${error.message}`);
     }
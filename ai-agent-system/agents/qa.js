@@ -1,10 +1,40 @@
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const { logger } = require('../core/logger');
 const aiEngine = require('../core/aiEngine');
+const codeChunker = require('../core/codeChunker');
+const taskContext = require('../core/taskContext');
+const findingConsensus = require('../core/findingConsensus');
+const promptRegistry = require('../core/promptRegistry');
 const memoryManager = require('../core/memoryManager');
 const agentManager = require('../core/agentManager');
+const messageBus = require('../core/messageBus');
 const { v4: uuidv4 } = require('uuid');
+const { StructuredOutputError } = require('../core/errors');
+
+// סכמת תוצאות ניתוח קובץ
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          lines: { type: 'array', items: { type: 'integer', minimum: 1 } },
+          severity: { type: 'string', enum: ['נמוכה', 'בינונית', 'גבוהה', 'קריטית'] },
+          solution: { type: 'string' }
+        },
+        required: ['description', 'lines', 'severity', 'solution']
+      }
+    },
+    summary: { type: 'string' },
+    score: { type: 'number', minimum: 0, maximum: 100 }
+  },
+  required: ['issues', 'summary', 'score']
+};
 
 /**
  * סוכן QA - אחראי על בדיקות איכות
@@ -46,9 +76,6 @@ class QaAgent {
       // תעד את התחלת המפגש
       await this._logSessionStart();
       
-      // רישום אצל מנהל הסוכנים
-      agentManager.registerAgent(this.name, this);
-      
       this.active = true;
       logger.info(`${this.logPrefix} סוכן QA הופעל בהצלחה (מפגש: ${this.currentSessionId})`);
     } catch (error) {
@@ -72,9 +99,6 @@ class QaAgent {
       // תעד את סיום המפגש
       await this._logSessionEnd();
       
-      // הסר רישום אצל מנהל הסוכנים
-      agentManager.unregisterAgent(this.name);
-      
       this.active = false;
       this.currentSessionId = null;
       
@@ -89,6 +113,11 @@ class QaAgent {
    * בדיקת קוד באופן אוטומטי
    * @param {string} filePath - נתיב לקובץ או תיקייה לבדיקה
    * @param {Object} options - אפשרויות נוספות
+   * @param {boolean} options.recursive - האם לנתח גם תתי-תיקיות
+   * @param {boolean|Object} options.cache - שימוש במטמון תשובות ה-AI עבור קבצים שלא השתנו
+   *   (true, או { ttlMs } לתוקף מותאם)
+   * @param {boolean|Object} options.consensus - ניתוח בכמה מודלים ואיחוד הממצאים עם ציון הסכמה
+   *   (true, או דריסות להגדרות ההסכמה של מנוע ה-AI)
    * @returns {Promise<Object>} - תוצאות הבדיקה
    */
   async analyzeCode(filePath, options = {}) {
@@ -110,6 +139,9 @@ class QaAgent {
         const files = await fs.readdir(filePath);
         
         for (const file of files) {
+          // משימה שבוטלה לא ממשיכה לקובץ הבא
+          taskContext.throwIfCancelled();
+          
           const fullPath = path.join(filePath, file);
           
           // דלג על קבצים שאינם טקסט (קבצי בינארי, תמונות וכו')
@@ -125,19 +157,21 @@ class QaAgent {
           }
           
           if (stat.isFile()) {
-            results[file] = await this._analyzeFile(fullPath);
+            results[file] = await this._analyzeFile(fullPath, options);
+            this._publishFindings(fullPath, results[file]);
           }
         }
       } else {
         // אם זה קובץ בודד, נתח אותו
         const fileName = path.basename(filePath);
-        results[fileName] = await this._analyzeFile(filePath);
+        results[fileName] = await this._analyzeFile(filePath, options);
+        this._publishFindings(filePath, results[fileName]);
       }
       
       const endTime = Date.now();
       const duration = endTime - startTime;
       
-      // תעד את פעולת הניתוח
+      // תעד את פעולת הניתוח, כולל גרסאות התבניות שיצרו את הפרומפטים
       await this._logAction('analyze_code', {
         filePath,
         options
@@ -145,7 +179,7 @@ class QaAgent {
         success: true,
         duration,
         issuesFound: this._countTotalIssues(results)
-      });
+      }, Object.values(results).map(result => result.prompt));
       
       logger.info(`${this.logPrefix} ניתוח קוד הושלם ל: ${filePath}, משך זמן: ${duration}ms`);
       
@@ -172,9 +206,10 @@ class QaAgent {
   /**
    * ניתוח קובץ בודד באמצעות AI
    * @param {string} filePath - נתיב לקובץ
+   * @param {Object} options - אפשרויות הניתוח (ראו analyzeCode)
    * @returns {Promise<Object>} - תוצאות הניתוח
    */
-  async _analyzeFile(filePath) {
+  async _analyzeFile(filePath, options = {}) {
     // וודא שמדובר בקובץ טקסט
     if (this._shouldSkipFile(filePath)) {
       return { skipped: true, reason: 'קובץ לא רלוונטי לניתוח' };
@@ -185,89 +220,216 @@ class QaAgent {
       const fileExtension = path.extname(filePath).toLowerCase();
       const language = this._mapExtensionToLanguage(fileExtension);
       
-      // הכן prompt לניתוח
-      const prompt = `
-        אנא נתח את הקוד הבא ב-${language || 'שפה לא ידועה'} וזהה בעיות אפשריות:
-        
-        \`\`\`${fileExtension}
-        ${code}
-        \`\`\`
-        
-        זהה ותאר את הבעיות הבאות (אם קיימות):
-        1. באגים ושגיאות לוגיות
-        2. בעיות ביצועים
-        3. בעיות אבטחה
-        4. בעיות מבניות ותכנון
-        5. סטיה מקונבנציות קוד מקובלות
-        
-        עבור כל בעיה, אנא ציין:
-        - תיאור מפורט של הבעיה
-        - מספר שורה (מספרים) בקוד
-        - רמת חומרה (נמוכה/בינונית/גבוהה/קריטית)
-        - פתרון מוצע עם דוגמת קוד
-        
-        החזר תשובה בפורמט JSON במבנה הבא:
-        {
-          "issues": [
-            {
-              "description": "תיאור הבעיה",
-              "lines": [מספרי שורות],
-              "severity": "חומרה",
-              "solution": "פתרון מוצע עם קוד"
-            },
-            ...
-          ],
-          "summary": "סיכום ממצאי הניתוח",
-          "score": מספר_בין_0_ל_100
-        }
-      `;
-      
       // קבל מודל מומלץ ממנהל הסוכנים
-      const { provider, model } = agentManager.getRecommendedModel(this.name);
-      
-      // שלח לניתוח ע"י AI
-      let response = await aiEngine.query(prompt, {
+      const { provider, model, params } = agentManager.getRecommendedModel(this.name);
+      const modelOptions = {
+        ...params,
         provider: provider || this.preferredProvider,
         model: model || this.preferredModel
+      };
+      
+      // רשומות המטמון מזוהות לפי גיבוב תוכן הקובץ, כך ששינוי בקובץ מבטל אותן
+      const cache = options.cache
+        ? {
+          ...(typeof options.cache === 'object' && options.cache),
+          contentHash: crypto.createHash('sha256').update(code).digest('hex'),
+          tag: path.resolve(filePath)
+        }
+        : undefined;
+      
+      const fileInfo = {
+        fileSize: code.length,
+        lineCount: code.split('\n').length,
+        language: language || 'unknown'
+      };
+      
+      const consensus = aiEngine.getConsensusOptions(options.consensus);
+      
+      if (!consensus) {
+        const result = await this._analyzeWithModel(filePath, code, language, fileExtension, { ...modelOptions, cache });
+        return { ...result, ...fileInfo };
+      }
+      
+      // כל מודל מנתח בנפרד, בלי ספקי גיבוי - אחרת אותו ספק עלול להיספר פעמיים
+      const { runs, failed } = await findingConsensus.run(consensus.models, async target => {
+        const result = await this._analyzeWithModel(filePath, code, language, fileExtension, {
+          ...params,
+          ...target,
+          fallback: false,
+          cache
+        });
+        
+        if (result.score === null) {
+          throw new Error(result.error);
+        }
+        
+        return result;
       });
       
-      // נסה לחלץ JSON מהתשובה
+      return { ...this._mergeConsensusResults(runs, failed, consensus), ...fileInfo };
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בניתוח קובץ ${filePath}: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * ניתוח הקובץ במודל אחד. קובץ שלא נכנס בחלון ההקשר של המודל מפוצל לחלקים
+   * בגבולות פונקציות ומחלקות
+   * @param {string} filePath - נתיב לקובץ
+   * @param {string} code - תוכן הקובץ
+   * @param {string} language - שפת התכנות
+   * @param {string} fileExtension - סיומת הקובץ
+   * @param {Object} queryOptions - אפשרויות השאילתה (ספק, מודל, פרמטרים ומטמון)
+   * @returns {Promise<Object>} - { issues, summary, score, chunks, prompt }; score הוא null אם אף חלק לא עמד בסכמה
+   * @private
+   */
+  async _analyzeWithModel(filePath, code, language, fileExtension, queryOptions) {
+    const chunks = aiEngine.chunkCode(code, {
+      ...queryOptions,
+      reservedTokens: aiEngine.countTokens(
+        this._buildAnalysisPrompt('', language, fileExtension).text + JSON.stringify(ANALYSIS_SCHEMA, null, 2),
+        queryOptions
+      )
+    });
+    
+    if (chunks.length > 1) {
+      logger.info(`${this.logPrefix} הקובץ ${filePath} גדול מחלון ההקשר של ${queryOptions.model}, מנותח ב-${chunks.length} חלקים`);
+    }
+    
+    const chunkResults = [];
+    let lastError = null;
+    let promptRef = null;
+    
+    // שלח כל חלק לניתוח ע"י AI, עם תשובה מובנית לפי הסכמה
+    for (const chunk of chunks) {
+      const prompt = chunks.length === 1
+        ? this._buildAnalysisPrompt(code, language, fileExtension)
+        : this._buildAnalysisPrompt(codeChunker.numberLines(chunk), language, fileExtension, { chunk, total: chunks.length });
+      promptRef = prompt.ref;
+      
       try {
-        // חפש אחר בלוק JSON
-        const jsonMatch = response.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-        if (jsonMatch && jsonMatch[1]) {
-          response = jsonMatch[1];
+        const result = await aiEngine.queryStructured(prompt.text, ANALYSIS_SCHEMA, queryOptions);
+        chunkResults.push({ chunk, result });
+      } catch (error) {
+        if (!(error instanceof StructuredOutputError)) {
+          throw error;
         }
         
-        // נקה תווים מיותרים ונסה לפרסר
-        response = response.trim();
-        const result = JSON.parse(response);
+        logger.warn(`${this.logPrefix} תשובת ה-AI לקובץ ${filePath} (שורות ${chunk.startLine}-${chunk.endLine}) לא עמדה בסכמה: ${error.message}`);
+        lastError = error;
+      }
+    }
+    
+    if (chunkResults.length === 0) {
+      // אין ציון אמיתי - הקובץ מסומן כלא מנותח במקום לקבל ציון מומצא
+      return {
+        issues: [],
+        summary: "תשובת ה-AI לא עמדה בסכמת הניתוח",
+        score: null,
+        error: lastError.message,
+        rawResponse: lastError.details.rawResponse,
+        chunks: chunks.length,
+        prompt: promptRef
+      };
+    }
+    
+    const merged = chunks.length === 1 ? chunkResults[0].result : this._mergeChunkResults(chunkResults);
+    
+    if (chunkResults.length < chunks.length) {
+      merged.failedChunks = chunks.length - chunkResults.length;
+    }
+    
+    return { ...merged, chunks: chunks.length, prompt: promptRef };
+  }
+  
+  /**
+   * איחוד תוצאות הניתוח של כמה מודלים: ממצאים כפולים מאוחדים עם ציון הסכמה,
+   * והציון הוא ממוצע ציוני המודלים
+   * @param {Array<Object>} runs - תוצאות בצורת { provider, model, result }
+   * @param {Array<Object>} failed - מודלים שנכשלו ({ provider, model, error })
+   * @param {Object} consensus - הגדרות ההסכמה
+   * @returns {Object} - { issues, summary, score, prompt, consensus }
+   * @private
+   */
+  _mergeConsensusResults(runs, failed, consensus) {
+    const issues = findingConsensus.mergeFindings(
+      runs.map(({ provider, model, result }) => ({ provider, model, issues: result.issues })),
+      { ...consensus, severityOrder: ['נמוכה', 'בינונית', 'גבוהה', 'קריטית'] }
+    );
+    
+    return {
+      issues,
+      summary: runs.map(({ provider, model, result }) => `${provider}/${model}: ${result.summary}`).join('\n'),
+      score: Math.round(runs.reduce((sum, { result }) => sum + result.score, 0) / runs.length),
+      chunks: Math.max(...runs.map(({ result }) => result.chunks)),
+      prompt: runs[0].result.prompt,
+      consensus: {
+        models: runs.map(({ provider, model }) => `${provider}/${model}`),
+        failed,
+        scores: Object.fromEntries(runs.map(({ provider, model, result }) => [`${provider}/${model}`, result.score]))
+      }
+    };
+  }
+  
+  /**
+   * בניית prompt לניתוח קוד מתבנית qa/analyze
+   * @param {string} code - הקוד לניתוח (קובץ שלם או חלק עם מספרי שורות)
+   * @param {string} language - שפת התכנות
+   * @param {string} fileExtension - סיומת הקובץ
+   * @param {Object} part - פרטי החלק, כשהקובץ מנותח בחלקים ({ chunk, total })
+   * @returns {Object} - { text, ref } - ה-prompt וגרסת התבנית שיצרה אותו
+   */
+  _buildAnalysisPrompt(code, language, fileExtension, part = null) {
+    return promptRegistry.render('qa/analyze', {
+      code,
+      language,
+      fileExtension,
+      part: Boolean(part),
+      partIndex: part && part.chunk.index + 1,
+      partTotal: part && part.total,
+      startLine: part && part.chunk.startLine,
+      endLine: part && part.chunk.endLine
+    });
+  }
+  
+  /**
+   * מיזוג תוצאות הניתוח של חלקי קובץ לתוצאה אחת: מספרי שורות מוחלטים,
+   * ללא בעיות כפולות מאזורי החפיפה, וציון ממוצע משוקלל לפי אורך החלקים
+   * @param {Array<Object>} chunkResults - תוצאות בצורת { chunk, result }
+   * @returns {Object} - { issues, summary, score }
+   */
+  _mergeChunkResults(chunkResults) {
+    const issues = [];
+    const seen = new Set();
+    let weightedScore = 0;
+    let totalLines = 0;
+    
+    for (const { chunk, result } of chunkResults) {
+      for (const issue of result.issues) {
+        const lines = codeChunker.toAbsoluteLines(issue.lines, chunk);
+        const key = `${issue.description.trim()}|${lines.join(',')}`;
         
-        return {
-          ...result,
-          fileSize: code.length,
-          lineCount: code.split('\n').length,
-          language: language || 'unknown'
-        };
-      } catch (parseError) {
-        logger.warn(`${this.logPrefix} שגיאה בפרסור תשובת ה-AI לקובץ ${filePath}: ${parseError.message}`);
+        if (seen.has(key)) continue;
+        seen.add(key);
         
-        // אם פרסור ה-JSON נכשל, נסה לייצר תוצאה בסיסית
-        return {
-          issues: [],
-          summary: "לא ניתן היה לפרסר את תשובת ה-AI",
-          score: 50,
-          error: "שגיאת פרסור JSON",
-          rawResponse: response.substring(0, 1000) + (response.length > 1000 ? '...' : ''),
-          fileSize: code.length,
-          lineCount: code.split('\n').length,
-          language: language || 'unknown'
-        };
+        issues.push({ ...issue, lines });
       }
-    } catch (error) {
-      logger.error(`${this.logPrefix} שגיאה בניתוח קובץ ${filePath}: ${error.message}`);
-      throw error;
+      
+      const chunkLines = chunk.endLine - chunk.startLine + 1;
+      weightedScore += result.score * chunkLines;
+      totalLines += chunkLines;
     }
+    
+    issues.sort((a, b) => (a.lines[0] || 0) - (b.lines[0] || 0));
+    
+    return {
+      issues,
+      summary: chunkResults
+        .map(({ chunk, result }) => `שורות ${chunk.startLine}-${chunk.endLine}: ${result.summary}`)
+        .join('\n'),
+      score: Math.round(weightedScore / totalLines)
+    };
   }
   
   /**
@@ -354,6 +516,23 @@ class QaAgent {
     return totalIssues;
   }
   
+  /**
+   * פרסום הממצאים של קובץ בערוץ ההודעות (qa.finding), כדי שסוכנים אחרים יוכלו להגיב עליהם
+   * @param {string} filePath - נתיב הקובץ שנותח
+   * @param {Object} fileResult - תוצאת הניתוח של הקובץ
+   */
+  _publishFindings(filePath, fileResult) {
+    for (const issue of fileResult?.issues || []) {
+      messageBus.publish('qa.finding', {
+        file: filePath,
+        severity: issue.severity,
+        description: issue.description,
+        lines: issue.lines || [],
+        solution: issue.solution || ''
+      }, { source: this.name });
+    }
+  }
+  
   /**
    * תיעוד התחלת מפגש חדש
    */
@@ -428,8 +607,9 @@ class QaAgent {
   
   /**
    * תיעוד פעולה
+   * @param {Array<Object>} prompts - גרסאות תבניות הפרומפטים שיצרו את הפעולה (מ-promptRegistry.render)
    */
-  async _logAction(actionType, parameters, result) {
+  async _logAction(actionType, parameters, result, prompts = []) {
     if (!this.memory || !this.currentSessionId) return;
     
     const session = this.memory.sessions[this.currentSessionId];
@@ -449,6 +629,11 @@ class QaAgent {
       result
     };
     
+    const usedPrompts = promptRegistry.uniqueRefs(prompts);
+    if (usedPrompts.length > 0) {
+      action.prompts = usedPrompts;
+    }
+    
     session.actions.push(action);
     this.memory.lastUpdated = timestamp;
     
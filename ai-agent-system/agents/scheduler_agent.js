@@ -7,8 +7,30 @@ const { v4: uuidv4 } = require('uuid');
 const memoryManager = require('../core/memoryManager');
 const aiEngine = require('../core/aiEngine');
 const agentManager = require('../core/agentManager');
+const promptRegistry = require('../core/promptRegistry');
+const pipelineManager = require('../core/pipelineManager');
 const cron = require('node-cron');
 
+// סכמת לוח זמנים שנוצר מתיאור חופשי
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    schedules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          cronExpression: { type: 'string', minLength: 1 },
+          action: { type: 'string', enum: ['run', 'stop'] }
+        },
+        required: ['name', 'cronExpression', 'action']
+      }
+    }
+  },
+  required: ['schedules']
+};
+
 /**
  * סוכן תזמון למערכת
  * אחראי על תזמון פעולות של סוכנים אחרים במערכת
@@ -16,6 +38,7 @@ const cron = require('node-cron');
 class SchedulerAgent {
   constructor() {
     this.name = 'scheduler';
+    this.logPrefix = '[scheduler_agent]';
     this.activeTasks = new Map(); // שמירת משימות פעילות
     this.isRunning = false;
   }
@@ -97,6 +120,61 @@ class SchedulerAgent {
     }
   }
 
+  /**
+   * תזמון הרצה חוזרת של צינור עבודה מוצהר (projects/<project>/pipelines)
+   * @param {string} projectName - שם הפרויקט
+   * @param {string} pipelineName - שם הצינור
+   * @param {string} cronExpression - ביטוי cron (ברירת מחדל: ה-schedule שבקובץ הצינור)
+   * @param {object} inputs - ערכי הקלטים לכל הרצה
+   * @returns {string} - מזהה המשימה המתוזמנת
+   */
+  async schedulePipeline(projectName, pipelineName, cronExpression, inputs = {}) {
+    const name = `pipeline:${projectName}/${pipelineName}`;
+    
+    try {
+      // הצינור נבדק כבר בתזמון, כדי ששגיאות יתגלו עכשיו ולא בהרצה הלילית
+      const pipeline = await pipelineManager.loadPipeline(projectName, pipelineName);
+      if (!pipeline) {
+        throw new Error(`Pipeline not found: ${projectName}/${pipelineName}`);
+      }
+      
+      const expression = cronExpression || pipeline.schedule;
+      if (!expression || !cron.validate(expression)) {
+        throw new Error(`Invalid cron expression: ${expression}`);
+      }
+      
+      const taskId = uuidv4();
+      
+      const cronJob = cron.schedule(expression, async () => {
+        try {
+          const run = await pipelineManager.run(projectName, pipelineName, inputs);
+          memoryManager.logAction(this.name, `Started scheduled pipeline ${name} (run ${run.runId})`);
+        } catch (error) {
+          logger.error(`${this.logPrefix} שגיאה בהרצה המתוזמנת של הצינור ${projectName}/${pipelineName}: ${error.message}`);
+          memoryManager.logAction(this.name, `Failed to run scheduled pipeline ${name}: ${error.message}`, false);
+        }
+      });
+      
+      this.activeTasks.set(taskId, {
+        id: taskId,
+        agentId: null,
+        name,
+        cronExpression: expression,
+        action: 'pipeline',
+        params: { projectName, pipelineName, inputs },
+        cronJob,
+        createdAt: new Date().toISOString()
+      });
+      
+      memoryManager.logAction(this.name, `Scheduled pipeline ${name} with cron: ${expression}`);
+      
+      return taskId;
+    } catch (error) {
+      memoryManager.logAction(this.name, `Failed to schedule pipeline ${name}: ${error.message}`, false);
+      throw error;
+    }
+  }
+
   /**
    * הסרת משימה מתוזמנת
    * @param {string} taskId - מזהה המשימה
@@ -205,40 +283,33 @@ class SchedulerAgent {
   async createScheduleFromDescription(agentId, schedule) {
     try {
       // בניית פרומפט לבקשת סיוע מ-AI
-      const prompt = `
-      אני צריך ליצור לוח זמנים עבור סוכן AI. הנה תיאור הלוח זמנים:
-      "${schedule}"
-      
-      אנא המר את התיאור הזה לרשימה של ביטויי cron תקינים.
-      עבור כל ביטוי cron, תן גם שם תיאורי לפעולה ואיזו פעולה לבצע (run/stop).
-      הפרד כל פעולה בשורה חדשה בפורמט: name|cronExpression|action
-      
-      לדוגמה:
-      morning_start|0 9 * * 1-5|run
-      evening_stop|0 17 * * 1-5|stop
-      weekend_check|0 12 * * 0,6|run
-      `;
+      const prompt = promptRegistry.render('scheduler/from_description', { schedule });
 
-      // קבלת הצעות לביטויי cron מה-AI
-      const aiResponse = await aiEngine.sendPromptWithAgentContext(prompt, {}, 'scheduler');
-      
-      // עיבוד התשובה
-      const scheduleLines = aiResponse.split('\n').filter(line => line.trim() !== '');
+      // קבלת הצעות לביטויי cron מה-AI כתשובה מובנית, במודל שנותב לסוכן התזמון
+      const { provider, model, params } = aiEngine.getRecommendedModelForAgent('scheduler_agent');
+      const { schedules } = await aiEngine.queryStructured(prompt.text, SCHEDULE_SCHEMA, {
+        ...params,
+        provider,
+        model
+      });
       
       const createdTasks = [];
       
-      for (const line of scheduleLines) {
-        const [name, cronExpression, action] = line.split('|').map(part => part.trim());
-        
-        if (name && cronExpression && action) {
-          const taskId = await this.scheduleTask(agentId, name, cronExpression, action);
-          createdTasks.push({ taskId, name, cronExpression, action });
+      for (const { name, cronExpression, action } of schedules) {
+        if (!cron.validate(cronExpression)) {
+          logger.warn(`${this.logPrefix} ביטוי cron לא תקין בהצעת ה-AI עבור ${name}, המשימה מדולגת: ${cronExpression}`);
+          continue;
         }
+        
+        const taskId = await this.scheduleTask(agentId, name, cronExpression, action);
+        createdTasks.push({ taskId, name, cronExpression, action });
       }
       
       memoryManager.logAction(
         this.name, 
-        `Created automatic schedule for agent ${agentId} with ${createdTasks.length} tasks`
+        `Created automatic schedule for agent ${agentId} with ${createdTasks.length} tasks`,
+        true,
+        { prompts: [prompt.ref] }
       );
       
       return createdTasks;
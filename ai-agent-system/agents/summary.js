@@ -4,10 +4,8 @@ const { createAgentLogger } = require('../core/logger');
 const path = require('path');
 const fs = require('fs-extra');
 
-// ייבוא סוכנים אחרים לקבלת סטטוס
-const devAgent = require('./dev');
-const qaAgent = require('./qa');
-const executorAgent = require('./executor');
+// הסוכנים האחרים נשלפים מטוען הסוכנים לקבלת סטטוס
+const agentLoader = require('../core/agentLoader');
 
 // צור logger ייעודי לסוכן הסיכום
 const logger = createAgentLogger('summary_agent');
@@ -51,21 +49,27 @@ class SummaryAgent {
     logger.info('אוסף סטטוס מכל הסוכנים');
     
     try {
+      const agents = {};
+      
+      for (const { name, version, active } of agentLoader.list()) {
+        const agent = agentLoader.getAgent(name);
+        
+        agents[name] = {
+          version,
+          active,
+          provider: agent.preferredProvider || null,
+          model: agent.preferredModel || null
+        };
+      }
+      
+      const executorAgent = agentLoader.getAgent('executor_agent');
+      if (executorAgent) {
+        Object.assign(agents.executor_agent, await executorAgent.getStatus());
+      }
+      
       const status = {
         timestamp: new Date().toISOString(),
-        agents: {
-          dev: {
-            active: devAgent.active,
-            provider: devAgent.provider,
-            model: devAgent.model
-          },
-          qa: {
-            active: qaAgent.active,
-            provider: qaAgent.provider,
-            model: qaAgent.model
-          },
-          executor: await executorAgent.getStatus()
-        },
+        agents,
         system: {
           uptime: process.uptime(),
           memory: process.memoryUsage(),
@@ -6,6 +6,9 @@
 const memoryManager = require('../core/memoryManager');
 const agentManager = require('../core/agentManager');
 const aiEngine = require('../core/aiEngine');
+const budgetManager = require('../core/budgetManager');
+const promptRegistry = require('../core/promptRegistry');
+const messageBus = require('../core/messageBus');
 const { v4: uuidv4 } = require('uuid');
 
 class SummaryAgent {
@@ -26,6 +29,9 @@ class SummaryAgent {
     this.isRunning = true;
     this.currentSummaryId = `summary_${uuidv4()}`;
     
+    // קונפליקטים של Git מגיעים דרך ערוץ ההודעות ונשמרים גם כשהסוכן אינו רשום
+    messageBus.subscribe(this.name, 'git.conflict', 'handleGitConflict');
+    
     memoryManager.logAction(this.name, 'Summary agent initialized');
     
     return true;
@@ -45,6 +51,27 @@ class SummaryAgent {
     return true;
   }
 
+  /**
+   * תיעוד קונפליקט מיזוג שפורסם בערוץ ההודעות, כך שייכלל בסיכומים
+   * @param {object} message - הודעת git.conflict
+   */
+  async handleGitConflict(message) {
+    const { repositoryPath, conflictingFiles, errorMessage } = message.payload;
+    
+    const saved = await memoryManager.logAction(this.name, `Git merge conflict in ${repositoryPath || 'unknown repository'}`, false, {
+      type: 'git_merge_conflict',
+      source: message.source,
+      conflictingFiles,
+      errorMessage,
+      reportedAt: message.timestamp
+    });
+    
+    // הודעה שלא נשמרה נשארת בתיבה ותימסר שוב
+    if (!saved) {
+      throw new Error('שמירת הקונפליקט בזיכרון נכשלה');
+    }
+  }
+
   /**
    * יצירת סיכום לפעילות סוכן מסוים
    * @param {string} agentName - שם הסוכן לסיכום
@@ -106,8 +133,11 @@ class SummaryAgent {
       };
 
       // הוספת תובנות אם נדרש
+      const prompts = [];
       if (includeInsights) {
-        summaryData.insights = await this._generateInsights(agentName, recentActions, stats);
+        const { insights, prompt } = await this._generateInsights(agentName, recentActions, stats);
+        summaryData.insights = insights;
+        if (prompt) prompts.push(prompt);
       }
 
       // פורמט התוצאה
@@ -118,7 +148,7 @@ class SummaryAgent {
         this.name, 
         `Generated summary for agent ${agentName}`, 
         true, 
-        { summaryId: this.currentSummaryId }
+        { summaryId: this.currentSummaryId, prompts }
       );
 
       return formattedSummary;
@@ -185,9 +215,15 @@ class SummaryAgent {
       // חישוב סטטיסטיקות מערכת
       systemSummary.stats = this._calculateSystemStats(agentSummaries);
 
+      // התראות תקציב - תקציבים שנחרגו ומשימות שנחסמו בגללם
+      systemSummary.budgetAlerts = await this._collectBudgetAlerts(timePeriod);
+
       // הוספת תובנות אם נדרש
+      const prompts = [];
       if (includeInsights) {
-        systemSummary.insights = await this._generateSystemInsights(systemSummary);
+        const { insights, prompt } = await this._generateSystemInsights(systemSummary);
+        systemSummary.insights = insights;
+        if (prompt) prompts.push(prompt);
       }
 
       // פורמט התוצאה
@@ -198,7 +234,7 @@ class SummaryAgent {
         this.name, 
         `Generated system summary`, 
         true, 
-        { summaryId: this.currentSummaryId }
+        { summaryId: this.currentSummaryId, prompts }
       );
 
       return formattedSummary;
@@ -212,12 +248,34 @@ class SummaryAgent {
     }
   }
 
+  /**
+   * איסוף התראות תקציב עבור סיכום המערכת
+   * @param {number} timePeriod - תקופת הזמן בשעות
+   * @returns {Promise<object>} - תקציבים שנחרגו ומשימות שנחסמו
+   * @private
+   */
+  async _collectBudgetAlerts(timePeriod) {
+    const since = new Date(Date.now() - timePeriod * 60 * 60 * 1000).toISOString();
+    const statuses = await budgetManager.getStatus();
+
+    return {
+      exceeded: statuses.filter(status => status.exceeded),
+      blockedTasks: agentManager.getBudgetBlockedTasks({ since }).map(task => ({
+        id: task.id,
+        agentName: task.agentName,
+        actionType: task.actionType,
+        blockedAt: task.completedAt,
+        reason: task.error
+      }))
+    };
+  }
+
   /**
    * יצירת תובנות עבור פעולות סוכן
    * @param {string} agentName - שם הסוכן
    * @param {Array} actions - מערך פעולות
    * @param {object} stats - סטטיסטיקות
-   * @returns {Promise<Array>} - מערך תובנות
+   * @returns {Promise<object>} - { insights, prompt } - מערך תובנות וגרסת תבנית הפרומפט
    * @private
    */
   async _generateInsights(agentName, actions, stats) {
@@ -226,49 +284,46 @@ class SummaryAgent {
       const actionsJSON = JSON.stringify(actions.slice(0, 50));
       const statsJSON = JSON.stringify(stats);
 
-      const prompt = `
-      Please analyze the following data from an AI agent named "${agentName}" and provide 3-5 key insights.
-      
-      AGENT STATISTICS:
-      ${statsJSON}
-      
-      RECENT ACTIONS (up to 50):
-      ${actionsJSON}
-      
-      Based on this data, provide 3-5 key insights about the agent's performance, patterns, successes, failures, 
-      and any recommendations for improvement. Format each insight as an object with "title" and "description" fields.
-      Return ONLY a valid JSON array of insight objects.
-      `;
+      const prompt = promptRegistry.render('summary/agent_insights', {
+        agentName,
+        stats: statsJSON,
+        actions: actionsJSON
+      });
 
       // שליחה למנוע הAI
-      const response = await aiEngine.sendPromptWithAgentContext(prompt, {}, 'summary');
+      const response = await aiEngine.sendPromptWithAgentContext(prompt.text, {}, 'summary');
       
       try {
         // ניסיון לפרסר את התשובה כJSON
         const insights = JSON.parse(response);
-        return Array.isArray(insights) ? insights : [];
+        return { insights: Array.isArray(insights) ? insights : [], prompt: prompt.ref };
       } catch (parseError) {
         console.error('Error parsing AI response as JSON, using text format instead');
         
         // אם הפרסור נכשל, החזר את התשובה כמערך של תובנה אחת
-        return [{
-          title: 'AI Generated Insight',
-          description: response
-        }];
+        return {
+          insights: [{
+            title: 'AI Generated Insight',
+            description: response
+          }],
+          prompt: prompt.ref
+        };
       }
     } catch (error) {
       console.error('Error generating insights:', error);
-      return [{
-        title: 'Error Generating Insights',
-        description: `An error occurred while generating insights: ${error.message}`
-      }];
+      return {
+        insights: [{
+          title: 'Error Generating Insights',
+          description: `An error occurred while generating insights: ${error.message}`
+        }]
+      };
     }
   }
 
   /**
    * יצירת תובנות ברמת המערכת
    * @param {object} systemSummary - סיכום מערכת
-   * @returns {Promise<Array>} - מערך תובנות
+   * @returns {Promise<object>} - { insights, prompt } - מערך תובנות וגרסת תבנית הפרומפט
    * @private
    */
   async _generateSystemInsights(systemSummary) {
@@ -283,40 +338,35 @@ class SummaryAgent {
         }))
       });
 
-      const prompt = `
-      Please analyze the following system summary data and provide 3-5 key insights about the overall system performance.
-      
-      SYSTEM SUMMARY:
-      ${summaryJSON}
-      
-      Based on this data, provide 3-5 key insights about the system's performance, patterns across agents, 
-      system-wide successes, failures, and any recommendations for improvement. 
-      Format each insight as an object with "title" and "description" fields.
-      Return ONLY a valid JSON array of insight objects.
-      `;
+      const prompt = promptRegistry.render('summary/system_insights', { summary: summaryJSON });
 
       // שליחה למנוע הAI
-      const response = await aiEngine.sendPromptWithAgentContext(prompt, {}, 'summary');
+      const response = await aiEngine.sendPromptWithAgentContext(prompt.text, {}, 'summary');
       
       try {
         // ניסיון לפרסר את התשובה כJSON
         const insights = JSON.parse(response);
-        return Array.isArray(insights) ? insights : [];
+        return { insights: Array.isArray(insights) ? insights : [], prompt: prompt.ref };
       } catch (parseError) {
         console.error('Error parsing AI response as JSON, using text format instead');
         
         // אם הפרסור נכשל, החזר את התשובה כמערך של תובנה אחת
-        return [{
-          title: 'System Overview',
-          description: response
-        }];
+        return {
+          insights: [{
+            title: 'System Overview',
+            description: response
+          }],
+          prompt: prompt.ref
+        };
       }
     } catch (error) {
       console.error('Error generating system insights:', error);
-      return [{
-        title: 'Error Generating System Insights',
-        description: `An error occurred while generating system insights: ${error.message}`
-      }];
+      return {
+        insights: [{
+          title: 'Error Generating System Insights',
+          description: `An error occurred while generating system insights: ${error.message}`
+        }]
+      };
     }
   }
 
@@ -461,6 +511,17 @@ class SummaryAgent {
       });
     }
     
+    // התראות תקציב (אם זה סיכום מערכת)
+    if (data.budgetAlerts && (data.budgetAlerts.exceeded.length > 0 || data.budgetAlerts.blockedTasks.length > 0)) {
+      text += `\nBUDGET ALERTS:\n`;
+      data.budgetAlerts.exceeded.forEach(budget => {
+        text += `- ${budget.scope}/${budget.name} exceeded ${budget.period} ${budget.limitType} budget (${budget.used}/${budget.limit})\n`;
+      });
+      data.budgetAlerts.blockedTasks.forEach(task => {
+        text += `- Task ${task.id} (${task.agentName}.${task.actionType}) blocked: ${task.reason}\n`;
+      });
+    }
+    
     // סיכומי סוכנים (אם זה סיכום מערכת)
     if (data.agentSummaries && data.agentSummaries.length > 0) {
       text += `\nAGENT SUMMARIES:\n`;
@@ -521,6 +582,22 @@ class SummaryAgent {
       });
     }
     
+    // התראות תקציב (אם זה סיכום מערכת)
+    if (data.budgetAlerts && (data.budgetAlerts.exceeded.length > 0 || data.budgetAlerts.blockedTasks.length > 0)) {
+      md += `\n## Budget Alerts\n\n`;
+      data.budgetAlerts.exceeded.forEach(budget => {
+        md += `- **${budget.scope}/${budget.name}:** exceeded ${budget.period} ${budget.limitType} budget (${budget.used}/${budget.limit})\n`;
+      });
+      
+      if (data.budgetAlerts.blockedTasks.length > 0) {
+        md += `\n| Task | Agent | Action | Blocked At |\n`;
+        md += `|------|-------|--------|------------|\n`;
+        data.budgetAlerts.blockedTasks.forEach(task => {
+          md += `| ${task.id} | ${task.agentName} | ${task.actionType} | ${task.blockedAt} |\n`;
+        });
+      }
+    }
+    
     // סיכומי סוכנים (אם זה סיכום מערכת)
     if (data.agentSummaries && data.agentSummaries.length > 0) {
       md += `\n## Agent Activity\n\n`;
@@ -0,0 +1,625 @@
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { default: Ajv } = require('ajv');
+const { logger } = require('./logger');
+const agentManager = require('./agentManager');
+
+// קבצי מניפסט של סוכנים בתיקיית הסוכנים, למשל qa.manifest.json
+const MANIFEST_SUFFIX = '.manifest.json';
+
+// הרשאות שסוכן יכול לדרוש במניפסט. ההרשאות הן הצהרה שנבדקת מול AGENT_ALLOWED_PERMISSIONS בטעינה בלבד
+// (סוכן שדורש הרשאה לא מותרת לא נטען); בזמן ריצה סוכנים ניגשים לקבצים, לפקודות ולרשת ישירות ואינם מוגבלים לה
+const KNOWN_PERMISSIONS = ['fs:read', 'fs:write', 'exec', 'git', 'network', 'ai', 'memory', 'schedule'];
+
+// השהיה לפני טעינה מחדש של סוכן שהקבצים שלו השתנו (עורכים שומרים קובץ בכמה כתיבות)
+const RELOAD_DEBOUNCE_MS = 300;
+
+// סכמת מניפסט של סוכן
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+' },
+    description: { type: 'string' },
+    main: { type: 'string', pattern: '\\.js$' },
+    aliases: { type: 'array', items: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' } },
+    autoStart: { type: 'boolean' },
+    concurrency: { type: 'integer', minimum: 1 },
+    defaultModel: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 }
+      },
+      required: ['provider', 'model']
+    },
+    permissions: { type: 'array', items: { type: 'string', enum: KNOWN_PERMISSIONS } },
+    actions: {
+      type: 'object',
+      propertyNames: { pattern: '^[a-zA-Z][a-zA-Z0-9]*$' },
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          parameters: {
+            type: 'object',
+            properties: {
+              type: { const: 'object' },
+              properties: { type: 'object' },
+              required: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['type', 'properties']
+          }
+        },
+        required: ['parameters']
+      }
+    }
+  },
+  required: ['name', 'version', 'main', 'actions', 'permissions']
+};
+
+/**
+ * טוען הסוכנים - כל סוכן בתיקיית הסוכנים (AGENTS_DIR) מתואר במניפסט <file>.manifest.json:
+ * שם, גרסה, קובץ המודול (main), הפעולות הציבוריות וסכמות הפרמטרים שלהן (לפי סדר הארגומנטים),
+ * מודל ברירת מחדל וההרשאות שהסוכן דורש. המניפסט נבדק מול הסכמה ומול המודול עצמו, והסוכן
+ * נרשם במנהל הסוכנים (יחד עם הכינויים שלו). כשקובץ של סוכן משתנה הסוכן נטען מחדש ומחליף את המופע הקודם.
+ *
+ * טעינה מחדש קוראת רק את קובץ המודול של הסוכן מהדיסק; מודולי הליבה (agentManager, messageBus וכו')
+ * נשארים המופעים הקיימים. סוכן שמודול אחר טוען ישירות (require) לא נטען מחדש - אותו מודול היה
+ * ממשיך להחזיק את המופע הישן, ושני מופעים של הסוכן היו פעילים במקביל
+ */
+class AgentLoader extends EventEmitter {
+  constructor() {
+    super();
+
+    this.logPrefix = '[agent_loader]';
+    this.agentsDir = path.resolve(process.env.AGENTS_DIR || path.join(__dirname, '../agents'));
+
+    // הרשאות שמותר לסוכנים לדרוש (ריק - כל ההרשאות המוכרות)
+    this.allowedPermissions = (process.env.AGENT_ALLOWED_PERMISSIONS || '')
+      .split(',')
+      .map(permission => permission.trim())
+      .filter(Boolean);
+
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.validateManifest = this.ajv.compile(MANIFEST_SCHEMA);
+
+    this.plugins = {}; // סוכנים טעונים לפי שם: { manifest, instance, validators, file, modulePath, loadedAt }
+    this.errors = {}; // שגיאות טעינה לפי קובץ מניפסט
+    this.watcher = null;
+    this.reloadTimers = {};
+  }
+
+  /**
+   * טעינת כל הסוכנים מתיקיית הסוכנים ורישומם במנהל הסוכנים. סוכן שהמניפסט שלו אינו תקין
+   * לא נטען, והשגיאה נשמרת ב-getErrors
+   * @returns {Promise<Array<Object>>} - הסוכנים שנטענו (כמו list)
+   */
+  async loadAll() {
+    const files = (await fs.readdir(this.agentsDir)).filter(file => file.endsWith(MANIFEST_SUFFIX));
+
+    for (const file of files) {
+      try {
+        await this.load(file);
+      } catch (error) {
+        // השגיאה כבר נרשמה ב-load
+      }
+    }
+
+    logger.info(`${this.logPrefix} נטענו ${Object.keys(this.plugins).length} סוכנים מ-${this.agentsDir}`);
+
+    return this.list();
+  }
+
+  /**
+   * טעינה (או טעינה מחדש) של סוכן לפי קובץ המניפסט שלו. אם הסוכן כבר טעון, המופע החדש
+   * מחליף אותו רק אחרי שנבדק; סוכן פעיל נעצר ומופעל מחדש במופע החדש
+   * @param {string} file - שם קובץ המניפסט בתיקיית הסוכנים
+   * @returns {Promise<Object>} - הסוכן (כמו ב-list)
+   * @throws {Error} - אם המניפסט או המודול אינם תקינים
+   */
+  async load(file) {
+    try {
+      const manifest = await fs.readJson(path.join(this.agentsDir, file));
+      this._checkManifest(manifest, file);
+      const validators = this._compileActions(manifest);
+
+      const modulePath = path.join(this.agentsDir, manifest.main);
+      // הסוכן הקודם מאותו מניפסט (גם אם השם שלו השתנה)
+      const previous = Object.values(this.plugins).find(plugin => plugin.file === file);
+
+      // מודול שכבר נטען בעבר נקרא מחדש מהדיסק, אלא אם מודול אחר מחזיק בו ישירות
+      const cached = require.cache[require.resolve(modulePath)];
+      const requiredBy = cached ? this._getRequirers(cached) : [];
+
+      if (previous && requiredBy.length > 0) {
+        throw new Error(`לא ניתן לטעון מחדש את ${manifest.main} - המודול נטען ישירות גם ב-${requiredBy.join(', ')}`);
+      }
+
+      if (requiredBy.length === 0) {
+        delete require.cache[require.resolve(modulePath)];
+      }
+      const instance = require(modulePath);
+
+      this._checkInstance(instance, manifest);
+
+      if (previous?.manifest.name !== manifest.name && agentManager.isAgentRegistered(manifest.name)) {
+        throw new Error(`סוכן בשם ${manifest.name} כבר רשום במנהל הסוכנים`);
+      }
+
+      if (manifest.defaultModel) {
+        instance.preferredProvider = manifest.defaultModel.provider;
+        instance.preferredModel = manifest.defaultModel.model;
+      }
+
+      const wasActive = previous ? this._isActive(previous.instance) : false;
+
+      if (previous) {
+        await this._unregister(previous);
+        delete this.plugins[previous.manifest.name];
+      }
+
+      this.plugins[manifest.name] = { manifest, instance, validators, file, modulePath, loadedAt: new Date().toISOString() };
+      delete this.errors[file];
+
+      // משימות של הסוכן (גם מתהליכי עבודה וצינורות) נבדקות מול הפעולות המוצהרות, כמו /agent-action
+      agentManager.registerAgent(manifest.name, instance, {
+        concurrency: manifest.concurrency,
+        aliases: manifest.aliases,
+        actions: Object.keys(manifest.actions),
+        prepareAction: (action, params) => this.prepareAction(manifest.name, action, params)
+      });
+
+      if (wasActive) {
+        await this._startInstance(instance);
+      }
+
+      logger.info(`${this.logPrefix} סוכן ${manifest.name} v${manifest.version} ${previous ? 'נטען מחדש' : 'נטען'}`);
+      this.emit(previous ? 'agent:reloaded' : 'agent:loaded', this._describe(this.plugins[manifest.name]));
+
+      return this._describe(this.plugins[manifest.name]);
+    } catch (error) {
+      this.errors[file] = { message: error.message, at: new Date().toISOString() };
+      logger.error(`${this.logPrefix} שגיאה בטעינת הסוכן מ-${file}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * הפעלת הסוכנים שמסומנים ב-autoStart במניפסט. סוכן שנכשל בהפעלה לא עוצר את האחרים
+   * @returns {Promise<Array<string>>} - שמות הסוכנים שהופעלו
+   */
+  async startAll() {
+    const started = [];
+
+    for (const plugin of Object.values(this.plugins)) {
+      if (!plugin.manifest.autoStart || this._isActive(plugin.instance)) {
+        continue;
+      }
+
+      try {
+        await this._startInstance(plugin.instance);
+        started.push(plugin.manifest.name);
+      } catch (error) {
+        logger.error(`${this.logPrefix} שגיאה בהפעלת סוכן ${plugin.manifest.name}: ${error.message}`);
+      }
+    }
+
+    return started;
+  }
+
+  /**
+   * הפעלת סוכן טעון
+   * @param {string} name - שם הסוכן (או כינוי)
+   * @returns {Promise<Object>} - מופע הסוכן
+   * @throws {Error} - אם הסוכן אינו טעון
+   */
+  async startAgent(name) {
+    const plugin = this._getPlugin(name);
+
+    if (!plugin) {
+      throw new Error(`סוכן ${name} אינו טעון`);
+    }
+
+    await this._startInstance(plugin.instance);
+
+    return plugin.instance;
+  }
+
+  /**
+   * עצירת כל הסוכנים הפעילים
+   */
+  async stopAll() {
+    for (const plugin of Object.values(this.plugins)) {
+      if (!this._isActive(plugin.instance)) {
+        continue;
+      }
+
+      try {
+        await plugin.instance.stop();
+      } catch (error) {
+        logger.error(`${this.logPrefix} שגיאה בכיבוי סוכן ${plugin.manifest.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * טעינה מחדש של סוכן טעון
+   * @param {string} name - שם הסוכן (או כינוי)
+   * @returns {Promise<Object|null>} - הסוכן, או null אם אינו טעון
+   */
+  async reload(name) {
+    const plugin = this._getPlugin(name);
+    return plugin ? this.load(plugin.file) : null;
+  }
+
+  /**
+   * הסרת סוכן - הסוכן נעצר ורישומו במנהל הסוכנים מבוטל
+   * @param {string} name - שם הסוכן (או כינוי)
+   * @returns {Promise<boolean>} - האם הסוכן היה טעון
+   */
+  async unload(name) {
+    const plugin = this._getPlugin(name);
+
+    if (!plugin) {
+      return false;
+    }
+
+    await this._unregister(plugin);
+    delete this.plugins[plugin.manifest.name];
+
+    logger.info(`${this.logPrefix} סוכן ${plugin.manifest.name} הוסר`);
+    this.emit('agent:unloaded', { name: plugin.manifest.name });
+
+    return true;
+  }
+
+  /**
+   * מעקב אחרי שינויים בתיקיית הסוכנים - שינוי במניפסט או בקובץ המודול של סוכן טוען אותו מחדש,
+   * מניפסט חדש טוען סוכן חדש ומניפסט שנמחק מסיר את הסוכן
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+
+    this.watcher = fs.watch(this.agentsDir, (eventType, fileName) => {
+      if (fileName) {
+        this._scheduleReload(fileName);
+      }
+    });
+
+    logger.info(`${this.logPrefix} עוקב אחרי שינויים ב-${this.agentsDir}`);
+  }
+
+  /**
+   * הפסקת המעקב אחרי תיקיית הסוכנים
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    for (const timer of Object.values(this.reloadTimers)) {
+      clearTimeout(timer);
+    }
+    this.reloadTimers = {};
+  }
+
+  /**
+   * מופע של סוכן טעון
+   * @param {string} name - שם הסוכן או אחד הכינויים שלו
+   * @returns {Object|null} - המופע, או null אם הסוכן אינו טעון
+   */
+  getAgent(name) {
+    return this._getPlugin(name)?.instance || null;
+  }
+
+  /**
+   * כל הסוכנים הטעונים
+   * @returns {Object} - מיפוי שם סוכן למופע
+   */
+  getAgents() {
+    return Object.fromEntries(Object.entries(this.plugins).map(([name, plugin]) => [name, plugin.instance]));
+  }
+
+  /**
+   * המניפסט של סוכן טעון
+   * @param {string} name - שם הסוכן או אחד הכינויים שלו
+   * @returns {Object|null} - המניפסט, או null אם הסוכן אינו טעון
+   */
+  getManifest(name) {
+    const plugin = this._getPlugin(name);
+    return plugin ? JSON.parse(JSON.stringify(plugin.manifest)) : null;
+  }
+
+  /**
+   * הפעולות הציבוריות של סוכן וסכמות הפרמטרים שלהן (לפי סדר הארגומנטים), לבניית טפסים
+   * @param {string} name - שם הסוכן או אחד הכינויים שלו
+   * @returns {Array<Object>|null} - { name, description, parameters }, או null אם הסוכן אינו טעון
+   */
+  getActions(name) {
+    const plugin = this._getPlugin(name);
+
+    if (!plugin) {
+      return null;
+    }
+
+    return Object.entries(plugin.manifest.actions).map(([action, { description, parameters }]) => ({
+      name: action,
+      description: description || '',
+      parameters: JSON.parse(JSON.stringify(parameters))
+    }));
+  }
+
+  /**
+   * בדיקת קריאה לפעולה של סוכן והמרת הפרמטרים לארגומנטים לפי הסדר שבסכמה.
+   * רק פעולות שמוצהרות במניפסט מותרות
+   * @param {string} name - שם הסוכן או אחד הכינויים שלו
+   * @param {string} action - שם הפעולה
+   * @param {Object|Array} params - פרמטרים לפי שם, או מערך ארגומנטים לפי הסדר
+   * @returns {Array} - הארגומנטים לקריאה
+   * @throws {Error} - אם הסוכן אינו טעון, הפעולה אינה מוצהרת או שהפרמטרים אינם תקינים
+   */
+  prepareAction(name, action, params = {}) {
+    const plugin = this._getPlugin(name);
+
+    if (!plugin) {
+      throw new Error(`סוכן ${name} אינו טעון`);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(plugin.manifest.actions, action)) {
+      throw new Error(`פעולה ${action} אינה מוצהרת כפעולה ציבורית של סוכן ${plugin.manifest.name}`);
+    }
+
+    const paramNames = Object.keys(plugin.manifest.actions[action].parameters.properties);
+    let values = params || {};
+
+    if (Array.isArray(values)) {
+      if (values.length > paramNames.length) {
+        throw new Error(`פעולה ${action} מקבלת עד ${paramNames.length} פרמטרים (התקבלו ${values.length})`);
+      }
+
+      values = Object.fromEntries(paramNames.map((param, index) => [param, values[index]]));
+    } else if (typeof values !== 'object') {
+      throw new Error('params חייב להיות אובייקט או מערך');
+    }
+
+    // null נחשב כפרמטר שלא הועבר, וערך ברירת המחדל של המתודה חל עליו
+    values = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null));
+
+    const unknown = Object.keys(values).filter(param => !paramNames.includes(param));
+    if (unknown.length > 0) {
+      throw new Error(`פרמטרים לא מוכרים לפעולה ${action}: ${unknown.join(', ')}`);
+    }
+
+    const validate = plugin.validators[action];
+    if (!validate(values)) {
+      const details = validate.errors
+        .map(error => `${error.instancePath || '/'} ${error.message}`)
+        .join('; ');
+      throw new Error(`פרמטרים לא תקינים לפעולה ${action}: ${details}`);
+    }
+
+    return paramNames.map(param => values[param]);
+  }
+
+  /**
+   * רשימת הסוכנים הטעונים
+   * @returns {Array<Object>} - { name, version, description, aliases, file, main, permissions, defaultModel, actions, active, loadedAt }
+   */
+  list() {
+    return Object.values(this.plugins).map(plugin => this._describe(plugin));
+  }
+
+  /**
+   * שגיאות הטעינה האחרונות, לפי קובץ מניפסט
+   * @returns {Object} - { [file]: { message, at } }
+   */
+  getErrors() {
+    return { ...this.errors };
+  }
+
+  /**
+   * בדיקת המניפסט מול הסכמה, ההרשאות המותרות ושמות הסוכנים הקיימים.
+   * זו הנקודה היחידה שבה ההרשאות נאכפות - ראו KNOWN_PERMISSIONS
+   * @private
+   */
+  _checkManifest(manifest, file) {
+    if (!this.validateManifest(manifest)) {
+      const details = this.validateManifest.errors
+        .map(error => `${error.instancePath || '/'} ${error.message}`)
+        .join('; ');
+      throw new Error(`מניפסט לא תקין: ${details}`);
+    }
+
+    if (path.basename(manifest.main) !== manifest.main) {
+      throw new Error(`main חייב להיות קובץ בתיקיית הסוכנים: ${manifest.main}`);
+    }
+
+    const denied = this.allowedPermissions.length > 0
+      ? manifest.permissions.filter(permission => !this.allowedPermissions.includes(permission))
+      : [];
+    if (denied.length > 0) {
+      throw new Error(`הסוכן ${manifest.name} דורש הרשאות שאינן מותרות (AGENT_ALLOWED_PERMISSIONS): ${denied.join(', ')}`);
+    }
+
+    for (const name of [manifest.name, ...(manifest.aliases || [])]) {
+      const owner = this._getPlugin(name);
+      if (owner && owner.file !== file) {
+        throw new Error(`השם ${name} כבר שייך לסוכן ${owner.manifest.name} (${owner.file})`);
+      }
+    }
+
+    for (const [action, { parameters }] of Object.entries(manifest.actions)) {
+      const unknown = (parameters.required || []).filter(param => !(param in parameters.properties));
+      if (unknown.length > 0) {
+        throw new Error(`פעולה ${action}: פרמטרי חובה שאינם מוגדרים: ${unknown.join(', ')}`);
+      }
+    }
+  }
+
+  /**
+   * הידור סכמות הפרמטרים של הפעולות
+   * @private
+   */
+  _compileActions(manifest) {
+    const validators = {};
+
+    for (const [action, { parameters }] of Object.entries(manifest.actions)) {
+      try {
+        validators[action] = this.ajv.compile(parameters);
+      } catch (error) {
+        throw new Error(`פעולה ${action}: סכמת פרמטרים לא תקינה: ${error.message}`);
+      }
+    }
+
+    return validators;
+  }
+
+  /**
+   * בדיקה שהמודול מממש את מה שהמניפסט מצהיר
+   * @private
+   */
+  _checkInstance(instance, manifest) {
+    if (!instance || typeof instance !== 'object') {
+      throw new Error(`${manifest.main} אינו מייצא מופע של סוכן`);
+    }
+
+    const missing = Object.keys(manifest.actions).filter(action => typeof instance[action] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`פעולות שמוצהרות במניפסט ואינן קיימות ב-${manifest.main}: ${missing.join(', ')}`);
+    }
+
+    if (manifest.autoStart && !this._canStart(instance)) {
+      throw new Error(`autoStart מוגדר אבל ל-${manifest.main} אין מתודת start או init`);
+    }
+  }
+
+  /**
+   * תזמון טעינה מחדש אחרי שינוי בקובץ בתיקיית הסוכנים
+   * @private
+   */
+  _scheduleReload(fileName) {
+    clearTimeout(this.reloadTimers[fileName]);
+
+    this.reloadTimers[fileName] = setTimeout(async () => {
+      delete this.reloadTimers[fileName];
+
+      try {
+        await this._handleFileChange(fileName);
+      } catch (error) {
+        // השגיאה כבר נרשמה ב-load; המופע הקודם (אם היה) ממשיך לפעול
+      }
+    }, RELOAD_DEBOUNCE_MS);
+  }
+
+  /**
+   * @private
+   */
+  async _handleFileChange(fileName) {
+    if (fileName.endsWith(MANIFEST_SUFFIX)) {
+      if (await fs.pathExists(path.join(this.agentsDir, fileName))) {
+        await this.load(fileName);
+        return;
+      }
+
+      const plugin = Object.values(this.plugins).find(item => item.file === fileName);
+      delete this.errors[fileName];
+      if (plugin) {
+        await this.unload(plugin.manifest.name);
+      }
+      return;
+    }
+
+    for (const plugin of Object.values(this.plugins)) {
+      if (plugin.manifest.main === fileName && await fs.pathExists(plugin.modulePath)) {
+        await this.load(plugin.file);
+      }
+    }
+  }
+
+  /**
+   * ביטול רישום של סוכן במנהל הסוכנים (המשימות שלו ממתינות בתור עד לרישום מחדש)
+   * @private
+   */
+  async _unregister(plugin) {
+    if (this._isActive(plugin.instance)) {
+      await plugin.instance.stop();
+    }
+
+    agentManager.unregisterAgent(plugin.manifest.name);
+  }
+
+  /**
+   * המודולים (מלבד הטוען) שטענו את מודול הסוכן ישירות
+   * @private
+   */
+  _getRequirers(cached) {
+    return Object.values(require.cache)
+      .filter(item => item !== module && item !== cached && item.children?.includes(cached))
+      .map(item => path.relative(this.agentsDir, item.filename));
+  }
+
+  /**
+   * @private
+   */
+  _getPlugin(name) {
+    return this.plugins[name]
+      || Object.values(this.plugins).find(plugin => (plugin.manifest.aliases || []).includes(name))
+      || null;
+  }
+
+  /**
+   * סוכנים מסמנים שהם פעילים ב-active או ב-isRunning
+   * @private
+   */
+  _isActive(instance) {
+    return Boolean(instance.active || instance.isRunning);
+  }
+
+  /**
+   * @private
+   */
+  _canStart(instance) {
+    return typeof instance.start === 'function' || typeof instance.init === 'function';
+  }
+
+  /**
+   * הפעלת סוכן במתודה שלו (start, או init בסוכנים שאין להם start)
+   * @private
+   */
+  async _startInstance(instance) {
+    if (typeof instance.start === 'function') {
+      await instance.start();
+    } else if (typeof instance.init === 'function') {
+      await instance.init();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describe(plugin) {
+    const { manifest } = plugin;
+
+    return {
+      name: manifest.name,
+      version: manifest.version,
+      description: manifest.description || '',
+      aliases: manifest.aliases || [],
+      file: plugin.file,
+      main: manifest.main,
+      autoStart: Boolean(manifest.autoStart),
+      permissions: manifest.permissions,
+      defaultModel: manifest.defaultModel || null,
+      actions: Object.keys(manifest.actions),
+      active: this._isActive(plugin.instance),
+      loadedAt: plugin.loadedAt
+    };
+  }
+}
+
+module.exports = new AgentLoader();
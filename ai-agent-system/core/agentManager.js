@@ -4,6 +4,28 @@ const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const { getConfig } = require('../config/config');
+const taskContext = require('./taskContext');
+const usageTracker = require('./usageTracker');
+const modelRouter = require('./modelRouter');
+const TaskJournal = require('./taskJournal');
+const messageBus = require('./messageBus');
+const { BudgetExceededError, TaskCancelledError, TaskTimeoutError } = require('./errors');
+
+// סטטוסים של משימה שהסתיימה
+const FINISHED_STATUSES = ['completed', 'failed', 'blocked_budget', 'cancelled', 'interrupted', 'skipped'];
+
+// סדר העדיפויות של משימות
+const PRIORITY_LEVELS = { low: 0, normal: 1, high: 2, critical: 3 };
+
+// משימה שממתינה בתור עולה ברמת עדיפות אחת בכל פרק זמן כזה (agentManager.priorityAgingMs בהגדרות)
+const DEFAULT_PRIORITY_AGING_MS = 30000;
+
+// השהיה בין ניסיונות חוזרים של משימה שנכשלה (ניתן לשנות ב-agentManager.retry בהגדרות)
+const DEFAULT_BACKOFF = { initialDelayMs: 1000, multiplier: 2, maxDelayMs: 60000 };
+
+// מתי משימה תלויה רצה: success - כל התלויות הושלמו, failure - לפחות תלות אחת נכשלה,
+// always - אחרי שכל התלויות הסתיימו, בכל תוצאה
+const DEPENDENCY_CONDITIONS = ['success', 'failure', 'always'];
 
 /**
  * מנהל הסוכנים - אחראי על ניהול והקצאת משאבים לסוכנים במערכת
@@ -20,8 +42,13 @@ class AgentManager extends EventEmitter {
     
     // אתחול מבני הנתונים העיקריים
     this.agents = {}; // מיפוי של כל הסוכנים הרשומים
+    this.aliases = {}; // כינויים של סוכנים רשומים (כינוי -> שם הסוכן), למשל scheduler_agent -> scheduler
     this.tasks = {}; // מעקב אחר משימות שנמצאות בביצוע
     this.taskQueue = []; // תור משימות לביצוע
+    this.taskControllers = {}; // בקרי ביטול (AbortController) של משימות שרצות כעת
+    this.lastServed = {}; // מתי כל סוכן קיבל משימה לאחרונה (לחלוקה הוגנת בין הסוכנים)
+    this.queueSequence = 0; // מונה רץ לסדר הגעה יציב בתור
+    this.journal = null; // יומן המשימות המתמיד (נפתח בהפעלה הראשונה)
     this.active = false; // האם המנהל פעיל
     this.config = null; // הגדרות המערכת
     this.interval = null; // מזהה עבור בדיקות תקופתיות
@@ -34,16 +61,31 @@ class AgentManager extends EventEmitter {
       totalTasksQueued: 0,
       totalTasksCompleted: 0,
       totalTasksFailed: 0,
+      totalTasksBlocked: 0,
+      totalTasksCancelled: 0,
+      totalTasksInterrupted: 0,
+      totalTasksRecovered: 0,
+      totalTasksRetried: 0,
+      totalTasksTimedOut: 0,
+      totalTasksDeadLettered: 0,
       agentUsageCount: {},
       modelUsageCount: {},
       lastTaskTime: null
     };
     
+    // ספירת שאילתות לפי ספק/מודל מתוך רשומות השימוש של מנוע ה-AI
+    usageTracker.on('record', (record) => {
+      const key = `${record.provider}/${record.model}`;
+      this.stats.modelUsageCount[key] = (this.stats.modelUsageCount[key] || 0) + 1;
+    });
+    
     logger.info(`${this.logPrefix} מנהל הסוכנים אותחל`);
   }
   
   /**
-   * הפעלת מנהל הסוכנים
+   * הפעלת מנהל הסוכנים. בהפעלה הראשונה המשימות משוחזרות מיומן המשימות: משימות ממתינות
+   * חוזרות לתור, ומשימות שרצו כשהשרת נפל מסומנות interrupted או מורצות שוב, לפי
+   * agentManager.recovery בהגדרות (interruptedTasks: interrupt/retry, maxRetries)
    */
   async start() {
     if (this.active) {
@@ -60,6 +102,12 @@ class AgentManager extends EventEmitter {
       // אתחול זמן התחלה
       this.startTime = new Date();
       
+      // פתיחת יומן המשימות ושחזור המשימות מההרצה הקודמת
+      if (!this.journal && this.config.agentManager?.journal?.enabled !== false) {
+        this.journal = new TaskJournal(this.config.agentManager?.journal);
+        this._recoverTasks();
+      }
+      
       // הפעל את בדיקת תור המשימות
       const checkInterval = this.config.agentManager?.taskCheckInterval || 5000; // ברירת מחדל: 5 שניות
       this.interval = setInterval(() => this._processTaskQueue(), checkInterval);
@@ -107,15 +155,39 @@ class AgentManager extends EventEmitter {
    * רישום סוכן במערכת
    * @param {string} agentName - שם הסוכן 
    * @param {Object} agentInstance - מופע הסוכן
+   * @param {Object} options - אפשרויות הרישום
+   * @param {number} options.concurrency - משימות במקביל לכל מופע (ברירת מחדל: agentManager.concurrency.<agent>,
+   *   אחריו agentManager.defaultConcurrency, אחריו 1)
+   * @param {Array<string>} options.actions - הפעולות הציבוריות של הסוכן (ברירת מחדל: כל מתודה שאינה מתחילה בקו תחתון)
+   * @param {Function} options.prepareAction - (actionType, parameters) => args: בדיקת הפרמטרים של משימה והמרתם
+   *   לארגומנטים לפי סדר ההצהרה (ברירת מחדל: ערכי הפרמטרים לפי הסדר)
+   * @param {Array<string>} options.aliases - שמות נוספים שבהם אפשר לפנות לסוכן (משימות, תהליכי עבודה וצינורות)
    */
-  registerAgent(agentName, agentInstance) {
-    if (this.agents[agentName]) {
+  registerAgent(agentName, agentInstance, options = {}) {
+    if (this.agents[agentName] || this.aliases[agentName]) {
       logger.warn(`${this.logPrefix} סוכן בשם ${agentName} כבר רשום במערכת`);
       return;
     }
     
+    const aliases = (options.aliases || []).filter(alias => {
+      if (this.agents[alias] || this.aliases[alias]) {
+        logger.warn(`${this.logPrefix} הכינוי ${alias} של סוכן ${agentName} כבר תפוס ולא נרשם`);
+        return false;
+      }
+      return true;
+    });
+    
+    for (const alias of aliases) {
+      this.aliases[alias] = agentName;
+    }
+    
     this.agents[agentName] = {
       instance: agentInstance,
+      workers: [{ instance: agentInstance, activeTasks: [] }], // מופעי הסוכן והמשימות שרצות בכל אחד
+      concurrency: options.concurrency || null,
+      actions: options.actions || null,
+      prepareAction: options.prepareAction || null,
+      aliases,
       registeredAt: new Date().toISOString(),
       lastActivity: null,
       currentTask: null,
@@ -126,6 +198,46 @@ class AgentManager extends EventEmitter {
     this.stats.agentUsageCount[agentName] = 0;
     
     logger.info(`${this.logPrefix} סוכן ${agentName} נרשם במערכת`);
+    
+    // הסוכן מתחיל לקבל הודעות מערוץ ההודעות, כולל הודעות שחיכו לו בזמן שלא היה רשום
+    messageBus.attach(agentName, agentInstance);
+    
+    // משימות ששוחזרו מהיומן לפני שהסוכן נרשם נכנסות עכשיו לתור
+    this._enqueueWaitingTasks(agentName);
+  }
+  
+  /**
+   * הוספת מופע נוסף לסוכן רשום - משימות של הסוכן מתחלקות בין המופעים, וכל מופע
+   * מריץ עד concurrency משימות במקביל
+   * @param {string} agentName - שם הסוכן
+   * @param {Object} agentInstance - המופע הנוסף
+   * @returns {number} - מספר המופעים של הסוכן
+   */
+  addAgentInstance(agentName, agentInstance) {
+    agentName = this._resolveAgentName(agentName);
+    const agentData = this.agents[agentName];
+    
+    if (!agentData) {
+      throw new Error(`סוכן ${agentName} אינו רשום במערכת`);
+    }
+    
+    agentData.workers.push({ instance: agentInstance, activeTasks: [] });
+    
+    logger.info(`${this.logPrefix} נוסף מופע לסוכן ${agentName} (${agentData.workers.length} מופעים)`);
+    
+    return agentData.workers.length;
+  }
+  
+  /**
+   * מספר המשימות שכל מופע של הסוכן מריץ במקביל
+   * @param {string} agentName - שם הסוכן
+   * @returns {number} - המקביליות
+   */
+  getAgentConcurrency(agentName) {
+    return this.agents[agentName]?.concurrency
+      || this.config?.agentManager?.concurrency?.[agentName]
+      || this.config?.agentManager?.defaultConcurrency
+      || 1;
   }
   
   /**
@@ -138,19 +250,63 @@ class AgentManager extends EventEmitter {
       return;
     }
     
+    for (const alias of this.agents[agentName].aliases) {
+      delete this.aliases[alias];
+    }
+    
     delete this.agents[agentName];
+    messageBus.detach(agentName);
     logger.info(`${this.logPrefix} סוכן ${agentName} הוסר מהמערכת`);
   }
   
   /**
    * בדיקה אם סוכן רשום במערכת
-   * @param {string} agentName - שם הסוכן
+   * @param {string} agentName - שם הסוכן או אחד הכינויים שלו
    * @returns {boolean} - האם הסוכן רשום
    */
   isAgentRegistered(agentName) {
-    return !!this.agents[agentName];
+    return !!this.agents[this._resolveAgentName(agentName)];
+  }
+  
+  /**
+   * השם של סוכן רשום לפי השם או אחד הכינויים שלו (שם לא מוכר מוחזר כמו שהוא)
+   * @private
+   */
+  _resolveAgentName(agentName) {
+    return this.agents[agentName] ? agentName : (this.aliases[agentName] || agentName);
+  }
+
+  /**
+   * האם פעולה היא פעולה ציבורית של סוכן רשום - מוצהרת במניפסט שלו, או (לסוכן ללא מניפסט)
+   * מתודה קיימת שאינה מתחילה בקו תחתון
+   * @param {string} agentName - שם הסוכן או אחד הכינויים שלו
+   * @param {string} actionType - שם הפעולה
+   * @returns {boolean}
+   */
+  isActionAllowed(agentName, actionType) {
+    agentName = this._resolveAgentName(agentName);
+    const agentData = this.agents[agentName];
+    
+    if (!agentData || typeof actionType !== 'string') {
+      return false;
+    }
+    
+    if (agentData.actions) {
+      return agentData.actions.includes(actionType);
+    }
+    
+    return !actionType.startsWith('_') && typeof agentData.instance[actionType] === 'function';
   }
   
+  /**
+   * קבלת המופע של סוכן רשום
+   * @param {string} agentName - שם הסוכן או אחד הכינויים שלו
+   * @returns {Object|null} - מופע הסוכן, או null אם אינו רשום
+   */
+  getAgent(agentName) {
+    return this.agents[this._resolveAgentName(agentName)]?.instance || null;
+  }
+
   /**
    * קבלת רשימת כל הסוכנים הרשומים
    * @returns {Object} - מידע על כל הסוכנים
@@ -163,7 +319,10 @@ class AgentManager extends EventEmitter {
         registeredAt: agentData.registeredAt,
         lastActivity: agentData.lastActivity,
         status: agentData.status,
-        currentTask: agentData.currentTask
+        currentTask: agentData.currentTask,
+        activeTasks: agentData.workers.flatMap(worker => worker.activeTasks),
+        instances: agentData.workers.length,
+        concurrency: this.getAgentConcurrency(agentName)
       };
     }
     
@@ -172,10 +331,19 @@ class AgentManager extends EventEmitter {
   
   /**
    * הוספת משימה לתור המשימות
-   * @param {string} agentName - שם הסוכן לביצוע המשימה
+   * @param {string} agentName - שם הסוכן לביצוע המשימה (או אחד הכינויים שלו)
    * @param {string} actionType - סוג הפעולה 
    * @param {Object} parameters - פרמטרים לפעולה
    * @param {Object} options - אפשרויות נוספות
+   * @param {string} options.priority - עדיפות (low/normal/high/critical)
+   * @param {string} options.onInterrupt - מה לעשות אם השרת נפל בזמן שהמשימה רצה (interrupt/retry),
+   *   במקום ברירת המחדל שבהגדרות
+   * @param {Array<string>} options.dependsOn - מזהי משימות שצריכות להסתיים לפני המשימה. פרמטר בצורת
+   *   { $ref: '<taskId>.result.filePath' } מקבל את הערך מהמשימה שהסתיימה
+   * @param {string} options.when - מתי המשימה רצה ביחס לתלויות (success/failure/always, ברירת מחדל: success)
+   * @param {number} options.maxRetries - ניסיונות חוזרים אחרי כישלון (ברירת מחדל: agentManager.retry.maxRetries או 0)
+   * @param {Object} options.backoff - השהיה בין ניסיונות ({ initialDelayMs, multiplier, maxDelayMs })
+   * @param {number} options.timeoutMs - זמן ריצה מקסימלי לניסיון (ברירת מחדל: agentManager.taskTimeoutMs, ללא הגבלה)
    * @returns {string} - מזהה המשימה
    */
   addTask(agentName, actionType, parameters = {}, options = {}) {
@@ -183,10 +351,38 @@ class AgentManager extends EventEmitter {
       throw new Error('מנהל הסוכנים אינו פעיל');
     }
     
+    agentName = this._resolveAgentName(agentName);
+    
     if (!this.agents[agentName]) {
       throw new Error(`סוכן ${agentName} אינו רשום במערכת`);
     }
     
+    if (!this.isActionAllowed(agentName, actionType)) {
+      throw new Error(`פעולה ${actionType} אינה פעולה ציבורית של סוכן ${agentName}`);
+    }
+    
+    const dependsOn = options.dependsOn || [];
+    const when = options.when || 'success';
+    
+    for (const dependencyId of dependsOn) {
+      if (!this.tasks[dependencyId]) {
+        throw new Error(`משימת התלות ${dependencyId} אינה קיימת`);
+      }
+    }
+    
+    if (!DEPENDENCY_CONDITIONS.includes(when)) {
+      throw new Error(`תנאי תלות לא תקין: ${when} (אפשריים: ${DEPENDENCY_CONDITIONS.join(', ')})`);
+    }
+    
+    for (const ref of this._findRefs(parameters)) {
+      if (!dependsOn.includes(ref.split('.')[0])) {
+        throw new Error(`ההפניה ${ref} חייבת להיות למשימה שהמשימה תלויה בה`);
+      }
+    }
+    
+    const retry = this.config?.agentManager?.retry || {};
+    const timeoutMs = options.timeoutMs ?? this.config?.agentManager?.taskTimeoutMs ?? null;
+    
     const taskId = `task_${uuidv4()}`;
     const task = {
       id: taskId,
@@ -194,30 +390,28 @@ class AgentManager extends EventEmitter {
       actionType,
       parameters,
       priority: options.priority || 'normal', // אפשרויות: low, normal, high, critical
-      status: 'pending',
+      status: dependsOn.length > 0 ? 'waiting' : 'pending', // משימה תלויה ממתינה מחוץ לתור עד שהתלויות יסתיימו
       createdAt: new Date().toISOString(),
       startedAt: null,
       completedAt: null,
       result: null,
-      error: null
+      error: null,
+      aiProviders: [], // הספקים והמודלים שענו בפועל לקריאות ה-AI של המשימה
+      attempts: 0,
+      maxRetries: options.maxRetries ?? retry.maxRetries ?? 0,
+      backoff: { ...DEFAULT_BACKOFF, ...retry.backoff, ...options.backoff },
+      timeoutMs,
+      errorHistory: [], // שגיאה לכל ניסיון שנכשל
+      ...(options.onInterrupt && { onInterrupt: options.onInterrupt }),
+      ...(dependsOn.length > 0 && { dependsOn, when }),
+      ...(options.workflow && { workflow: options.workflow })
     };
     
     this.tasks[taskId] = task;
+    this._persistTask(task);
     
-    // הוסף את המשימה לתור בהתאם לעדיפות
-    if (task.priority === 'critical') {
-      // משימות קריטיות נכנסות לראש התור
-      this.taskQueue.unshift(taskId);
-    } else if (task.priority === 'high') {
-      // משימות בעדיפות גבוהה נכנסות אחרי משימות קריטיות
-      const criticalTasksCount = this.taskQueue.filter(id => 
-        this.tasks[id].priority === 'critical'
-      ).length;
-      
-      this.taskQueue.splice(criticalTasksCount, 0, taskId);
-    } else {
-      // משימות רגילות או בעדיפות נמוכה נכנסות לסוף התור
-      this.taskQueue.push(taskId);
+    if (task.status === 'pending') {
+      this._enqueue(taskId);
     }
     
     this.stats.totalTasksQueued++;
@@ -228,6 +422,429 @@ class AgentManager extends EventEmitter {
     return taskId;
   }
   
+  /**
+   * הכנסת משימה לתור. הסדר שבו משימות יוצאות מהתור נקבע ב-_pickNextTask לפי העדיפות
+   * האפקטיבית, הסוכן וסדר ההגעה
+   * @param {string} taskId - מזהה המשימה
+   * @private
+   */
+  _enqueue(taskId) {
+    const task = this.tasks[taskId];
+    
+    // זמן הכניסה לתור - בסיס להעלאת העדיפות של משימות שממתינות זמן רב
+    task.queuedAt = new Date().toISOString();
+    task.queueSequence = this.queueSequence++;
+    
+    this.taskQueue.push(taskId);
+  }
+  
+  /**
+   * הכנסה לתור של משימות ממתינות של סוכן שעדיין אינן בתור (משימות ששוחזרו מהיומן)
+   * @param {string} agentName - שם הסוכן
+   * @private
+   */
+  _enqueueWaitingTasks(agentName) {
+    const waiting = Object.values(this.tasks)
+      .filter(task => task.agentName === agentName && task.status === 'pending' && !this.taskQueue.includes(task.id));
+    
+    for (const task of waiting) {
+      this._enqueue(task.id);
+    }
+    
+    if (waiting.length > 0) {
+      logger.info(`${this.logPrefix} ${waiting.length} משימות ששוחזרו נכנסו לתור של סוכן ${agentName}`);
+    }
+  }
+  
+  /**
+   * שחזור המשימות מיומן המשימות אחרי הפעלה מחדש
+   * @private
+   */
+  _recoverTasks() {
+    const recovery = this.config.agentManager?.recovery || {};
+    const maxRetries = recovery.maxRetries ?? 1;
+    let requeued = 0;
+    let interrupted = 0;
+    
+    for (const task of this.journal.load()) {
+      if (this.tasks[task.id]) {
+        continue;
+      }
+      
+      this.tasks[task.id] = task;
+      
+      if (task.status === 'running') {
+        const policy = task.onInterrupt || recovery.interruptedTasks || 'interrupt';
+        const attempts = task.recoveryAttempts || 0;
+        
+        if (policy === 'retry' && attempts < maxRetries) {
+          task.status = 'pending';
+          task.startedAt = null;
+          task.recoveryAttempts = attempts + 1;
+        } else {
+          task.status = 'interrupted';
+          task.completedAt = new Date().toISOString();
+          task.error = 'השרת הופעל מחדש בזמן שהמשימה רצה';
+          this.stats.totalTasksInterrupted++;
+          interrupted++;
+          
+          this.emit('task:interrupted', { ...task });
+        }
+        
+        this._persistTask(task);
+      }
+      
+      if (task.status === 'pending') {
+        requeued++;
+        
+        // משימות של סוכנים שעוד לא נרשמו ייכנסו לתור ברישום הסוכן
+        if (this.agents[task.agentName]) {
+          this._enqueue(task.id);
+        }
+      }
+    }
+    
+    this.stats.totalTasksRecovered += requeued;
+    
+    if (requeued > 0 || interrupted > 0) {
+      logger.info(`${this.logPrefix} שוחזרו משימות מהיומן: ${requeued} חזרו לתור, ${interrupted} סומנו כקטועות`);
+    }
+  }
+  
+  /**
+   * שמירת המצב הנוכחי של משימה ביומן המשימות
+   * @param {Object} task - המשימה
+   * @private
+   */
+  _persistTask(task) {
+    if (this.journal) {
+      this.journal.save(task);
+    }
+  }
+  
+  /**
+   * הוספת תהליך עבודה - גרף משימות שבו כל שלב מצהיר על השלבים שהוא תלוי בהם.
+   * פרמטר בצורת { $ref: '<stepId>.result.filePath' } מקבל ערך משלב קודם, ושלב עם
+   * when: 'failure' רץ רק אם שלב שהוא תלוי בו נכשל (ענף טיפול בכישלון)
+   * @param {Object} definition - הגדרת התהליך
+   * @param {string} definition.name - שם התהליך
+   * @param {Array<Object>} definition.steps - שלבים בצורת { id, agent, action, params, dependsOn, when, priority, maxRetries, timeoutMs }
+   * @returns {Object} - { workflowId, tasks } כאשר tasks ממפה מזהה שלב למזהה משימה
+   */
+  addWorkflow(definition = {}) {
+    const steps = definition.steps || [];
+    const name = definition.name || 'workflow';
+    
+    this._validateWorkflow(steps);
+    
+    const workflowId = `workflow_${uuidv4()}`;
+    const taskIds = {};
+    
+    for (const step of this._sortSteps(steps)) {
+      const dependsOn = (step.dependsOn || []).map(stepId => taskIds[stepId]);
+      
+      taskIds[step.id] = this.addTask(step.agent, step.action, this._mapRefs(step.params || {}, taskIds), {
+        priority: step.priority,
+        onInterrupt: step.onInterrupt,
+        maxRetries: step.maxRetries,
+        timeoutMs: step.timeoutMs,
+        dependsOn,
+        when: step.when,
+        workflow: { id: workflowId, name, step: step.id }
+      });
+    }
+    
+    logger.info(`${this.logPrefix} תהליך עבודה ${name} (${workflowId}) נוסף עם ${steps.length} שלבים`);
+    
+    return { workflowId, tasks: taskIds };
+  }
+  
+  /**
+   * מצב תהליך עבודה - הגרף המלא עם סטטוס, תוצאה ושגיאה של כל שלב
+   * @param {string} workflowId - מזהה התהליך
+   * @returns {Object|null} - { id, name, status, createdAt, completedAt, steps, edges }, או null אם אינו קיים
+   */
+  getWorkflow(workflowId) {
+    const tasks = Object.values(this.tasks)
+      .filter(task => task.workflow?.id === workflowId)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    
+    if (tasks.length === 0) {
+      return null;
+    }
+    
+    const stepIds = Object.fromEntries(tasks.map(task => [task.id, task.workflow.step]));
+    const finished = tasks.every(task => FINISHED_STATUSES.includes(task.status));
+    
+    return {
+      id: workflowId,
+      name: tasks[0].workflow.name,
+      status: this._getWorkflowStatus(tasks),
+      createdAt: tasks[0].createdAt,
+      completedAt: finished ? tasks.map(task => task.completedAt).sort().pop() : null,
+      steps: tasks.map(task => ({
+        id: task.workflow.step,
+        taskId: task.id,
+        agent: task.agentName,
+        action: task.actionType,
+        status: task.status,
+        dependsOn: (task.dependsOn || []).map(taskId => stepIds[taskId]),
+        when: task.when || 'success',
+        startedAt: task.startedAt,
+        completedAt: task.completedAt,
+        result: task.result,
+        error: task.error
+      })),
+      edges: tasks.flatMap(task => (task.dependsOn || []).map(taskId => ({
+        from: stepIds[taskId],
+        to: task.workflow.step,
+        when: task.when || 'success'
+      })))
+    };
+  }
+  
+  /**
+   * רשימת תהליכי העבודה
+   * @returns {Array<Object>} - { id, name, status, createdAt, steps } לכל תהליך
+   */
+  getWorkflows() {
+    const workflowIds = new Set(
+      Object.values(this.tasks).filter(task => task.workflow).map(task => task.workflow.id)
+    );
+    
+    return [...workflowIds].map(workflowId => {
+      const { id, name, status, createdAt, steps } = this.getWorkflow(workflowId);
+      return { id, name, status, createdAt, steps: steps.length };
+    });
+  }
+  
+  /**
+   * בדיקת שלבים של תהליך עבודה בלי להוסיף אותו (למשל בטעינת צינור)
+   * @param {Array<Object>} steps - השלבים, כמו ב-addWorkflow
+   * @throws {Error} - אם השלבים אינם תקינים
+   */
+  validateWorkflow(steps) {
+    this._validateWorkflow(steps);
+  }
+  
+  /**
+   * סטטוס תהליך: running כל עוד יש שלב שלא הסתיים; אחרי כן completed אם כל השלבים
+   * הושלמו או דולגו, ואחרת הסטטוס של השלב הראשון שלא הצליח
+   * @private
+   */
+  _getWorkflowStatus(tasks) {
+    if (tasks.some(task => !FINISHED_STATUSES.includes(task.status))) {
+      return 'running';
+    }
+    
+    const unsuccessful = tasks.find(task => !['completed', 'skipped'].includes(task.status));
+    
+    return unsuccessful ? unsuccessful.status : 'completed';
+  }
+  
+  /**
+   * בדיקת תקינות השלבים של תהליך עבודה: מזהים ייחודיים, סוכנים רשומים, תלויות קיימות,
+   * הפניות רק לשלבים שהשלב תלוי בהם, וללא מעגלים
+   * @private
+   */
+  _validateWorkflow(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('תהליך עבודה חייב לכלול לפחות שלב אחד');
+    }
+    
+    const ids = new Set();
+    
+    for (const step of steps) {
+      if (!step.id || !step.agent || !step.action) {
+        throw new Error('כל שלב בתהליך עבודה חייב לכלול id, agent ו-action');
+      }
+      
+      if (ids.has(step.id)) {
+        throw new Error(`מזהה שלב כפול: ${step.id}`);
+      }
+      
+      ids.add(step.id);
+    }
+    
+    for (const step of steps) {
+      const dependsOn = step.dependsOn || [];
+      
+      if (!this.isAgentRegistered(step.agent)) {
+        throw new Error(`שלב ${step.id}: סוכן ${step.agent} אינו רשום במערכת`);
+      }
+      
+      if (!this.isActionAllowed(step.agent, step.action)) {
+        throw new Error(`שלב ${step.id}: פעולה ${step.action} אינה פעולה ציבורית של סוכן ${step.agent}`);
+      }
+      
+      for (const dependency of dependsOn) {
+        if (!ids.has(dependency)) {
+          throw new Error(`שלב ${step.id}: תלות בשלב לא קיים ${dependency}`);
+        }
+      }
+      
+      for (const ref of this._findRefs(step.params || {})) {
+        if (!dependsOn.includes(ref.split('.')[0])) {
+          throw new Error(`שלב ${step.id}: ההפניה ${ref} חייבת להיות לשלב שהשלב תלוי בו`);
+        }
+      }
+    }
+    
+    // מיון טופולוגי נכשל אם יש מעגל
+    this._sortSteps(steps);
+  }
+  
+  /**
+   * מיון השלבים כך שכל שלב מופיע אחרי השלבים שהוא תלוי בהם
+   * @private
+   */
+  _sortSteps(steps) {
+    const sorted = [];
+    const placed = new Set();
+    let remaining = [...steps];
+    
+    while (remaining.length > 0) {
+      const ready = remaining.filter(step => (step.dependsOn || []).every(id => placed.has(id)));
+      
+      if (ready.length === 0) {
+        throw new Error(`תלות מעגלית בין השלבים: ${remaining.map(step => step.id).join(', ')}`);
+      }
+      
+      for (const step of ready) {
+        sorted.push(step);
+        placed.add(step.id);
+      }
+      
+      remaining = remaining.filter(step => !placed.has(step.id));
+    }
+    
+    return sorted;
+  }
+  
+  /**
+   * שחרור משימות ממתינות שכל התלויות שלהן הסתיימו: לפי תנאי התלות המשימה נכנסת לתור
+   * (אחרי שההפניות בפרמטרים שלה נפתרו) או מדולגת
+   * @private
+   */
+  _releaseWaitingTasks() {
+    const waiting = Object.values(this.tasks).filter(task => task.status === 'waiting');
+    
+    for (const task of waiting) {
+      const dependencies = task.dependsOn.map(taskId => this.tasks[taskId]);
+      
+      if (dependencies.some(dependency => dependency && !FINISHED_STATUSES.includes(dependency.status))) {
+        continue;
+      }
+      
+      const outcomes = dependencies.map(dependency => {
+        if (dependency?.status === 'completed') return 'success';
+        return dependency?.status === 'skipped' ? 'skipped' : 'failure';
+      });
+      
+      const shouldRun = {
+        success: outcomes.every(outcome => outcome === 'success'),
+        failure: outcomes.includes('failure'),
+        always: true
+      }[task.when];
+      
+      if (!shouldRun) {
+        task.status = 'skipped';
+        task.completedAt = new Date().toISOString();
+        task.error = `דולגה - תנאי התלות ${task.when} לא התקיים`;
+        this._persistTask(task);
+        
+        logger.info(`${this.logPrefix} משימה ${task.id} דולגה (תנאי ${task.when})`);
+        continue;
+      }
+      
+      try {
+        task.parameters = this._resolveRefs(task.parameters);
+      } catch (error) {
+        task.status = 'failed';
+        task.completedAt = new Date().toISOString();
+        task.error = error.message;
+        this.stats.totalTasksFailed++;
+        this._persistTask(task);
+        
+        logger.error(`${this.logPrefix} משימה ${task.id} נכשלה לפני שהתחילה: ${error.message}`);
+        continue;
+      }
+      
+      task.status = 'pending';
+      this._persistTask(task);
+      
+      if (this.agents[task.agentName]) {
+        this._enqueue(task.id);
+      }
+      
+      logger.info(`${this.logPrefix} התלויות של משימה ${task.id} הסתיימו, המשימה נכנסה לתור`);
+    }
+  }
+  
+  /**
+   * כל ההפניות ({ $ref }) בפרמטרים
+   * @private
+   */
+  _findRefs(value) {
+    if (Array.isArray(value)) {
+      return value.flatMap(item => this._findRefs(item));
+    }
+    
+    if (value && typeof value === 'object') {
+      return typeof value.$ref === 'string' ? [value.$ref] : Object.values(value).flatMap(item => this._findRefs(item));
+    }
+    
+    return [];
+  }
+  
+  /**
+   * המרת הפניות לשלבים (stepId.result...) להפניות למשימות (taskId.result...)
+   * @private
+   */
+  _mapRefs(value, taskIds) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._mapRefs(item, taskIds));
+    }
+    
+    if (value && typeof value === 'object') {
+      if (typeof value.$ref === 'string') {
+        const [stepId, ...rest] = value.$ref.split('.');
+        return { $ref: [taskIds[stepId], ...rest].join('.') };
+      }
+      
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._mapRefs(item, taskIds)]));
+    }
+    
+    return value;
+  }
+  
+  /**
+   * החלפת ההפניות בפרמטרים בערכים מהמשימות שהסתיימו
+   * @private
+   */
+  _resolveRefs(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._resolveRefs(item));
+    }
+    
+    if (value && typeof value === 'object') {
+      if (typeof value.$ref === 'string') {
+        const [taskId, ...fieldPath] = value.$ref.split('.');
+        const resolved = fieldPath.reduce((current, key) => current?.[key], this.tasks[taskId]);
+        
+        if (resolved === undefined) {
+          throw new Error(`ההפניה ${value.$ref} לא נפתרה - אין ערך במשימה ${taskId}`);
+        }
+        
+        return resolved;
+      }
+      
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._resolveRefs(item)]));
+    }
+    
+    return value;
+  }
+  
   /**
    * בדיקת סטטוס משימה
    * @param {string} taskId - מזהה המשימה
@@ -264,12 +881,24 @@ class AgentManager extends EventEmitter {
           resolve(task.result);
         }
         
-        // בדוק אם המשימה נכשלה
-        if (task.status === 'failed') {
+        // בדוק אם המשימה נכשלה או נחסמה בגלל חריגה מתקציב
+        if (task.status === 'failed' || task.status === 'blocked_budget') {
           clearInterval(checkInterval);
           reject(new Error(task.error || 'המשימה נכשלה'));
         }
         
+        // בדוק אם המשימה בוטלה
+        if (task.status === 'cancelled') {
+          clearInterval(checkInterval);
+          reject(new TaskCancelledError(task.error || `המשימה ${taskId} בוטלה`, taskId));
+        }
+        
+        // בדוק אם המשימה נקטעה בהפעלה מחדש של השרת, או דולגה כי תנאי התלות שלה לא התקיים
+        if (task.status === 'interrupted' || task.status === 'skipped') {
+          clearInterval(checkInterval);
+          reject(new Error(task.error));
+        }
+        
         // בדוק אם פג תוקף זמן ההמתנה
         if (Date.now() - startTime > timeout) {
           clearInterval(checkInterval);
@@ -280,45 +909,107 @@ class AgentManager extends EventEmitter {
   }
   
   /**
-   * קבלת המודל המומלץ עבור סוכן
-   * @param {string} agentName - שם הסוכן
-   * @returns {Object} - הספק והמודל המומלצים
+   * ביטול משימה. משימה שממתינה בתור או לתלויות שלה יוצאת מיד; במשימה שרצה מופעל אות הביטול,
+   * שעוצר את שאילתות ה-AI שלה ומונע ממנה לכתוב קבצים, והיא מסומנת כמבוטלת כשהיא נעצרת
+   * @param {string} taskId - מזהה המשימה
+   * @param {string} reason - סיבת הביטול
+   * @returns {Object|null} - { cancelled, task }, או null אם המשימה אינה קיימת
    */
-  getRecommendedModel(agentName) {
-    // אם הסוכן לא נרשם, השתמש בברירת מחדל
-    if (!this.agents[agentName]) {
-      return {
-        provider: 'openai',
-        model: 'gpt-4o'
-      };
+  cancelTask(taskId, reason = 'בוטלה לבקשת המשתמש') {
+    const task = this.tasks[taskId];
+    
+    if (!task) {
+      return null;
+    }
+    
+    if (['pending', 'waiting', 'retrying'].includes(task.status)) {
+      this.taskQueue = this.taskQueue.filter(id => id !== taskId);
+      this._markCancelled(task, reason);
+      return { cancelled: true, task: { ...task } };
     }
     
-    const agentInstance = this.agents[agentName].instance;
+    if (task.status === 'running' && this.taskControllers[taskId]) {
+      logger.info(`${this.logPrefix} מבטל משימה רצה ${taskId}: ${reason}`);
+      
+      task.cancelRequestedAt = new Date().toISOString();
+      this.taskControllers[taskId].abort(new TaskCancelledError(`המשימה ${taskId} בוטלה: ${reason}`, taskId));
+      
+      return { cancelled: true, task: { ...task } };
+    }
+    
+    // המשימה כבר הסתיימה
+    return { cancelled: false, task: { ...task } };
+  }
+  
+  /**
+   * ביטול כל המשימות של סוכן (ממתינות ורצות), למשל בכיבוי הסוכן
+   * @param {string} agentName - שם הסוכן או אחד הכינויים שלו
+   * @param {string} reason - סיבת הביטול
+   * @returns {Array<string>} - מזהי המשימות שבוטלו
+   */
+  cancelAgentTasks(agentName, reason = 'הסוכן כובה') {
+    agentName = this._resolveAgentName(agentName);
+    
+    return Object.values(this.tasks)
+      .filter(task => task.agentName === agentName && ['pending', 'waiting', 'retrying', 'running'].includes(task.status))
+      .filter(task => this.cancelTask(task.id, reason)?.cancelled)
+      .map(task => task.id);
+  }
+  
+  /**
+   * קבלת המשימות שנחסמו בגלל חריגה מתקציב
+   * @param {Object} options - אפשרויות סינון
+   * @param {string} options.since - רק משימות שנחסמו מזמן זה (ISO)
+   * @returns {Array<Object>} - המשימות החסומות
+   */
+  getBudgetBlockedTasks(options = {}) {
+    return Object.values(this.tasks)
+      .filter(task => task.status === 'blocked_budget')
+      .filter(task => !options.since || task.completedAt >= options.since)
+      .map(task => ({ ...task }));
+  }
+  
+  /**
+   * קבלת המודל המומלץ עבור סוכן וסוג משימה, לפי ניתוב המודלים (config/routing.json).
+   * סוכן שאין לו מסלול משלו מקבל את המודל המועדף שהגדיר, ואחריו את ברירת המחדל של הניתוב
+   * @param {string} agentName - שם הסוכן
+   * @param {string} taskType - סוג המשימה (למשל coding, review)
+   * @returns {Object} - הספק, המודל והפרמטרים המומלצים ({ provider, model, params, source })
+   */
+  getRecommendedModel(agentName, taskType) {
+    const route = modelRouter.resolve(agentName, taskType);
+    
+    if (route && route.source !== 'default') {
+      return route;
+    }
     
     // בדוק אם לסוכן יש העדפות מודל
-    if (agentInstance.preferredProvider && agentInstance.preferredModel) {
+    const agentInstance = this.agents[agentName]?.instance;
+    if (agentInstance?.preferredProvider && agentInstance?.preferredModel) {
       return {
         provider: agentInstance.preferredProvider,
-        model: agentInstance.preferredModel
+        model: agentInstance.preferredModel,
+        params: {},
+        source: 'agent'
       };
     }
     
-    // אחרת, השתמש בברירת מחדל מהתצורה
-    const defaultProvider = this.config?.ai?.defaultProvider || 'openai';
-    const defaultModel = this.config?.ai?.defaultModel || 'gpt-4o';
-    
-    return {
-      provider: defaultProvider,
-      model: defaultModel
+    // אחרת, השתמש בברירת המחדל של הניתוב או של התצורה
+    return route || {
+      provider: this.config?.ai?.defaultProvider || 'openai',
+      model: this.config?.ai?.defaultModel || 'gpt-4o',
+      params: {},
+      source: 'config'
     };
   }
   
   /**
    * טיפול במשימה קיימת
    * @param {string} taskId - מזהה המשימה
+   * @param {Object} worker - מופע הסוכן שמריץ את המשימה (מ-_acquireWorker)
    * @private
    */
-  async _processTask(taskId) {
+  async _processTask(taskId, worker) {
     if (!this.tasks[taskId]) {
       logger.warn(`${this.logPrefix} משימה ${taskId} אינה קיימת`);
       return;
@@ -331,91 +1022,457 @@ class AgentManager extends EventEmitter {
       return;
     }
     
-    // בדוק אם הסוכן המיועד זמין
     const agentData = this.agents[task.agentName];
-    if (!agentData || agentData.status !== 'idle') {
-      // אם הסוכן לא זמין כרגע, נדלג וננסה שוב בהזדמנות הבאה
-      return;
-    }
+    
+    // הקשר המשימה - משמש גם לתיעוד הספקים שענו בפועל לקריאות ה-AI שלה
+    const controller = new AbortController();
+    const context = { taskId, agentName: task.agentName, priority: task.priority, signal: controller.signal, aiCalls: [] };
+    this.taskControllers[taskId] = controller;
+    
+    // הקריאה לסוכן והאם הסתיימה - ניסיון שחרג מזמן הריצה או בוטל ממשיך לרוץ עד שהסוכן מסיים אותו
+    let running = null;
+    let settled = false;
     
     try {
       logger.info(`${this.logPrefix} מתחיל לטפל במשימה ${taskId} (${task.actionType}) באמצעות סוכן ${task.agentName}`);
       
       // עדכן סטטוס הסוכן והמשימה
-      agentData.status = 'busy';
-      agentData.currentTask = taskId;
+      worker.activeTasks.push(taskId);
+      this._updateAgentStatus(agentData);
       agentData.lastActivity = new Date().toISOString();
       
       task.status = 'running';
       task.startedAt = new Date().toISOString();
+      task.attempts = (task.attempts || 0) + 1;
+      this._persistTask(task);
       
-      // קבל את הסוכן
-      const agent = agentData.instance;
+      // קבל את מופע הסוכן
+      const agent = worker.instance;
       
-      // בדוק אם קיימת מתודה מתאימה בסוכן
-      if (typeof agent[task.actionType] !== 'function') {
-        throw new Error(`פעולה ${task.actionType} אינה נתמכת על ידי סוכן ${task.agentName}`);
-      }
+      // הפרמטרים נבדקים מול הצהרת הפעולה ומסודרים לפי סדר הארגומנטים, כמו ב-/agent-action
+      const args = this._prepareArgs(agentData, task);
       
-      // הרץ את הפעולה
-      const result = await agent[task.actionType](...Object.values(task.parameters));
+      // הרץ את הפעולה בתוך הקשר המשימה, כך שקריאות AI (כמו הזרמה) ישויכו אליה
+      running = new Promise(resolve => resolve(taskContext.run(context, () => agent[task.actionType](...args))));
+      running.then(() => { settled = true; }, () => { settled = true; });
       
-      // עדכן את תוצאת המשימה
+      const result = await this._runWithTimeout(task, controller, running);
+      
+      // משימה שבוטלה ולא נעצרה בעצמה לא נחשבת כהושלמה - התוצאה שלה נזרקת
+      controller.signal.throwIfAborted();
+      
+      // עדכן את תוצאת המשימה - השגיאה של ניסיון קודם שנכשל נשארת רק ב-errorHistory
       task.status = 'completed';
       task.completedAt = new Date().toISOString();
       task.result = result;
+      task.error = null;
+      task.retryAt = null;
+      task.aiProviders = context.aiCalls;
+      
+      this._persistTask(task);
       
       // עדכן סטטיסטיקות
       this.stats.totalTasksCompleted++;
       this.stats.agentUsageCount[task.agentName]++;
       
-      // עדכן את מצב הסוכן
-      agentData.status = 'idle';
-      agentData.currentTask = null;
-      
       logger.info(`${this.logPrefix} משימה ${taskId} הושלמה בהצלחה`);
-    } catch (error) {
-      // טיפול בשגיאות
-      logger.error(`${this.logPrefix} שגיאה בביצוע משימה ${taskId}: ${error.message}`);
       
-      task.status = 'failed';
+      // כישלון בפרסום (למשל מאזין שזרק) לא הופך משימה שהושלמה לכושלת
+      try {
+        messageBus.publish('task.completed', {
+          taskId,
+          agentName: task.agentName,
+          actionType: task.actionType,
+          workflowId: task.workflow?.id || null,
+          durationMs: new Date(task.completedAt) - new Date(task.startedAt)
+        }, { source: 'agent_manager' });
+      } catch (publishError) {
+        logger.error(`${this.logPrefix} שגיאה בפרסום השלמת משימה ${taskId}: ${publishError.message}`);
+      }
+    } catch (error) {
       task.completedAt = new Date().toISOString();
       task.error = error.message;
+      task.aiProviders = context.aiCalls;
       
-      // עדכן סטטיסטיקות
-      this.stats.totalTasksFailed++;
+      if (controller.signal.reason instanceof TaskTimeoutError) {
+        // חריגה מזמן הריצה נחשבת כישלון של הניסיון הנוכחי
+        this.stats.totalTasksTimedOut++;
+        this._handleFailure(task, controller.signal.reason);
+      } else if (controller.signal.aborted) {
+        // ביטול אינו כישלון - גם אם הסוכן זרק שגיאה אחרת בעקבות הביטול
+        const reason = controller.signal.reason;
+        this._markCancelled(task, reason instanceof TaskCancelledError ? reason.message : error.message);
+      } else if (error instanceof BudgetExceededError) {
+        // חריגה מתקציב אינה כישלון של הסוכן - המשימה נחסמת עד שהתקציב יוגדל או יתחדש
+        logger.warn(`${this.logPrefix} משימה ${taskId} נחסמה בגלל חריגה מתקציב: ${error.message}`);
+        
+        task.status = 'blocked_budget';
+        task.budget = error.budget;
+        this.stats.totalTasksBlocked++;
+        
+        this.emit('task:blocked_budget', { ...task });
+      } else {
+        // טיפול בשגיאות
+        logger.error(`${this.logPrefix} שגיאה בביצוע משימה ${taskId}: ${error.message}`);
+        
+        this._handleFailure(task, error);
+      }
+      
+      this._persistTask(task);
+    } finally {
+      // שחרר את מופע הסוכן. הבקר נשאר רשום עד אז, כך שניסיון שעדיין רץ נספר במגבלת
+      // maxConcurrentTasks הכללית (ניסיון חוזר לא מתחיל לפני כן - ראו _isAttemptRunning)
+      const release = () => {
+        worker.activeTasks = worker.activeTasks.filter(id => id !== taskId);
+        if (this.taskControllers[taskId] === controller) {
+          delete this.taskControllers[taskId];
+        }
+        this._updateAgentStatus(agentData);
+      };
+      
+      if (!running || settled) {
+        release();
+      } else {
+        // הסוכן לא חייב להקשיב לאות הביטול, ולכן המופע נשאר תפוס עד שהקריאה באמת מסתיימת -
+        // אחרת ניסיון חוזר של אותה משימה היה רץ במקביל לה
+        logger.warn(`${this.logPrefix} ניסיון ${task.attempts} של משימה ${taskId} הופסק, אבל הסוכן ${task.agentName} עדיין מריץ אותו - המופע יתפנה בסיומו`);
+        
+        running
+          .catch(() => {})
+          .then(() => {
+            release();
+            setImmediate(() => this._processTaskQueue());
+          });
+      }
+    }
+  }
+  
+  /**
+   * האם ניסיון קודם של המשימה עדיין רץ באחד ממופעי הסוכן (למשל ניסיון שחרג מזמן הריצה)
+   * @private
+   */
+  _isAttemptRunning(task) {
+    return !!this.agents[task.agentName]?.workers.some(worker => worker.activeTasks.includes(task.id));
+  }
+  
+  /**
+   * הארגומנטים להרצת משימה. פרמטרים לא תקינים לא יתוקנו בניסיון חוזר, ולכן המשימה
+   * עוברת ישר לרשימת המשימות המתות (ומשם אפשר לשלוח אותה שוב עם פרמטרים מתוקנים)
+   * @private
+   */
+  _prepareArgs(agentData, task) {
+    try {
+      if (!this.isActionAllowed(task.agentName, task.actionType)) {
+        throw new Error(`פעולה ${task.actionType} אינה פעולה ציבורית של סוכן ${task.agentName}`);
+      }
+      
+      if (agentData.prepareAction) {
+        return agentData.prepareAction(task.actionType, task.parameters);
+      }
       
-      // שחרר את הסוכן
-      agentData.status = 'idle';
-      agentData.currentTask = null;
+      return Array.isArray(task.parameters) ? task.parameters : Object.values(task.parameters || {});
+    } catch (error) {
+      error.retryable = false;
+      throw error;
     }
   }
   
+  /**
+   * עדכון הסטטוס של סוכן לפי המשימות שרצות במופעים שלו
+   * @private
+   */
+  _updateAgentStatus(agentData) {
+    const activeTasks = agentData.workers.flatMap(worker => worker.activeTasks);
+    
+    agentData.status = activeTasks.length > 0 ? 'busy' : 'idle';
+    agentData.currentTask = activeTasks[0] || null;
+  }
+  
+  /**
+   * מופע פנוי של הסוכן (הפחות עמוס), או null אם כל המופעים מלאים
+   * @private
+   */
+  _acquireWorker(agentName) {
+    const agentData = this.agents[agentName];
+    
+    if (!agentData) {
+      return null;
+    }
+    
+    const concurrency = this.getAgentConcurrency(agentName);
+    const free = agentData.workers.filter(worker => worker.activeTasks.length < concurrency);
+    
+    return free.reduce((best, worker) => (
+      !best || worker.activeTasks.length < best.activeTasks.length ? worker : best
+    ), null);
+  }
+  
+  /**
+   * העדיפות האפקטיבית של משימה בתור: העדיפות שלה ועוד רמה לכל פרק זמן המתנה, עד קריטית
+   * @private
+   */
+  _getEffectivePriority(task, now) {
+    const level = PRIORITY_LEVELS[task.priority] ?? PRIORITY_LEVELS.normal;
+    const agingMs = this.config?.agentManager?.priorityAgingMs ?? DEFAULT_PRIORITY_AGING_MS;
+    
+    if (!agingMs || !task.queuedAt) {
+      return level;
+    }
+    
+    const aged = level + Math.floor((now - new Date(task.queuedAt).getTime()) / agingMs);
+    
+    return Math.max(level, Math.min(aged, PRIORITY_LEVELS.critical));
+  }
+  
+  /**
+   * בחירת המשימה הבאה להרצה מבין המשימות שלסוכן שלהן יש מופע פנוי: עדיפות אפקטיבית
+   * גבוהה קודם, ובעדיפות שווה הסוכן ששורת הכי מזמן, ואחריו סדר הכניסה לתור
+   * @private
+   */
+  _pickNextTask(now) {
+    let best = null;
+    
+    for (const taskId of this.taskQueue) {
+      const task = this.tasks[taskId];
+      
+      // ניסיון חוזר לא מתחיל לפני שהניסיון הקודם של אותה משימה הסתיים בפועל
+      if (!this._acquireWorker(task.agentName) || this._isAttemptRunning(task)) {
+        continue;
+      }
+      
+      const candidate = {
+        task,
+        priority: this._getEffectivePriority(task, now),
+        served: this.lastServed[task.agentName] || 0
+      };
+      
+      if (!best
+        || candidate.priority > best.priority
+        || (candidate.priority === best.priority && candidate.served < best.served)
+        || (candidate.priority === best.priority && candidate.served === best.served && task.queueSequence < best.task.queueSequence)) {
+        best = candidate;
+      }
+    }
+    
+    return best?.task || null;
+  }
+  
+  /**
+   * המתנה לפעולת המשימה עם מגבלת זמן הריצה שלה. בחריגה אות הביטול של המשימה מופעל
+   * (כדי לעצור שאילתות AI וכתיבת קבצים), והניסיון נכשל בלי לחכות לסוכן שמתעלם ממנו.
+   * המופע של הסוכן נשאר תפוס עד שהפעולה מסתיימת בפועל (ראו _processTask)
+   * @param {Object} task - המשימה
+   * @param {AbortController} controller - בקר הביטול של המשימה
+   * @param {Promise<*>} running - הפעולה שרצה
+   * @returns {Promise<*>} - תוצאת הפעולה
+   * @private
+   */
+  async _runWithTimeout(task, controller, running) {
+    if (!task.timeoutMs) {
+      return running;
+    }
+    
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new TaskTimeoutError(`המשימה ${task.id} חרגה מזמן הריצה (${task.timeoutMs}ms)`, task.id, task.timeoutMs);
+        
+        controller.abort(error);
+        reject(error);
+      }, task.timeoutMs);
+    });
+    
+    try {
+      return await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  /**
+   * טיפול בניסיון שנכשל: ניסיון חוזר אחרי השהיה אם נותרו ניסיונות, ואחרת המשימה
+   * נכשלת סופית ועוברת לרשימת המשימות המתות (dead-letter) עם היסטוריית השגיאות שלה
+   * @param {Object} task - המשימה
+   * @param {Error} error - השגיאה של הניסיון
+   * @private
+   */
+  _handleFailure(task, error) {
+    task.errorHistory = task.errorHistory || [];
+    task.errorHistory.push({
+      attempt: task.attempts,
+      error: error.message,
+      code: error.code || null,
+      at: task.completedAt
+    });
+    
+    if (error.retryable !== false && task.attempts <= (task.maxRetries || 0)) {
+      const { initialDelayMs, multiplier, maxDelayMs } = { ...DEFAULT_BACKOFF, ...task.backoff };
+      const delayMs = Math.min(initialDelayMs * Math.pow(multiplier, task.attempts - 1), maxDelayMs);
+      
+      task.status = 'retrying';
+      task.retryAt = new Date(Date.now() + delayMs).toISOString();
+      this.stats.totalTasksRetried++;
+      
+      logger.warn(`${this.logPrefix} משימה ${task.id} תנוסה שוב בעוד ${delayMs}ms (ניסיון ${task.attempts + 1} מתוך ${task.maxRetries + 1})`);
+      return;
+    }
+    
+    task.status = 'failed';
+    task.deadLetteredAt = task.completedAt;
+    this.stats.totalTasksFailed++;
+    this.stats.totalTasksDeadLettered++;
+    
+    logger.error(`${this.logPrefix} משימה ${task.id} נכשלה סופית אחרי ${task.attempts} ניסיונות ועברה לרשימת המשימות המתות`);
+    
+    this.emit('task:dead_letter', { ...task });
+  }
+  
+  /**
+   * החזרה לתור של משימות שזמן הניסיון החוזר שלהן הגיע
+   * @private
+   */
+  _releaseRetryTasks() {
+    const now = new Date().toISOString();
+    
+    for (const task of Object.values(this.tasks)) {
+      if (task.status !== 'retrying' || task.retryAt > now) {
+        continue;
+      }
+      
+      task.status = 'pending';
+      task.retryAt = null;
+      task.completedAt = null;
+      this._persistTask(task);
+      
+      if (this.agents[task.agentName]) {
+        this._enqueue(task.id);
+      }
+    }
+  }
+  
+  /**
+   * רשימת המשימות המתות - משימות שנכשלו סופית אחרי כל הניסיונות החוזרים
+   * @returns {Array<Object>} - המשימות, מהחדשה לישנה, כל אחת עם errorHistory
+   */
+  getDeadLetters() {
+    return Object.values(this.tasks)
+      .filter(task => task.status === 'failed' && task.deadLetteredAt)
+      .sort((a, b) => b.deadLetteredAt.localeCompare(a.deadLetteredAt))
+      .map(task => ({ ...task }));
+  }
+  
+  /**
+   * הרצה מחדש של משימה מתה - המשימה חוזרת לתור עם מונה ניסיונות מאופס,
+   * והיסטוריית השגיאות הקודמת נשמרת
+   * @param {string} taskId - מזהה המשימה
+   * @param {Object} options - שינויים להרצה החוזרת
+   * @param {Object} options.parameters - פרמטרים חדשים לפעולה
+   * @param {number} options.maxRetries - ניסיונות חוזרים
+   * @param {number} options.timeoutMs - זמן ריצה מקסימלי לניסיון
+   * @returns {Object|null} - המשימה, או null אם אינה ברשימת המשימות המתות
+   */
+  redriveTask(taskId, options = {}) {
+    const task = this.tasks[taskId];
+    
+    if (!task || task.status !== 'failed' || !task.deadLetteredAt) {
+      return null;
+    }
+    
+    if (!this.agents[task.agentName]) {
+      throw new Error(`סוכן ${task.agentName} אינו רשום במערכת`);
+    }
+    
+    task.status = 'pending';
+    task.attempts = 0;
+    task.redrives = (task.redrives || 0) + 1;
+    task.deadLetteredAt = null;
+    task.startedAt = null;
+    task.completedAt = null;
+    task.error = null;
+    
+    if (options.parameters) task.parameters = options.parameters;
+    if (options.maxRetries !== undefined) task.maxRetries = options.maxRetries;
+    if (options.timeoutMs !== undefined) task.timeoutMs = options.timeoutMs;
+    
+    this._persistTask(task);
+    this._enqueue(taskId);
+    
+    logger.info(`${this.logPrefix} משימה מתה ${taskId} הוחזרה לתור (הרצה מחדש ${task.redrives})`);
+    
+    return { ...task };
+  }
+  
+  /**
+   * הסרת משימה מרשימת המשימות המתות בלי להריץ אותה שוב (המשימה נשארת failed)
+   * @param {string} taskId - מזהה המשימה
+   * @returns {boolean} - האם המשימה הוסרה מהרשימה
+   */
+  discardDeadLetter(taskId) {
+    const task = this.tasks[taskId];
+    
+    if (!task || task.status !== 'failed' || !task.deadLetteredAt) {
+      return false;
+    }
+    
+    task.deadLetteredAt = null;
+    task.discardedAt = new Date().toISOString();
+    this._persistTask(task);
+    
+    return true;
+  }
+  
+  /**
+   * סימון משימה כמבוטלת
+   * @param {Object} task - המשימה
+   * @param {string} reason - סיבת הביטול
+   * @private
+   */
+  _markCancelled(task, reason) {
+    logger.warn(`${this.logPrefix} משימה ${task.id} בוטלה: ${reason}`);
+    
+    task.status = 'cancelled';
+    task.completedAt = task.completedAt || new Date().toISOString();
+    task.error = reason;
+    this.stats.totalTasksCancelled++;
+    this._persistTask(task);
+    
+    this.emit('task:cancelled', { ...task });
+  }
+  
   /**
    * עיבוד תור המשימות
    * @private
    */
   async _processTaskQueue() {
-    if (!this.active || this.taskQueue.length === 0) {
+    if (!this.active) {
       return;
     }
     
-    // בדוק אם יש משימות בתור
-    while (this.taskQueue.length > 0) {
-      const taskId = this.taskQueue[0];
-      
-      // נסה לטפל במשימה
-      await this._processTask(taskId);
+    // משימות שהתלויות שלהן הסתיימו נכנסות לתור (או מדולגות), ומשימות שזמן הניסיון החוזר שלהן הגיע חוזרות אליו
+    this._releaseWaitingTasks();
+    this._releaseRetryTasks();
+    
+    // הסר מהתור משימות שכבר אינן ממתינות (למשל משימות שבוטלו)
+    this.taskQueue = this.taskQueue.filter(taskId => this.tasks[taskId]?.status === 'pending');
+    
+    const maxConcurrentTasks = this.config?.agentManager?.maxConcurrentTasks || Infinity;
+    
+    // הפעל משימות כל עוד יש מופע פנוי - משימה של סוכן עמוס לא חוסמת משימות של סוכנים אחרים
+    while (Object.keys(this.taskControllers).length < maxConcurrentTasks) {
+      const now = Date.now();
+      const task = this._pickNextTask(now);
       
-      // בדוק אם המשימה הסתיימה (הצליחה או נכשלה)
-      const task = this.tasks[taskId];
-      if (task.status === 'completed' || task.status === 'failed') {
-        // הסר את המשימה מהתור
-        this.taskQueue.shift();
-      } else {
-        // אם המשימה עדיין מחכה או רצה, צא מהלולאה ונסה שוב מאוחר יותר
+      if (!task) {
         break;
       }
+      
+      this.taskQueue = this.taskQueue.filter(taskId => taskId !== task.id);
+      this.lastServed[task.agentName] = now;
+      
+      // המשימה רצה ברקע; כשהיא מסתיימת התור נבדק שוב מיד, בלי לחכות לבדיקה התקופתית
+      this._processTask(task.id, this._acquireWorker(task.agentName))
+        .catch(error => logger.error(`${this.logPrefix} שגיאה לא צפויה במשימה ${task.id}: ${error.message}`))
+        .finally(() => setImmediate(() => this._processTaskQueue()));
     }
   }
   
@@ -432,16 +1489,26 @@ class AgentManager extends EventEmitter {
       uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${uptime % 60}s`,
       registeredAgents: Object.keys(this.agents).length,
       activeAgents: Object.values(this.agents).filter(a => a.status === 'busy').length,
+      runningTasks: Object.keys(this.taskControllers).length,
       queuedTasks: this.taskQueue.length,
       totalTasksStats: {
         queued: this.stats.totalTasksQueued,
         completed: this.stats.totalTasksCompleted,
         failed: this.stats.totalTasksFailed,
+        blocked_budget: this.stats.totalTasksBlocked,
+        cancelled: this.stats.totalTasksCancelled,
+        interrupted: this.stats.totalTasksInterrupted,
+        recovered: this.stats.totalTasksRecovered,
+        retried: this.stats.totalTasksRetried,
+        timed_out: this.stats.totalTasksTimedOut,
+        dead_lettered: this.stats.totalTasksDeadLettered,
         success_rate: this.stats.totalTasksQueued > 0 
           ? ((this.stats.totalTasksCompleted / this.stats.totalTasksQueued) * 100).toFixed(2) + '%' 
           : 'N/A'
       },
       agentUsage: this.stats.agentUsageCount,
+      modelUsage: this.stats.modelUsageCount,
+      aiUsageToday: usageTracker.getTodaySummary(),
       lastTaskTime: this.stats.lastTaskTime
     };
   }
@@ -479,19 +1546,25 @@ class AgentManager extends EventEmitter {
     // איסוף מידע על סוכנים פעילים וממתינים
     for (const [agentName, agentData] of Object.entries(this.agents)) {
       if (agentData.status === 'busy' && agentData.currentTask) {
+        const activeTasks = agentData.workers.flatMap(worker => worker.activeTasks);
+        
         activity.busyAgents.push({
           name: agentName,
           currentTask: agentData.currentTask,
+          activeTasks,
+          capacity: agentData.workers.length * this.getAgentConcurrency(agentName),
           lastActivity: agentData.lastActivity
         });
         
-        const task = this.tasks[agentData.currentTask];
-        if (task) {
-          activity.runningTasks[agentData.currentTask] = {
-            type: task.actionType,
-            startedAt: task.startedAt,
-            agent: agentName
-          };
+        for (const taskId of activeTasks) {
+          const task = this.tasks[taskId];
+          if (task) {
+            activity.runningTasks[taskId] = {
+              type: task.actionType,
+              startedAt: task.startedAt,
+              agent: agentName
+            };
+          }
         }
       } else {
         activity.idleAgents.push({
@@ -1,9 +1,26 @@
 const OpenAI = require('openai');
-const { default: Anthropic } = require('anthropic');
+const { default: Anthropic } = require('@anthropic-ai/sdk');
 const axios = require('axios');
+const { default: Ajv } = require('ajv');
 const fs = require('fs-extra');
 const path = require('path');
-const logger = require('./logger');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const taskContext = require('./taskContext');
+const CircuitBreaker = require('./circuitBreaker');
+const CassetteStore = require('./cassetteStore');
+const ResponseCache = require('./responseCache');
+const Redactor = require('./redactor');
+const RateLimiter = require('./rateLimiter');
+const { CassetteMissError, StructuredOutputError, ToolStepLimitError, TaskCancelledError } = require('./errors');
+const usageTracker = require('./usageTracker');
+const conversationManager = require('./conversationManager');
+const memoryManager = require('./memoryManager');
+const toolRegistry = require('./toolRegistry');
+const codeChunker = require('./codeChunker');
+const modelRouter = require('./modelRouter');
+const budgetManager = require('./budgetManager');
+const projectManager = require('./projectManager');
 const dotenv = require('dotenv');
 
 // טען משתנים סביבתיים
@@ -35,96 +52,1555 @@ if (config.huggingface.api_key === "HUGGINGFACE_API_KEY_FROM_ENV") {
   config.huggingface.api_key = process.env.HUGGINGFACE_API_KEY;
 }
 
+// ספק מקומי תואם OpenAI (Ollama, llama.cpp server וכו') - כתובת הבסיס ניתנת לדריסה מה-env
+config.local = {
+  base_url: 'http://localhost:11434/v1',
+  models: [],
+  ...config.local
+};
+if (process.env.LOCAL_AI_BASE_URL) {
+  config.local.base_url = process.env.LOCAL_AI_BASE_URL;
+}
+if (config.local.api_key === "LOCAL_AI_API_KEY_FROM_ENV") {
+  config.local.api_key = process.env.LOCAL_AI_API_KEY;
+}
+
+// קרא את הגדרות המנוע (ניסיונות חוזרים, מפסק זרם ושרשראות גיבוי)
+const engineConfigPath = path.join(__dirname, '../config/aiEngine.json');
+let engineConfig;
+
+try {
+  engineConfig = fs.readJsonSync(engineConfigPath);
+} catch (error) {
+  logger.warn(`לא נטענו הגדרות מנוע ה-AI, משתמש בברירות מחדל: ${error.message}`);
+  engineConfig = {};
+}
+
 // אתחול לקוחות ה-API
+// ניסיונות חוזרים מתבצעים ב-_withRetry בלבד, כדי שלא יוכפלו בניסיונות של הלקוחות עצמם
 const openai = new OpenAI({
-  apiKey: config.openai.api_key
+  apiKey: config.openai.api_key,
+  maxRetries: 0
 });
 
-const anthropic = new Anthropic({
-  apiKey: config.anthropic.api_key
-});
+const anthropic = new Anthropic({
+  apiKey: config.anthropic.api_key,
+  maxRetries: 0
+});
+
+// שרתים מקומיים בדרך כלל לא דורשים מפתח, אבל הלקוח של OpenAI מחייב ערך כלשהו
+const localClient = new OpenAI({
+  apiKey: config.local.api_key || 'local',
+  baseURL: config.local.base_url,
+  maxRetries: 0
+});
+
+/**
+ * מנוע ה-AI המרכזי שמנהל את הבקשות לספקי ה-AI השונים
+ * אירועי הזרמה: stream:start, stream:chunk, stream:end, stream:error
+ */
+class AIEngine extends EventEmitter {
+  constructor() {
+    super();
+    
+    // שרשראות ספקי גיבוי לפי סוכן (למשל qa_agent: anthropic → openai → huggingface)
+    this.fallbackChains = { ...engineConfig.fallbackChains };
+    
+    // ניסיונות חוזרים עם השהיה אקספוננציאלית לשגיאות 429/5xx
+    this.retryOptions = {
+      maxRetries: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000,
+      ...engineConfig.retry
+    };
+    
+    // הגבלת קצב ומקביליות לכל ספק/מודל, עם תור הוגן בין הסוכנים
+    this.rateLimiter = new RateLimiter(engineConfig.rateLimits);
+    
+    // מפסק זרם שמדלג זמנית על ספקים כושלים
+    this.circuitBreaker = new CircuitBreaker(engineConfig.circuitBreaker);
+    
+    // פרמטרי ברירת מחדל לשאילתה, ניתנים לדריסה בכל קריאה
+    this.defaults = {
+      temperature: 0.7,
+      maxTokens: 4096,
+      ...engineConfig.defaults
+    };
+    
+    // פלט מובנה: מספר ניסיונות תיקון ומודלים שלא תומכים במצב JSON מובנה
+    this.structuredOptions = {
+      maxRepairs: 2,
+      jsonModeUnsupportedModels: [],
+      ...engineConfig.structured
+    };
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    
+    // הפעלת כלים: מגבלת צעדים, גודל תוצאה שמוחזרת למודל והרשאות לכל סוכן
+    this.toolOptions = {
+      maxSteps: 8,
+      maxResultChars: 20000,
+      permissions: {},
+      ...engineConfig.tools
+    };
+    
+    // חלונות הקשר לפי מודל, יחס תווים לטוקן לפי ספק ופרמטרי פיצול קבצים גדולים
+    this.contextOptions = {
+      maxChunkTokens: 6000,
+      overlapLines: 10,
+      ...engineConfig.context,
+      charsPerToken: { default: 4, ...engineConfig.context?.charsPerToken },
+      windows: { default: 8192, ...engineConfig.context?.windows }
+    };
+    
+    // מצב הסכמה: המודלים שמריצים את אותה סקירה, ספי איחוד הממצאים וסף ההסכמה לתיקון אוטומטי
+    this.consensusOptions = {
+      enabled: false,
+      models: [],
+      similarityThreshold: 0.35,
+      lineTolerance: 3,
+      autoFixAgreement: 0.67,
+      ...engineConfig.consensus
+    };
+    
+    // קלטות הקלטה/השמעה של שאילתות (ניתן לדרוס את התיקייה, המצב והשם מה-env)
+    this.cassettes = new CassetteStore({
+      ...engineConfig.cassettes,
+      dir: process.env.AI_CASSETTE_DIR || engineConfig.cassettes?.dir,
+      mode: process.env.AI_CASSETTE_MODE || engineConfig.cassettes?.mode,
+      name: process.env.AI_CASSETTE_NAME || engineConfig.cassettes?.name
+    });
+    
+    // מטמון תשובות על הדיסק. שאילתה שלא ציינה options.cache משתמשת בו לפי cache.byDefault בהגדרות
+    this.responseCache = new ResponseCache(engineConfig.cache);
+    
+    // השחרת סודות ומידע אישי לפני שליחה לספקים ושחזורם בתשובה
+    this.redactor = new Redactor(engineConfig.redaction);
+    
+    // כפיית ספק יחיד לכל השאילתות (למשל mock בבדיקות), ללא שרשרת גיבוי
+    this.forcedProvider = process.env.AI_FORCE_PROVIDER || engineConfig.forceProvider || null;
+    
+    // תשובות מוגדרות לספק ה-mock, לפי סדר ההגדרה
+    this.mockResponses = [];
+    
+    // מצב הספק המקומי, מתעדכן בבדיקת הזמינות (checkLocalProvider)
+    this.localStatus = {
+      baseUrl: config.local.base_url,
+      available: null,
+      models: [...config.local.models],
+      checkedAt: null,
+      error: null
+    };
+  }
+
+  /**
+   * מחזיר את המודל והספק המומלצים לסוכן מסוים, לפי ניתוב המודלים (config/routing.json)
+   * @param {string} agentName - שם הסוכן
+   * @param {string} taskType - סוג המשימה (למשל coding, review)
+   * @returns {Object} - { provider, model, params, source }
+   */
+  getRecommendedModelForAgent(agentName, taskType) {
+    // ברירת מחדל אם אין מסלול מתאים בניתוב
+    return modelRouter.resolve(agentName, taskType) || { provider: 'openai', model: 'gpt-4-turbo', params: {}, source: 'builtin' };
+  }
+
+  /**
+   * שולח שאילתה בודדת (הודעת משתמש אחת) למודל ה-AI המתאים
+   * @param {string} prompt - הטקסט לשליחה ל-AI
+   * @param {Object} options - אפשרויות נוספות (כמו ב-chat)
+   * @returns {Promise<string>} - תשובת ה-AI
+   */
+  async query(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * מנהל שיחה מרובת סבבים מול מודל ה-AI המתאים
+   * אם הספק נכשל, השאילתה עוברת לספק הבא בשרשרת הגיבוי של הסוכן
+   * @param {Array<Object>} messages - הודעות בצורת { role: 'user'|'assistant'|'system', content }
+   * @param {Object} options - אפשרויות נוספות
+   * @param {string} options.provider - ספק ה-AI לשימוש (openai/anthropic/huggingface/local/mock)
+   * @param {string} options.model - מודל ה-AI לשימוש
+   * @param {string} options.agentName - שם הסוכן השולח את השאילתה (אופציונלי)
+   * @param {string} options.taskType - סוג המשימה לניתוב המודל (למשל coding, review), כשהמודל נבחר לפי הסוכן
+   * @param {boolean} options.fallback - האם לעבור לספקי גיבוי בכישלון (ברירת מחדל: true)
+   * @param {string} options.system - הנחיית מערכת
+   * @param {number} options.temperature - טמפרטורה (ברירת מחדל: 0.7)
+   * @param {number} options.maxTokens - מקסימום טוקנים בתשובה (ברירת מחדל: 4096)
+   * @param {Array<string>} options.stop - רצפי עצירה
+   * @param {Object} options.jsonSchema - בקשת תשובת JSON במצב ה-JSON של הספק (ראו queryStructured)
+   * @param {string} options.threadId - שרשור שיחה: ההיסטוריה שלו נשלחת לפני ההודעות, וההודעות והתשובה נשמרות בו
+   * @param {boolean|Object} options.cache - שימוש במטמון התשובות: true, false, או { ttlMs, contentHash, tag }
+   *   (ברירת מחדל: cache.byDefault בהגדרות המנוע)
+   *   (contentHash - גיבוב הקובץ שהשאילתה מתייחסת אליו, tag - מזהה לביטול, למשל נתיב הקובץ)
+   * @param {string} options.priority - עדיפות בתור הגבלת הקצב (ברירת מחדל: עדיפות המשימה הנוכחית)
+   * @param {AbortSignal} options.signal - ביטול השאילתה (ברירת מחדל: אות הביטול של המשימה הנוכחית)
+   * @param {boolean} options.redact - השחרת סודות ומידע אישי לפני השליחה (ברירת מחדל: לפי הגדרות המנוע)
+   * @returns {Promise<string>} - תשובת ה-AI
+   * @throws {BudgetExceededError} - אם הסוכן או הפרויקט חרגו מהתקציב
+   * @throws {CassetteMissError} - במצב השמעה, אם אין בקלטת תשובה לבקשה
+   * @throws {TaskCancelledError} - אם השאילתה או המשימה בוטלו
+   */
+  async chat(messages, options = {}) {
+    await this._checkBudget(options);
+    
+    const request = await this._buildRequest(messages, options);
+    const response = await this._complete(request, options);
+    
+    await this._appendToThread(options.threadId, messages, response.text);
+    
+    return response.text;
+  }
+
+  /**
+   * שולח בקשה לשרשרת הספקים (או משמיע אותה מהקלטת) ומחזיר את התשובה המלאה,
+   * אחרי שחזור הערכים שהושחרו בבקשה
+   * @param {Object} request - הבקשה (ראו _buildRequest)
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Promise<Object>} - התשובה ({ text, toolCalls, usage })
+   * @private
+   */
+  async _complete(request, options) {
+    if (this.cassettes.isReplaying()) {
+      return this._restoreResponse(this._replayCassette(request, options), request);
+    }
+    
+    const cacheTarget = this._getCacheTarget(request, options);
+    const cached = await this._readCache(cacheTarget);
+    
+    if (cached) {
+      return this._restoreResponse(cached, request);
+    }
+    
+    const chain = this._buildProviderChain(options);
+    const attempts = [];
+    
+    for (const [index, { provider, model }] of chain.entries()) {
+      this._throwIfCancelled(request);
+      
+      if (!this.circuitBreaker.canRequest(provider)) {
+        logger.warn(`מדלג על ${provider}: המפסק פתוח`);
+        attempts.push({ provider, model, error: 'circuit_open' });
+        continue;
+      }
+      
+      logger.info(`שולח שאילתה ל-${provider} עם מודל ${model}`);
+      
+      try {
+        const startTime = Date.now();
+        const response = await this._withRetry(provider, () => this._withRateLimit(provider, model, request, options, async release => {
+          const result = await this._dispatchQuery(provider, request, model);
+          release(this._getUsageTokens(result.usage));
+          return result;
+        }), request.signal);
+        
+        this.circuitBreaker.recordSuccess(provider);
+        this._recordProviderChoice(provider, model, index > 0);
+        this._recordUsage(provider, model, options, {
+          prompt: this._flattenMessages(request),
+          text: response.text,
+          usage: response.usage,
+          latencyMs: Date.now() - startTime
+        });
+        await this._recordCassette(request, options, provider, model, response);
+        await this._writeCache(cacheTarget, response);
+        
+        return this._restoreResponse(response, request);
+      } catch (error) {
+        // ביטול אינו כישלון של הספק - לא עוברים לגיבוי ולא פותחים את המפסק
+        this._throwIfCancelled(request);
+        
+        logger.error(`שגיאה בשאילתה ל-${provider}: ${error.message}`);
+        this.circuitBreaker.recordFailure(provider);
+        attempts.push({ provider, model, error: error.message });
+      }
+    }
+    
+    throw this._createChainError(attempts);
+  }
+
+  /**
+   * שולח שאילתה בודדת למודל ה-AI ומחזיר את התשובה בהזרמה
+   * @param {string} prompt - הטקסט לשליחה ל-AI
+   * @param {Object} options - אפשרויות נוספות (כמו ב-chatStream)
+   * @returns {AsyncGenerator<string>} - חלקי התשובה לפי סדר הגעתם
+   */
+  async *queryStream(prompt, options = {}) {
+    yield* this.chatStream([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * מנהל שיחה מרובת סבבים ומחזיר את התשובה בהזרמה, חלק אחר חלק
+   * כל חלק משודר גם כאירוע stream:chunk עם מזהה המשימה, כדי שהשרת יוכל להעביר אותו ללקוחות.
+   * מעבר לספק גיבוי אפשרי רק לפני שהגיע החלק הראשון
+   * @param {Array<Object>} messages - הודעות בצורת { role, content }
+   * @param {Object} options - אפשרויות נוספות (כמו ב-chat)
+   * @param {string} options.taskId - מזהה המשימה שאליה משויך הזרם (ברירת מחדל: המשימה הנוכחית)
+   * @returns {AsyncGenerator<string>} - חלקי התשובה לפי סדר הגעתם
+   * @throws {BudgetExceededError} - אם הסוכן או הפרויקט חרגו מהתקציב
+   * @throws {CassetteMissError} - במצב השמעה, אם אין בקלטת תשובה לבקשה
+   * @throws {TaskCancelledError} - אם השאילתה או המשימה בוטלו
+   */
+  async *chatStream(messages, options = {}) {
+    await this._checkBudget(options);
+    
+    const context = taskContext.get();
+    const request = await this._buildRequest(messages, options);
+    
+    if (this.cassettes.isReplaying()) {
+      const entry = this._replayCassette(request, options);
+      const streamInfo = {
+        taskId: options.taskId || context?.taskId || null,
+        agentName: options.agentName || context?.agentName || null,
+        provider: entry.provider,
+        model: entry.model
+      };
+      
+      // תשובה מוקלטת מושמעת כחלק יחיד
+      const text = this._restoreResponse(entry, request).text;
+      this.emit('stream:start', streamInfo);
+      this.emit('stream:chunk', { ...streamInfo, chunk: text });
+      yield text;
+      await this._appendToThread(options.threadId, messages, text);
+      this.emit('stream:end', { ...streamInfo, length: text.length });
+      return;
+    }
+    
+    const chain = this._buildProviderChain(options);
+    const attempts = [];
+    
+    for (const [index, { provider, model }] of chain.entries()) {
+      this._throwIfCancelled(request);
+      
+      if (!this.circuitBreaker.canRequest(provider)) {
+        logger.warn(`מדלג על ${provider}: המפסק פתוח`);
+        attempts.push({ provider, model, error: 'circuit_open' });
+        continue;
+      }
+      
+      const streamInfo = {
+        taskId: options.taskId || context?.taskId || null,
+        agentName: options.agentName || context?.agentName || null,
+        provider,
+        model
+      };
+      
+      logger.info(`פותח זרם מול ${provider} עם מודל ${model}`);
+      
+      let opened;
+      const startTime = Date.now();
+      const usage = {};
+      
+      try {
+        // פתח את הזרם והמתן לחלק הראשון, כך ששגיאות חיבור יטופלו בניסיון חוזר או בגיבוי.
+        // מקום במגבלת המקביליות נשמר עד סוף הזרם
+        opened = await this._withRetry(provider, () => this._withRateLimit(provider, model, request, options, async release => {
+          const iterator = this._dispatchStream(provider, request, model, usage)[Symbol.asyncIterator]();
+          const first = await iterator.next();
+          return { iterator, first, release };
+        }, { holdOnSuccess: true }), request.signal);
+      } catch (error) {
+        this._throwIfCancelled(request);
+        
+        logger.error(`שגיאה בפתיחת זרם מול ${provider}: ${error.message}`);
+        this.circuitBreaker.recordFailure(provider);
+        attempts.push({ provider, model, error: error.message });
+        continue;
+      }
+      
+      this.emit('stream:start', streamInfo);
+      this._recordProviderChoice(provider, model, index > 0);
+      
+      let text = '';
+      let restoredText = '';
+      let finished = false;
+      const restorer = this.redactor.createStreamRestorer(request.redaction?.mapping);
+      
+      try {
+        let { iterator, first: next } = opened;
+        
+        // מחליפים של ערכים מושחרים משוחזרים לפני שהחלק יוצא ללקוח
+        while (!next.done) {
+          text += next.value;
+          const chunk = restorer.push(next.value);
+          if (chunk) {
+            restoredText += chunk;
+            this.emit('stream:chunk', { ...streamInfo, chunk });
+            yield chunk;
+          }
+          next = await iterator.next();
+        }
+        
+        const rest = restorer.flush();
+        if (rest) {
+          restoredText += rest;
+          this.emit('stream:chunk', { ...streamInfo, chunk: rest });
+          yield rest;
+        }
+        
+        opened.release(this._getUsageTokens(usage));
+        this.circuitBreaker.recordSuccess(provider);
+        this._recordUsage(provider, model, options, {
+          prompt: this._flattenMessages(request),
+          text,
+          usage,
+          latencyMs: Date.now() - startTime
+        });
+        finished = true;
+        await this._recordCassette(request, options, provider, model, { text, usage });
+        await this._appendToThread(options.threadId, messages, restoredText);
+        this.emit('stream:end', { ...streamInfo, length: restoredText.length });
+        return;
+      } catch (error) {
+        if (request.signal?.aborted) {
+          const cancelled = this._toCancelledError(request.signal);
+          this.emit('stream:error', { ...streamInfo, error: cancelled.message, cancelled: true });
+          throw cancelled;
+        }
+        
+        logger.error(`שגיאה בזרם מול ${provider}: ${error.message}`);
+        this.circuitBreaker.recordFailure(provider);
+        this.emit('stream:error', { ...streamInfo, error: error.message });
+        throw error;
+      } finally {
+        // הצרכן הפסיק לקרוא את הזרם באמצע, או שהזרם נכשל - סוגרים את החיבור לספק
+        // ומתעדים את הטוקנים שכבר נצרכו
+        if (!finished) {
+          try {
+            await opened.iterator.return?.();
+          } catch (closeError) {
+            logger.warn(`שגיאה בסגירת הזרם מול ${provider}: ${closeError.message}`);
+          }
+          
+          this._recordUsage(provider, model, options, {
+            prompt: this._flattenMessages(request),
+            text,
+            usage,
+            latencyMs: Date.now() - startTime
+          });
+        }
+        
+        opened.release();
+      }
+    }
+    
+    const error = this._createChainError(attempts);
+    this.emit('stream:error', {
+      taskId: options.taskId || context?.taskId || null,
+      agentName: options.agentName || context?.agentName || null,
+      error: error.message
+    });
+    throw error;
+  }
+
+  /**
+   * שולח שאילתה ומחזיר תשובה כאובייקט JSON שעומד בסכמה.
+   * משתמש במצב ה-JSON של הספק כשהוא קיים, מאמת את התשובה מול הסכמה,
+   * ובמקרה של כישלון שולח למודל את שגיאות האימות ומבקש תשובה מתוקנת
+   * @param {string} prompt - הטקסט לשליחה ל-AI
+   * @param {Object} jsonSchema - סכמת JSON שהתשובה חייבת לעמוד בה (ברמה העליונה: אובייקט)
+   * @param {Object} options - אפשרויות נוספות (כמו ב-chat, ללא threadId)
+   * @param {number} options.maxRepairs - מספר ניסיונות תיקון (ברירת מחדל: 2)
+   * @returns {Promise<Object>} - התשובה המפוענחת והמאומתת
+   * @throws {StructuredOutputError} - אם התשובה לא עמדה בסכמה גם אחרי כל ניסיונות התיקון
+   */
+  async queryStructured(prompt, jsonSchema, options = {}) {
+    const validate = this.ajv.compile(jsonSchema);
+    const maxRepairs = options.maxRepairs ?? this.structuredOptions.maxRepairs;
+    
+    const messages = [{
+      role: 'user',
+      content: `${prompt}\n\nהחזר JSON בלבד, ללא טקסט נוסף, שעומד בסכמה הבאה:\n${JSON.stringify(jsonSchema, null, 2)}`
+    }];
+    
+    const requestOptions = { ...options, threadId: undefined, jsonSchema };
+    
+    // הבקשה המקורית נבנית (ומושחרת) פעם אחת - גם למפתח המטמון וגם לשליחה לספק. המטמון נבדק ונשמר
+    // רק עבור הבקשה המקורית, ורק עם תשובה שעברה אימות
+    const originalRequest = await this._buildRequest(messages, requestOptions);
+    const cacheTarget = this._getCacheTarget(originalRequest, options);
+    const cached = await this._readCache(cacheTarget);
+    
+    if (cached) {
+      const parsed = this._parseJson(this._restoreResponse(cached, originalRequest).text);
+      
+      if (!parsed.error && validate(parsed.value)) {
+        return parsed.value;
+      }
+    }
+    
+    let errors = [];
+    let text = '';
+    
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      await this._checkBudget(options);
+      
+      // בקשת תיקון כוללת את התשובה הקודמת ואת שגיאות האימות, ולכן נבנית מחדש
+      const request = attempt === 0 ? originalRequest : await this._buildRequest(messages, requestOptions);
+      text = (await this._complete(request, { ...requestOptions, cache: false })).text;
+      
+      const parsed = this._parseJson(text);
+      
+      if (parsed.error) {
+        errors = [parsed.error];
+      } else if (validate(parsed.value)) {
+        // במטמון נשמרת התשובה עם המחליפים, כדי שסודות לא ייכתבו לדיסק
+        await this._writeCache(cacheTarget, {
+          text: this.redactor.reapply(text, originalRequest.redaction?.mapping)
+        });
+        return parsed.value;
+      } else {
+        errors = validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+      }
+      
+      logger.warn(`תשובת JSON לא תקינה (ניסיון ${attempt + 1}/${maxRepairs + 1}): ${errors.join('; ')}`);
+      
+      // בקש תיקון עם שגיאות האימות
+      messages.push(
+        { role: 'assistant', content: text },
+        {
+          role: 'user',
+          content: `התשובה אינה תקינה מול הסכמה:\n${errors.map(error => `- ${error}`).join('\n')}\n\nהחזר את ה-JSON המתוקן בלבד.`
+        }
+      );
+    }
+    
+    throw new StructuredOutputError(
+      `תשובת ה-AI לא עמדה בסכמה אחרי ${maxRepairs + 1} ניסיונות: ${errors.join('; ')}`,
+      { errors, rawResponse: text.slice(0, 1000), attempts: maxRepairs + 1 }
+    );
+  }
+
+  /**
+   * מריץ לולאת הפעלת כלים: המודל מקבל את הכלים שהסוכן הצהיר עליהם, מבקש להפעיל אותם,
+   * והתוצאות מוחזרות אליו עד שהוא עונה תשובה סופית או שמגיעים למגבלת הצעדים.
+   * כל הפעלה עוברת בדיקת הרשאות לפי הסוכן, והמעקב המלא נשמר במפגש הסוכן בזיכרון
+   * @param {string} prompt - המשימה למודל
+   * @param {Object} options - אפשרויות נוספות (כמו ב-chat, ללא threadId)
+   * @param {Array<string>} options.tools - שמות הכלים שהמודל רשאי לבקש (ראו toolRegistry)
+   * @param {number} options.maxSteps - מספר סבבי מודל מקסימלי (ברירת מחדל: 8)
+   * @param {string} options.sessionId - מפגש הסוכן לשמירת המעקב (ברירת מחדל: מפגש המשימה הנוכחית)
+   * @returns {Promise<Object>} - { text, steps, trace }
+   * @throws {ToolStepLimitError} - אם המודל לא סיים בתוך מגבלת הצעדים
+   */
+  async runTools(prompt, options = {}) {
+    const context = taskContext.get();
+    const agentName = options.agentName || context?.agentName;
+    const sessionId = options.sessionId || (context?.taskId ? `task_${context.taskId}` : null);
+    const toolNames = options.tools || [];
+    const maxSteps = options.maxSteps ?? this.toolOptions.maxSteps;
+    
+    const run = {
+      definitions: toolRegistry.getDefinitions(toolNames),
+      allowedTools: toolNames,
+      permissions: this.toolOptions.permissions[agentName] || this.toolOptions.permissions.default || [],
+      maxSteps,
+      trace: []
+    };
+    
+    try {
+      const result = await this._runToolLoop(prompt, options, run);
+      await this._saveToolTrace(agentName, sessionId, prompt, run, result);
+      return result;
+    } catch (error) {
+      await this._saveToolTrace(agentName, sessionId, prompt, run, null, error);
+      throw error;
+    }
+  }
+
+  /**
+   * הערכת מספר הטוקנים בטקסט עבור מודל מסוים. אין טוקנייזר מקומי לכל הספקים,
+   * ולכן ההערכה לפי יחס תווים לטוקן של הספק; תווים שאינם ASCII (למשל עברית)
+   * נספרים כטוקן כמעט לכל תו
+   * @param {string} text - הטקסט
+   * @param {Object} options - ספק ומודל (או שם סוכן, כמו ב-chat)
+   * @returns {number} - מספר הטוקנים המוערך
+   */
+  countTokens(text, options = {}) {
+    const { provider } = this._resolveModel(options);
+    const charsPerToken = this.contextOptions.charsPerToken[provider] || this.contextOptions.charsPerToken.default;
+    const nonAscii = (text.match(/[^\x00-\x7F]/g) || []).length;
+    
+    return Math.ceil((text.length - nonAscii) / charsPerToken + nonAscii / 1.5);
+  }
+
+  /**
+   * גודל חלון ההקשר של מודל (התאמה מדויקת, ואחריה הקידומת הארוכה ביותר בהגדרות)
+   * @param {Object} options - ספק ומודל (או שם סוכן, כמו ב-chat)
+   * @returns {number} - מספר הטוקנים המקסימלי לבקשה ולתשובה יחד
+   */
+  getContextWindow(options = {}) {
+    const { model } = this._resolveModel(options);
+    const windows = this.contextOptions.windows;
+    
+    if (windows[model]) {
+      return windows[model];
+    }
+    
+    const prefix = Object.keys(windows)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return prefix ? windows[prefix] : windows.default;
+  }
+
+  /**
+   * פיצול קוד לחלקים שנכנסים בחלון ההקשר של המודל, בגבולות פונקציות ומחלקות.
+   * התקציב לכל חלק: חלון ההקשר פחות מקום לתשובה ולשאר הפרומפט, ולא יותר מ-maxChunkTokens
+   * @param {string} code - תוכן הקובץ
+   * @param {Object} options - ספק ומודל (או שם סוכן, כמו ב-chat)
+   * @param {number} options.reservedTokens - טוקנים שתופסים שאר חלקי הפרומפט
+   * @param {number} options.overlapLines - שורות חפיפה בין חלקים (ברירת מחדל: 10)
+   * @returns {Array<Object>} - חלקים בצורת { index, startLine, endLine, text }
+   */
+  chunkCode(code, options = {}) {
+    const resolved = this._resolveModel(options);
+    const available = this.getContextWindow(resolved)
+      - (options.maxTokens ?? this.defaults.maxTokens)
+      - (options.reservedTokens || 0);
+    const maxTokens = Math.max(256, Math.min(this.contextOptions.maxChunkTokens, available));
+    
+    return codeChunker.split(code, {
+      maxTokens,
+      overlapLines: options.overlapLines ?? this.contextOptions.overlapLines,
+      countTokens: text => this.countTokens(text, resolved)
+    });
+  }
+
+  /**
+   * הגדרות מצב ההסכמה לשאילתה, אחרי דריסות מהקורא
+   * @param {boolean|Object} consensus - true, או דריסות ({ models, similarityThreshold, lineTolerance, autoFixAgreement })
+   * @returns {Object|null} - ההגדרות, או null אם מצב ההסכמה כבוי (או שהוגדר פחות משני מודלים)
+   */
+  getConsensusOptions(consensus = this.consensusOptions.enabled) {
+    if (!consensus) {
+      return null;
+    }
+    
+    const options = { ...this.consensusOptions, ...(typeof consensus === 'object' && consensus) };
+    
+    if (options.models.length < 2) {
+      logger.warn('מצב הסכמה דורש לפחות שני מודלים, ממשיך עם מודל יחיד');
+      return null;
+    }
+    
+    return options;
+  }
+
+  /**
+   * נתוני מטמון התשובות (פגיעות, החטאות, גודל)
+   * @returns {Object} - סטטיסטיקות המטמון
+   */
+  getCacheStats() {
+    return this.responseCache.getStats();
+  }
+
+  /**
+   * ביטול רשומות במטמון התשובות. ללא סינון - ניקוי המטמון כולו
+   * @param {Object} filter - סינון לפי tag, provider, model
+   * @returns {Promise<number>} - מספר הרשומות שבוטלו
+   */
+  async invalidateCache(filter = {}) {
+    return this.responseCache.invalidate(filter);
+  }
+
+  /**
+   * מדדי הגבלת הקצב: בקשות פעילות, עומק התור לפי סוכן ושימוש בחלון הדקה
+   * @returns {Object} - מצב לכל ספק/מודל מוגבל
+   */
+  getRateLimitStats() {
+    return this.rateLimiter.getStats();
+  }
+
+  /**
+   * יומן הביקורת של ההשחרות ליום מסוים
+   * @param {string} day - תאריך בפורמט YYYY-MM-DD (ברירת מחדל: היום)
+   * @returns {Promise<Array>} - רשומות הביקורת
+   */
+  async getRedactionLog(day) {
+    return this.redactor.getAuditLog(day);
+  }
+
+  /**
+   * מחזיר את מצב הספקים (מפסקי הזרם וזמינות הספק המקומי)
+   * @returns {Object} - מצב לכל ספק
+   */
+  getProviderHealth() {
+    const state = this.circuitBreaker.getState();
+    
+    // הספק המקומי מדווח גם את תוצאת בדיקת הזמינות ואת המודלים שנמצאו
+    return {
+      ...state,
+      local: { ...state.local, ...this.localStatus }
+    };
+  }
+
+  /**
+   * בדיקת זמינות של הספק המקומי ורשימת המודלים שהוא מגיש
+   * מודלים שהוגדרו ב-config/apiKeys.json ולא נמצאים בשרת מדווחים כאזהרה
+   * @returns {Promise<Object>} - מצב הספק המקומי
+   */
+  async checkLocalProvider() {
+    try {
+      const models = [];
+      for await (const model of localClient.models.list()) {
+        models.push(model.id);
+      }
+      
+      const missing = config.local.models.filter(model => !models.includes(model));
+      if (missing.length > 0) {
+        logger.warn(`מודלים מקומיים שהוגדרו אך לא נמצאו ב-${config.local.base_url}: ${missing.join(', ')}`);
+      }
+      
+      this.localStatus = {
+        baseUrl: config.local.base_url,
+        available: true,
+        models,
+        checkedAt: new Date().toISOString(),
+        error: null
+      };
+      
+      this.circuitBreaker.recordSuccess('local');
+      logger.info(`הספק המקומי זמין ב-${config.local.base_url} עם ${models.length} מודלים`);
+    } catch (error) {
+      this.localStatus = {
+        ...this.localStatus,
+        baseUrl: config.local.base_url,
+        available: false,
+        checkedAt: new Date().toISOString(),
+        error: error.message
+      };
+      
+      logger.warn(`הספק המקומי אינו זמין ב-${config.local.base_url}: ${error.message}`);
+    }
+    
+    return { ...this.localStatus };
+  }
+
+  /**
+   * הגדרת תשובות לספק ה-mock. כל כלל מתאים לפרומפט לפי מחרוזת (הכלה) או ביטוי רגולרי,
+   * והתשובה יכולה להיות מחרוזת או פונקציה שמקבלת את הפרומפט והמודל.
+   * פרומפט שאף כלל לא מתאים לו מקבל תשובה דטרמיניסטית לפי הגיבוב שלו
+   * @param {Array<Object>} rules - כללים בצורת { match, response }
+   */
+  setMockResponses(rules = []) {
+    this.mockResponses = [...rules];
+  }
+
+  /**
+   * בחירת קלטת הקלטה/השמעה (למשל בתחילת חבילת בדיקות)
+   * @param {string} name - שם הקלטת
+   * @param {string} mode - off/record/replay
+   */
+  useCassette(name, mode = 'replay') {
+    this.cassettes.use(name, mode);
+  }
+
+  /**
+   * שולח שאילתה רגילה לספק מסוים
+   * @param {string} provider - ספק ה-AI
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @returns {Promise<Object>} - טקסט התשובה ונתוני שימוש בטוקנים ({ text, usage })
+   * @private
+   */
+  _dispatchQuery(provider, request, model) {
+    switch (provider) {
+      case 'openai':
+        return this._queryOpenAI(request, model);
+      case 'anthropic':
+        return this._queryAnthropic(request, model);
+      case 'huggingface':
+        return this._queryHuggingFace(request, model);
+      case 'local':
+        return this._queryOpenAI(request, model, localClient);
+      case 'mock':
+        return this._queryMock(request, model);
+      default:
+        throw new Error(`ספק AI לא נתמך: ${provider}`);
+    }
+  }
+
+  /**
+   * פותח זרם תשובה מספק מסוים
+   * @param {string} provider - ספק ה-AI
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @param {Object} usage - אובייקט שימולא בנתוני השימוש בטוקנים בסיום הזרם
+   * @returns {AsyncGenerator<string>} - חלקי התשובה
+   * @private
+   */
+  _dispatchStream(provider, request, model, usage) {
+    switch (provider) {
+      case 'openai':
+        return this._streamOpenAI(request, model, usage);
+      case 'anthropic':
+        return this._streamAnthropic(request, model, usage);
+      case 'huggingface':
+        return this._streamHuggingFace(request, model, usage);
+      case 'local':
+        return this._streamOpenAI(request, model, usage, localClient);
+      case 'mock':
+        return this._streamMock(request, model, usage);
+      default:
+        throw new Error(`ספק AI לא נתמך: ${provider}`);
+    }
+  }
+
+  /**
+   * בונה את רשימת הספקים לניסיון: הספק שנבחר ואחריו ספקי הגיבוי של הסוכן
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Array<Object>} - רשימת זוגות ספק/מודל לפי סדר
+   * @private
+   */
+  _buildProviderChain(options) {
+    if (this.forcedProvider) {
+      const model = options.provider === this.forcedProvider && options.model
+        ? options.model
+        : this._getDefaultModel(this.forcedProvider);
+      return [{ provider: this.forcedProvider, model }];
+    }
+    
+    const primary = this._resolveModel(options);
+    const chain = [primary];
+    
+    if (options.fallback === false) {
+      return chain;
+    }
+    
+    const agentName = options.agentName || taskContext.get()?.agentName;
+    const fallbackProviders = (agentName && this.fallbackChains[agentName]) || [];
+    const mapped = agentName ? this.getRecommendedModelForAgent(agentName, options.taskType) : null;
+    
+    for (const provider of fallbackProviders) {
+      if (chain.some(entry => entry.provider === provider)) continue;
+      
+      // השתמש במודל של הסוכן אם הוא מאותו ספק, אחרת במודל ברירת המחדל של הספק
+      const model = mapped && mapped.provider === provider ? mapped.model : this._getDefaultModel(provider);
+      chain.push({ provider, model });
+    }
+    
+    return chain;
+  }
+
+  /**
+   * מריץ שליחה לספק בתוך מגבלות הקצב והמקביליות שלו. הבקשה ממתינה בתור ההוגן
+   * (לפי עדיפות המשימה ולסירוגין בין סוכנים), והמקום משתחרר בסיום או בשגיאה
+   * @param {string} provider - ספק ה-AI
+   * @param {string} model - מודל ה-AI
+   * @param {Object} request - הבקשה (להערכת הטוקנים)
+   * @param {Object} options - אפשרויות השאילתה (agentName, priority)
+   * @param {Function} fn - פונקציה אסינכרונית שמקבלת את פונקציית השחרור
+   * @param {Object} settings - holdOnSuccess: המקום לא משתחרר בסיום fn (למשל בזרם פתוח)
+   * @returns {Promise<*>} - תוצאת הפונקציה
+   * @private
+   */
+  async _withRateLimit(provider, model, request, options, fn, settings = {}) {
+    const context = taskContext.get();
+    const release = await this.rateLimiter.acquire(provider, model, {
+      agentName: options.agentName || context?.agentName,
+      priority: options.priority ?? context?.priority,
+      tokens: this.countTokens(this._flattenMessages(request), { provider, model }) + request.maxTokens,
+      signal: request.signal
+    });
+    
+    try {
+      const result = await fn(release);
+      
+      if (!settings.holdOnSuccess) {
+        release();
+      }
+      
+      return result;
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  /**
+   * סך הטוקנים שדווחו בתשובה (לעדכון מגבלת הטוקנים לדקה), או undefined אם לא דווחו
+   * @private
+   */
+  _getUsageTokens(usage = {}) {
+    if (usage.promptTokens === undefined || usage.completionTokens === undefined) {
+      return undefined;
+    }
+    
+    return usage.promptTokens + usage.completionTokens;
+  }
+
+  /**
+   * זורק שגיאת ביטול אם אות הביטול של הבקשה הופעל
+   * @param {Object} request - הבקשה
+   * @throws {TaskCancelledError} - אם הבקשה בוטלה
+   * @private
+   */
+  _throwIfCancelled(request) {
+    if (request.signal?.aborted) {
+      throw this._toCancelledError(request.signal);
+    }
+  }
+
+  /**
+   * שגיאת הביטול מתוך אות הביטול (הסיבה שנמסרה, או שגיאה כללית)
+   * @private
+   */
+  _toCancelledError(signal) {
+    const context = taskContext.get();
+    
+    return signal.reason instanceof TaskCancelledError
+      ? signal.reason
+      : new TaskCancelledError('השאילתה בוטלה', context?.taskId || null);
+  }
+
+  /**
+   * מריץ בקשה עם ניסיונות חוזרים והשהיה אקספוננציאלית לשגיאות זמניות
+   * @param {string} provider - ספק ה-AI (לצורך לוגים)
+   * @param {Function} fn - הפונקציה האסינכרונית להרצה
+   * @param {AbortSignal} signal - אות ביטול: אין ניסיונות חוזרים אחרי ביטול, וההשהיה נקטעת
+   * @returns {Promise<*>} - תוצאת הפונקציה
+   * @private
+   */
+  async _withRetry(provider, fn, signal = null) {
+    const { maxRetries, baseDelayMs, maxDelayMs } = this.retryOptions;
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (signal?.aborted || attempt >= maxRetries || !this._isRetryableError(error)) {
+          throw error;
+        }
+        
+        // כבד את Retry-After אם הספק החזיר אותו, אחרת השהיה אקספוננציאלית עם רעש אקראי
+        const retryAfter = Number(error.headers?.['retry-after'] || error.response?.headers?.['retry-after']);
+        const delay = retryAfter > 0
+          ? retryAfter * 1000
+          : Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+        
+        logger.warn(`שגיאה זמנית מ-${provider} (${error.status || error.code}), ניסיון ${attempt + 1}/${maxRetries} בעוד ${Math.round(delay)}ms`);
+        await new Promise(resolve => {
+          const onAbort = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+          const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+          }, delay);
+          signal?.addEventListener('abort', onAbort, { once: true });
+        });
+        
+        if (signal?.aborted) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * בודק אם שגיאה היא זמנית ושווה ניסיון חוזר (429, 5xx או תקלת רשת)
+   * @param {Error} error - השגיאה
+   * @returns {boolean} - האם לנסות שוב
+   * @private
+   */
+  _isRetryableError(error) {
+    const status = error.status || error.response?.status;
+    
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    
+    return ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNABORTED'].includes(error.code);
+  }
+
+  /**
+   * מתעד בהקשר המשימה הנוכחית איזה ספק ענה בפועל
+   * @param {string} provider - ספק ה-AI
+   * @param {string} model - מודל ה-AI
+   * @param {boolean} fallback - האם זה ספק גיבוי
+   * @private
+   */
+  _recordProviderChoice(provider, model, fallback) {
+    if (fallback) {
+      logger.info(`התשובה התקבלה מספק הגיבוי ${provider}/${model}`);
+    }
+    
+    const context = taskContext.get();
+    if (context && Array.isArray(context.aiCalls)) {
+      context.aiCalls.push({ provider, model, fallback, timestamp: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * בודק שהסוכן והפרויקט הפעיל לא חרגו מהתקציב שלהם, לפני שליחת שאילתה
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkBudget(options) {
+    await budgetManager.check({
+      agentName: options.agentName || taskContext.get()?.agentName,
+      project: projectManager.activeProject
+    });
+  }
+
+  /**
+   * מתעד את השימוש בטוקנים של שאילתה, משויך לסוכן, למשימה ולפרויקט הפעיל
+   * אם הספק לא החזיר ספירת טוקנים, הערכה לפי אורך הטקסט (ראו countTokens)
+   * @param {string} provider - ספק ה-AI
+   * @param {string} model - מודל ה-AI
+   * @param {Object} options - אפשרויות השאילתה
+   * @param {Object} details - הטקסטים, נתוני השימוש וזמן התגובה
+   * @private
+   */
+  _recordUsage(provider, model, options, details) {
+    const context = taskContext.get();
+    const usage = details.usage || {};
+    const estimated = usage.promptTokens === undefined || usage.completionTokens === undefined;
+    
+    try {
+      usageTracker.record({
+        provider,
+        model,
+        agentName: options.agentName || context?.agentName,
+        taskId: options.taskId || context?.taskId,
+        project: projectManager.activeProject,
+        promptTokens: usage.promptTokens ?? this.countTokens(details.prompt, { provider, model }),
+        completionTokens: usage.completionTokens ?? this.countTokens(details.text, { provider, model }),
+        estimated,
+        latencyMs: details.latencyMs
+      });
+    } catch (error) {
+      logger.error(`שגיאה בתיעוד שימוש בטוקנים: ${error.message}`);
+    }
+  }
+
+  /**
+   * בונה את הבקשה לספק: היסטוריית השרשור (אם יש), ההודעות, הנחיית המערכת והפרמטרים
+   * @param {Array<Object>} messages - הודעות הסבב הנוכחי
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Promise<Object>} - הבקשה ({ system, messages, temperature, maxTokens, stop, jsonSchema, tools, signal })
+   * @private
+   */
+  async _buildRequest(messages, options) {
+    // פרמטרי המסלול חלים רק כשהמודל נבחר לפי הסוכן (ראו _resolveModel) - גם סוכן שמגיע מהקשר המשימה
+    const agentName = options.agentName ?? taskContext.get()?.agentName;
+    const routeParams = agentName && (!options.provider || !options.model)
+      ? this.getRecommendedModelForAgent(agentName, options.taskType).params
+      : {};
+    let history = [];
+    let system = options.system || null;
+    
+    if (options.threadId) {
+      const thread = await conversationManager.getThread(options.threadId);
+      
+      if (!thread) {
+        throw new Error(`שרשור שיחה ${options.threadId} לא קיים`);
+      }
+      
+      history = thread.messages.map(message => this._normalizeMessage(message));
+      system = system || thread.system;
+    }
+    
+    // הודעות system בתוך הרשימה מצורפות להנחיית המערכת, כי לא כל הספקים מקבלים אותן כהודעה
+    const systemMessages = messages.filter(message => message.role === 'system').map(message => message.content);
+    if (systemMessages.length > 0) {
+      system = [system, ...systemMessages].filter(Boolean).join('\n\n');
+    }
+    
+    const request = {
+      system,
+      messages: [
+        ...history,
+        ...messages.filter(message => message.role !== 'system').map(message => this._normalizeMessage(message))
+      ],
+      temperature: options.temperature ?? routeParams.temperature ?? this.defaults.temperature,
+      maxTokens: options.maxTokens ?? routeParams.maxTokens ?? this.defaults.maxTokens,
+      stop: options.stop || routeParams.stop || null,
+      jsonSchema: options.jsonSchema || null,
+      tools: options.tools || null,
+      signal: options.signal || taskContext.get()?.signal || null
+    };
+    
+    return this._redactRequest(request, options);
+  }
+
+  /**
+   * משחיר סודות ומידע אישי בהנחיית המערכת ובהודעות, ומתעד ביומן הביקורת מה הושחר.
+   * מיפוי המחליפים נשמר ב-request.redaction לשחזור התשובה
+   * @param {Object} request - הבקשה
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Object} - הבקשה המושחרת
+   * @private
+   */
+  _redactRequest(request, options) {
+    if (!this.redactor.enabled || options.redact === false) {
+      return { ...request, redaction: null };
+    }
+    
+    const state = this.redactor.createState();
+    const redacted = {
+      ...request,
+      system: this.redactor.redact(request.system, state),
+      messages: request.messages.map(message => ({
+        ...message,
+        content: this.redactor.redact(message.content, state),
+        ...(message.toolCalls && { toolCalls: this.redactor.redactDeep(message.toolCalls, state) })
+      }))
+    };
+    
+    const context = taskContext.get();
+    this.redactor.audit(state, {
+      agentName: options.agentName || context?.agentName,
+      taskId: options.taskId || context?.taskId
+    });
+    
+    return { ...redacted, redaction: { mapping: state.mapping, counts: state.counts } };
+  }
+
+  /**
+   * שחזור הערכים שהושחרו בבקשה בתוך תשובת המודל (טקסט ופרמטרים של קריאות לכלים)
+   * @param {Object} response - התשובה ({ text, toolCalls, usage })
+   * @param {Object} request - הבקשה המושחרת
+   * @returns {Object} - התשובה המשוחזרת
+   * @private
+   */
+  _restoreResponse(response, request) {
+    const mapping = request.redaction?.mapping;
+    
+    if (!mapping || Object.keys(mapping).length === 0) {
+      return response;
+    }
+    
+    return {
+      ...response,
+      text: this.redactor.restore(response.text, mapping),
+      ...(response.toolCalls && { toolCalls: this.redactor.restoreDeep(response.toolCalls, mapping) })
+    };
+  }
 
-// מיפוי מודלים מועדפים לכל סוכן
-const AGENT_MODEL_MAPPING = {
-  'dev': 'gpt-4',
-  'qa': 'gpt-3.5-turbo',
-  'executor': 'gpt-3.5-turbo',
-  'git_sync': 'gpt-3.5-turbo',
-  'scheduler': 'gpt-3.5-turbo',
-  'summary': 'gpt-4'
-};
+  /**
+   * הודעה בפורמט הפנימי: { role, content }, ובנוסף toolCalls להודעת assistant
+   * שביקשה כלים, או toolCallId ו-name להודעת tool שמחזירה תוצאת כלי
+   * @param {Object} message - ההודעה
+   * @returns {Object} - ההודעה המנורמלת
+   * @private
+   */
+  _normalizeMessage(message) {
+    const normalized = { role: message.role, content: message.content };
+    
+    if (message.toolCalls) {
+      normalized.toolCalls = message.toolCalls;
+    }
+    
+    if (message.role === 'tool') {
+      normalized.toolCallId = message.toolCallId;
+      normalized.name = message.name;
+    }
+    
+    return normalized;
+  }
 
-/**
- * מנוע ה-AI המרכזי שמנהל את הבקשות לספקי ה-AI השונים
- */
-class AIEngine {
-  constructor() {
-    // מיפוי של מודלים מועדפים לפי סוכן
-    this.agentModelMapping = {
-      dev_agent: { provider: 'openai', model: 'gpt-4' },
-      qa_agent: { provider: 'anthropic', model: 'claude-3.7-sonnet' },
-      executor_agent: { provider: 'openai', model: 'gpt-4-turbo' },
-      summary_agent: { provider: 'openai', model: 'gpt-4' },
-      git_sync_agent: { provider: 'anthropic', model: 'claude-3.7-sonnet' },
-      db_agent: { provider: 'openai', model: 'gpt-4' },
-      ui_agent: { provider: 'openai', model: 'gpt-4' },
-      economics_agent: { provider: 'anthropic', model: 'claude-3.7-sonnet' },
-      scheduler_agent: { provider: 'anthropic', model: 'claude-3.7-sonnet' }
-    };
+  /**
+   * פענוח JSON מתשובת AI - מתעלם מבלוק קוד ומטקסט שמסביב לאובייקט
+   * @param {string} text - תשובת ה-AI
+   * @returns {Object} - { value } או { error }
+   * @private
+   */
+  _parseJson(text) {
+    let content = text.trim();
+    
+    const fenced = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    if (fenced) {
+      content = fenced[1];
+    }
+    
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      content = content.slice(start, end + 1);
+    }
+    
+    try {
+      return { value: JSON.parse(content) };
+    } catch (error) {
+      return { error: `JSON לא תקין: ${error.message}` };
+    }
   }
 
   /**
-   * מחזיר את המודל והספק המומלצים לסוכן מסוים
-   * @param {string} agentName - שם הסוכן
-   * @returns {Object} - אובייקט המכיל את ספק ומודל ה-AI המומלצים
+   * משטח בקשה לטקסט אחד - לספקים ללא מבנה הודעות ולהערכת טוקנים
+   * @param {Object} request - הבקשה
+   * @returns {string} - הטקסט
+   * @private
    */
-  getRecommendedModelForAgent(agentName) {
-    if (this.agentModelMapping[agentName]) {
-      return { ...this.agentModelMapping[agentName] };
+  _flattenMessages(request) {
+    if (!request.system && !request.tools && request.messages.length === 1) {
+      return request.messages[0].content;
+    }
+    
+    const parts = request.system ? [`system: ${request.system}`] : [];
+    
+    if (request.tools) {
+      parts.push(`tools: ${request.tools.map(tool => tool.name).join(', ')}`);
+    }
+    
+    for (const message of request.messages) {
+      if (message.role === 'tool') {
+        parts.push(`tool (${message.name}): ${message.content}`);
+        continue;
+      }
+      
+      const calls = (message.toolCalls || []).map(call => `[${call.name} ${JSON.stringify(call.arguments)}]`);
+      parts.push(`${message.role}: ${[message.content, ...calls].filter(Boolean).join('\n')}`);
     }
+    
+    return parts.join('\n\n');
+  }
 
-    // ברירת מחדל אם הסוכן לא נמצא במיפוי
-    return { provider: 'openai', model: 'gpt-4-turbo' };
+  /**
+   * שומר את הודעות הסבב ואת התשובה בשרשור השיחה
+   * @param {string} threadId - מזהה השרשור (אם אין, לא נשמר דבר)
+   * @param {Array<Object>} messages - הודעות הסבב
+   * @param {string} text - תשובת ה-AI
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _appendToThread(threadId, messages, text) {
+    if (!threadId) {
+      return;
+    }
+    
+    await conversationManager.appendMessages(threadId, [
+      ...messages.filter(message => message.role !== 'system'),
+      { role: 'assistant', content: text }
+    ]);
   }
 
   /**
-   * שולח שאילתה למודל ה-AI המתאים
-   * @param {string} prompt - הטקסט לשליחה ל-AI
-   * @param {Object} options - אפשרויות נוספות
-   * @param {string} options.provider - ספק ה-AI לשימוש (openai/anthropic/huggingface)
-   * @param {string} options.model - מודל ה-AI לשימוש
-   * @param {string} options.agentName - שם הסוכן השולח את השאילתה (אופציונלי)
-   * @returns {Promise<string>} - תשובת ה-AI
+   * סבבי המודל והכלים של runTools
+   * @param {string} prompt - המשימה למודל
+   * @param {Object} options - אפשרויות השאילתה
+   * @param {Object} run - מצב ההרצה (הגדרות כלים, הרשאות, מעקב)
+   * @returns {Promise<Object>} - { text, steps, trace }
+   * @private
    */
-  async query(prompt, options = {}) {
-    // אם נמסר שם סוכן ולא צוין מודל או ספק, השתמש במיפוי
-    if (options.agentName && (!options.provider || !options.model)) {
-      const recommended = this.getRecommendedModelForAgent(options.agentName);
-      options.provider = options.provider || recommended.provider;
-      options.model = options.model || recommended.model;
-      logger.info(`בחירת מודל אוטומטית עבור ${options.agentName}: ${options.provider}/${options.model}`);
+  async _runToolLoop(prompt, options, run) {
+    const messages = [{ role: 'user', content: prompt }];
+    
+    for (let step = 1; step <= run.maxSteps; step++) {
+      await this._checkBudget(options);
+      
+      const request = await this._buildRequest(messages, { ...options, threadId: undefined, tools: run.definitions });
+      const response = await this._complete(request, options);
+      
+      if (!response.toolCalls || response.toolCalls.length === 0) {
+        run.trace.push({ step, type: 'answer', text: response.text });
+        return { text: response.text, steps: step, trace: run.trace };
+      }
+      
+      messages.push({ role: 'assistant', content: response.text || '', toolCalls: response.toolCalls });
+      
+      for (const call of response.toolCalls) {
+        const startTime = Date.now();
+        const outcome = await toolRegistry.execute(call.name, call.arguments, run);
+        const content = this._formatToolResult(outcome);
+        
+        logger.info(`כלי ${call.name} הופעל בצעד ${step}: ${outcome.success ? 'הצליח' : outcome.error}`);
+        
+        run.trace.push({
+          step,
+          type: 'tool_call',
+          tool: call.name,
+          arguments: call.arguments,
+          success: outcome.success,
+          denied: !!outcome.denied,
+          error: outcome.error || null,
+          result: content.slice(0, 2000),
+          durationMs: Date.now() - startTime
+        });
+        
+        messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content });
+      }
+    }
+    
+    throw new ToolStepLimitError(
+      `המודל לא סיים את המשימה בתוך ${run.maxSteps} צעדים`,
+      run.trace
+    );
+  }
+
+  /**
+   * פענוח הפרמטרים שהמודל שלח לכלי (מחרוזת JSON אצל ספקים תואמי OpenAI).
+   * פרמטרים לא תקינים מוחזרים כ-null ונדחים באימות הסכמה של הכלי
+   * @param {string} raw - הפרמטרים כמחרוזת
+   * @returns {Object|null} - הפרמטרים
+   * @private
+   */
+  _parseToolArguments(raw) {
+    try {
+      return JSON.parse(raw || '{}');
+    } catch (error) {
+      logger.warn(`פרמטרי כלי לא תקינים מהמודל: ${error.message}`);
+      return null;
     }
+  }
 
-    const provider = options.provider || 'openai';
-    const model = options.model || this._getDefaultModel(provider);
+  /**
+   * המרת תוצאת כלי לטקסט שמוחזר למודל (מקוצר לפי maxResultChars)
+   * @param {Object} outcome - תוצאת ההפעלה ({ success, result, error })
+   * @returns {string} - הטקסט
+   * @private
+   */
+  _formatToolResult(outcome) {
+    if (!outcome.success) {
+      return `שגיאה: ${outcome.error}`;
+    }
     
-    logger.info(`שולח שאילתה ל-${provider} עם מודל ${model}`);
+    const text = typeof outcome.result === 'string'
+      ? outcome.result
+      : JSON.stringify(outcome.result ?? null, null, 2);
+    
+    const { maxResultChars } = this.toolOptions;
+    
+    return text.length > maxResultChars
+      ? `${text.slice(0, maxResultChars)}\n... (קוצר, ${text.length} תווים)`
+      : text;
+  }
+
+  /**
+   * שמירת מעקב הפעלת הכלים כפעולה במפגש הסוכן בזיכרון
+   * @param {string} agentName - שם הסוכן
+   * @param {string} sessionId - מזהה המפגש
+   * @param {string} prompt - המשימה למודל
+   * @param {Object} run - מצב ההרצה
+   * @param {Object} result - התוצאה (אם הצליח)
+   * @param {Error} error - השגיאה (אם נכשל)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveToolTrace(agentName, sessionId, prompt, run, result, error = null) {
+    if (!agentName || !sessionId) {
+      logger.debug('מעקב הפעלת כלים לא נשמר: אין סוכן או מפגש');
+      return;
+    }
     
     try {
-      switch (provider) {
-        case 'openai':
-          return await this._queryOpenAI(prompt, model);
-        case 'anthropic':
-          return await this._queryAnthropic(prompt, model);
-        case 'huggingface':
-          return await this._queryHuggingFace(prompt, model);
-        default:
-          throw new Error(`ספק AI לא נתמך: ${provider}`);
+      await memoryManager.saveAction(agentName, sessionId, {
+        title: 'הפעלת כלים',
+        description: prompt.slice(0, 200),
+        params: {
+          tools: run.allowedTools,
+          maxSteps: run.maxSteps
+        },
+        result: {
+          success: !error,
+          steps: result ? result.steps : null,
+          error: error ? error.message : null,
+          trace: run.trace
+        }
+      });
+    } catch (saveError) {
+      logger.error(`שגיאה בשמירת מעקב הפעלת כלים: ${saveError.message}`);
+    }
+  }
+
+  /**
+   * הגדרות המטמון לשאילתה: options.cache אם צוין, אחרת ברירת המחדל מההגדרות.
+   * כשהמטמון כבוי בהגדרות (cache.enabled) לא משתמשים בו גם אם השאילתה ביקשה
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {boolean|Object} - false, true, או { ttlMs, contentHash, tag }
+   * @private
+   */
+  _getCacheSettings(options) {
+    if (!this.responseCache.enabled) {
+      return false;
+    }
+    
+    return options.cache ?? this.responseCache.byDefault;
+  }
+
+  /**
+   * מפתח ופרטי רשומת המטמון לבקשה, אם השאילתה משתמשת במטמון.
+   * המפתח: הפרומפט המנורמל (רווחים מצומצמים), הספק והמודל הראשיים, הפרמטרים וגיבוב התוכן
+   * @param {Object} request - הבקשה
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Object|null} - { key, provider, model, tag, contentHash, ttlMs } או null
+   * @private
+   */
+  _getCacheTarget(request, options) {
+    const cache = this._getCacheSettings(options);
+    
+    if (!cache) {
+      return null;
+    }
+    
+    const settings = cache === true ? {} : cache;
+    const { provider, model } = this._buildProviderChain({ ...options })[0];
+    
+    const key = this.responseCache.getKey({
+      prompt: this._flattenMessages(request).replace(/\s+/g, ' ').trim(),
+      provider,
+      model,
+      temperature: request.temperature,
+      maxTokens: request.maxTokens,
+      jsonSchema: request.jsonSchema || null,
+      contentHash: settings.contentHash || null
+    });
+    
+    return { key, provider, model, tag: settings.tag, contentHash: settings.contentHash, ttlMs: settings.ttlMs };
+  }
+
+  /**
+   * קריאת תשובה מהמטמון
+   * @param {Object|null} target - רשומת המטמון (ראו _getCacheTarget)
+   * @returns {Promise<Object|null>} - התשובה או null
+   * @private
+   */
+  async _readCache(target) {
+    if (!target) {
+      return null;
+    }
+    
+    const cached = await this.responseCache.get(target.key);
+    
+    if (cached) {
+      logger.info(`תשובה מהמטמון עבור ${target.provider}/${target.model} (${target.key.slice(0, 12)})`);
+    }
+    
+    return cached;
+  }
+
+  /**
+   * שמירת תשובה במטמון (תשובות עם בקשות להפעלת כלים לא נשמרות)
+   * @param {Object|null} target - רשומת המטמון (ראו _getCacheTarget)
+   * @param {Object} response - התשובה ({ text, toolCalls, usage })
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeCache(target, response) {
+    if (!target || response.toolCalls?.length) {
+      return;
+    }
+    
+    await this.responseCache.set(target.key, response, target);
+  }
+
+  /**
+   * מחזיר תשובה מוקלטת לבקשה (מצב השמעה)
+   * @param {Object} request - הבקשה שנשלחה
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Object} - הרשומה המוקלטת ({ provider, model, text, usage })
+   * @throws {CassetteMissError} - אם אין רשומה לבקשה
+   * @private
+   */
+  _replayCassette(request, options) {
+    const prompt = this._flattenMessages(request);
+    const key = this._getCassetteKey(request, options);
+    const entry = this.cassettes.find(key);
+    
+    if (!entry) {
+      logger.error(`אין תשובה מוקלטת בקלטת ${this.cassettes.name} לפרומפט ${key.slice(0, 12)}`);
+      
+      throw new CassetteMissError(
+        `אין תשובה מוקלטת בקלטת ${this.cassettes.name} לפרומפט (${key.slice(0, 12)}) - ייתכן שהפרומפט השתנה`,
+        { cassette: this.cassettes.name, key, prompt: prompt.slice(0, 200) }
+      );
+    }
+    
+    this._recordProviderChoice(entry.provider, entry.model, false);
+    
+    return entry;
+  }
+
+  /**
+   * מפתח הרשומה בקלטת: הפרומפט, הספק והמודל שהתבקשו (ולא ספק כפוי או גיבוי שענה בפועל)
+   * ופרמטרי הבקשה, כך ששינוי מודל או טמפרטורה לא ישמיע תשובה שהוקלטה למשהו אחר
+   * @param {Object} request - הבקשה
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {string} - גיבוב הבקשה
+   * @private
+   */
+  _getCassetteKey(request, options) {
+    const { provider, model } = this._resolveModel(options);
+    
+    return this.cassettes.getKey({
+      prompt: this._flattenMessages(request),
+      provider,
+      model,
+      params: {
+        temperature: request.temperature,
+        maxTokens: request.maxTokens,
+        stop: request.stop,
+        jsonSchema: request.jsonSchema,
+        tools: request.tools
       }
-    } catch (error) {
-      logger.error(`שגיאה בשאילתה ל-${provider}: ${error.message}`);
-      throw error;
+    });
+  }
+
+  /**
+   * שומר תשובה אמיתית לקלטת (מצב הקלטה)
+   * @param {Object} request - הבקשה שנשלחה
+   * @param {Object} options - אפשרויות השאילתה
+   * @param {string} provider - הספק שענה
+   * @param {string} model - המודל שענה
+   * @param {Object} response - התשובה ({ text, usage })
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordCassette(request, options, provider, model, response) {
+    if (!this.cassettes.isRecording()) {
+      return;
+    }
+    
+    const prompt = this._flattenMessages(request);
+    
+    await this.cassettes.save(this._getCassetteKey(request, options), {
+      prompt,
+      provider,
+      model,
+      text: response.text,
+      ...(response.toolCalls && { toolCalls: response.toolCalls }),
+      usage: response.usage || {}
+    });
+  }
+
+  /**
+   * יוצר שגיאה מסכמת כשכל הספקים בשרשרת נכשלו
+   * @param {Array<Object>} attempts - הניסיונות שבוצעו
+   * @returns {Error} - השגיאה
+   * @private
+   */
+  _createChainError(attempts) {
+    const details = attempts.map(a => `${a.provider}: ${a.error}`).join('; ');
+    const error = new Error(`כל ספקי ה-AI נכשלו (${details})`);
+    error.attempts = attempts;
+    return error;
+  }
+
+  /**
+   * בוחר ספק ומודל לשאילתה לפי האפשרויות וניתוב המודלים של הסוכן
+   * @param {Object} options - אפשרויות השאילתה
+   * @returns {Object} - הספק והמודל שנבחרו
+   * @private
+   */
+  _resolveModel(options) {
+    let { provider, model } = options;
+    const agentName = options.agentName ?? taskContext.get()?.agentName;
+    
+    // אם ידוע הסוכן (מהאפשרויות או מהקשר המשימה) ולא צוין מודל או ספק, השתמש בניתוב. האפשרויות של
+    // הקורא לא משתנות, כדי ששאילתות חוזרות באותן אפשרויות (למשל שלבי הפעלת כלים) ימשיכו לקבל את פרמטרי המסלול
+    if (agentName && (!provider || !model)) {
+      const recommended = this.getRecommendedModelForAgent(agentName, options.taskType);
+      provider = provider || recommended.provider;
+      model = model || recommended.model;
+      logger.info(`בחירת מודל אוטומטית עבור ${agentName}: ${provider}/${model}`);
     }
+
+    provider = provider || 'openai';
+    
+    return { provider, model: model || this._getDefaultModel(provider) };
   }
 
   /**
@@ -140,85 +1616,434 @@ class AIEngine {
         return 'claude-3.7-sonnet';
       case 'huggingface':
         return 'mistralai/Mixtral-8x7B-Instruct-v0.1';
+      case 'local':
+        return config.local.default_model || config.local.models[0] || this.localStatus.models[0];
+      case 'mock':
+        return 'mock';
       default:
         return 'gpt-4-turbo';
     }
   }
 
   /**
-   * שולח שאילתה ל-OpenAI
-   * @param {string} prompt - הטקסט לשליחה
+   * ממיר בקשה לפרמטרים של OpenAI (הנחיית המערכת נשלחת כהודעת system)
+   * @param {Object} request - הבקשה
    * @param {string} model - מודל ה-AI לשימוש
-   * @returns {Promise<string>} - תשובת ה-AI
+   * @returns {Object} - פרמטרי הבקשה
+   * @private
    */
-  async _queryOpenAI(prompt, model) {
-    const response = await openai.chat.completions.create({
+  _toOpenAIParams(request, model) {
+    const messages = request.messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+      }
+      
+      if (message.toolCalls) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        };
+      }
+      
+      return message;
+    });
+    
+    if (request.system) {
+      messages.unshift({ role: 'system', content: request.system });
+    }
+    
+    // מצב JSON מובנה, למודלים שתומכים בו
+    const jsonMode = request.jsonSchema && !this.structuredOptions.jsonModeUnsupportedModels.includes(model);
+    
+    return {
       model: model,
-      messages: [{ role: 'user', content: prompt }],
-      temperature: 0.7,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(request.stop && { stop: request.stop }),
+      ...(jsonMode && { response_format: { type: 'json_object' } }),
+      ...(request.tools && {
+        tools: request.tools.map(tool => ({
+          type: 'function',
+          function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+        }))
+      })
+    };
+  }
+
+  /**
+   * ממיר בקשה לפרמטרים של Anthropic (הנחיית המערכת נשלחת בשדה system).
+   * בבקשת JSON התשובה מתחילה מראש ב-"{" כדי שהמודל ימשיך אובייקט JSON
+   * @param {Object} request - הבקשה
+   * @param {string} model - מודל ה-AI לשימוש
+   * @returns {Object} - פרמטרי הבקשה
+   * @private
+   */
+  _toAnthropicParams(request, model) {
+    const messages = [];
+    
+    for (const message of request.messages) {
+      if (message.role === 'tool') {
+        // תוצאות כלים נשלחות כבלוקים בהודעת user, ותוצאות רצופות מאוחדות להודעה אחת
+        const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+        const last = messages[messages.length - 1];
+        
+        if (last && last.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+          last.content.push(block);
+        } else {
+          messages.push({ role: 'user', content: [block] });
+        }
+      } else if (message.toolCalls) {
+        messages.push({
+          role: 'assistant',
+          content: [
+            ...(message.content ? [{ type: 'text', text: message.content }] : []),
+            ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+          ]
+        });
+      } else {
+        messages.push(message);
+      }
+    }
+    
+    if (request.jsonSchema) {
+      messages.push({ role: 'assistant', content: '{' });
+    }
+    
+    return {
+      model: model,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(request.system && { system: request.system }),
+      ...(request.stop && { stop_sequences: request.stop }),
+      ...(request.tools && {
+        tools: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.parameters
+        }))
+      })
+    };
+  }
+
+  /**
+   * ממיר בקשה לפרמטרים של HuggingFace (השיחה נשלחת כטקסט אחד)
+   * @param {Object} request - הבקשה
+   * @returns {Object} - פרמטרי הבקשה
+   * @private
+   */
+  _toHuggingFaceParams(request) {
+    if (request.tools) {
+      throw new Error('הספק huggingface אינו תומך בהפעלת כלים');
+    }
+    
+    return {
+      inputs: this._flattenMessages(request),
+      parameters: {
+        temperature: request.temperature,
+        max_new_tokens: request.maxTokens,
+        return_full_text: false,
+        ...(request.stop && { stop: request.stop }),
+        ...(request.jsonSchema && { grammar: { type: 'json', value: request.jsonSchema } })
+      }
+    };
+  }
+
+  /**
+   * שולח שאילתה ל-OpenAI או לשרת תואם OpenAI
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @param {OpenAI} client - הלקוח לשימוש (ברירת מחדל: OpenAI, או הלקוח המקומי)
+   * @returns {Promise<Object>} - תשובת ה-AI ונתוני שימוש ({ text, usage })
+   */
+  async _queryOpenAI(request, model, client = openai) {
+    const response = await client.chat.completions.create(this._toOpenAIParams(request, model), {
+      signal: request.signal || undefined
     });
+    const message = response.choices[0].message;
     
-    return response.choices[0].message.content;
+    return {
+      text: message.content || '',
+      toolCalls: message.tool_calls?.map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: this._parseToolArguments(call.function.arguments)
+      })),
+      usage: {
+        promptTokens: response.usage?.prompt_tokens,
+        completionTokens: response.usage?.completion_tokens
+      }
+    };
   }
 
   /**
    * שולח שאילתה ל-Anthropic (Claude)
-   * @param {string} prompt - הטקסט לשליחה
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
    * @param {string} model - מודל ה-AI לשימוש
-   * @returns {Promise<string>} - תשובת ה-AI
+   * @returns {Promise<Object>} - תשובת ה-AI ונתוני שימוש ({ text, usage })
    */
-  async _queryAnthropic(prompt, model) {
-    const response = await anthropic.messages.create({
-      model: model,
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 1000,
+  async _queryAnthropic(request, model) {
+    const response = await anthropic.messages.create(this._toAnthropicParams(request, model), {
+      signal: request.signal || undefined
     });
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = response.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input }));
     
-    return response.content[0].text;
+    return {
+      text: (request.jsonSchema ? '{' : '') + text,
+      toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+      usage: {
+        promptTokens: response.usage?.input_tokens,
+        completionTokens: response.usage?.output_tokens
+      }
+    };
   }
 
   /**
    * שולח שאילתה ל-HuggingFace
-   * @param {string} prompt - הטקסט לשליחה
+   * ה-API לא מחזיר ספירת טוקנים, ולכן השימוש יוערך לפי אורך הטקסט
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
    * @param {string} model - מודל ה-AI לשימוש
-   * @returns {Promise<string>} - תשובת ה-AI
+   * @returns {Promise<Object>} - תשובת ה-AI ({ text })
    */
-  async _queryHuggingFace(prompt, model) {
+  async _queryHuggingFace(request, model) {
     const endpoint = `https://api-inference.huggingface.co/models/${model}`;
     
     const response = await axios.post(
       endpoint,
-      { inputs: prompt },
+      this._toHuggingFaceParams(request),
       {
         headers: {
           'Authorization': `Bearer ${config.huggingface.api_key}`,
           'Content-Type': 'application/json'
-        }
+        },
+        signal: request.signal || undefined
+      }
+    );
+    
+    return { text: response.data[0].generated_text };
+  }
+
+  /**
+   * ספק דטרמיניסטי לבדיקות - מחזיר תשובה מהכללים שהוגדרו ב-setMockResponses,
+   * או תשובה קבועה לפי גיבוב הפרומפט
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @returns {Promise<Object>} - תשובת ה-mock ונתוני שימוש ({ text, usage })
+   */
+  async _queryMock(request, model) {
+    this._throwIfCancelled(request);
+    
+    const prompt = this._flattenMessages(request);
+    const rule = this.mockResponses.find(({ match }) => (
+      match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+    ));
+    
+    let response;
+    if (rule) {
+      response = typeof rule.response === 'function' ? await rule.response(prompt, model) : rule.response;
+    } else {
+      response = `[mock:${model}] ${this.cassettes.getKey(prompt).slice(0, 12)}`;
+    }
+    
+    // תשובה יכולה להיות טקסט, או אובייקט { text, toolCalls } לבדיקת הפעלת כלים
+    const text = typeof response === 'string' ? response : (response.text || '');
+    const toolCalls = typeof response === 'string' ? undefined : response.toolCalls?.map((call, index) => ({
+      id: call.id || `mock_call_${index}`,
+      name: call.name,
+      arguments: call.arguments || {}
+    }));
+    
+    return {
+      text,
+      toolCalls,
+      usage: {
+        promptTokens: Math.ceil(prompt.length / 4),
+        completionTokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  /**
+   * מזרים את תשובת ספק ה-mock מילה אחר מילה
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @param {Object} usage - אובייקט שימולא בנתוני השימוש בטוקנים
+   * @returns {AsyncGenerator<string>} - חלקי התשובה
+   */
+  async *_streamMock(request, model, usage = {}) {
+    const response = await this._queryMock(request, model);
+    Object.assign(usage, response.usage);
+    
+    for (const part of response.text.match(/\S+\s*|\s+/g) || []) {
+      this._throwIfCancelled(request);
+      yield part;
+    }
+  }
+
+  /**
+   * מזרים תשובה מ-OpenAI או משרת תואם OpenAI
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @param {Object} usage - אובייקט שימולא בנתוני השימוש בטוקנים
+   * @param {OpenAI} client - הלקוח לשימוש (ברירת מחדל: OpenAI, או הלקוח המקומי)
+   * @returns {AsyncGenerator<string>} - חלקי התשובה
+   */
+  async *_streamOpenAI(request, model, usage = {}, client = openai) {
+    const stream = await client.chat.completions.create({
+      ...this._toOpenAIParams(request, model),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, {
+      signal: request.signal || undefined
+    });
+    
+    for await (const part of stream) {
+      // החלק האחרון בזרם מכיל את נתוני השימוש בלבד
+      if (part.usage) {
+        usage.promptTokens = part.usage.prompt_tokens;
+        usage.completionTokens = part.usage.completion_tokens;
+      }
+      
+      const delta = part.choices[0]?.delta?.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  /**
+   * מזרים תשובה מ-Anthropic (Claude)
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @param {Object} usage - אובייקט שימולא בנתוני השימוש בטוקנים
+   * @returns {AsyncGenerator<string>} - חלקי התשובה
+   */
+  async *_streamAnthropic(request, model, usage = {}) {
+    const stream = await anthropic.messages.create({
+      ...this._toAnthropicParams(request, model),
+      stream: true
+    }, {
+      signal: request.signal || undefined
+    });
+    
+    // בבקשת JSON ה-"{" הפותח נשלח מראש ולא יחזור בזרם
+    if (request.jsonSchema) {
+      yield '{';
+    }
+    
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        usage.promptTokens = event.message.usage?.input_tokens;
+      } else if (event.type === 'message_delta') {
+        usage.completionTokens = event.usage?.output_tokens;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      }
+    }
+  }
+
+  /**
+   * מזרים תשובה מ-HuggingFace (Server-Sent Events של Text Generation Inference)
+   * @param {Object} request - הבקשה (system, messages, temperature, maxTokens, stop)
+   * @param {string} model - מודל ה-AI לשימוש
+   * @param {Object} usage - אובייקט לנתוני שימוש (לא מסופקים, השימוש יוערך)
+   * @returns {AsyncGenerator<string>} - חלקי התשובה
+   */
+  async *_streamHuggingFace(request, model, usage = {}) {
+    const endpoint = `https://api-inference.huggingface.co/models/${model}`;
+    
+    const response = await axios.post(
+      endpoint,
+      { ...this._toHuggingFaceParams(request), stream: true },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.huggingface.api_key}`,
+          'Content-Type': 'application/json'
+        },
+        responseType: 'stream',
+        signal: request.signal || undefined
       }
     );
     
-    return response.data[0].generated_text;
+    let buffer = '';
+    
+    for await (const data of response.data) {
+      buffer += data.toString();
+      
+      // כל אירוע SSE מסתיים בשורה ריקה
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+        
+        // שורה שאינה JSON (למשל keep-alive של פרוקסי) לא עוצרת את הזרם
+        let payload;
+        try {
+          payload = JSON.parse(data);
+        } catch (error) {
+          logger.warn(`מדלג על אירוע לא תקין בזרם של HuggingFace (${model}): ${error.message}`);
+          continue;
+        }
+        
+        if (payload.token && !payload.token.special) {
+          yield payload.token.text;
+        }
+      }
+    }
   }
 }
 
+// יצירת מופע בודד
+const aiEngine = new AIEngine();
+
+// שליחת בקשה למודל AI
+const sendPrompt = (prompt, options = {}) => aiEngine.query(prompt, options);
+
+// בחירת מסלול מתאים לסוכן (סוג סוכן מקוצר כמו 'summary' מתורגם ל-summary_agent)
+const selectRouteForAgent = (agentType) => {
+  const agentName = agentType.endsWith('_agent') ? agentType : `${agentType}_agent`;
+  return aiEngine.getRecommendedModelForAgent(agentName);
+};
+
 // בחירת מודל מתאים לסוכן
 const selectModelForAgent = (agentType) => {
-  return AGENT_MODEL_MAPPING[agentType] || process.env.DEFAULT_AI_MODEL || 'gpt-3.5-turbo';
+  return selectRouteForAgent(agentType).model;
 };
 
 // שליחת בקשה למודל AI עם בחירת מודל אוטומטית לפי סוכן
 const sendPromptWithAgentContext = async (prompt, options = {}, agentType = null) => {
-  const model = agentType ? selectModelForAgent(agentType) : (options.model || process.env.DEFAULT_AI_MODEL || 'gpt-3.5-turbo');
+  if (!agentType) {
+    return sendPrompt(prompt, { ...options, model: options.model || process.env.DEFAULT_AI_MODEL || 'gpt-3.5-turbo' });
+  }
+  
+  const { provider, model, params } = selectRouteForAgent(agentType);
   
   return sendPrompt(prompt, { 
+    ...params,
     ...options,
+    provider,
     model
   });
 };
 
-module.exports = {
+module.exports = Object.assign(aiEngine, {
   sendPrompt,
   sendPromptWithAgentContext,
-  selectModelForAgent,
-  // ... existing exports ...
-}; 
\ No newline at end of file
+  selectModelForAgent
+}); 
\ No newline at end of file
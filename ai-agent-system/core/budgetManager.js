@@ -0,0 +1,241 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+const usageTracker = require('./usageTracker');
+const { BudgetExceededError } = require('./errors');
+
+// תקופות ומגבלות נתמכות
+const PERIODS = ['daily', 'monthly'];
+const LIMITS = ['tokens', 'cost'];
+
+// היקפי תקציב: מפתח בקובץ התצורה ← שדה הסינון ברשומות השימוש
+const SCOPES = {
+  agents: 'agentName',
+  projects: 'project'
+};
+
+/**
+ * מנהל תקציבי AI - מגבלות יומיות/חודשיות של טוקנים או עלות לכל סוכן ולכל פרויקט,
+ * שנבדקות לפני כל שאילתה. התקציבים נשמרים בקובץ תצורה וניתנים לעריכה בזמן ריצה
+ */
+class BudgetManager {
+  constructor() {
+    this.logPrefix = '[budget_manager]';
+    this.budgetsPath = path.join(__dirname, '../config/budgets.json');
+    this.budgets = this._loadBudgets();
+  }
+
+  /**
+   * בדיקה שהסוכן והפרויקט לא חרגו מהתקציב; זורקת BudgetExceededError אם חרגו
+   * @param {Object} target - למי לבדוק
+   * @param {string} target.agentName - שם הסוכן
+   * @param {string} target.project - שם הפרויקט
+   * @returns {Promise<void>}
+   */
+  async check(target = {}) {
+    const checks = [
+      { scope: 'agents', name: target.agentName },
+      { scope: 'projects', name: target.project }
+    ];
+
+    for (const { scope, name } of checks) {
+      if (!name || !this.budgets[scope][name]) continue;
+
+      for (const status of await this._getBudgetStatus(scope, name)) {
+        if (status.exceeded) {
+          logger.warn(`${this.logPrefix} שאילתה נחסמה: ${scope}/${name} חרג מתקציב ${status.period} (${status.limitType}: ${status.used}/${status.limit})`);
+
+          throw new BudgetExceededError(
+            `חריגה מתקציב ${status.period === 'daily' ? 'יומי' : 'חודשי'} של ${name} (${status.limitType}: ${status.used}/${status.limit})`,
+            status
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * מחזיר את כל התקציבים המוגדרים
+   * @returns {Object} - התקציבים לפי היקף
+   */
+  getBudgets() {
+    return JSON.parse(JSON.stringify(this.budgets));
+  }
+
+  /**
+   * מחזיר את מצב כל התקציבים - שימוש נוכחי, יתרה והאם נחרגו
+   * @returns {Promise<Array>} - רשימת מצבי תקציב
+   */
+  async getStatus() {
+    const statuses = [];
+
+    for (const scope of Object.keys(SCOPES)) {
+      for (const name of Object.keys(this.budgets[scope])) {
+        statuses.push(...await this._getBudgetStatus(scope, name));
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * הגדרה או עדכון של תקציב
+   * @param {string} scope - agents/projects
+   * @param {string} name - שם הסוכן או הפרויקט
+   * @param {Object} limits - מגבלות לפי תקופה, למשל { daily: { cost: 5 }, monthly: { tokens: 2000000 } }
+   * @returns {Promise<Object>} - התקציב המעודכן
+   */
+  async setBudget(scope, name, limits) {
+    this._validateScope(scope);
+
+    if (!name) {
+      throw new Error('נדרש שם סוכן או פרויקט לתקציב');
+    }
+
+    const budget = {};
+
+    for (const [period, periodLimits] of Object.entries(limits || {})) {
+      if (!PERIODS.includes(period)) {
+        throw new Error(`תקופת תקציב לא נתמכת: ${period} (נתמכות: ${PERIODS.join(', ')})`);
+      }
+
+      budget[period] = {};
+
+      for (const [limitType, value] of Object.entries(periodLimits || {})) {
+        if (!LIMITS.includes(limitType)) {
+          throw new Error(`סוג מגבלה לא נתמך: ${limitType} (נתמכים: ${LIMITS.join(', ')})`);
+        }
+
+        if (typeof value !== 'number' || value < 0) {
+          throw new Error(`ערך מגבלה לא תקין עבור ${period}.${limitType}: ${value}`);
+        }
+
+        budget[period][limitType] = value;
+      }
+    }
+
+    this.budgets[scope][name] = budget;
+    await this._saveBudgets();
+
+    logger.info(`${this.logPrefix} תקציב עודכן עבור ${scope}/${name}: ${JSON.stringify(budget)}`);
+
+    return budget;
+  }
+
+  /**
+   * הסרת תקציב
+   * @param {string} scope - agents/projects
+   * @param {string} name - שם הסוכן או הפרויקט
+   * @returns {Promise<boolean>} - האם התקציב הוסר
+   */
+  async removeBudget(scope, name) {
+    this._validateScope(scope);
+
+    if (!this.budgets[scope][name]) {
+      return false;
+    }
+
+    delete this.budgets[scope][name];
+    await this._saveBudgets();
+
+    logger.info(`${this.logPrefix} תקציב הוסר עבור ${scope}/${name}`);
+
+    return true;
+  }
+
+  /**
+   * חישוב מצב התקציב של סוכן או פרויקט בכל התקופות שהוגדרו לו
+   * @param {string} scope - agents/projects
+   * @param {string} name - שם הסוכן או הפרויקט
+   * @returns {Promise<Array>} - מצב לכל מגבלה
+   * @private
+   */
+  async _getBudgetStatus(scope, name) {
+    const budget = this.budgets[scope][name] || {};
+    const statuses = [];
+
+    for (const [period, periodLimits] of Object.entries(budget)) {
+      const totals = await usageTracker.getTotals({
+        since: this._getPeriodStart(period),
+        [SCOPES[scope]]: name
+      });
+
+      for (const [limitType, limit] of Object.entries(periodLimits)) {
+        const used = limitType === 'cost' ? totals.cost : totals.totalTokens;
+
+        statuses.push({
+          scope,
+          name,
+          period,
+          limitType,
+          limit,
+          used,
+          remaining: Math.max(0, limit - used),
+          exceeded: used >= limit
+        });
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * תחילת התקופה הנוכחית (UTC)
+   * @param {string} period - daily/monthly
+   * @returns {Date} - תחילת התקופה
+   * @private
+   */
+  _getPeriodStart(period) {
+    const start = new Date();
+    start.setUTCHours(0, 0, 0, 0);
+
+    if (period === 'monthly') {
+      start.setUTCDate(1);
+    }
+
+    return start;
+  }
+
+  /**
+   * בדיקת תקינות היקף תקציב
+   * @param {string} scope - agents/projects
+   * @private
+   */
+  _validateScope(scope) {
+    if (!SCOPES[scope]) {
+      throw new Error(`היקף תקציב לא נתמך: ${scope} (נתמכים: ${Object.keys(SCOPES).join(', ')})`);
+    }
+  }
+
+  /**
+   * טעינת התקציבים מקובץ התצורה
+   * @returns {Object} - התקציבים
+   * @private
+   */
+  _loadBudgets() {
+    let budgets = {};
+
+    try {
+      if (fs.existsSync(this.budgetsPath)) {
+        budgets = fs.readJsonSync(this.budgetsPath);
+      }
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בטעינת קובץ התקציבים: ${error.message}`);
+    }
+
+    return {
+      agents: budgets.agents || {},
+      projects: budgets.projects || {}
+    };
+  }
+
+  /**
+   * שמירת התקציבים לקובץ התצורה
+   * @private
+   */
+  async _saveBudgets() {
+    await fs.writeJson(this.budgetsPath, this.budgets, { spaces: 2 });
+  }
+}
+
+module.exports = new BudgetManager();
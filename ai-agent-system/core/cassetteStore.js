@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// מצבי עבודה נתמכים
+const MODES = ['off', 'record', 'replay'];
+
+/**
+ * קלטות הקלטה/השמעה לשאילתות AI - שומרות תשובה לכל גיבוב של בקשה, כדי שאפשר יהיה
+ * להריץ סוכנים מקצה לקצה ללא מפתחות ולזהות שינוי לא צפוי בפרומפט
+ * מצבים: off (כבוי), record (שאילתות אמיתיות נשמרות לקלטת), replay (תשובות מהקלטת בלבד)
+ */
+class CassetteStore {
+  /**
+   * @param {Object} options - הגדרות הקלטות
+   * @param {string} options.mode - off/record/replay (ברירת מחדל: off)
+   * @param {string} options.dir - תיקיית הקלטות (יחסית לתיקיית העבודה)
+   * @param {string} options.name - שם הקלטת הפעילה
+   */
+  constructor(options = {}) {
+    this.logPrefix = '[cassette_store]';
+    this.dir = path.resolve(process.cwd(), options.dir || 'cassettes');
+    this.use(options.name || 'default', options.mode || 'off');
+  }
+
+  /**
+   * בחירת הקלטת הפעילה ומצב העבודה (למשל בתחילת חבילת בדיקות)
+   * @param {string} name - שם הקלטת (שם הקובץ ללא סיומת)
+   * @param {string} mode - off/record/replay
+   */
+  use(name, mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`מצב קלטת לא נתמך: ${mode} (נתמכים: ${MODES.join(', ')})`);
+    }
+
+    this.name = name;
+    this.mode = mode;
+    this.filePath = path.join(this.dir, `${name}.json`);
+    this.entries = mode === 'off' ? {} : this._load();
+
+    if (mode !== 'off') {
+      logger.info(`${this.logPrefix} קלטת ${name} במצב ${mode} (${Object.keys(this.entries).length} רשומות)`);
+    }
+  }
+
+  /**
+   * @returns {boolean} - האם תשובות מושמעות מהקלטת במקום לפנות לספקים
+   */
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * @returns {boolean} - האם תשובות אמיתיות נשמרות לקלטת
+   */
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  /**
+   * גיבוב של בקשה - מפתח הרשומה בקלטת
+   * @param {*} request - תוכן הבקשה (פרומפט או מבנה הודעות)
+   * @returns {string} - גיבוב sha256
+   */
+  getKey(request) {
+    const content = typeof request === 'string' ? request : JSON.stringify(request);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * חיפוש תשובה מוקלטת
+   * @param {string} key - גיבוב הבקשה
+   * @returns {Object|null} - הרשומה ({ provider, model, text, usage }) או null
+   */
+  find(key) {
+    return this.entries[key] || null;
+  }
+
+  /**
+   * שמירת תשובה לקלטת
+   * @param {string} key - גיבוב הבקשה
+   * @param {Object} entry - פרטי התשובה (request, provider, model, text, usage)
+   * @returns {Promise<void>}
+   */
+  async save(key, entry) {
+    this.entries[key] = {
+      ...entry,
+      recordedAt: new Date().toISOString()
+    };
+
+    try {
+      await fs.ensureDir(this.dir);
+      await fs.writeJson(this.filePath, this.entries, { spaces: 2 });
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בשמירת הקלטת ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * טעינת רשומות הקלטת מהדיסק
+   * @returns {Object} - הרשומות לפי גיבוב
+   * @private
+   */
+  _load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        return fs.readJsonSync(this.filePath);
+      }
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בטעינת הקלטת ${this.filePath}: ${error.message}`);
+    }
+
+    return {};
+  }
+}
+
+module.exports = CassetteStore;
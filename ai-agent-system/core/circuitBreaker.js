@@ -0,0 +1,128 @@
+const { logger } = require('./logger');
+
+/**
+ * מפסק זרם לספקי AI - מדלג זמנית על ספק שנכשל שוב ושוב
+ * מצבים: closed (תקין), open (מדולג עד תום זמן הקירור), half_open (ניסיון בודד לבדיקת התאוששות)
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} options - הגדרות המפסק
+   * @param {number} options.failureThreshold - מספר כישלונות רצופים לפתיחת המפסק
+   * @param {number} options.cooldownMs - זמן במילישניות עד לניסיון חוזר
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 5;
+    this.cooldownMs = options.cooldownMs || 60000;
+    this.logPrefix = '[circuit_breaker]';
+
+    // מצב לכל ספק
+    this.circuits = {};
+  }
+
+  /**
+   * בודק אם מותר לשלוח בקשה לספק
+   * @param {string} provider - שם הספק
+   * @returns {boolean} - האם הספק זמין
+   */
+  canRequest(provider) {
+    const circuit = this._getCircuit(provider);
+
+    if (circuit.state === 'closed') {
+      return true;
+    }
+
+    if (circuit.state === 'half_open') {
+      // רק ניסיון אחד בכל פעם; ניסיון שלא דיווח על תוצאה עד תום זמן הקירור נחשב אבוד
+      if (Date.now() - circuit.probeStartedAt < this.cooldownMs) {
+        return false;
+      }
+
+      circuit.probeStartedAt = Date.now();
+      return true;
+    }
+
+    // אם עבר זמן הקירור, אפשר ניסיון בודד
+    if (Date.now() - circuit.openedAt >= this.cooldownMs) {
+      circuit.state = 'half_open';
+      circuit.probeStartedAt = Date.now();
+      logger.info(`${this.logPrefix} מנסה שוב את הספק ${provider} לאחר קירור`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * מתעד הצלחה של בקשה לספק
+   * @param {string} provider - שם הספק
+   */
+  recordSuccess(provider) {
+    const circuit = this._getCircuit(provider);
+
+    if (circuit.state !== 'closed') {
+      logger.info(`${this.logPrefix} הספק ${provider} התאושש, המפסק נסגר`);
+    }
+
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    circuit.probeStartedAt = null;
+  }
+
+  /**
+   * מתעד כישלון של בקשה לספק ופותח את המפסק לפי הצורך
+   * @param {string} provider - שם הספק
+   */
+  recordFailure(provider) {
+    const circuit = this._getCircuit(provider);
+    circuit.failures++;
+    circuit.lastFailureAt = new Date().toISOString();
+
+    if (circuit.state === 'half_open' || circuit.failures >= this.failureThreshold) {
+      circuit.state = 'open';
+      circuit.openedAt = Date.now();
+      circuit.probeStartedAt = null;
+      logger.warn(`${this.logPrefix} המפסק של ${provider} נפתח לאחר ${circuit.failures} כישלונות, הספק ידולג למשך ${this.cooldownMs}ms`);
+    }
+  }
+
+  /**
+   * מחזיר את מצב המפסקים של כל הספקים
+   * @returns {Object} - מצב לכל ספק
+   */
+  getState() {
+    const state = {};
+
+    for (const [provider, circuit] of Object.entries(this.circuits)) {
+      state[provider] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        lastFailureAt: circuit.lastFailureAt
+      };
+    }
+
+    return state;
+  }
+
+  /**
+   * מחזיר (ויוצר במידת הצורך) את רשומת המפסק של ספק
+   * @param {string} provider - שם הספק
+   * @returns {Object} - רשומת המפסק
+   * @private
+   */
+  _getCircuit(provider) {
+    if (!this.circuits[provider]) {
+      this.circuits[provider] = {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        probeStartedAt: null, // מתי יצא הניסיון הנוכחי במצב half_open
+        lastFailureAt: null
+      };
+    }
+
+    return this.circuits[provider];
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,176 @@
+const { logger } = require('./logger');
+
+// שורות שפותחות יחידת קוד ברמה העליונה (פונקציה, מחלקה, הגדרה) בשפות הנפוצות
+const BOUNDARY_PATTERN = /^(export\s+)?(default\s+)?(async\s+)?(function\*?|class|interface|enum|type|const|let|var|def|func|fn|impl|struct|module\.exports|exports\.|public|private|protected|internal|static|abstract|final)\b/;
+
+// שורות שמצמידות את עצמן ליחידה שאחריהן (הערות, דקורטורים)
+const ATTACHED_PATTERN = /^(\/\/|\/\*|\*|#|@)/;
+
+/**
+ * מפצל קבצי קוד גדולים לחלקים שנכנסים בחלון ההקשר של המודל.
+ * הפיצול נעשה בגבולות פונקציות ומחלקות, עם חפיפה של כמה שורות בין חלקים,
+ * וכל חלק שומר את מספרי השורות המקוריים שלו כדי שאפשר יהיה למזג ממצאים
+ */
+class CodeChunker {
+  constructor() {
+    this.logPrefix = '[code_chunker]';
+  }
+
+  /**
+   * פיצול קוד לחלקים
+   * @param {string} code - תוכן הקובץ
+   * @param {Object} options - אפשרויות הפיצול
+   * @param {number} options.maxTokens - מקסימום טוקנים לחלק
+   * @param {number} options.overlapLines - שורות חפיפה מסוף החלק הקודם (ברירת מחדל: 10)
+   * @param {Function} options.countTokens - פונקציה לספירת טוקנים בטקסט
+   * @returns {Array<Object>} - חלקים בצורת { index, startLine, endLine, text } (שורות מ-1)
+   */
+  split(code, options) {
+    const lines = code.split('\n');
+    const overlapLines = options.overlapLines ?? 10;
+    const countTokens = options.countTokens;
+
+    if (countTokens(code) <= options.maxTokens) {
+      return [{ index: 0, startLine: 1, endLine: lines.length, text: code }];
+    }
+
+    const units = this._splitUnits(lines, options.maxTokens, countTokens);
+    const chunks = [];
+    let current = null;
+
+    for (const unit of units) {
+      if (current && current.tokens + unit.tokens <= options.maxTokens) {
+        current.end = unit.end;
+        current.tokens += unit.tokens;
+        continue;
+      }
+
+      if (current) {
+        chunks.push(current);
+      }
+
+      current = { start: unit.start, end: unit.end, tokens: unit.tokens };
+    }
+
+    chunks.push(current);
+
+    const result = chunks.map((chunk, index) => {
+      // החלק מתחיל כמה שורות לפני הגבול, כדי שהמודל יראה את ההקשר שקדם לו
+      const start = index === 0 ? chunk.start : Math.max(0, chunk.start - overlapLines);
+
+      return {
+        index,
+        startLine: start + 1,
+        endLine: chunk.end + 1,
+        text: lines.slice(start, chunk.end + 1).join('\n')
+      };
+    });
+
+    logger.debug(`${this.logPrefix} קובץ של ${lines.length} שורות פוצל ל-${result.length} חלקים`);
+
+    return result;
+  }
+
+  /**
+   * הוספת מספרי שורות מוחלטים לטקסט של חלק (לשימוש בפרומפט)
+   * @param {Object} chunk - החלק
+   * @returns {string} - הטקסט עם מספרי שורות
+   */
+  numberLines(chunk) {
+    return chunk.text
+      .split('\n')
+      .map((line, offset) => `${chunk.startLine + offset}: ${line}`)
+      .join('\n');
+  }
+
+  /**
+   * המרת מספרי שורות שהמודל החזיר עבור חלק למספרים מוחלטים בקובץ.
+   * מספר שנמצא בטווח החלק נחשב מוחלט; אחרת, אם הוא בגבולות אורך החלק,
+   * המודל כנראה ספר מתחילת החלק והמספר מוזז בהתאם
+   * @param {Array<number>} lines - מספרי השורות מתשובת המודל
+   * @param {Object} chunk - החלק שנותח
+   * @returns {Array<number>} - מספרי שורות מוחלטים, ממוינים וללא כפילויות
+   */
+  toAbsoluteLines(lines, chunk) {
+    const length = chunk.endLine - chunk.startLine + 1;
+    const absolute = (lines || []).map(line => {
+      if (line >= chunk.startLine && line <= chunk.endLine) {
+        return line;
+      }
+
+      return line >= 1 && line <= length ? chunk.startLine + line - 1 : line;
+    });
+
+    return [...new Set(absolute)].sort((a, b) => a - b);
+  }
+
+  /**
+   * חלוקת השורות ליחידות לפי גבולות פונקציות/מחלקות. יחידה שגדולה מהתקציב
+   * מפוצלת לפי שורות
+   * @private
+   */
+  _splitUnits(lines, maxTokens, countTokens) {
+    const starts = [0];
+
+    for (let i = 1; i < lines.length; i++) {
+      if (BOUNDARY_PATTERN.test(lines[i]) && !ATTACHED_PATTERN.test(lines[i])) {
+        // הערות ודקורטורים שמעל הגבול שייכים ליחידה החדשה
+        let start = i;
+        while (start - 1 > starts[starts.length - 1] && ATTACHED_PATTERN.test(lines[start - 1].trim())) {
+          start--;
+        }
+        starts.push(start);
+      }
+    }
+
+    const units = [];
+
+    for (let u = 0; u < starts.length; u++) {
+      const start = starts[u];
+      const end = (u + 1 < starts.length ? starts[u + 1] : lines.length) - 1;
+      const tokens = countTokens(lines.slice(start, end + 1).join('\n'));
+
+      if (tokens <= maxTokens) {
+        units.push({ start, end, tokens });
+        continue;
+      }
+
+      units.push(...this._splitByLines(lines, start, end, maxTokens, countTokens));
+    }
+
+    return units;
+  }
+
+  /**
+   * פיצול טווח שורות ליחידות לפי תקציב טוקנים
+   * @private
+   */
+  _splitByLines(lines, start, end, maxTokens, countTokens) {
+    const units = [];
+    let unit = null;
+
+    for (let i = start; i <= end; i++) {
+      const tokens = countTokens(lines[i]) + 1;
+
+      if (unit && unit.tokens + tokens > maxTokens) {
+        units.push(unit);
+        unit = null;
+      }
+
+      if (!unit) {
+        unit = { start: i, end: i, tokens: 0 };
+      }
+
+      unit.end = i;
+      unit.tokens += tokens;
+    }
+
+    if (unit) {
+      units.push(unit);
+    }
+
+    return units;
+  }
+}
+
+module.exports = new CodeChunker();
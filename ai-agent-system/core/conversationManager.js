@@ -0,0 +1,189 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * מנהל שיחות AI - שרשורי הודעות מתמשכים לכל מפגש סוכן, כדי שסוכן יוכל
+ * להמשיך לעבוד על אותו נושא (למשל אותו קובץ) לאורך כמה סבבים.
+ * כל שרשור נשמר בקובץ משלו לצד זיכרון הסוכנים
+ */
+class ConversationManager {
+  constructor() {
+    this.logPrefix = '[conversation_manager]';
+    this.threadsDir = path.join(process.cwd(), 'memory', 'threads');
+
+    // מטמון שרשורים שנטענו
+    this.threads = {};
+
+    fs.ensureDirSync(this.threadsDir);
+  }
+
+  /**
+   * מחזיר את השרשור של סוכן, מפגש ונושא, ויוצר אותו אם אינו קיים
+   * @param {string} agentName - שם הסוכן
+   * @param {string} sessionId - מזהה מפגש הסוכן
+   * @param {string} topic - נושא השרשור (למשל נתיב קובץ)
+   * @param {Object} options - אפשרויות לשרשור חדש
+   * @param {string} options.system - הנחיית מערכת לשרשור
+   * @returns {Promise<Object>} - השרשור
+   */
+  async getOrCreateThread(agentName, sessionId, topic, options = {}) {
+    const threadId = this._getThreadId(agentName, sessionId, topic);
+    const existing = await this.getThread(threadId);
+
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const thread = {
+      id: threadId,
+      agentName,
+      sessionId: sessionId || null,
+      topic,
+      system: options.system || null,
+      messages: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.threads[threadId] = thread;
+    await this._saveThread(thread);
+
+    logger.debug(`${this.logPrefix} נוצר שרשור ${threadId} עבור ${agentName} (${topic})`);
+
+    return thread;
+  }
+
+  /**
+   * טעינת שרשור לפי מזהה
+   * @param {string} threadId - מזהה השרשור
+   * @returns {Promise<Object|null>} - השרשור או null אם אינו קיים
+   */
+  async getThread(threadId) {
+    if (this.threads[threadId]) {
+      return this.threads[threadId];
+    }
+
+    const filePath = this._getThreadPath(threadId);
+
+    if (!await fs.pathExists(filePath)) {
+      return null;
+    }
+
+    try {
+      this.threads[threadId] = await fs.readJson(filePath);
+      return this.threads[threadId];
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בטעינת שרשור ${threadId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * הוספת הודעות לשרשור ושמירתו
+   * @param {string} threadId - מזהה השרשור
+   * @param {Array<Object>} messages - הודעות בצורת { role, content }
+   * @returns {Promise<Object>} - השרשור המעודכן
+   */
+  async appendMessages(threadId, messages) {
+    const thread = await this.getThread(threadId);
+
+    if (!thread) {
+      throw new Error(`שרשור ${threadId} לא קיים`);
+    }
+
+    const timestamp = new Date().toISOString();
+
+    thread.messages.push(...messages.map(message => ({ ...message, timestamp })));
+    thread.updatedAt = timestamp;
+
+    await this._saveThread(thread);
+
+    return thread;
+  }
+
+  /**
+   * רשימת שרשורים, עם סינון לפי סוכן ומפגש
+   * @param {Object} filter - סינון
+   * @param {string} filter.agentName - שם הסוכן
+   * @param {string} filter.sessionId - מזהה המפגש
+   * @returns {Promise<Array>} - תקצירי השרשורים (ללא תוכן ההודעות)
+   */
+  async listThreads(filter = {}) {
+    const files = (await fs.readdir(this.threadsDir)).filter(file => file.endsWith('.json'));
+    const threads = [];
+
+    for (const file of files) {
+      const thread = await this.getThread(path.basename(file, '.json'));
+      if (!thread) continue;
+      if (filter.agentName && thread.agentName !== filter.agentName) continue;
+      if (filter.sessionId && thread.sessionId !== filter.sessionId) continue;
+
+      threads.push({
+        id: thread.id,
+        agentName: thread.agentName,
+        sessionId: thread.sessionId,
+        topic: thread.topic,
+        messageCount: thread.messages.length,
+        createdAt: thread.createdAt,
+        updatedAt: thread.updatedAt
+      });
+    }
+
+    return threads.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * מחיקת שרשור
+   * @param {string} threadId - מזהה השרשור
+   * @returns {Promise<boolean>} - האם השרשור נמחק
+   */
+  async deleteThread(threadId) {
+    const filePath = this._getThreadPath(threadId);
+    delete this.threads[threadId];
+
+    if (!await fs.pathExists(filePath)) {
+      return false;
+    }
+
+    await fs.remove(filePath);
+    return true;
+  }
+
+  /**
+   * מזהה שרשור יציב לפי סוכן, מפגש ונושא
+   * @private
+   */
+  _getThreadId(agentName, sessionId, topic) {
+    const hash = crypto.createHash('sha1')
+      .update(`${sessionId || ''}:${topic}`)
+      .digest('hex')
+      .slice(0, 16);
+
+    return `${agentName}_${hash}`;
+  }
+
+  /**
+   * נתיב קובץ השרשור (מזהה לא תקין נדחה כדי למנוע גישה מחוץ לתיקייה)
+   * @private
+   */
+  _getThreadPath(threadId) {
+    if (!/^[\w-]+$/.test(threadId)) {
+      throw new Error(`מזהה שרשור לא תקין: ${threadId}`);
+    }
+
+    return path.join(this.threadsDir, `${threadId}.json`);
+  }
+
+  /**
+   * שמירת שרשור לדיסק
+   * @private
+   */
+  async _saveThread(thread) {
+    await fs.writeJson(this._getThreadPath(thread.id), thread, { spaces: 2 });
+  }
+}
+
+module.exports = new ConversationManager();
@@ -0,0 +1,111 @@
+/**
+ * שגיאות מוגדרות של המערכת, כדי שהקוראים יוכלו להבחין בין סוגי כישלונות (instanceof / code)
+ */
+
+/**
+ * נזרקת כאשר שאילתת AI נחסמת כי סוכן או פרויקט חרגו מתקציב השימוש שלהם
+ */
+class BudgetExceededError extends Error {
+  /**
+   * @param {string} message - הודעת השגיאה
+   * @param {Object} budget - פרטי התקציב שנחרג (scope, name, period, limit, used)
+   */
+  constructor(message, budget = {}) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.code = 'BUDGET_EXCEEDED';
+    this.budget = budget;
+  }
+}
+
+/**
+ * נזרקת במצב השמעה כשאין בקלטת תשובה לבקשה - בדרך כלל סימן שהפרומפט השתנה
+ */
+class CassetteMissError extends Error {
+  /**
+   * @param {string} message - הודעת השגיאה
+   * @param {Object} details - פרטי הבקשה שלא נמצאה (cassette, key, prompt)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CassetteMissError';
+    this.code = 'CASSETTE_MISS';
+    this.details = details;
+  }
+}
+
+/**
+ * נזרקת כשתשובת ה-AI לא עמדה בסכמת ה-JSON גם אחרי כל ניסיונות התיקון
+ */
+class StructuredOutputError extends Error {
+  /**
+   * @param {string} message - הודעת השגיאה
+   * @param {Object} details - שגיאות האימות האחרונות והתשובה הגולמית (errors, rawResponse, attempts)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = 'STRUCTURED_OUTPUT_INVALID';
+    this.details = details;
+  }
+}
+
+/**
+ * נזרקת כשלולאת הפעלת הכלים הגיעה למגבלת הצעדים בלי שהמודל החזיר תשובה סופית
+ */
+class ToolStepLimitError extends Error {
+  /**
+   * @param {string} message - הודעת השגיאה
+   * @param {Array<Object>} trace - מעקב הצעדים שבוצעו
+   */
+  constructor(message, trace = []) {
+    super(message);
+    this.name = 'ToolStepLimitError';
+    this.code = 'TOOL_STEP_LIMIT';
+    this.trace = trace;
+  }
+}
+
+/**
+ * נזרקת כשמשימה בוטלה (למשל דרך /agent-manager/task/:taskId/cancel או בכיבוי הסוכן)
+ * באמצע שאילתת AI או לפני כתיבת קבצים
+ */
+class TaskCancelledError extends Error {
+  /**
+   * @param {string} message - הודעת השגיאה
+   * @param {string} taskId - מזהה המשימה שבוטלה
+   */
+  constructor(message, taskId = null) {
+    super(message);
+    this.name = 'TaskCancelledError';
+    this.code = 'TASK_CANCELLED';
+    this.taskId = taskId;
+  }
+}
+
+/**
+ * נזרקת כשמשימה חרגה מזמן הריצה שלה ומנהל הסוכנים עצר אותה. יורשת מ-TaskCancelledError,
+ * כך שהיא עוצרת שאילתות AI וכתיבת קבצים כמו ביטול, אבל המשימה נחשבת כנכשלת וניתנת לניסיון חוזר
+ */
+class TaskTimeoutError extends TaskCancelledError {
+  /**
+   * @param {string} message - הודעת השגיאה
+   * @param {string} taskId - מזהה המשימה
+   * @param {number} timeoutMs - זמן הריצה המקסימלי שנקבע למשימה
+   */
+  constructor(message, taskId = null, timeoutMs = null) {
+    super(message, taskId);
+    this.name = 'TaskTimeoutError';
+    this.code = 'TASK_TIMEOUT';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+module.exports = {
+  BudgetExceededError,
+  CassetteMissError,
+  StructuredOutputError,
+  ToolStepLimitError,
+  TaskCancelledError,
+  TaskTimeoutError
+};
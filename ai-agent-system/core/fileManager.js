@@ -1,6 +1,8 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { logger } = require('./logger');
+const taskContext = require('./taskContext');
+const messageBus = require('./messageBus');
 
 /**
  * מנהל קבצים שמאפשר קריאה וכתיבה בטוחה של קבצים
@@ -58,12 +60,18 @@ class FileManager {
   async writeFile(relativePath, content) {
     try {
       const fullPath = this._normalizePath(relativePath);
+      
+      // משימה שבוטלה לא כותבת קבצים
+      taskContext.throwIfCancelled();
+      
       logger.info(`כותב לקובץ: ${relativePath}`);
       
       // וודא שתיקיית האב קיימת
       await fs.ensureDir(path.dirname(fullPath));
       
       await fs.writeFile(fullPath, content);
+      
+      messageBus.publish('file.written', { path: relativePath, size: Buffer.byteLength(content) });
     } catch (error) {
       logger.error(`שגיאה בכתיבה לקובץ ${relativePath}: ${error.message}`);
       throw error;
@@ -124,6 +132,9 @@ class FileManager {
   async deleteFile(relativePath) {
     try {
       const fullPath = this._normalizePath(relativePath);
+      
+      taskContext.throwIfCancelled();
+      
       logger.info(`מוחק קובץ: ${relativePath}`);
       
       await fs.remove(fullPath);
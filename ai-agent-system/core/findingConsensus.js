@@ -0,0 +1,165 @@
+const { logger } = require('./logger');
+const { TaskCancelledError, BudgetExceededError } = require('./errors');
+
+/**
+ * הסכמה בין מודלים - אותה סקירה או ניתוח רצים על כמה מודלים, והממצאים מאוחדים:
+ * ממצאים על אותן שורות עם תיאור דומה נחשבים לאותו ממצא, ולכל ממצא ציון הסכמה -
+ * החלק היחסי של המודלים שדיווחו עליו
+ */
+class FindingConsensus {
+  constructor() {
+    this.logPrefix = '[consensus]';
+  }
+
+  /**
+   * הרצת אותה פעולה על כל המודלים במקביל. מודל שנכשל לא מפיל את ההרצה,
+   * אבל ביטול משימה או חריגה מתקציב נזרקים הלאה
+   * @param {Array<Object>} models - מודלים בצורת { provider, model }
+   * @param {Function} fn - פונקציה אסינכרונית שמקבלת { provider, model } ומחזירה תוצאה
+   * @returns {Promise<Object>} - { runs: [{ provider, model, result }], failed: [{ provider, model, error }] }
+   * @throws {Error} - אם כל המודלים נכשלו (השגיאה של המודל הראשון)
+   */
+  async run(models, fn) {
+    const settled = await Promise.allSettled(models.map(target => fn(target)));
+    const runs = [];
+    const failed = [];
+
+    for (const [index, outcome] of settled.entries()) {
+      const { provider, model } = models[index];
+
+      if (outcome.status === 'fulfilled') {
+        runs.push({ provider, model, result: outcome.value });
+        continue;
+      }
+
+      if (outcome.reason instanceof TaskCancelledError || outcome.reason instanceof BudgetExceededError) {
+        throw outcome.reason;
+      }
+
+      logger.warn(`${this.logPrefix} ${provider}/${model} נכשל ולא ייכלל בהסכמה: ${outcome.reason.message}`);
+      failed.push({ provider, model, error: outcome.reason.message });
+    }
+
+    if (runs.length === 0) {
+      throw settled[0].reason;
+    }
+
+    return { runs, failed };
+  }
+
+  /**
+   * איחוד ממצאים של כמה מודלים. שני ממצאים מאוחדים כשהשורות שלהם קרובות (או שלאחד
+   * מהם אין שורות) ודמיון התיאורים עובר את הסף; מכל מודל נספר ממצא אחד לכל היותר
+   * @param {Array<Object>} runs - תוצאות בצורת { provider, model, issues }
+   * @param {Object} options - אפשרויות האיחוד
+   * @param {number} options.similarityThreshold - סף דמיון התיאורים (0-1)
+   * @param {number} options.lineTolerance - מרחק שורות מקסימלי שנחשב לאותו מקום
+   * @param {Array<string>} options.severityOrder - רמות החומרה מהנמוכה לגבוהה
+   * @returns {Array<Object>} - הממצאים, כל אחד עם agreement (0-1) ו-reportedBy, מהמוסכם ביותר
+   */
+  mergeFindings(runs, options = {}) {
+    const similarityThreshold = options.similarityThreshold ?? 0.35;
+    const lineTolerance = options.lineTolerance ?? 3;
+    const severityOrder = options.severityOrder || ['low', 'medium', 'high'];
+    const clusters = [];
+
+    for (const { provider, model, issues } of runs) {
+      const modelId = `${provider}/${model}`;
+
+      for (const issue of issues) {
+        const words = this._getWords(issue.description);
+        let best = null;
+        let bestSimilarity = similarityThreshold;
+
+        for (const cluster of clusters) {
+          if (cluster.reportedBy.includes(modelId) || !this._linesMatch(cluster.lines, issue.lines, lineTolerance)) {
+            continue;
+          }
+
+          const similarity = this._similarity(cluster.words, words);
+          if (similarity >= bestSimilarity) {
+            best = cluster;
+            bestSimilarity = similarity;
+          }
+        }
+
+        if (best) {
+          best.members.push(issue);
+          best.reportedBy.push(modelId);
+          best.lines = [...new Set([...best.lines, ...(issue.lines || [])])].sort((a, b) => a - b);
+        } else {
+          clusters.push({ members: [issue], reportedBy: [modelId], words, lines: [...(issue.lines || [])] });
+        }
+      }
+    }
+
+    return clusters
+      .map(cluster => ({
+        ...cluster.members[0],
+        lines: cluster.lines,
+        severity: this._voteSeverity(cluster.members, severityOrder),
+        agreement: Math.round((cluster.reportedBy.length / runs.length) * 100) / 100,
+        reportedBy: cluster.reportedBy
+      }))
+      .sort((a, b) => b.agreement - a.agreement || (a.lines[0] || 0) - (b.lines[0] || 0));
+  }
+
+  /**
+   * החומרה הנפוצה ביותר בין המודלים, ובתיקו - הגבוהה מביניהן
+   * @private
+   */
+  _voteSeverity(members, severityOrder) {
+    const votes = {};
+
+    for (const { severity } of members) {
+      votes[severity] = (votes[severity] || 0) + 1;
+    }
+
+    return Object.keys(votes).sort((a, b) => (
+      votes[b] - votes[a] || severityOrder.indexOf(b) - severityOrder.indexOf(a)
+    ))[0];
+  }
+
+  /**
+   * האם שתי קבוצות שורות מתייחסות לאותו מקום (קבוצה ריקה מתאימה לכל מקום)
+   * @private
+   */
+  _linesMatch(linesA, linesB, tolerance) {
+    if (!linesA?.length || !linesB?.length) {
+      return true;
+    }
+
+    return linesA.some(a => linesB.some(b => Math.abs(a - b) <= tolerance));
+  }
+
+  /**
+   * דמיון תיאורים (מקדם Dice על קבוצות המילים)
+   * @private
+   */
+  _similarity(wordsA, wordsB) {
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+
+    let shared = 0;
+    for (const word of wordsA) {
+      if (wordsB.has(word)) shared++;
+    }
+
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  }
+
+  /**
+   * @private
+   */
+  _getWords(text) {
+    return new Set(
+      (text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}_]+/u)
+        .filter(word => word.length > 1)
+    );
+  }
+}
+
+module.exports = new FindingConsensus();
@@ -156,6 +156,31 @@ class MemoryManager {
     }
   }
   
+  /**
+   * תיעוד פעולה של סוכן שלא עובד במפגשים (למשל סוכני רקע), במפגש יומי של הסוכן.
+   * שגיאות שמירה נרשמות ביומן ולא נזרקות, כדי שתיעוד לא יפיל את הפעולה עצמה
+   * @param {string} agentName - שם הסוכן
+   * @param {string} description - תיאור הפעולה
+   * @param {boolean} success - האם הפעולה הצליחה
+   * @param {Object} details - פרטים נוספים; prompts - גרסאות תבניות הפרומפטים שיצרו את הפעולה
+   * @returns {Promise<boolean>} - האם השמירה הצליחה
+   */
+  async logAction(agentName, description, success = true, details = {}) {
+    const { prompts, ...parameters } = details;
+    
+    try {
+      return await this.saveAction(agentName, `log_${new Date().toISOString().slice(0, 10)}`, {
+        type: 'log',
+        description,
+        parameters,
+        result: { success },
+        ...(prompts?.length > 0 && { prompts })
+      });
+    } catch (error) {
+      return false;
+    }
+  }
+  
   /**
    * סיום מפגש בזיכרון
    * @param {string} agentName - שם הסוכן
@@ -400,6 +425,57 @@ class MemoryManager {
     }
   }
   
+  /**
+   * השוואת גרסאות של תבנית פרומפט לפי הפעולות שתועדו איתן בזיכרון כל הסוכנים
+   * @param {string} templateName - שם התבנית (למשל qa/analyze)
+   * @returns {Promise<Array>} - לכל גרסה ושפה: מספר פעולות, הצלחות, שיעור הצלחה ותאריכי שימוש
+   */
+  async getPromptUsage(templateName) {
+    const usage = {};
+    const files = (await fs.readdir(this.memoryDir)).filter(file => file.endsWith('.json'));
+    
+    for (const file of files) {
+      const agentName = path.basename(file, '.json');
+      let memory;
+      
+      try {
+        memory = this.cache[agentName] || await fs.readJson(path.join(this.memoryDir, file));
+      } catch (error) {
+        logger.warn(`${this.logPrefix} מדלג על קובץ זיכרון ${file}: ${error.message}`);
+        continue;
+      }
+      
+      for (const session of Object.values(memory.sessions || {})) {
+        for (const action of session.actions || []) {
+          for (const ref of action.prompts || []) {
+            if (ref.name !== templateName) continue;
+            
+            const key = `${ref.version}/${ref.language}`;
+            const entry = usage[key] || (usage[key] = {
+              version: ref.version,
+              language: ref.language,
+              actions: 0,
+              successes: 0,
+              agents: [],
+              firstUsed: action.timestamp,
+              lastUsed: action.timestamp
+            });
+            
+            entry.actions++;
+            if (action.result?.success) entry.successes++;
+            if (!entry.agents.includes(agentName)) entry.agents.push(agentName);
+            if (action.timestamp < entry.firstUsed) entry.firstUsed = action.timestamp;
+            if (action.timestamp > entry.lastUsed) entry.lastUsed = action.timestamp;
+          }
+        }
+      }
+    }
+    
+    return Object.values(usage)
+      .map(entry => ({ ...entry, successRate: entry.successes / entry.actions }))
+      .sort((a, b) => a.version - b.version || a.language.localeCompare(b.language));
+  }
+  
   /**
    * קבלת נתוני זיכרון עבור סוכן ספציפי לתצוגה ב-API
    * @param {string} agentName - שם הסוכן
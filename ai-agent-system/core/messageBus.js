@@ -0,0 +1,510 @@
+const { EventEmitter } = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { default: Ajv } = require('ajv');
+const { logger } = require('./logger');
+const taskContext = require('./taskContext');
+
+// נושאים מובנים וסכמות ה-payload שלהם
+const BUILTIN_TOPICS = {
+  'file.written': {
+    description: 'קובץ נכתב בתיקיית העבודה',
+    schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        size: { type: 'integer', minimum: 0 }
+      },
+      required: ['path']
+    }
+  },
+  'qa.finding': {
+    description: 'ממצא של סוכן ה-QA בקובץ',
+    schema: {
+      type: 'object',
+      properties: {
+        file: { type: 'string' },
+        severity: { type: 'string' },
+        description: { type: 'string' },
+        lines: { type: 'array', items: { type: 'integer' } },
+        solution: { type: 'string' }
+      },
+      required: ['file', 'severity', 'description']
+    }
+  },
+  'git.conflict': {
+    description: 'קונפליקט מיזוג בסנכרון Git',
+    schema: {
+      type: 'object',
+      properties: {
+        repositoryPath: { type: ['string', 'null'] },
+        conflictingFiles: { type: 'array', items: { type: 'string' } },
+        errorMessage: { type: 'string' }
+      },
+      required: ['conflictingFiles']
+    }
+  },
+  'task.completed': {
+    description: 'משימה במנהל הסוכנים הושלמה בהצלחה',
+    schema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string' },
+        agentName: { type: 'string' },
+        actionType: { type: 'string' },
+        workflowId: { type: ['string', 'null'] },
+        durationMs: { type: ['integer', 'null'] }
+      },
+      required: ['taskId', 'agentName', 'actionType']
+    }
+  }
+};
+
+// כמה הודעות אחרונות נשמרות לצפייה בזרם
+const RECENT_MESSAGES_SIZE = 200;
+
+// כמה הודעות לכל היותר ממתינות לסוכן (הישנות ביותר נמחקות)
+const MAX_INBOX_SIZE = 500;
+
+// אחרי כמה ניסיונות מסירה כושלים הודעה נשארת בתיבה בלי ניסיונות נוספים
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+// תבנית נושא: אותיות, ספרות, קו תחתון, מקף, נקודה ו-* בלבד
+const PATTERN_REGEX = /^[\w.*-]+$/;
+
+// מתודות שמותר למסור להן הודעות: on* או handle* (למשל onMessage, handleGitConflict).
+// ההרשמה מגיעה גם מה-API, ולכן אסור שתפעיל מתודה כלשהי של הסוכן (stop, מתודות פרטיות וכו')
+const HANDLER_PATTERN = /^(on|handle)[A-Z]\w*$/;
+
+/**
+ * ערוץ הודעות בין סוכנים - סוכן מפרסם הודעה בנושא (למשל file.written) וכל מי שנרשם לנושא מקבל אותה,
+ * בלי שהסוכנים יכירו זה את זה. לכל נושא סכמה, והודעה שאינה עומדת בה נדחית.
+ * הרשמות של סוכנים נשמרות בדיסק (memory/bus/<agent>.json) יחד עם תיבת ההודעות שטרם טופלו,
+ * כך שהודעות שפורסמו כשהסוכן לא היה רשום נמסרות לו כשהוא נרשם במנהל הסוכנים.
+ * ההודעות נפלטות גם כאירועים ('message' ושם הנושא) לצפייה בזרם
+ */
+class MessageBus extends EventEmitter {
+  constructor() {
+    super();
+
+    this.logPrefix = '[message_bus]';
+    this.busDir = path.join(process.cwd(), 'memory', 'bus');
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+
+    this.topics = {}; // נושאים מוגדרים: { description, schema, validate }
+    this.agents = {}; // הרשמות ותיבות הודעות לפי סוכן: { subscriptions, inbox }
+    this.consumers = {}; // מופעי סוכנים רשומים שמקבלים הודעות
+    this.delivering = {}; // סוכנים שמסירה אליהם מתבצעת כעת
+    this.recentMessages = [];
+
+    for (const [topic, { description, schema }] of Object.entries(BUILTIN_TOPICS)) {
+      this.defineTopic(topic, schema, description);
+    }
+
+    fs.ensureDirSync(this.busDir);
+    this._loadSubscriptions();
+  }
+
+  /**
+   * הגדרת נושא חדש (או החלפת הסכמה של נושא קיים)
+   * @param {string} topic - שם הנושא (אותיות, ספרות, מקף וקו תחתון, מופרדים בנקודות)
+   * @param {Object} schema - סכמת JSON של ה-payload
+   * @param {string} description - תיאור הנושא
+   */
+  defineTopic(topic, schema = {}, description = '') {
+    if (!/^[\w-]+(\.[\w-]+)*$/.test(topic || '')) {
+      throw new Error(`שם נושא לא תקין: ${topic}`);
+    }
+
+    this.topics[topic] = { description, schema, validate: this.ajv.compile(schema) };
+  }
+
+  /**
+   * רשימת הנושאים המוגדרים
+   * @returns {Array<Object>} - { topic, description, schema }
+   */
+  getTopics() {
+    return Object.entries(this.topics).map(([topic, { description, schema }]) => ({ topic, description, schema }));
+  }
+
+  /**
+   * פרסום הודעה בנושא
+   * @param {string} topic - שם הנושא
+   * @param {Object} payload - תוכן ההודעה (לפי סכמת הנושא)
+   * @param {Object} options - אפשרויות הפרסום
+   * @param {string} options.source - המפרסם (ברירת מחדל: הסוכן של המשימה הנוכחית, או system)
+   * @returns {Object} - ההודעה: { id, topic, payload, source, taskId, timestamp }
+   * @throws {Error} - אם הנושא אינו מוגדר או שה-payload אינו עומד בסכמה
+   */
+  publish(topic, payload = {}, options = {}) {
+    const definition = this.topics[topic];
+
+    if (!definition) {
+      throw new Error(`נושא לא מוגדר: ${topic}`);
+    }
+
+    if (!definition.validate(payload)) {
+      const details = definition.validate.errors
+        .map(error => `${error.instancePath || '/'} ${error.message}`)
+        .join('; ');
+      throw new Error(`הודעה לא תקינה בנושא ${topic}: ${details}`);
+    }
+
+    const context = taskContext.get();
+    const message = {
+      id: uuidv4(),
+      topic,
+      payload,
+      source: options.source || context?.agentName || 'system',
+      taskId: context?.taskId || null,
+      timestamp: new Date().toISOString()
+    };
+
+    this.recentMessages.push(message);
+    if (this.recentMessages.length > RECENT_MESSAGES_SIZE) {
+      this.recentMessages.shift();
+    }
+
+    this.emit('message', message);
+    this.emit(topic, message);
+
+    this._dispatch(message);
+
+    return message;
+  }
+
+  /**
+   * הרשמה קבועה של סוכן לנושא. ההרשמה נשמרת בדיסק, והודעות מתאימות נמסרות למתודה
+   * handler של הסוכן כשהוא רשום במנהל הסוכנים (או נשמרות בתיבה עד שיירשם)
+   * @param {string} agentName - שם הסוכן
+   * @param {string} pattern - נושא או תבנית עם * (למשל file.* או *)
+   * @param {string} handler - שם המתודה שמקבלת את ההודעה, on* או handle* (ברירת מחדל: onMessage)
+   * @returns {Object} - ההרשמה: { id, pattern, handler, createdAt }
+   * @throws {Error} - אם שם המתודה אינו מותר, או שלסוכן המחובר אין מתודה כזו
+   */
+  subscribe(agentName, pattern, handler = 'onMessage') {
+    if (!agentName || !pattern) {
+      throw new Error('נדרשים שם סוכן ותבנית נושא');
+    }
+
+    if (!/^[\w-]+$/.test(agentName)) {
+      throw new Error(`שם סוכן לא תקין: ${agentName}`);
+    }
+
+    this.validatePattern(pattern);
+
+    if (!HANDLER_PATTERN.test(handler || '')) {
+      throw new Error(`מתודת טיפול לא מותרת: ${handler} (נדרש שם שמתחיל ב-on או handle)`);
+    }
+
+    // סוכן שעדיין לא נטען נבדק במסירה; סוכן מחובר חייב לממש את המתודה כבר עכשיו
+    const instance = this.consumers[agentName];
+    if (instance && typeof instance[handler] !== 'function') {
+      throw new Error(`לסוכן ${agentName} אין מתודה ${handler}`);
+    }
+
+    const agent = this._getAgent(agentName);
+    const existing = agent.subscriptions.find(sub => sub.pattern === pattern && sub.handler === handler);
+
+    if (existing) {
+      return { ...existing };
+    }
+
+    const subscription = { id: uuidv4(), pattern, handler, createdAt: new Date().toISOString() };
+    agent.subscriptions.push(subscription);
+    this._saveAgent(agentName);
+
+    logger.info(`${this.logPrefix} סוכן ${agentName} נרשם לנושא ${pattern} (${handler})`);
+
+    return { ...subscription };
+  }
+
+  /**
+   * ביטול הרשמה של סוכן
+   * @param {string} agentName - שם הסוכן
+   * @param {string} subscriptionId - מזהה ההרשמה (ללא מזהה - כל ההרשמות של הסוכן ותיבת ההודעות שלו)
+   * @returns {boolean} - האם נמצאה הרשמה לביטול
+   */
+  unsubscribe(agentName, subscriptionId = null) {
+    const agent = this.agents[agentName];
+
+    if (!agent) {
+      return false;
+    }
+
+    if (!subscriptionId) {
+      delete this.agents[agentName];
+      fs.removeSync(this._getAgentFile(agentName));
+      logger.info(`${this.logPrefix} כל ההרשמות של סוכן ${agentName} בוטלו`);
+      return true;
+    }
+
+    const before = agent.subscriptions.length;
+    agent.subscriptions = agent.subscriptions.filter(sub => sub.id !== subscriptionId);
+
+    if (agent.subscriptions.length === before) {
+      return false;
+    }
+
+    agent.inbox = agent.inbox.filter(entry => entry.subscriptionId !== subscriptionId);
+    this._saveAgent(agentName);
+
+    return true;
+  }
+
+  /**
+   * ההרשמות של כל הסוכנים ומצב תיבות ההודעות שלהם
+   * @returns {Array<Object>} - { agentName, connected, subscriptions, pending, failed }
+   */
+  getSubscriptions() {
+    return Object.entries(this.agents).map(([agentName, agent]) => ({
+      agentName,
+      connected: !!this.consumers[agentName],
+      subscriptions: agent.subscriptions.map(sub => ({ ...sub })),
+      pending: agent.inbox.filter(entry => entry.attempts < MAX_DELIVERY_ATTEMPTS).length,
+      failed: agent.inbox
+        .filter(entry => entry.attempts >= MAX_DELIVERY_ATTEMPTS)
+        .map(entry => ({ message: entry.message, attempts: entry.attempts, lastError: entry.lastError }))
+    }));
+  }
+
+  /**
+   * חיבור מופע של סוכן לקבלת הודעות - הודעות שממתינות בתיבה נמסרות מיד
+   * (נקרא על ידי מנהל הסוכנים ברישום סוכן)
+   * @param {string} agentName - שם הסוכן
+   * @param {Object} instance - מופע הסוכן
+   */
+  attach(agentName, instance) {
+    this.consumers[agentName] = instance;
+
+    const agent = this.agents[agentName];
+    if (agent) {
+      // הודעות שנכשלו בעבר מקבלות הזדמנות נוספת עם החיבור מחדש
+      for (const entry of agent.inbox) {
+        entry.attempts = 0;
+      }
+
+      this._deliver(agentName);
+    }
+  }
+
+  /**
+   * ניתוק סוכן - הודעות חדשות נשמרות בתיבה שלו עד לחיבור הבא
+   * @param {string} agentName - שם הסוכן
+   */
+  detach(agentName) {
+    delete this.consumers[agentName];
+  }
+
+  /**
+   * ההודעות האחרונות שפורסמו, מהחדשה לישנה
+   * @param {Object} options - סינון
+   * @param {string} options.topic - נושא או תבנית עם *
+   * @param {number} options.limit - מספר הודעות מקסימלי (ברירת מחדל: 50)
+   * @returns {Array<Object>} - ההודעות
+   * @throws {Error} - אם תבנית הנושא אינה תקינה
+   */
+  getRecentMessages(options = {}) {
+    const limit = options.limit || 50;
+
+    if (options.topic) {
+      this.validatePattern(options.topic);
+    }
+
+    return this.recentMessages
+      .filter(message => !options.topic || this.matches(options.topic, message.topic))
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * האם תבנית נושא תקינה (אותיות, ספרות, קו תחתון, מקף, נקודה ו-*)
+   * @param {string} pattern - התבנית
+   * @returns {boolean}
+   */
+  isValidPattern(pattern) {
+    return typeof pattern === 'string' && PATTERN_REGEX.test(pattern);
+  }
+
+  /**
+   * בדיקת תבנית נושא שמגיעה מבחוץ (API, socket), לפני שהיא נשמרת או משמשת להתאמה
+   * @param {string} pattern - התבנית
+   * @throws {Error} - אם התבנית אינה תקינה
+   */
+  validatePattern(pattern) {
+    if (!this.isValidPattern(pattern)) {
+      throw new Error(`תבנית נושא לא תקינה: ${pattern}`);
+    }
+  }
+
+  /**
+   * האם נושא מתאים לתבנית (* מתאים לכל רצף תווים, כולל נקודות).
+   * תבנית לא תקינה (למשל הרשמה שנערכה ידנית בדיסק) לא מתאימה לאף נושא, כדי שלא תכשיל את הפרסום
+   * @param {string} pattern - התבנית
+   * @param {string} topic - הנושא
+   * @returns {boolean}
+   */
+  matches(pattern, topic) {
+    if (!this.isValidPattern(pattern)) {
+      return false;
+    }
+
+    // התאמה בלי ביטוי רגולרי: בכישלון חוזרים רק לכוכבית האחרונה, כך שזמן ההתאמה
+    // חסום במכפלת האורכים גם לתבניות עם כוכביות רבות
+    let p = 0;
+    let t = 0;
+    let star = -1;
+    let resume = 0;
+
+    while (t < topic.length) {
+      if (pattern[p] === '*') {
+        star = p++;
+        resume = t;
+      } else if (p < pattern.length && pattern[p] === topic[t]) {
+        p++;
+        t++;
+      } else if (star !== -1) {
+        p = star + 1;
+        t = ++resume;
+      } else {
+        return false;
+      }
+    }
+
+    while (pattern[p] === '*') {
+      p++;
+    }
+
+    return p === pattern.length;
+  }
+
+  /**
+   * הוספת ההודעה לתיבות של הסוכנים שנרשמו לנושא שלה
+   * @private
+   */
+  _dispatch(message) {
+    for (const [agentName, agent] of Object.entries(this.agents)) {
+      const matching = agent.subscriptions.filter(sub => this.matches(sub.pattern, message.topic));
+
+      if (matching.length === 0) {
+        continue;
+      }
+
+      for (const sub of matching) {
+        agent.inbox.push({ message, subscriptionId: sub.id, handler: sub.handler, attempts: 0, lastError: null });
+      }
+
+      if (agent.inbox.length > MAX_INBOX_SIZE) {
+        const dropped = agent.inbox.splice(0, agent.inbox.length - MAX_INBOX_SIZE);
+        logger.warn(`${this.logPrefix} תיבת ההודעות של ${agentName} מלאה, ${dropped.length} הודעות ישנות נמחקו`);
+      }
+
+      this._saveAgent(agentName);
+      this._deliver(agentName);
+    }
+  }
+
+  /**
+   * מסירת ההודעות שבתיבה לסוכן מחובר, אחת אחרי השנייה. הודעה נמחקת מהתיבה רק אחרי
+   * שהמתודה של הסוכן הסתיימה בהצלחה
+   * @private
+   */
+  async _deliver(agentName) {
+    if (this.delivering[agentName]) {
+      return;
+    }
+
+    this.delivering[agentName] = true;
+
+    try {
+      let entry;
+
+      while (this.consumers[agentName] && (entry = this._nextEntry(agentName))) {
+        const instance = this.consumers[agentName];
+        const agent = this.agents[agentName];
+
+        try {
+          // הרשמות שנשמרו בדיסק נבדקות שוב, למקרה שנערכו ידנית
+          if (!HANDLER_PATTERN.test(entry.handler) || typeof instance[entry.handler] !== 'function') {
+            throw new Error(`לסוכן ${agentName} אין מתודת טיפול ${entry.handler}`);
+          }
+
+          await instance[entry.handler](entry.message);
+
+          agent.inbox = agent.inbox.filter(item => item !== entry);
+        } catch (error) {
+          entry.attempts++;
+          entry.lastError = error.message;
+          logger.error(`${this.logPrefix} שגיאה במסירת הודעה ${entry.message.topic} לסוכן ${agentName} (ניסיון ${entry.attempts}): ${error.message}`);
+        }
+
+        this._saveAgent(agentName);
+      }
+    } finally {
+      delete this.delivering[agentName];
+    }
+  }
+
+  /**
+   * @private
+   */
+  _nextEntry(agentName) {
+    return this.agents[agentName]?.inbox.find(entry => entry.attempts < MAX_DELIVERY_ATTEMPTS);
+  }
+
+  /**
+   * @private
+   */
+  _getAgent(agentName) {
+    if (!this.agents[agentName]) {
+      this.agents[agentName] = { subscriptions: [], inbox: [] };
+    }
+
+    return this.agents[agentName];
+  }
+
+  /**
+   * @private
+   */
+  _getAgentFile(agentName) {
+    return path.join(this.busDir, `${agentName}.json`);
+  }
+
+  /**
+   * שמירת ההרשמות ותיבת ההודעות של סוכן. הכתיבה סינכרונית, כך שהודעה שפורסמה שמורה לפני שהפרסום חוזר
+   * @private
+   */
+  _saveAgent(agentName) {
+    const agent = this.agents[agentName];
+
+    if (!agent) {
+      return;
+    }
+
+    try {
+      const tempPath = `${this._getAgentFile(agentName)}.tmp`;
+      fs.writeJsonSync(tempPath, agent, { spaces: 2 });
+      fs.renameSync(tempPath, this._getAgentFile(agentName));
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בשמירת ההרשמות של ${agentName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * טעינת ההרשמות ותיבות ההודעות מהדיסק
+   * @private
+   */
+  _loadSubscriptions() {
+    for (const file of fs.readdirSync(this.busDir).filter(name => name.endsWith('.json'))) {
+      try {
+        const { subscriptions = [], inbox = [] } = fs.readJsonSync(path.join(this.busDir, file));
+        this.agents[path.basename(file, '.json')] = { subscriptions, inbox };
+      } catch (error) {
+        logger.error(`${this.logPrefix} שגיאה בטעינת ההרשמות מ-${file}: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = new MessageBus();
@@ -0,0 +1,282 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// פרמטרי שאילתה שמסלול יכול לקבוע (כמו באפשרויות של aiEngine.chat)
+const ROUTE_PARAMS = ['temperature', 'maxTokens', 'stop'];
+
+// ספקים שאינם מצהירים על מודלים ב-config/apiKeys.json ומקבלים כל מודל
+const UNDECLARED_PROVIDERS = ['mock'];
+
+// מרווח הבדיקה לשינויים בקובץ הניתוב
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ * ניתוב מודלים - לכל סוכן ולכל סוג משימה שלו (coding, review וכו') ספק, מודל ופרמטרים.
+ * הניתוב נטען מ-config/routing.json, נבדק מול המודלים שהוצהרו ב-config/apiKeys.json,
+ * נטען מחדש כשהקובץ משתנה וניתן לעריכה בזמן ריצה
+ */
+class ModelRouter {
+  constructor() {
+    this.logPrefix = '[model_router]';
+    this.routingPath = path.join(__dirname, '../config/routing.json');
+    this.apiKeysPath = path.join(__dirname, '../config/apiKeys.json');
+    this.declaredModels = this._loadDeclaredModels();
+    this.routing = { default: null, agents: {} };
+    this.loadedAt = null;
+    this.lastError = null;
+
+    this.reload();
+    this._watch();
+  }
+
+  /**
+   * בחירת המסלול לסוכן ולסוג משימה: מסלול סוג המשימה, אחריו ברירת המחדל של הסוכן,
+   * ואחריה ברירת המחדל הכללית
+   * @param {string} agentName - שם הסוכן
+   * @param {string} taskType - סוג המשימה (אופציונלי)
+   * @returns {Object|null} - { provider, model, params, source } או null אם אין מסלול מתאים
+   */
+  resolve(agentName, taskType) {
+    const agentRoutes = agentName ? this.routing.agents[agentName] : null;
+    const candidates = [
+      { route: taskType && agentRoutes?.tasks?.[taskType], source: `agents.${agentName}.tasks.${taskType}` },
+      { route: agentRoutes?.default, source: `agents.${agentName}.default` },
+      { route: this.routing.default, source: 'default' }
+    ];
+
+    const match = candidates.find(({ route }) => route);
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      provider: match.route.provider,
+      model: match.route.model,
+      params: { ...match.route.params },
+      source: match.source
+    };
+  }
+
+  /**
+   * מחזיר את הניתוב המלא ואת המודלים המוצהרים
+   * @returns {Object} - { routing, declaredModels, loadedAt, lastError }
+   */
+  getRouting() {
+    return {
+      routing: JSON.parse(JSON.stringify(this.routing)),
+      declaredModels: { ...this.declaredModels },
+      loadedAt: this.loadedAt,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * הגדרה או עדכון של מסלול. ללא סוג משימה - ברירת המחדל של הסוכן
+   * @param {string} agentName - שם הסוכן ('*' לברירת המחדל הכללית)
+   * @param {string} taskType - סוג המשימה (אופציונלי)
+   * @param {Object} route - { provider, model, params }
+   * @returns {Promise<Object>} - המסלול המעודכן
+   */
+  async setRoute(agentName, taskType, route) {
+    if (!agentName) {
+      throw new Error('נדרש שם סוכן למסלול');
+    }
+
+    const normalized = this._validateRoute(route, this._describe(agentName, taskType));
+    const routing = JSON.parse(JSON.stringify(this.routing));
+
+    if (agentName === '*') {
+      if (taskType) {
+        throw new Error('לברירת המחדל הכללית אין מסלולים לפי סוג משימה');
+      }
+
+      routing.default = normalized;
+    } else {
+      const agentRoutes = routing.agents[agentName] || (routing.agents[agentName] = {});
+
+      if (taskType) {
+        agentRoutes.tasks = { ...agentRoutes.tasks, [taskType]: normalized };
+      } else {
+        agentRoutes.default = normalized;
+      }
+    }
+
+    await this._save(routing);
+
+    logger.info(`${this.logPrefix} מסלול עודכן עבור ${this._describe(agentName, taskType)}: ${normalized.provider}/${normalized.model}`);
+
+    return normalized;
+  }
+
+  /**
+   * הסרת מסלול. ללא סוג משימה - כל המסלולים של הסוכן
+   * @param {string} agentName - שם הסוכן
+   * @param {string} taskType - סוג המשימה (אופציונלי)
+   * @returns {Promise<boolean>} - האם המסלול הוסר
+   */
+  async removeRoute(agentName, taskType) {
+    const routing = JSON.parse(JSON.stringify(this.routing));
+    const agentRoutes = routing.agents[agentName];
+
+    if (!agentRoutes || (taskType && !agentRoutes.tasks?.[taskType])) {
+      return false;
+    }
+
+    if (taskType) {
+      delete agentRoutes.tasks[taskType];
+    } else {
+      delete routing.agents[agentName];
+    }
+
+    await this._save(routing);
+
+    logger.info(`${this.logPrefix} מסלול הוסר עבור ${this._describe(agentName, taskType)}`);
+
+    return true;
+  }
+
+  /**
+   * טעינה מחדש של הניתוב מהקובץ. ניתוב לא תקין נדחה והניתוב הקודם נשאר בתוקף
+   * @returns {boolean} - האם הניתוב נטען
+   */
+  reload() {
+    try {
+      const routing = fs.existsSync(this.routingPath) ? fs.readJsonSync(this.routingPath) : {};
+
+      this.routing = this._validateRouting(routing);
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+
+      logger.info(`${this.logPrefix} ניתוב המודלים נטען (${Object.keys(this.routing.agents).length} סוכנים)`);
+
+      return true;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error(`${this.logPrefix} ניתוב המודלים לא נטען, הניתוב הקודם נשאר בתוקף: ${error.message}`);
+
+      return false;
+    }
+  }
+
+  /**
+   * בדיקת תקינות הניתוב כולו
+   * @param {Object} routing - הניתוב מהקובץ
+   * @returns {Object} - הניתוב המנורמל
+   * @private
+   */
+  _validateRouting(routing) {
+    const result = {
+      default: routing.default ? this._validateRoute(routing.default, 'default') : null,
+      agents: {}
+    };
+
+    for (const [agentName, agentRoutes] of Object.entries(routing.agents || {})) {
+      result.agents[agentName] = {};
+
+      if (agentRoutes.default) {
+        result.agents[agentName].default = this._validateRoute(agentRoutes.default, this._describe(agentName));
+      }
+
+      if (agentRoutes.tasks) {
+        result.agents[agentName].tasks = Object.fromEntries(
+          Object.entries(agentRoutes.tasks).map(([taskType, route]) => [
+            taskType,
+            this._validateRoute(route, this._describe(agentName, taskType))
+          ])
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * בדיקת מסלול בודד מול המודלים המוצהרים והפרמטרים הנתמכים
+   * @param {Object} route - { provider, model, params }
+   * @param {string} label - תיאור המסלול להודעות שגיאה
+   * @returns {Object} - המסלול המנורמל
+   * @private
+   */
+  _validateRoute(route, label) {
+    if (!route || !route.provider || !route.model) {
+      throw new Error(`מסלול ${label}: נדרשים provider ו-model`);
+    }
+
+    if (!UNDECLARED_PROVIDERS.includes(route.provider)) {
+      const models = this.declaredModels[route.provider];
+
+      if (!models) {
+        throw new Error(`מסלול ${label}: ספק לא מוכר ${route.provider} (מוכרים: ${Object.keys(this.declaredModels).join(', ')})`);
+      }
+
+      if (!models.includes(route.model)) {
+        throw new Error(`מסלול ${label}: המודל ${route.model} לא הוצהר עבור ${route.provider} ב-apiKeys.json (מוצהרים: ${models.join(', ')})`);
+      }
+    }
+
+    for (const param of Object.keys(route.params || {})) {
+      if (!ROUTE_PARAMS.includes(param)) {
+        throw new Error(`מסלול ${label}: פרמטר לא נתמך ${param} (נתמכים: ${ROUTE_PARAMS.join(', ')})`);
+      }
+    }
+
+    return {
+      provider: route.provider,
+      model: route.model,
+      ...(route.params && Object.keys(route.params).length > 0 && { params: { ...route.params } })
+    };
+  }
+
+  /**
+   * שמירת הניתוב לקובץ והחלתו
+   * @private
+   */
+  async _save(routing) {
+    await fs.writeJson(this.routingPath, routing, { spaces: 2 });
+
+    this.routing = routing;
+    this.loadedAt = new Date().toISOString();
+    this.lastError = null;
+  }
+
+  /**
+   * מעקב אחרי שינויים בקובץ הניתוב (גם כשעורך מחליף את הקובץ כולו)
+   * @private
+   */
+  _watch() {
+    fs.watchFile(this.routingPath, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.info(`${this.logPrefix} קובץ הניתוב השתנה, טוען מחדש`);
+        this.reload();
+      }
+    });
+  }
+
+  /**
+   * המודלים שהוצהרו לכל ספק ב-config/apiKeys.json
+   * @private
+   */
+  _loadDeclaredModels() {
+    try {
+      const apiKeys = fs.readJsonSync(this.apiKeysPath);
+
+      return Object.fromEntries(
+        Object.entries(apiKeys).map(([provider, settings]) => [provider, settings.models || []])
+      );
+    } catch (error) {
+      logger.warn(`${this.logPrefix} לא נטענו המודלים המוצהרים: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  _describe(agentName, taskType) {
+    return taskType ? `${agentName}/${taskType}` : agentName;
+  }
+}
+
+module.exports = new ModelRouter();
@@ -0,0 +1,448 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const cron = require('node-cron');
+const { logger } = require('./logger');
+const projectManager = require('./projectManager');
+const agentManager = require('./agentManager');
+
+// קבצי צינורות בתיקיית pipelines של כל פרויקט
+const PIPELINE_EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+// ביטוי בצורת {{ inputs.file }} או {{ steps.generate.result.filePath }}
+const EXPRESSION_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_EXPRESSION_PATTERN = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+const STEP_CONDITIONS = ['success', 'failure', 'always'];
+
+/**
+ * צינורות עבודה מוצהרים - קבצי YAML/JSON תחת projects/<project>/pipelines (למשל nightly.yml)
+ * שמתארים שלבים על הסוכנים הרשומים. כל הרצה הופכת לתהליך עבודה (DAG) במנהל הסוכנים.
+ *
+ * מבנה הקובץ:
+ *   name, description, schedule (ביטוי cron אופציונלי)
+ *   inputs:  { <name>: { required, default, description } }
+ *   steps:   [{ id, agent, action, params, dependsOn, when, maxRetries, timeoutMs }]
+ *   outputs: { <name>: '{{ steps.<id>.result.<field> }}' }
+ *
+ * שלב בלי dependsOn תלוי בשלב שלפניו (dependsOn: [] - רץ מיד), ושלב שמפנה לתוצאה של שלב
+ * אחר תלוי בו אוטומטית. when קובע אם השלב רץ כשהתלויות הצליחו (success), כשאחת מהן נכשלה
+ * (failure) או בכל מקרה (always)
+ */
+class PipelineManager {
+  constructor() {
+    this.logPrefix = '[pipeline_manager]';
+
+    // הרצות לפי מזהה תהליך העבודה: הצינור, הקלטים והגדרת הפלטים. כל הרצה נשמרת גם
+    // ב-memory/pipelines/runs, כך שאחרי הפעלה מחדש היא נטענת יחד עם תהליך העבודה שמשוחזר מיומן המשימות
+    this.runs = {};
+    this.runsDir = path.join(process.cwd(), 'memory', 'pipelines', 'runs');
+  }
+
+  /**
+   * רשימת הצינורות של פרויקט, כולל צינורות לא תקינים ושגיאת הטעינה שלהם
+   * @param {string} projectName - שם הפרויקט
+   * @returns {Promise<Array<Object>>} - { name, file, valid, error, description, schedule, steps }
+   */
+  async listPipelines(projectName) {
+    const dir = this._getPipelinesDir(projectName);
+
+    if (!await fs.pathExists(dir)) {
+      return [];
+    }
+
+    const files = (await fs.readdir(dir)).filter(file => PIPELINE_EXTENSIONS.includes(path.extname(file)));
+
+    return Promise.all(files.map(async file => {
+      const name = path.basename(file, path.extname(file));
+
+      try {
+        const pipeline = await this.loadPipeline(projectName, name);
+        return {
+          name,
+          file,
+          valid: true,
+          description: pipeline.description,
+          schedule: pipeline.schedule,
+          steps: pipeline.steps.length
+        };
+      } catch (error) {
+        return { name, file, valid: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * טעינה ובדיקה של צינור
+   * @param {string} projectName - שם הפרויקט
+   * @param {string} pipelineName - שם הצינור (שם הקובץ ללא סיומת)
+   * @returns {Promise<Object|null>} - הצינור המנורמל, או null אם הקובץ לא קיים
+   * @throws {Error} - אם הצינור אינו תקין (ההודעה כוללת את הקובץ והשלב)
+   */
+  async loadPipeline(projectName, pipelineName) {
+    const filePath = await this._findPipelineFile(projectName, pipelineName);
+
+    if (!filePath) {
+      return null;
+    }
+
+    const file = path.basename(filePath);
+    let definition;
+
+    try {
+      const content = await fs.readFile(filePath, 'utf-8');
+      definition = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new Error(`${file}: שגיאת תחביר - ${error.message}`);
+    }
+
+    return this._validatePipeline(definition, file, pipelineName);
+  }
+
+  /**
+   * הרצת צינור - הצינור נטען ונבדק מחדש, הקלטים מוצבים, והשלבים נשלחים כתהליך עבודה
+   * @param {string} projectName - שם הפרויקט
+   * @param {string} pipelineName - שם הצינור
+   * @param {Object} inputs - ערכי הקלטים
+   * @returns {Promise<Object|null>} - { runId, workflowId, tasks }, או null אם הצינור לא קיים
+   */
+  async run(projectName, pipelineName, inputs = {}) {
+    const pipeline = await this.loadPipeline(projectName, pipelineName);
+
+    if (!pipeline) {
+      return null;
+    }
+
+    const values = this._resolveInputs(pipeline, inputs);
+
+    const { workflowId, tasks } = agentManager.addWorkflow({
+      name: `${projectName}/${pipeline.name}`,
+      steps: pipeline.steps.map(step => ({
+        id: step.id,
+        agent: step.agent,
+        action: step.action,
+        params: this._compileValue(step.params, values),
+        dependsOn: step.dependsOn,
+        when: step.when,
+        priority: step.priority,
+        maxRetries: step.maxRetries,
+        timeoutMs: step.timeoutMs
+      }))
+    });
+
+    this.runs[workflowId] = {
+      project: projectName,
+      pipeline: pipeline.name,
+      inputs: values,
+      outputs: pipeline.outputs,
+      startedAt: new Date().toISOString()
+    };
+
+    try {
+      await fs.outputJson(this._getRunFile(workflowId), this.runs[workflowId], { spaces: 2 });
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בשמירת ההרצה ${workflowId}: ${error.message}`);
+    }
+
+    logger.info(`${this.logPrefix} הצינור ${projectName}/${pipeline.name} הופעל (${workflowId})`);
+
+    return { runId: workflowId, workflowId, tasks };
+  }
+
+  /**
+   * מצב הרצה של צינור. הפלטים מחושבים כשכל השלבים הסתיימו
+   * @param {string} runId - מזהה ההרצה (מזהה תהליך העבודה)
+   * @returns {Object|null} - { runId, project, pipeline, inputs, status, outputs, workflow }
+   */
+  getRun(runId) {
+    const run = this.runs[runId] || this._loadRun(runId);
+    const workflow = agentManager.getWorkflow(runId);
+
+    if (!run || !workflow) {
+      return null;
+    }
+
+    return {
+      runId,
+      project: run.project,
+      pipeline: run.pipeline,
+      inputs: run.inputs,
+      startedAt: run.startedAt,
+      status: workflow.status,
+      outputs: workflow.status === 'running' ? null : this._resolveOutputs(run.outputs, workflow, run.inputs),
+      workflow
+    };
+  }
+
+  /**
+   * בדיקת תקינות צינור ונרמול השלבים
+   * @private
+   */
+  _validatePipeline(definition, file, pipelineName) {
+    const fail = message => {
+      throw new Error(`${file}: ${message}`);
+    };
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      fail('הצינור חייב להיות אובייקט עם steps');
+    }
+
+    if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+      fail('נדרשת רשימת steps עם לפחות שלב אחד');
+    }
+
+    const inputs = definition.inputs || {};
+    const stepIds = definition.steps.map(step => step?.id);
+    const steps = [];
+
+    for (const [index, step] of definition.steps.entries()) {
+      const label = `שלב ${step?.id || index + 1}`;
+
+      if (!step?.id || !step.agent || !step.action) {
+        fail(`${label}: נדרשים id, agent ו-action`);
+      }
+
+      if (stepIds.indexOf(step.id) !== index) {
+        fail(`${label}: מזהה שלב כפול`);
+      }
+
+      if (!agentManager.isAgentRegistered(step.agent)) {
+        fail(`${label}: סוכן לא רשום ${step.agent} (רשומים: ${Object.keys(agentManager.agents).join(', ')})`);
+      }
+
+      // מתודות פרטיות (_) ופעולות שאינן מוצהרות במניפסט אינן זמינות לצינורות
+      if (!agentManager.isActionAllowed(step.agent, step.action)) {
+        fail(`${label}: לסוכן ${step.agent} אין פעולה ציבורית ${step.action}`);
+      }
+
+      const when = step.when || 'success';
+      if (!STEP_CONDITIONS.includes(when)) {
+        fail(`${label}: תנאי לא תקין ${when} (אפשריים: ${STEP_CONDITIONS.join(', ')})`);
+      }
+
+      const params = step.params || {};
+      const referencedSteps = this._validateExpressions(params, { inputs, stepIds, fail: message => fail(`${label}: ${message}`) });
+
+      // ברירת מחדל: השלב תלוי בשלב שלפניו
+      const declared = step.dependsOn ?? (index > 0 ? [stepIds[index - 1]] : []);
+      if (!Array.isArray(declared)) {
+        fail(`${label}: dependsOn חייב להיות רשימה`);
+      }
+
+      for (const dependency of declared) {
+        if (!stepIds.includes(dependency)) {
+          fail(`${label}: תלות בשלב לא קיים ${dependency}`);
+        }
+      }
+
+      steps.push({
+        id: step.id,
+        agent: step.agent,
+        action: step.action,
+        params,
+        dependsOn: [...new Set([...declared, ...referencedSteps])],
+        when,
+        ...(step.priority && { priority: step.priority }),
+        ...(step.maxRetries !== undefined && { maxRetries: step.maxRetries }),
+        ...(step.timeoutMs !== undefined && { timeoutMs: step.timeoutMs })
+      });
+    }
+
+    const outputs = definition.outputs || {};
+    this._validateExpressions(outputs, { inputs, stepIds, fail: message => fail(`outputs: ${message}`) });
+
+    try {
+      // תלויות מעגליות נבדקות כמו בתהליך עבודה רגיל
+      agentManager.validateWorkflow(steps);
+    } catch (error) {
+      fail(error.message);
+    }
+
+    if (definition.schedule && !cron.validate(definition.schedule)) {
+      fail(`ביטוי cron לא תקין ב-schedule: ${definition.schedule}`);
+    }
+
+    return {
+      name: definition.name || pipelineName,
+      description: definition.description || '',
+      schedule: definition.schedule || null,
+      inputs,
+      steps,
+      outputs
+    };
+  }
+
+  /**
+   * בדיקת הביטויים בערך: קלטים מוצהרים, שלבים קיימים, והפניה לתוצאת שלב רק כערך שלם
+   * @returns {Array<string>} - השלבים שהערך מפנה אליהם
+   * @private
+   */
+  _validateExpressions(value, { inputs, stepIds, fail }) {
+    const referenced = [];
+
+    const visit = item => {
+      if (Array.isArray(item)) {
+        item.forEach(visit);
+      } else if (item && typeof item === 'object') {
+        Object.values(item).forEach(visit);
+      } else if (typeof item === 'string') {
+        const whole = WHOLE_EXPRESSION_PATTERN.test(item.trim());
+
+        for (const [, expression] of item.matchAll(EXPRESSION_PATTERN)) {
+          const [scope, name] = expression.split('.');
+
+          if (scope === 'inputs') {
+            if (!(name in inputs)) fail(`קלט לא מוצהר ${expression}`);
+          } else if (scope === 'steps') {
+            if (!stepIds.includes(name)) fail(`הפניה לשלב לא קיים ${expression}`);
+            if (!whole) fail(`הפניה לתוצאת שלב (${expression}) חייבת להיות הערך כולו ולא חלק ממחרוזת`);
+            referenced.push(name);
+          } else {
+            fail(`ביטוי לא מוכר ${expression} (אפשריים: inputs.*, steps.*)`);
+          }
+        }
+      }
+    };
+
+    visit(value);
+
+    return referenced;
+  }
+
+  /**
+   * ערכי הקלטים להרצה: ערך שהועבר, אחרת ברירת המחדל; קלט חובה חסר נזרק
+   * @private
+   */
+  _resolveInputs(pipeline, inputs) {
+    const values = {};
+
+    for (const [name, spec] of Object.entries(pipeline.inputs)) {
+      const value = inputs[name] ?? spec?.default;
+
+      if (value === undefined && spec?.required) {
+        throw new Error(`חסר קלט חובה לצינור ${pipeline.name}: ${name}`);
+      }
+
+      values[name] = value;
+    }
+
+    return values;
+  }
+
+  /**
+   * הצבת הקלטים והמרת הפניות לשלבים להפניות של תהליך העבודה ({ $ref })
+   * @private
+   */
+  _compileValue(value, inputs) {
+    if (Array.isArray(value)) {
+      return value.map(item => this._compileValue(item, inputs));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._compileValue(item, inputs)]));
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const whole = value.trim().match(WHOLE_EXPRESSION_PATTERN);
+    if (whole) {
+      const [scope, ...rest] = whole[1].split('.');
+      // ערך שלם שומר על הטיפוס המקורי של הקלט (מספר, רשימה וכו')
+      return scope === 'steps' ? { $ref: rest.join('.') } : inputs[rest[0]];
+    }
+
+    return value.replace(EXPRESSION_PATTERN, (match, expression) => {
+      const input = inputs[expression.split('.')[1]];
+      return input === undefined || input === null ? '' : String(input);
+    });
+  }
+
+  /**
+   * חישוב הפלטים מתוצאות השלבים
+   * @private
+   */
+  _resolveOutputs(outputs, workflow, inputs) {
+    const tasks = Object.fromEntries(
+      workflow.steps.map(step => [step.id, agentManager.getTaskStatus(step.taskId)])
+    );
+
+    return Object.fromEntries(Object.entries(outputs).map(([name, expression]) => {
+      const match = String(expression).trim().match(WHOLE_EXPRESSION_PATTERN);
+
+      if (!match) {
+        return [name, this._compileValue(expression, inputs)];
+      }
+
+      const [scope, key, ...fieldPath] = match[1].split('.');
+      const value = scope === 'steps'
+        ? fieldPath.reduce((current, field) => current?.[field], tasks[key])
+        : inputs[key];
+
+      return [name, value ?? null];
+    }));
+  }
+
+  /**
+   * טעינת הרצה שנשמרה לפני הפעלה מחדש של השרת
+   * @private
+   */
+  _loadRun(runId) {
+    if (!/^[\w-]+$/.test(runId || '')) {
+      return null;
+    }
+
+    const filePath = this._getRunFile(runId);
+
+    try {
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+
+      this.runs[runId] = fs.readJsonSync(filePath);
+      return this.runs[runId];
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בטעינת ההרצה ${runId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getRunFile(runId) {
+    return path.join(this.runsDir, `${runId}.json`);
+  }
+
+  /**
+   * @private
+   */
+  async _findPipelineFile(projectName, pipelineName) {
+    const dir = this._getPipelinesDir(projectName);
+
+    for (const extension of PIPELINE_EXTENSIONS) {
+      const filePath = path.join(dir, `${pipelineName}${extension}`);
+
+      // שם צינור לא יכול לצאת מתיקיית הצינורות
+      if (path.dirname(filePath) === dir && await fs.pathExists(filePath)) {
+        return filePath;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _getPipelinesDir(projectName) {
+    if (!projectName || projectName.includes('/') || projectName.includes('\\') || projectName.startsWith('.')) {
+      throw new Error(`שם פרויקט לא תקין: ${projectName}`);
+    }
+
+    return path.join(projectManager.projectsRoot, projectName, 'pipelines');
+  }
+}
+
+module.exports = new PipelineManager();
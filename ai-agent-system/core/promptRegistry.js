@@ -0,0 +1,213 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// קבצי גרסאות בצורת v2.he.md
+const VERSION_FILE_PATTERN = /^v(\d+)\.([a-z]{2})\.md$/;
+
+// {{name}} - משתנה, {{#name}}...{{/name}} - קטע שמוצג רק אם הערך קיים, {{^name}}...{{/name}} - רק אם לא
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * מאגר תבניות פרומפטים - כל תבנית היא תיקייה תחת config/prompts עם template.json
+ * (תיאור, משתני חובה ורשות, גרסה נוכחית ושפת ברירת מחדל) וקובץ לכל גרסה ושפה (v1.he.md, v1.en.md).
+ * כל רינדור מחזיר גם את הגרסה והשפה שבהן השתמש, כדי לתעד אותן עם פעולות הסוכנים
+ */
+class PromptRegistry {
+  constructor() {
+    this.logPrefix = '[prompt_registry]';
+    this.promptsDir = path.join(__dirname, '../config/prompts');
+
+    // שפה שחלה על כל התבניות (למשל en), אחרת שפת ברירת המחדל של כל תבנית
+    this.language = process.env.PROMPT_LANGUAGE || null;
+
+    this.templates = {};
+    this.reload();
+  }
+
+  /**
+   * רינדור תבנית עם משתנים
+   * @param {string} name - שם התבנית (למשל qa/analyze)
+   * @param {Object} variables - ערכי המשתנים
+   * @param {Object} options - אפשרויות הרינדור
+   * @param {string|number} options.version - גרסה מסוימת (ברירת מחדל: הגרסה הנוכחית של התבנית)
+   * @param {string} options.language - שפה (he/en; ברירת מחדל: PROMPT_LANGUAGE או שפת התבנית)
+   * @returns {Object} - { text, ref } כאשר ref הוא { name, version, language }
+   */
+  render(name, variables = {}, options = {}) {
+    const template = this._getTemplate(name);
+    const version = String(options.version || template.currentVersion);
+    const languages = template.versions[version];
+
+    if (!languages) {
+      throw new Error(`לתבנית ${name} אין גרסה ${version} (קיימות: ${Object.keys(template.versions).join(', ')})`);
+    }
+
+    let language = options.language || this.language || template.defaultLanguage;
+    if (!languages[language]) {
+      logger.warn(`${this.logPrefix} לתבנית ${name} v${version} אין גרסה בשפה ${language}, משתמש ב-${template.defaultLanguage}`);
+      language = template.defaultLanguage;
+    }
+
+    const missing = template.variables.filter(variable => variables[variable] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`חסרים משתנים לתבנית ${name}: ${missing.join(', ')}`);
+    }
+
+    const text = languages[language]
+      .replace(SECTION_PATTERN, (match, type, variable, content) => (
+        Boolean(variables[variable]) === (type === '#') ? content : ''
+      ))
+      .replace(VARIABLE_PATTERN, (match, variable) => (
+        variables[variable] === undefined || variables[variable] === null ? '' : String(variables[variable])
+      ))
+      .trim();
+
+    return { text, ref: { name, version: Number(version), language } };
+  }
+
+  /**
+   * רשימת גרסאות ייחודית לתיעוד עם פעולה (ללא כפילויות וערכים ריקים)
+   * @param {Array<Object>} refs - גרסאות מ-render ({ name, version, language })
+   * @returns {Array<Object>} - הגרסאות הייחודיות
+   */
+  uniqueRefs(refs = []) {
+    const seen = new Set();
+
+    return refs.filter(ref => {
+      if (!ref) return false;
+
+      const key = `${ref.name}@${ref.version}/${ref.language}`;
+      if (seen.has(key)) return false;
+
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * רשימת התבניות, הגרסאות והשפות הזמינות
+   * @returns {Array<Object>} - { name, description, variables, optionalVariables, currentVersion, defaultLanguage, versions }
+   */
+  list() {
+    return Object.values(this.templates).map(template => ({
+      name: template.name,
+      description: template.description,
+      variables: template.variables,
+      optionalVariables: template.optionalVariables,
+      currentVersion: template.currentVersion,
+      defaultLanguage: template.defaultLanguage,
+      versions: Object.fromEntries(
+        Object.entries(template.versions).map(([version, languages]) => [version, Object.keys(languages)])
+      )
+    }));
+  }
+
+  /**
+   * תבנית אחת כולל הטקסט של כל הגרסאות
+   * @param {string} name - שם התבנית
+   * @returns {Object|null} - התבנית, או null אם אינה קיימת
+   */
+  get(name) {
+    return this.templates[name] ? JSON.parse(JSON.stringify(this.templates[name])) : null;
+  }
+
+  /**
+   * טעינה מחדש של כל התבניות מהדיסק
+   * @returns {number} - מספר התבניות שנטענו
+   */
+  reload() {
+    const templates = {};
+
+    for (const templateDir of this._findTemplateDirs(this.promptsDir)) {
+      const name = path.relative(this.promptsDir, templateDir).split(path.sep).join('/');
+
+      try {
+        templates[name] = this._loadTemplate(name, templateDir);
+      } catch (error) {
+        logger.error(`${this.logPrefix} שגיאה בטעינת התבנית ${name}: ${error.message}`);
+      }
+    }
+
+    this.templates = templates;
+    logger.info(`${this.logPrefix} נטענו ${Object.keys(templates).length} תבניות פרומפטים`);
+
+    return Object.keys(templates).length;
+  }
+
+  /**
+   * טעינת תבנית מהתיקייה שלה
+   * @private
+   */
+  _loadTemplate(name, templateDir) {
+    const meta = fs.readJsonSync(path.join(templateDir, 'template.json'));
+    const versions = {};
+
+    for (const file of fs.readdirSync(templateDir)) {
+      const match = file.match(VERSION_FILE_PATTERN);
+      if (!match) continue;
+
+      const [, version, language] = match;
+      versions[version] = versions[version] || {};
+      versions[version][language] = fs.readFileSync(path.join(templateDir, file), 'utf-8');
+    }
+
+    const numbers = Object.keys(versions).map(Number);
+    if (numbers.length === 0) {
+      throw new Error('לא נמצאו קבצי גרסאות (v1.he.md וכו\')');
+    }
+
+    const currentVersion = String(meta.currentVersion || Math.max(...numbers));
+    const defaultLanguage = meta.defaultLanguage || 'he';
+
+    if (!versions[currentVersion]?.[defaultLanguage]) {
+      throw new Error(`הגרסה הנוכחית ${currentVersion} חסרה בשפת ברירת המחדל ${defaultLanguage}`);
+    }
+
+    return {
+      name,
+      description: meta.description || '',
+      variables: meta.variables || [],
+      optionalVariables: meta.optionalVariables || [],
+      currentVersion: Number(currentVersion),
+      defaultLanguage,
+      versions
+    };
+  }
+
+  /**
+   * תיקיות התבניות (כל תיקייה עם template.json)
+   * @private
+   */
+  _findTemplateDirs(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const dirs = fs.existsSync(path.join(dir, 'template.json')) ? [dir] : [];
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        dirs.push(...this._findTemplateDirs(path.join(dir, entry.name)));
+      }
+    }
+
+    return dirs;
+  }
+
+  /**
+   * @private
+   */
+  _getTemplate(name) {
+    const template = this.templates[name];
+
+    if (!template) {
+      throw new Error(`תבנית פרומפט לא קיימת: ${name}`);
+    }
+
+    return template;
+  }
+}
+
+module.exports = new PromptRegistry();
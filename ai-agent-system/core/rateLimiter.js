@@ -0,0 +1,289 @@
+const { logger } = require('./logger');
+
+// סדר העדיפויות של משימות (כמו ב-agentManager)
+const PRIORITY_LEVELS = { low: 0, normal: 1, high: 2, critical: 3 };
+
+// חלון הזמן למגבלות לדקה
+const WINDOW_MS = 60000;
+
+/**
+ * הגבלת קצב ומקביליות לכל ספק/מודל: בקשות לדקה, טוקנים לדקה ומספר בקשות
+ * פתוחות במקביל. בקשות שחורגות מהמגבלה ממתינות בתור הוגן - קודם לפי עדיפות
+ * המשימה, ובעדיפות שווה לסירוגין בין הסוכנים, כדי שסוכן אחד לא ינעל את הספק
+ */
+class RateLimiter {
+  /**
+   * @param {Object} limits - מגבלות לפי ספק או ספק/מודל (למשל openai, openai/gpt-4)
+   * @param {number} limits[].requestsPerMinute - בקשות לדקה
+   * @param {number} limits[].tokensPerMinute - טוקנים לדקה (בקשה ותשובה יחד)
+   * @param {number} limits[].maxConcurrency - בקשות פתוחות במקביל
+   */
+  constructor(limits = {}) {
+    this.logPrefix = '[rate_limiter]';
+    this.limits = limits;
+
+    // מצב לכל מפתח מגבלה: בקשות פעילות, היסטוריה לחלון הדקה ותור ממתינים
+    this.buckets = {};
+
+    // מונה רץ לסדר הגעה יציב בתור
+    this.sequence = 0;
+  }
+
+  /**
+   * המתנה לאישור לשליחת בקשה
+   * @param {string} provider - ספק ה-AI
+   * @param {string} model - מודל ה-AI
+   * @param {Object} options - פרטי הבקשה
+   * @param {number} options.tokens - הערכת הטוקנים של הבקשה (כולל מקום לתשובה)
+   * @param {string} options.agentName - הסוכן השולח (לתור ההוגן)
+   * @param {string|number} options.priority - עדיפות המשימה (low/normal/high/critical)
+   * @param {AbortSignal} options.signal - ביטול ההמתנה (הבקשה יוצאת מהתור)
+   * @returns {Promise<Function>} - פונקציית שחרור, מקבלת את מספר הטוקנים בפועל
+   */
+  acquire(provider, model, options = {}) {
+    const key = this._getLimitKey(provider, model);
+
+    if (!key) {
+      return Promise.resolve(() => {});
+    }
+
+    const bucket = this._getBucket(key);
+
+    return new Promise((resolve, reject) => {
+      if (options.signal?.aborted) {
+        reject(options.signal.reason);
+        return;
+      }
+
+      const waiter = {
+        agentName: options.agentName || 'unknown',
+        priority: this._getPriorityLevel(options.priority),
+        tokens: options.tokens || 0,
+        sequence: this.sequence++,
+        enqueuedAt: Date.now(),
+        resolve
+      };
+
+      bucket.waiting.push(waiter);
+
+      options.signal?.addEventListener('abort', () => {
+        const index = bucket.waiting.indexOf(waiter);
+
+        if (index !== -1) {
+          bucket.waiting.splice(index, 1);
+          reject(options.signal.reason);
+        }
+      }, { once: true });
+
+      bucket.stats.maxQueueDepth = Math.max(bucket.stats.maxQueueDepth, bucket.waiting.length);
+      this._drain(key);
+    });
+  }
+
+  /**
+   * מדדי התורים והשימוש לכל מפתח מגבלה
+   * @returns {Object} - מצב לכל ספק/מודל
+   */
+  getStats() {
+    const now = Date.now();
+    const stats = {};
+
+    for (const [key, bucket] of Object.entries(this.buckets)) {
+      this._prune(bucket, now);
+
+      const queuedByAgent = {};
+      for (const waiter of bucket.waiting) {
+        queuedByAgent[waiter.agentName] = (queuedByAgent[waiter.agentName] || 0) + 1;
+      }
+
+      stats[key] = {
+        limits: this.limits[key],
+        active: bucket.active,
+        queued: bucket.waiting.length,
+        queuedByAgent,
+        requestsLastMinute: bucket.history.length,
+        tokensLastMinute: bucket.history.reduce((sum, entry) => sum + entry.tokens, 0),
+        ...bucket.stats,
+        averageWaitMs: bucket.stats.granted > 0 ? Math.round(bucket.stats.totalWaitMs / bucket.stats.granted) : 0
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * מתן אישור לממתינים לפי סדר התור, כל עוד המגבלות מאפשרות
+   * @private
+   */
+  _drain(key) {
+    const bucket = this.buckets[key];
+    const limits = this.limits[key];
+
+    while (bucket.waiting.length > 0) {
+      const now = Date.now();
+      this._prune(bucket, now);
+
+      const next = this._pickNext(bucket);
+      const waitMs = this._getWaitTime(bucket, limits, next, now);
+
+      if (waitMs === Infinity) {
+        // ממתינים לשחרור בקשה פעילה
+        return;
+      }
+
+      if (waitMs > 0) {
+        this._scheduleDrain(key, waitMs);
+        return;
+      }
+
+      bucket.waiting.splice(bucket.waiting.indexOf(next), 1);
+      bucket.active++;
+      bucket.lastServed[next.agentName] = now;
+      bucket.stats.granted++;
+      bucket.stats.totalWaitMs += now - next.enqueuedAt;
+
+      if (now - next.enqueuedAt > 0) {
+        bucket.stats.throttled++;
+      }
+
+      const entry = { at: now, tokens: next.tokens };
+      bucket.history.push(entry);
+
+      let released = false;
+      next.resolve(actualTokens => {
+        if (released) return;
+        released = true;
+
+        bucket.active--;
+        if (typeof actualTokens === 'number') {
+          entry.tokens = actualTokens;
+        }
+
+        this._drain(key);
+      });
+    }
+  }
+
+  /**
+   * בחירת הממתין הבא: עדיפות גבוהה קודם, ובעדיפות שווה הסוכן ששורת הכי מזמן
+   * @private
+   */
+  _pickNext(bucket) {
+    return bucket.waiting.reduce((best, waiter) => {
+      if (waiter.priority !== best.priority) {
+        return waiter.priority > best.priority ? waiter : best;
+      }
+
+      const waiterServed = bucket.lastServed[waiter.agentName] || 0;
+      const bestServed = bucket.lastServed[best.agentName] || 0;
+
+      if (waiterServed !== bestServed) {
+        return waiterServed < bestServed ? waiter : best;
+      }
+
+      return waiter.sequence < best.sequence ? waiter : best;
+    });
+  }
+
+  /**
+   * כמה זמן צריך להמתין עד שהבקשה תעמוד במגבלות (Infinity - עד לשחרור בקשה פעילה)
+   * @private
+   */
+  _getWaitTime(bucket, limits, waiter, now) {
+    if (limits.maxConcurrency && bucket.active >= limits.maxConcurrency) {
+      return Infinity;
+    }
+
+    let waitMs = 0;
+
+    if (limits.requestsPerMinute && bucket.history.length >= limits.requestsPerMinute) {
+      const oldest = bucket.history[bucket.history.length - limits.requestsPerMinute];
+      waitMs = Math.max(waitMs, oldest.at + WINDOW_MS - now);
+    }
+
+    if (limits.tokensPerMinute && bucket.history.length > 0) {
+      // בקשה שגדולה מהמגבלה כולה עוברת כשהחלון ריק, אחרת לא תישלח לעולם
+      let used = bucket.history.reduce((sum, entry) => sum + entry.tokens, 0);
+
+      for (const entry of bucket.history) {
+        if (used + waiter.tokens <= limits.tokensPerMinute) break;
+        used -= entry.tokens;
+        waitMs = Math.max(waitMs, entry.at + WINDOW_MS - now);
+      }
+    }
+
+    return waitMs;
+  }
+
+  /**
+   * תזמון ניסיון חוזר כשהחלון יתפנה
+   * @private
+   */
+  _scheduleDrain(key, waitMs) {
+    const bucket = this.buckets[key];
+
+    if (bucket.timer) {
+      return;
+    }
+
+    logger.debug(`${this.logPrefix} ${key}: ${bucket.waiting.length} בקשות ממתינות ${waitMs}ms למגבלת הקצב`);
+
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      this._drain(key);
+    }, waitMs);
+  }
+
+  /**
+   * הסרת רשומות שיצאו מחלון הדקה
+   * @private
+   */
+  _prune(bucket, now) {
+    while (bucket.history.length > 0 && bucket.history[0].at + WINDOW_MS <= now) {
+      bucket.history.shift();
+    }
+  }
+
+  /**
+   * מפתח המגבלה: ספק/מודל אם הוגדר, אחרת הספק, אחרת אין מגבלה
+   * @private
+   */
+  _getLimitKey(provider, model) {
+    if (this.limits[`${provider}/${model}`]) {
+      return `${provider}/${model}`;
+    }
+
+    return this.limits[provider] ? provider : null;
+  }
+
+  /**
+   * @private
+   */
+  _getBucket(key) {
+    if (!this.buckets[key]) {
+      this.buckets[key] = {
+        active: 0,
+        history: [],
+        waiting: [],
+        lastServed: {},
+        timer: null,
+        stats: { granted: 0, throttled: 0, totalWaitMs: 0, maxQueueDepth: 0 }
+      };
+    }
+
+    return this.buckets[key];
+  }
+
+  /**
+   * @private
+   */
+  _getPriorityLevel(priority) {
+    if (typeof priority === 'number') {
+      return priority;
+    }
+
+    return PRIORITY_LEVELS[priority] ?? PRIORITY_LEVELS.normal;
+  }
+}
+
+module.exports = RateLimiter;
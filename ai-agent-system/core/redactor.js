@@ -0,0 +1,280 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// מחליפים בצורת [[REDACTED_API_KEY_1]]
+const PLACEHOLDER_PATTERN = /\[\[REDACTED_[A-Z0-9_]+_\d+\]\]/g;
+
+// ערכים שהם הפניה למשתנה סביבה או לתבנית ולא סוד בפועל
+const REFERENCE_PATTERN = /^(process\.env|os\.environ|\$\{|\$[A-Z_]|[A-Z0-9_]+_FROM_ENV$)/;
+
+// גלאים מובנים; כשיש קבוצה בשם value, רק היא מוחלפת
+const BUILTIN_PATTERNS = [
+  { name: 'private_key', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'api_key', pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  { name: 'aws_key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { name: 'github_token', pattern: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+  { name: 'slack_token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: 'huggingface_token', pattern: /\bhf_[A-Za-z0-9]{30,}\b/g },
+  { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { name: 'bearer_token', pattern: /\bBearer\s+(?<value>[A-Za-z0-9._~+/-]{20,}=*)/g },
+  {
+    name: 'secret',
+    pattern: /(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|access[_-]?key)\w*["']?\s*[:=]\s*["'](?<value>[^"'\s]{8,})["']/gi
+  },
+  {
+    name: 'secret',
+    // שורות בסגנון .env, כולל שורות עם מספור (כמו בחלקי קבצים שנשלחים לניתוח)
+    pattern: /^\s*(?:\d+: )?(?:export\s+)?[A-Z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASS|PWD)[A-Z0-9_]*\s*=\s*(?<value>[^\s#'"]{8,})/gm
+  },
+  { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g }
+];
+
+/**
+ * השחרת סודות ומידע אישי לפני שליחה לספקי AI: מפתחות API, טוקנים, מפתחות פרטיים,
+ * כתובות דוא"ל ותבניות מוגדרות מוחלפים במחליפים קבועים, והמקור משוחזר בתשובה.
+ * כל השחרה מתועדת ביומן ביקורת יומי (סוג, מחליף וטביעת אצבע - ללא הערך עצמו)
+ */
+class Redactor {
+  /**
+   * @param {Object} options - הגדרות ההשחרה
+   * @param {boolean} options.enabled - האם ההשחרה פעילה (ברירת מחדל: true)
+   * @param {Array<Object>} options.patterns - תבניות נוספות בצורת { name, pattern, flags }
+   * @param {Array<string>} options.disabled - שמות גלאים מובנים לכיבוי (למשל email)
+   * @param {Array<string>} options.allowlist - ערכים שלעולם לא יושחרו
+   */
+  constructor(options = {}) {
+    this.logPrefix = '[redactor]';
+    this.enabled = options.enabled !== false;
+    this.allowlist = new Set(options.allowlist || []);
+    this.auditDir = path.join(process.cwd(), 'memory', 'redactions');
+
+    const disabled = options.disabled || [];
+    this.patterns = [
+      ...BUILTIN_PATTERNS.filter(({ name }) => !disabled.includes(name)),
+      ...(options.patterns || []).map(({ name, pattern, flags }) => ({
+        name,
+        pattern: new RegExp(pattern, flags?.includes('g') ? flags : `${flags || ''}g`)
+      }))
+    ];
+
+    // שרשרת שמירות כדי שכתיבות לאותו קובץ לא יתנגשו
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * מצב השחרה חדש לבקשה - ערך זהה מקבל אותו מחליף בכל חלקי הבקשה
+   * @returns {Object} - { mapping, values, counts }
+   */
+  createState() {
+    return { mapping: {}, values: new Map(), counts: {} };
+  }
+
+  /**
+   * השחרת טקסט
+   * @param {string} text - הטקסט
+   * @param {Object} state - מצב ההשחרה של הבקשה (ראו createState)
+   * @returns {string} - הטקסט עם מחליפים
+   */
+  redact(text, state) {
+    if (!this.enabled || typeof text !== 'string' || !text) {
+      return text;
+    }
+
+    let result = text;
+
+    for (const { name, pattern } of this.patterns) {
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+        const value = groups?.value || match;
+
+        if (this.allowlist.has(value) || REFERENCE_PATTERN.test(value) || value.match(PLACEHOLDER_PATTERN)) {
+          return match;
+        }
+
+        return match.replace(value, this._getPlaceholder(value, name, state));
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * השחרת כל המחרוזות באובייקט (למשל פרמטרים של קריאה לכלי)
+   * @param {*} value - הערך
+   * @param {Object} state - מצב ההשחרה של הבקשה
+   * @returns {*} - עותק מושחר
+   */
+  redactDeep(value, state) {
+    return this._mapStrings(value, text => this.redact(text, state));
+  }
+
+  /**
+   * שחזור הערכים המקוריים במקום המחליפים
+   * @param {string} text - טקסט מתשובת המודל
+   * @param {Object} mapping - מיפוי מחליף לערך
+   * @returns {string} - הטקסט המשוחזר
+   */
+  restore(text, mapping) {
+    if (typeof text !== 'string' || !mapping || Object.keys(mapping).length === 0) {
+      return text;
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => mapping[placeholder] ?? placeholder);
+  }
+
+  /**
+   * שחזור בכל המחרוזות באובייקט
+   * @param {*} value - הערך
+   * @param {Object} mapping - מיפוי מחליף לערך
+   * @returns {*} - עותק משוחזר
+   */
+  restoreDeep(value, mapping) {
+    return this._mapStrings(value, text => this.restore(text, mapping));
+  }
+
+  /**
+   * החלפה חוזרת של ערכים ידועים במחליפים שלהם (למשל לפני שמירת תשובה משוחזרת לדיסק)
+   * @param {string} text - הטקסט
+   * @param {Object} mapping - מיפוי מחליף לערך
+   * @returns {string} - הטקסט עם מחליפים
+   */
+  reapply(text, mapping) {
+    let result = text;
+
+    for (const [placeholder, value] of Object.entries(mapping || {})) {
+      result = result.split(value).join(placeholder);
+    }
+
+    return result;
+  }
+
+  /**
+   * משחזר לתשובה בהזרמה - מחליף שנחתך בין שני חלקים נשמר עד שהוא מושלם
+   * @param {Object} mapping - מיפוי מחליף לערך
+   * @returns {Object} - { push(chunk) => string, flush() => string }
+   */
+  createStreamRestorer(mapping) {
+    let pending = '';
+
+    return {
+      push: chunk => {
+        const text = pending + chunk;
+        const open = text.lastIndexOf('[');
+        const cut = open !== -1 && !text.slice(open).includes(']]') && open >= text.length - 64
+          ? (text[open - 1] === '[' ? open - 1 : open)
+          : text.length;
+
+        pending = text.slice(cut);
+        return this.restore(text.slice(0, cut), mapping);
+      },
+      flush: () => {
+        const text = pending;
+        pending = '';
+        return this.restore(text, mapping);
+      }
+    };
+  }
+
+  /**
+   * תיעוד ההשחרות של בקשה ביומן הביקורת (ללא הערכים עצמם)
+   * @param {Object} state - מצב ההשחרה של הבקשה
+   * @param {Object} context - הקשר הבקשה (agentName, taskId)
+   * @returns {Object|null} - רשומת הביקורת, או null אם לא הושחר דבר
+   */
+  audit(state, context = {}) {
+    const placeholders = Object.entries(state.mapping);
+
+    if (placeholders.length === 0) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const entry = {
+      timestamp,
+      agentName: context.agentName || null,
+      taskId: context.taskId || null,
+      counts: { ...state.counts },
+      items: placeholders.map(([placeholder, value]) => ({
+        placeholder,
+        fingerprint: crypto.createHash('sha256').update(value).digest('hex').slice(0, 12),
+        length: value.length
+      }))
+    };
+
+    logger.info(`${this.logPrefix} הושחרו ${placeholders.length} ערכים לפני שליחה (${Object.entries(state.counts).map(([type, count]) => `${type}: ${count}`).join(', ')})`);
+
+    const filePath = path.join(this.auditDir, `${timestamp.slice(0, 10)}.json`);
+
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        await fs.ensureDir(this.auditDir);
+        const entries = await fs.pathExists(filePath) ? await fs.readJson(filePath) : [];
+        entries.push(entry);
+        await fs.writeJson(filePath, entries, { spaces: 2 });
+      })
+      .catch(error => {
+        logger.error(`${this.logPrefix} שגיאה בשמירת יומן ההשחרות: ${error.message}`);
+      });
+
+    return entry;
+  }
+
+  /**
+   * רשומות יומן הביקורת של יום מסוים
+   * @param {string} day - תאריך בפורמט YYYY-MM-DD (ברירת מחדל: היום)
+   * @returns {Promise<Array>} - רשומות הביקורת
+   */
+  async getAuditLog(day = new Date().toISOString().slice(0, 10)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+      throw new Error(`תאריך לא תקין: ${day}`);
+    }
+
+    await this.saveQueue;
+
+    const filePath = path.join(this.auditDir, `${day}.json`);
+    return await fs.pathExists(filePath) ? fs.readJson(filePath) : [];
+  }
+
+  /**
+   * מחליף קבוע לערך בתוך הבקשה
+   * @private
+   */
+  _getPlaceholder(value, type, state) {
+    if (state.values.has(value)) {
+      return state.values.get(value);
+    }
+
+    const placeholder = `[[REDACTED_${type.toUpperCase()}_${state.values.size + 1}]]`;
+
+    state.values.set(value, placeholder);
+    state.mapping[placeholder] = value;
+    state.counts[type] = (state.counts[type] || 0) + 1;
+
+    return placeholder;
+  }
+
+  /**
+   * החלת פונקציה על כל המחרוזות במבנה
+   * @private
+   */
+  _mapStrings(value, fn) {
+    if (typeof value === 'string') {
+      return fn(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this._mapStrings(item, fn));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._mapStrings(item, fn)]));
+    }
+
+    return value;
+  }
+}
+
+module.exports = Redactor;
@@ -0,0 +1,275 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * מטמון תשובות AI על הדיסק - תשובה לכל גיבוב של פרומפט מנורמל, ספק, מודל
+ * וגיבוב תוכן הקובץ, כדי לא לשלם שוב על שאילתה שכבר נענתה.
+ * לכל רשומה יש תוקף (TTL), והמטמון מוגבל במספר רשומות ובגודל כולל;
+ * כשהמגבלה נחצית, הרשומות שנקראו הכי מזמן נמחקות ראשונות
+ */
+class ResponseCache {
+  /**
+   * @param {Object} options - הגדרות המטמון
+   * @param {boolean} options.enabled - האם המטמון פעיל (ברירת מחדל: true)
+   * @param {boolean} options.byDefault - האם שאילתות שלא ציינו cache משתמשות במטמון (ברירת מחדל: false)
+   * @param {string} options.dir - תיקיית המטמון (יחסית לתיקיית העבודה)
+   * @param {number} options.ttlMs - תוקף ברירת מחדל לרשומה
+   * @param {number} options.maxEntries - מספר רשומות מקסימלי
+   * @param {number} options.maxBytes - גודל כולל מקסימלי בבתים
+   */
+  constructor(options = {}) {
+    this.logPrefix = '[response_cache]';
+    this.enabled = options.enabled !== false;
+    this.byDefault = options.byDefault === true;
+    this.dir = path.resolve(process.cwd(), options.dir || 'cache/ai');
+    this.ttlMs = options.ttlMs || 24 * 60 * 60 * 1000;
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
+
+    // אינדקס הרשומות בזיכרון (ללא תוכן התשובות)
+    this.index = {};
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      writes: 0,
+      evictions: 0,
+      expired: 0,
+      invalidations: 0,
+      savedTokens: 0
+    };
+
+    if (this.enabled) {
+      this._loadIndex();
+    }
+  }
+
+  /**
+   * גיבוב מפתח הרשומה
+   * @param {Object} parts - רכיבי המפתח (פרומפט, ספק, מודל, גיבוב תוכן וכו')
+   * @returns {string} - גיבוב sha256
+   */
+  getKey(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+  }
+
+  /**
+   * חיפוש תשובה במטמון
+   * @param {string} key - מפתח הרשומה
+   * @returns {Promise<Object|null>} - התשובה ({ text, toolCalls, usage }) או null
+   */
+  async get(key) {
+    const meta = this.index[key];
+
+    if (!meta) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (meta.expiresAt <= Date.now()) {
+      this.stats.expired++;
+      this.stats.misses++;
+      await this._remove(key);
+      return null;
+    }
+
+    try {
+      const entry = await fs.readJson(this._getEntryPath(key));
+
+      meta.lastAccessAt = Date.now();
+      this.stats.hits++;
+      this.stats.savedTokens += (entry.response.usage?.promptTokens || 0) + (entry.response.usage?.completionTokens || 0);
+
+      return entry.response;
+    } catch (error) {
+      logger.warn(`${this.logPrefix} רשומה פגומה ${key} נמחקת: ${error.message}`);
+      this.stats.misses++;
+      await this._remove(key);
+      return null;
+    }
+  }
+
+  /**
+   * שמירת תשובה במטמון. רשומה עם תגית (למשל נתיב קובץ) וגיבוב תוכן מחליפה
+   * רשומות קודמות של אותה תגית, ספק ומודל שנוצרו מתוכן אחר
+   * @param {string} key - מפתח הרשומה
+   * @param {Object} response - התשובה ({ text, toolCalls, usage })
+   * @param {Object} meta - פרטי הרשומה
+   * @param {string} meta.provider - ספק ה-AI
+   * @param {string} meta.model - מודל ה-AI
+   * @param {string} meta.tag - תגית לביטול (אופציונלי)
+   * @param {string} meta.contentHash - גיבוב התוכן שהתשובה מתייחסת אליו (אופציונלי)
+   * @param {number} meta.ttlMs - תוקף הרשומה (ברירת מחדל: תוקף המטמון)
+   * @returns {Promise<void>}
+   */
+  async set(key, response, meta = {}) {
+    const now = Date.now();
+    const indexEntry = {
+      key,
+      provider: meta.provider,
+      model: meta.model,
+      tag: meta.tag || null,
+      contentHash: meta.contentHash || null,
+      createdAt: now,
+      expiresAt: now + (meta.ttlMs || this.ttlMs)
+    };
+    const content = JSON.stringify({
+      ...indexEntry,
+      response: { text: response.text, toolCalls: response.toolCalls, usage: response.usage }
+    });
+
+    if (indexEntry.tag && indexEntry.contentHash) {
+      await this.invalidate({
+        tag: indexEntry.tag,
+        provider: indexEntry.provider,
+        model: indexEntry.model,
+        exceptContentHash: indexEntry.contentHash
+      });
+    }
+
+    try {
+      await fs.ensureDir(this.dir);
+      await fs.writeFile(this._getEntryPath(key), content, 'utf-8');
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בשמירת רשומה ${key}: ${error.message}`);
+      return;
+    }
+
+    this.index[key] = { ...indexEntry, size: Buffer.byteLength(content), lastAccessAt: now };
+    this.stats.writes++;
+
+    await this._enforceLimits();
+  }
+
+  /**
+   * ביטול רשומות לפי סינון. ללא סינון - ניקוי המטמון כולו
+   * @param {Object} filter - סינון
+   * @param {string} filter.tag - תגית הרשומות
+   * @param {string} filter.provider - ספק ה-AI
+   * @param {string} filter.model - מודל ה-AI
+   * @param {string} filter.exceptContentHash - השאר רשומות עם גיבוב תוכן זה
+   * @returns {Promise<number>} - מספר הרשומות שבוטלו
+   */
+  async invalidate(filter = {}) {
+    const keys = Object.keys(this.index).filter(key => {
+      const meta = this.index[key];
+      if (filter.tag && meta.tag !== filter.tag) return false;
+      if (filter.provider && meta.provider !== filter.provider) return false;
+      if (filter.model && meta.model !== filter.model) return false;
+      if (filter.exceptContentHash && meta.contentHash === filter.exceptContentHash) return false;
+      return true;
+    });
+
+    for (const key of keys) {
+      await this._remove(key);
+    }
+
+    if (keys.length > 0) {
+      this.stats.invalidations += keys.length;
+      logger.info(`${this.logPrefix} בוטלו ${keys.length} רשומות מהמטמון`);
+    }
+
+    return keys.length;
+  }
+
+  /**
+   * נתוני המטמון: גודל, פגיעות והחטאות
+   * @returns {Object} - סטטיסטיקות המטמון
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      byDefault: this.byDefault,
+      entries: Object.keys(this.index).length,
+      bytes: Object.values(this.index).reduce((sum, meta) => sum + meta.size, 0),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+    };
+  }
+
+  /**
+   * מחיקת הרשומות שנקראו הכי מזמן עד שהמטמון בתוך המגבלות
+   * @private
+   */
+  async _enforceLimits() {
+    const entries = Object.values(this.index).sort((a, b) => a.lastAccessAt - b.lastAccessAt);
+    let bytes = entries.reduce((sum, meta) => sum + meta.size, 0);
+    let count = entries.length;
+
+    for (const meta of entries) {
+      if (count <= this.maxEntries && bytes <= this.maxBytes) {
+        break;
+      }
+
+      await this._remove(meta.key);
+      this.stats.evictions++;
+      bytes -= meta.size;
+      count--;
+    }
+  }
+
+  /**
+   * מחיקת רשומה מהאינדקס ומהדיסק
+   * @private
+   */
+  async _remove(key) {
+    delete this.index[key];
+
+    try {
+      await fs.remove(this._getEntryPath(key));
+    } catch (error) {
+      logger.warn(`${this.logPrefix} שגיאה במחיקת רשומה ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * טעינת אינדקס הרשומות מהדיסק (רשומות שפג תוקפן נמחקות)
+   * @private
+   */
+  _loadIndex() {
+    try {
+      if (!fs.existsSync(this.dir)) {
+        return;
+      }
+
+      const now = Date.now();
+
+      for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('.json'))) {
+        const filePath = path.join(this.dir, file);
+
+        try {
+          const { response, ...meta } = fs.readJsonSync(filePath);
+
+          if (meta.expiresAt <= now) {
+            fs.removeSync(filePath);
+            continue;
+          }
+
+          this.index[meta.key] = { ...meta, size: fs.statSync(filePath).size, lastAccessAt: meta.createdAt };
+        } catch (error) {
+          logger.warn(`${this.logPrefix} מדלג על רשומה פגומה ${file}: ${error.message}`);
+        }
+      }
+
+      logger.info(`${this.logPrefix} נטענו ${Object.keys(this.index).length} רשומות מהמטמון`);
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בטעינת המטמון: ${error.message}`);
+    }
+  }
+
+  /**
+   * נתיב קובץ הרשומה
+   * @private
+   */
+  _getEntryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,47 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { TaskCancelledError } = require('./errors');
+
+/**
+ * הקשר משימה - מעביר את פרטי המשימה הנוכחית (מזהה, סוכן) לאורך שרשרת הקריאות האסינכרוניות,
+ * כך שמודולים כמו מנוע ה-AI יוכלו לשייך את פעולותיהם למשימה בלי להעביר פרמטרים בכל שכבה
+ */
+class TaskContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+  }
+
+  /**
+   * מריץ פונקציה בתוך הקשר של משימה
+   * @param {Object} context - פרטי ההקשר (taskId, agentName וכו')
+   * @param {Function} fn - הפונקציה להרצה
+   * @returns {*} - הערך שהפונקציה מחזירה
+   */
+  run(context, fn) {
+    return this.storage.run(context, fn);
+  }
+
+  /**
+   * מחזיר את הקשר המשימה הנוכחי
+   * @returns {Object|null} - פרטי ההקשר או null אם אין משימה פעילה
+   */
+  get() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * זורק שגיאה אם המשימה הנוכחית בוטלה - לקריאה לפני פעולות עם תוצאות מתמשכות,
+   * כמו כתיבת קבצים, כדי שמשימה שבוטלה לא תשנה דבר אחרי הביטול
+   * @throws {TaskCancelledError} - אם המשימה בוטלה
+   */
+  throwIfCancelled() {
+    const context = this.get();
+
+    if (context?.signal?.aborted) {
+      throw context.signal.reason instanceof TaskCancelledError
+        ? context.signal.reason
+        : new TaskCancelledError(`המשימה ${context.taskId} בוטלה`, context.taskId);
+    }
+  }
+}
+
+module.exports = new TaskContext();
@@ -0,0 +1,141 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+
+// סטטוסים של משימה שהסתיימה ולא תרוץ שוב
+const FINISHED_STATUSES = ['completed', 'failed', 'blocked_budget', 'cancelled', 'interrupted', 'skipped'];
+
+/**
+ * יומן משימות מתמיד - כל שינוי במשימה נכתב כשורת JSON לסוף הקובץ, כך שתור המשימות
+ * נשמר גם אחרי הפעלה מחדש של השרת. בטעינה השורות מוחלות לפי הסדר (המצב האחרון של כל
+ * משימה קובע), והקובץ נדחס מחדש כך שיכיל רק את המצב הנוכחי
+ */
+class TaskJournal {
+  /**
+   * @param {Object} options - הגדרות היומן
+   * @param {string} options.path - נתיב קובץ היומן (ברירת מחדל: memory/tasks/journal.jsonl)
+   * @param {number} options.maxFinishedTasks - כמה משימות שהסתיימו לשמור בדחיסה (החדשות ביותר)
+   * @param {number} options.compactEvery - דחיסה אחרי מספר כתיבות זה
+   */
+  constructor(options = {}) {
+    this.logPrefix = '[task_journal]';
+    this.filePath = options.path || path.join(process.cwd(), 'memory', 'tasks', 'journal.jsonl');
+    this.maxFinishedTasks = options.maxFinishedTasks ?? 500;
+    this.compactEvery = options.compactEvery ?? 1000;
+
+    // המצב האחרון של כל משימה, כפי שנכתב ליומן
+    this.tasks = {};
+    this.writesSinceCompaction = 0;
+
+    fs.ensureDirSync(path.dirname(this.filePath));
+  }
+
+  /**
+   * טעינת היומן ודחיסתו
+   * @returns {Array<Object>} - המשימות לפי סדר היצירה
+   */
+  load() {
+    this.tasks = {};
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n').filter(Boolean);
+
+      for (const [index, line] of lines.entries()) {
+        try {
+          const entry = JSON.parse(line);
+
+          if (entry.op === 'remove') {
+            delete this.tasks[entry.id];
+          } else {
+            this.tasks[entry.task.id] = entry.task;
+          }
+        } catch (error) {
+          // שורה אחרונה חלקית אפשרית אם השרת נפל באמצע כתיבה
+          logger.warn(`${this.logPrefix} מדלג על שורה ${index + 1} לא תקינה ביומן המשימות: ${error.message}`);
+        }
+      }
+    }
+
+    this.compact();
+
+    return Object.values(this.tasks).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * כתיבת המצב הנוכחי של משימה. הכתיבה סינכרונית, כך שהמשימה שמורה לפני שהפעולה חוזרת
+   * @param {Object} task - המשימה
+   */
+  save(task) {
+    const snapshot = this._serialize(task);
+    this.tasks[task.id] = snapshot;
+    this._append({ op: 'put', task: snapshot });
+  }
+
+  /**
+   * הסרת משימה מהיומן
+   * @param {string} taskId - מזהה המשימה
+   */
+  remove(taskId) {
+    if (!this.tasks[taskId]) {
+      return;
+    }
+
+    delete this.tasks[taskId];
+    this._append({ op: 'remove', id: taskId });
+  }
+
+  /**
+   * כתיבה מחדש של היומן עם המצב הנוכחי בלבד. משימות שהסתיימו מעבר למגבלה (הישנות ביותר) נמחקות,
+   * חוץ ממשימות ברשימת המשימות המתות שעדיין לא טופלו
+   */
+  compact() {
+    const finished = Object.values(this.tasks)
+      .filter(task => FINISHED_STATUSES.includes(task.status) && !task.deadLetteredAt)
+      .sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+
+    for (const task of finished.slice(this.maxFinishedTasks)) {
+      delete this.tasks[task.id];
+    }
+
+    const content = Object.values(this.tasks)
+      .map(task => JSON.stringify({ op: 'put', task }) + '\n')
+      .join('');
+
+    // כתיבה לקובץ זמני והחלפה, כדי שנפילה באמצע הדחיסה לא תמחק את היומן
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+
+    this.writesSinceCompaction = 0;
+  }
+
+  /**
+   * @private
+   */
+  _append(entry) {
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+
+      if (++this.writesSinceCompaction >= this.compactEvery) {
+        this.compact();
+      }
+    } catch (error) {
+      logger.error(`${this.logPrefix} שגיאה בכתיבה ליומן המשימות: ${error.message}`);
+    }
+  }
+
+  /**
+   * העתק של המשימה שניתן לשמור כ-JSON. תוצאה שאינה ניתנת לשמירה מוחלפת בתיאור
+   * @private
+   */
+  _serialize(task) {
+    try {
+      return JSON.parse(JSON.stringify(task));
+    } catch (error) {
+      logger.warn(`${this.logPrefix} תוצאת המשימה ${task.id} לא נשמרה ביומן: ${error.message}`);
+      return JSON.parse(JSON.stringify({ ...task, result: `[לא ניתן לשמירה: ${error.message}]` }));
+    }
+  }
+}
+
+module.exports = TaskJournal;
@@ -0,0 +1,152 @@
+const { default: Ajv } = require('ajv');
+const { logger } = require('./logger');
+const fileManager = require('./fileManager');
+const projectManager = require('./projectManager');
+const runner = require('./runner');
+
+/**
+ * רישום כלים שמודלי AI יכולים להפעיל (function calling).
+ * לכל כלי יש שם, תיאור, סכמת JSON לפרמטרים, הרשאה נדרשת ופונקציית ביצוע.
+ * הרשאות: fs:read (קריאת קבצים), project:read (מבנה פרויקט), exec (הרצת פקודות)
+ */
+class ToolRegistry {
+  constructor() {
+    this.logPrefix = '[tool_registry]';
+    this.tools = {};
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+
+    this._registerBuiltinTools();
+  }
+
+  /**
+   * רישום כלי חדש
+   * @param {Object} tool - הגדרת הכלי
+   * @param {string} tool.name - שם הכלי (אותיות, ספרות, _ ו-- בלבד, כנדרש אצל הספקים)
+   * @param {string} tool.description - תיאור הכלי עבור המודל
+   * @param {Object} tool.parameters - סכמת JSON לפרמטרים
+   * @param {string} tool.permission - ההרשאה הנדרשת להפעלת הכלי
+   * @param {Function} tool.handler - פונקציה אסינכרונית שמקבלת את הפרמטרים ומחזירה תוצאה
+   */
+  register(tool) {
+    if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+      throw new Error(`שם כלי לא תקין: ${tool.name}`);
+    }
+
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`לכלי ${tool.name} חסרה פונקציית ביצוע`);
+    }
+
+    this.tools[tool.name] = {
+      ...tool,
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      validate: this.ajv.compile(tool.parameters || { type: 'object' })
+    };
+
+    logger.debug(`${this.logPrefix} נרשם כלי: ${tool.name} (הרשאה: ${tool.permission})`);
+  }
+
+  /**
+   * הגדרות הכלים לשליחה למודל
+   * @param {Array<string>} names - שמות הכלים
+   * @returns {Array<Object>} - הגדרות בצורת { name, description, parameters }
+   */
+  getDefinitions(names) {
+    return names.map(name => {
+      const tool = this.tools[name];
+
+      if (!tool) {
+        throw new Error(`כלי לא מוכר: ${name}`);
+      }
+
+      return {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      };
+    });
+  }
+
+  /**
+   * הפעלת כלי לבקשת המודל, כולל בדיקת הרשאה ואימות פרמטרים.
+   * שגיאות לא נזרקות אלא מוחזרות, כדי שהמודל יוכל להגיב אליהן
+   * @param {string} name - שם הכלי
+   * @param {Object} args - הפרמטרים שהמודל שלח
+   * @param {Object} context - הקשר ההפעלה
+   * @param {Array<string>} context.allowedTools - הכלים שהוצעו למודל בשיחה זו
+   * @param {Array<string>} context.permissions - ההרשאות של הסוכן
+   * @returns {Promise<Object>} - { success, result } או { success: false, error, denied }
+   */
+  async execute(name, args, context = {}) {
+    const tool = this.tools[name];
+
+    if (!tool || !(context.allowedTools || []).includes(name)) {
+      return { success: false, error: `כלי לא זמין: ${name}` };
+    }
+
+    if (!(context.permissions || []).includes(tool.permission)) {
+      logger.warn(`${this.logPrefix} הפעלת ${name} נדחתה: חסרה הרשאה ${tool.permission}`);
+      return { success: false, denied: true, error: `אין הרשאה להפעלת ${name} (נדרשת הרשאה ${tool.permission})` };
+    }
+
+    if (!tool.validate(args)) {
+      const errors = tool.validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+      return { success: false, error: `פרמטרים לא תקינים: ${errors.join('; ')}` };
+    }
+
+    try {
+      return { success: true, result: await tool.handler(args) };
+    } catch (error) {
+      logger.warn(`${this.logPrefix} הכלי ${name} נכשל: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * רישום כלי המערכת המובנים
+   * @private
+   */
+  _registerBuiltinTools() {
+    this.register({
+      name: 'read_file',
+      description: 'קריאת קובץ טקסט מתיקיית העבודה והחזרת התוכן שלו',
+      permission: 'fs:read',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'נתיב הקובץ יחסית לתיקיית העבודה' }
+        },
+        required: ['path']
+      },
+      handler: ({ path }) => fileManager.readFile(path)
+    });
+
+    this.register({
+      name: 'list_project_files',
+      description: 'רשימת עץ הקבצים של פרויקט (ברירת מחדל: הפרויקט הפעיל)',
+      permission: 'project:read',
+      parameters: {
+        type: 'object',
+        properties: {
+          project: { type: 'string', description: 'שם הפרויקט (אופציונלי)' }
+        }
+      },
+      handler: ({ project }) => projectManager.getProjectFiles(project)
+    });
+
+    this.register({
+      name: 'run_command',
+      description: 'הרצת פקודת מעטפת בתיקיית העבודה והחזרת stdout ו-stderr',
+      permission: 'exec',
+      parameters: {
+        type: 'object',
+        properties: {
+          command: { type: 'string', description: 'הפקודה להרצה' }
+        },
+        required: ['command']
+      },
+      handler: ({ command }) => runner.runCommand(command)
+    });
+  }
+}
+
+module.exports = new ToolRegistry();
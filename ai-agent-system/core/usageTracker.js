@@ -0,0 +1,345 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+/**
+ * מעקב שימוש בספקי AI - מתעד טוקנים, זמני תגובה ועלות משוערת לכל שאילתה,
+ * משייך אותם לסוכן, למשימה ולפרויקט, ושומר אותם לצד זיכרון הסוכנים (קובץ לכל יום)
+ */
+class UsageTracker extends EventEmitter {
+  constructor() {
+    super();
+
+    this.logPrefix = '[usage_tracker]';
+    this.usageDir = path.join(process.cwd(), 'memory', 'usage');
+    this.pricingPath = path.join(__dirname, '../config/pricing.json');
+    this.pricing = this._loadPricing();
+
+    // רשומות שימוש לפי יום (YYYY-MM-DD), נטענות מהדיסק לפי הצורך
+    this.days = {};
+
+    // שרשרת שמירות כדי שכתיבות לאותו קובץ לא יתנגשו
+    this.saveQueue = Promise.resolve();
+
+    fs.ensureDirSync(this.usageDir);
+  }
+
+  /**
+   * תיעוד שימוש של שאילתה בודדת
+   * @param {Object} entry - פרטי השימוש
+   * @param {string} entry.provider - ספק ה-AI
+   * @param {string} entry.model - מודל ה-AI
+   * @param {number} entry.promptTokens - טוקנים בבקשה
+   * @param {number} entry.completionTokens - טוקנים בתשובה
+   * @param {number} entry.latencyMs - זמן תגובה במילישניות
+   * @param {string} entry.agentName - הסוכן ששלח את השאילתה
+   * @param {string} entry.taskId - המשימה שבמסגרתה נשלחה השאילתה
+   * @param {string} entry.project - הפרויקט הפעיל
+   * @returns {Object} - הרשומה שנשמרה
+   */
+  record(entry) {
+    const timestamp = new Date().toISOString();
+    const promptTokens = entry.promptTokens || 0;
+    const completionTokens = entry.completionTokens || 0;
+
+    const record = {
+      timestamp,
+      provider: entry.provider,
+      model: entry.model,
+      agentName: entry.agentName || null,
+      taskId: entry.taskId || null,
+      project: entry.project || null,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: !!entry.estimated,
+      latencyMs: entry.latencyMs || 0,
+      cost: this.estimateCost(entry.provider, entry.model, promptTokens, completionTokens)
+    };
+
+    const day = timestamp.slice(0, 10);
+    this._getDay(day).push(record);
+    this._persistDay(day);
+
+    this.emit('record', record);
+
+    return record;
+  }
+
+  /**
+   * חישוב עלות משוערת לפי טבלת המחירים
+   * @param {string} provider - ספק ה-AI
+   * @param {string} model - מודל ה-AI
+   * @param {number} promptTokens - טוקנים בבקשה
+   * @param {number} completionTokens - טוקנים בתשובה
+   * @returns {number} - עלות במטבע של טבלת המחירים
+   */
+  estimateCost(provider, model, promptTokens, completionTokens) {
+    const providerPrices = this.pricing.models?.[provider] || {};
+    const price = providerPrices[model] || providerPrices.default;
+
+    if (!price) {
+      return 0;
+    }
+
+    const perTokens = this.pricing.per_tokens || 1000000;
+    const cost = (promptTokens * price.input + completionTokens * price.output) / perTokens;
+
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * סיכום שימוש בטווח זמן, עם סינון לפי סוכן/פרויקט/משימה
+   * @param {Object} filter - סינון
+   * @param {Date|string} filter.since - מתאריך (כולל)
+   * @param {Date|string} filter.until - עד תאריך (כולל, ברירת מחדל: עכשיו)
+   * @param {string} filter.agentName - סינון לפי סוכן
+   * @param {string} filter.project - סינון לפי פרויקט
+   * @param {string} filter.taskId - סינון לפי משימה
+   * @returns {Promise<Object>} - סיכום טוקנים, עלות ומספר שאילתות
+   */
+  async getTotals(filter = {}) {
+    const records = await this._getRecords(filter);
+    return this._sum(records);
+  }
+
+  /**
+   * דוח שימוש מקובץ לפי יום או שבוע
+   * @param {Object} options - אפשרויות הדוח
+   * @param {string} options.period - daily/weekly (ברירת מחדל: daily)
+   * @param {number} options.days - כמה ימים אחורה לכלול (ברירת מחדל: 30)
+   * @param {string} options.groupBy - agent/project/model/task (ברירת מחדל: agent)
+   * @returns {Promise<Object>} - הדוח
+   */
+  async getReport(options = {}) {
+    const period = options.period === 'weekly' ? 'weekly' : 'daily';
+    const days = options.days || 30;
+    const groupBy = options.groupBy || 'agent';
+
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const records = await this._getRecords({ ...options, since });
+    const buckets = {};
+
+    for (const record of records) {
+      const bucketKey = period === 'weekly'
+        ? this._getWeekStart(record.timestamp)
+        : record.timestamp.slice(0, 10);
+
+      if (!buckets[bucketKey]) {
+        buckets[bucketKey] = [];
+      }
+
+      buckets[bucketKey].push(record);
+    }
+
+    const rollups = Object.keys(buckets).sort().map(bucketKey => {
+      const groups = {};
+
+      for (const record of buckets[bucketKey]) {
+        const groupKey = this._getGroupKey(record, groupBy);
+        groups[groupKey] = groups[groupKey] || [];
+        groups[groupKey].push(record);
+      }
+
+      return {
+        period: bucketKey,
+        totals: this._sum(buckets[bucketKey]),
+        groups: Object.fromEntries(
+          Object.entries(groups).map(([key, groupRecords]) => [key, this._sum(groupRecords)])
+        )
+      };
+    });
+
+    return {
+      period,
+      groupBy,
+      since: since.toISOString(),
+      currency: this.pricing.currency || 'USD',
+      totals: this._sum(records),
+      rollups
+    };
+  }
+
+  /**
+   * סיכום השימוש של היום (לתצוגה בסטטיסטיקות)
+   * @returns {Object} - סיכום היום לפי מודל
+   */
+  getTodaySummary() {
+    const records = this._getDay(new Date().toISOString().slice(0, 10));
+    const byModel = {};
+
+    for (const record of records) {
+      const key = `${record.provider}/${record.model}`;
+      byModel[key] = byModel[key] || [];
+      byModel[key].push(record);
+    }
+
+    return {
+      ...this._sum(records),
+      currency: this.pricing.currency || 'USD',
+      byModel: Object.fromEntries(
+        Object.entries(byModel).map(([key, modelRecords]) => [key, this._sum(modelRecords)])
+      )
+    };
+  }
+
+  /**
+   * טעינה מחדש של טבלת המחירים
+   */
+  reloadPricing() {
+    this.pricing = this._loadPricing();
+  }
+
+  /**
+   * טעינת טבלת המחירים מקובץ התצורה
+   * @returns {Object} - טבלת המחירים
+   * @private
+   */
+  _loadPricing() {
+    try {
+      return fs.readJsonSync(this.pricingPath);
+    } catch (error) {
+      logger.warn(`${this.logPrefix} לא נטענה טבלת מחירים, העלות לא תחושב: ${error.message}`);
+      return { models: {} };
+    }
+  }
+
+  /**
+   * מחזיר את רשומות השימוש של יום מסוים (טוען מהדיסק בפעם הראשונה)
+   * @param {string} day - תאריך בפורמט YYYY-MM-DD
+   * @returns {Array} - רשומות היום
+   * @private
+   */
+  _getDay(day) {
+    if (!this.days[day]) {
+      const filePath = path.join(this.usageDir, `${day}.json`);
+
+      try {
+        this.days[day] = fs.existsSync(filePath) ? fs.readJsonSync(filePath) : [];
+      } catch (error) {
+        logger.error(`${this.logPrefix} שגיאה בטעינת קובץ שימוש ${filePath}: ${error.message}`);
+        this.days[day] = [];
+      }
+    }
+
+    return this.days[day];
+  }
+
+  /**
+   * שמירת רשומות יום לדיסק
+   * @param {string} day - תאריך בפורמט YYYY-MM-DD
+   * @private
+   */
+  _persistDay(day) {
+    const filePath = path.join(this.usageDir, `${day}.json`);
+
+    this.saveQueue = this.saveQueue
+      .then(() => fs.writeJson(filePath, this.days[day], { spaces: 2 }))
+      .catch(error => {
+        logger.error(`${this.logPrefix} שגיאה בשמירת קובץ שימוש ${filePath}: ${error.message}`);
+      });
+  }
+
+  /**
+   * איסוף רשומות בטווח זמן לפי סינון
+   * @param {Object} filter - סינון (since, until, agentName, project, taskId)
+   * @returns {Promise<Array>} - הרשומות המתאימות
+   * @private
+   */
+  async _getRecords(filter) {
+    const until = filter.until ? new Date(filter.until) : new Date();
+    const since = filter.since ? new Date(filter.since) : new Date(until.toISOString().slice(0, 10));
+
+    const records = [];
+    const cursor = new Date(since.toISOString().slice(0, 10));
+
+    while (cursor <= until) {
+      const day = cursor.toISOString().slice(0, 10);
+
+      for (const record of this._getDay(day)) {
+        const time = new Date(record.timestamp);
+        if (time < since || time > until) continue;
+        if (filter.agentName && record.agentName !== filter.agentName) continue;
+        if (filter.project && record.project !== filter.project) continue;
+        if (filter.taskId && record.taskId !== filter.taskId) continue;
+
+        records.push(record);
+      }
+
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+
+    return records;
+  }
+
+  /**
+   * סכימת רשומות שימוש
+   * @param {Array} records - הרשומות
+   * @returns {Object} - סיכום
+   * @private
+   */
+  _sum(records) {
+    const totals = {
+      requests: records.length,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      cost: 0,
+      avgLatencyMs: 0
+    };
+
+    let latency = 0;
+
+    for (const record of records) {
+      totals.promptTokens += record.promptTokens;
+      totals.completionTokens += record.completionTokens;
+      totals.totalTokens += record.totalTokens;
+      totals.cost += record.cost;
+      latency += record.latencyMs;
+    }
+
+    totals.cost = Math.round(totals.cost * 1e6) / 1e6;
+    totals.avgLatencyMs = records.length ? Math.round(latency / records.length) : 0;
+
+    return totals;
+  }
+
+  /**
+   * מפתח קיבוץ לרשומה
+   * @param {Object} record - רשומת שימוש
+   * @param {string} groupBy - agent/project/model/task
+   * @returns {string} - מפתח הקבוצה
+   * @private
+   */
+  _getGroupKey(record, groupBy) {
+    switch (groupBy) {
+      case 'project':
+        return record.project || 'none';
+      case 'model':
+        return `${record.provider}/${record.model}`;
+      case 'task':
+        return record.taskId || 'none';
+      default:
+        return record.agentName || 'unknown';
+    }
+  }
+
+  /**
+   * תחילת השבוע (יום שני) של חותמת זמן
+   * @param {string} timestamp - חותמת זמן ISO
+   * @returns {string} - תאריך תחילת השבוע בפורמט YYYY-MM-DD
+   * @private
+   */
+  _getWeekStart(timestamp) {
+    const date = new Date(timestamp.slice(0, 10));
+    const dayOfWeek = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - dayOfWeek);
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = new UsageTracker();
@@ -1,5 +1,7 @@
 const express = require('express');
+const http = require('http');
 const cors = require('cors');
+const { Server } = require('socket.io');
 const { logger } = require('./core/logger');
 const path = require('path');
 const dotenv = require('dotenv');
@@ -8,69 +10,178 @@ const fs = require('fs-extra');
 // טען משתנים סביבתיים
 dotenv.config();
 
-// ייבוא הסוכנים
-const devAgent = require('./agents/dev_agent');
-const qaAgent = require('./agents/qa');
-const executorAgent = require('./agents/executor');
-const summaryAgent = require('./agents/summary');
-const gitSyncAgent = require('./agents/git_sync');
-const schedulerAgent = require('./agents/scheduler_agent');
-
 // ייבוא מנהל הפרויקטים ומנהל הזיכרון
 const projectManager = require('./core/projectManager');
 const memoryManager = require('./core/memoryManager');
 const agentManager = require('./core/agentManager');
 const aiEngine = require('./core/aiEngine');
+const usageTracker = require('./core/usageTracker');
+const budgetManager = require('./core/budgetManager');
+const modelRouter = require('./core/modelRouter');
+const promptRegistry = require('./core/promptRegistry');
+const pipelineManager = require('./core/pipelineManager');
+const conversationManager = require('./core/conversationManager');
+const messageBus = require('./core/messageBus');
+const agentLoader = require('./core/agentLoader');
 
 // יצירת אפליקציית Express
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// שרת HTTP משותף ל-Express ול-socket.io
+const server = http.createServer(app);
+const io = new Server(server, {
+  cors: { origin: process.env.DASHBOARD_URL || '*' }
+});
+
 // טען מידלוור
 app.use(cors());
 app.use(express.json());
 
-// מיפוי שמות סוכנים למופעים
-const agents = {
-  'dev_agent': devAgent,
-  'qa_agent': qaAgent,
-  'executor_agent': executorAgent,
-  'summary_agent': summaryAgent,
-  'git_sync_agent': gitSyncAgent,
-  'scheduler_agent': schedulerAgent
-};
+// =============================================================
+// הזרמת תשובות AI ללקוחות דרך socket.io
+// =============================================================
 
-// רישום הסוכנים במערכת
-const registerAgents = async () => {
-  // רישום סוכנים קיימים
-  const devAgent = require('./agents/dev_agent');
-  const qaAgent = require('./agents/qa');
-  const executorAgent = require('./agents/executor');
-  const gitSyncAgent = require('./agents/git_sync');
-  const summaryAgent = require('./agents/summary_agent');
-
-  // רישום סוכן התזמון החדש
-  agentManager.registerAgent('scheduler', schedulerAgent);
+// לקוחות נרשמים לחדר של משימה ומקבלים את הטוקנים שלה בזמן אמת
+io.on('connection', (socket) => {
+  socket.on('subscribe-task', (taskId) => {
+    if (taskId) {
+      socket.join(`task:${taskId}`);
+    }
+  });
+  
+  socket.on('unsubscribe-task', (taskId) => {
+    if (taskId) {
+      socket.leave(`task:${taskId}`);
+    }
+  });
+  
+  // צפייה בערוץ ההודעות בין הסוכנים - כל לקוח בוחר תבניות נושאים (למשל qa.* או *)
+  const busPatterns = new Set();
+  const forwardBusMessage = (message) => {
+    if ([...busPatterns].some(pattern => messageBus.matches(pattern, message.topic))) {
+      socket.emit('bus-message', message);
+    }
+  };
+  
+  socket.on('subscribe-bus', (pattern = '*') => {
+    // תבנית לא תקינה הייתה מכשילה כל פרסום בערוץ, ולכן נדחית כבר כאן
+    if (!messageBus.isValidPattern(pattern)) {
+      socket.emit('bus-error', { pattern, error: `תבנית נושא לא תקינה: ${pattern}` });
+      return;
+    }
+    
+    if (busPatterns.size === 0) {
+      messageBus.on('message', forwardBusMessage);
+    }
+    busPatterns.add(pattern);
+  });
+  
+  socket.on('unsubscribe-bus', (pattern) => {
+    if (pattern) {
+      busPatterns.delete(pattern);
+    } else {
+      busPatterns.clear();
+    }
+    
+    if (busPatterns.size === 0) {
+      messageBus.off('message', forwardBusMessage);
+    }
+  });
   
-  // רישום סוכן הסיכום
-  agentManager.registerAgent('summary', summaryAgent);
+  socket.on('disconnect', () => {
+    messageBus.off('message', forwardBusMessage);
+  });
+});
+
+// העבר את אירועי ההזרמה של מנוע ה-AI לחדר של המשימה המתאימה
+for (const eventName of ['stream:start', 'stream:chunk', 'stream:end', 'stream:error']) {
+  aiEngine.on(eventName, (data) => {
+    if (data.taskId) {
+      io.to(`task:${data.taskId}`).emit(`ai-${eventName}`, data);
+    }
+  });
+}
 
-  // ... existing code ...
+// טעינת הסוכנים מתיקיית הסוכנים (AGENTS_DIR) לפי קבצי המניפסט שלהם, רישומם במנהל הסוכנים והפעלת
+// הסוכנים שמסומנים ב-autoStart. הסוכנים רצים בתהליך השרת בלבד - כאן git_sync מפרסם הודעות ב-messageBus
+// וכאן צריכים להיות המנויים שלהן. הסוכנים נשלפים מהטוען בכל בקשה, כי טעינה מחדש מחליפה את המופעים
+const registerAgents = async () => {
+  await agentLoader.loadAll();
+  
+  const started = await agentLoader.startAll();
+  logger.info(`הופעלו ${started.length} סוכנים: ${started.join(', ')}`);
+  
+  if (process.env.AGENTS_HOT_RELOAD === 'true') {
+    agentLoader.watch();
+  }
 };
 
+// רשימת הסוכנים שנטענו מתיקיית הסוכנים ושגיאות הטעינה של מניפסטים לא תקינים
+app.get('/agents', async (req, res) => {
+  try {
+    res.json({ success: true, agents: agentLoader.list(), errors: agentLoader.getErrors() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת רשימת הסוכנים: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הפעולות הציבוריות של סוכן וסכמות הפרמטרים שלהן (לבניית טפסים בלוח הבקרה)
+app.get('/agents/:name/actions', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const actions = agentLoader.getActions(name);
+    
+    if (!actions) {
+      return res.status(404).json({ error: `סוכן ${name} לא נמצא` });
+    }
+    
+    const { name: agentName, version } = agentLoader.getManifest(name);
+    
+    res.json({ success: true, agent: agentName, version, actions });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת פעולות הסוכן: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// טעינה מחדש של סוכן מהדיסק (המניפסט והמודול)
+app.post('/agents/:name/reload', async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    let agent;
+    try {
+      agent = await agentLoader.reload(name);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (!agent) {
+      return res.status(404).json({ error: `סוכן ${name} לא נמצא` });
+    }
+    
+    res.json({ success: true, agent });
+  } catch (error) {
+    logger.error(`שגיאה בטעינה מחדש של סוכן: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // נתיב להפעלת סוכן
 app.post('/run-agent', async (req, res) => {
   try {
     const { agent: agentName } = req.body;
     
-    if (!agentName || !agents[agentName]) {
+    if (!agentName || !agentLoader.getAgent(agentName)) {
       return res.status(400).json({ error: `סוכן לא תקין: ${agentName}` });
     }
     
-    const agent = agents[agentName];
+    const agent = agentLoader.getAgent(agentName);
     
     logger.info(`מפעיל סוכן: ${agentName}`);
-    await agent.start();
+    await agentLoader.startAgent(agentName);
     
     res.json({ 
       success: true, 
@@ -91,19 +202,26 @@ app.post('/stop-agent', async (req, res) => {
   try {
     const { agent: agentName } = req.body;
     
-    if (!agentName || !agents[agentName]) {
+    if (!agentName || !agentLoader.getAgent(agentName)) {
       return res.status(400).json({ error: `סוכן לא תקין: ${agentName}` });
     }
     
-    const agent = agents[agentName];
+    const agent = agentLoader.getAgent(agentName);
     
     logger.info(`מכבה סוכן: ${agentName}`);
+    
+    // בטל את משימות הסוכן, כדי ששאילתות פתוחות ייעצרו ולא ייכתבו קבצים אחרי הכיבוי
+    const cancelledTasks = agentManager.isAgentRegistered(agentName)
+      ? agentManager.cancelAgentTasks(agentName, 'הסוכן כובה')
+      : [];
+    
     await agent.stop();
     
     res.json({ 
       success: true, 
       message: `סוכן ${agentName} כובה בהצלחה`,
-      status: { active: agent.active }
+      status: { active: agent.active },
+      cancelledTasks
     });
   } catch (error) {
     logger.error(`שגיאה בכיבוי סוכן: ${error.message}`);
@@ -119,7 +237,7 @@ app.get('/status', async (req, res) => {
   try {
     const status = {};
     
-    for (const [agentName, agent] of Object.entries(agents)) {
+    for (const [agentName, agent] of Object.entries(agentLoader.getAgents())) {
       status[agentName] = { active: agent.active };
       
       // הוסף מידע נוסף לסוכנים מסוימים
@@ -151,6 +269,7 @@ app.post('/build-project', async (req, res) => {
     }
     
     // וודא שסוכן הפיתוח פעיל
+    const devAgent = agentLoader.getAgent('dev_agent');
     if (!devAgent.active) {
       await devAgent.start();
     }
@@ -178,7 +297,8 @@ app.post('/build-project', async (req, res) => {
       }
     };
     
-    // הפעל את סוכן הסיכום ליצירת דוח פרויקט ראשוני
+    // הפעל את סוכן הדוחות ליצירת דוח פרויקט ראשוני
+    const summaryAgent = agentLoader.getAgent('summary_agent');
     if (!summaryAgent.active) {
       await summaryAgent.start();
     }
@@ -200,12 +320,14 @@ app.post('/build-project', async (req, res) => {
   }
 });
 
-// נתיב להפעלת פעולות סוכן ספציפיות
+// נתיב להפעלת פעולות סוכן ספציפיות - רק פעולות שמוצהרות במניפסט של הסוכן, עם פרמטרים
+// שנבדקים מול הסכמה שלהן (params - אובייקט לפי שם או מערך לפי הסדר). הפעולה נשלחת כמשימה
+// למנהל הסוכנים (timeoutMs - זמן ריצה מקסימלי), והתשובה ממתינה לסיומה; משימה ארוכה מחזירה 202 עם taskId
 app.post('/agent-action', async (req, res) => {
   try {
     const { agent: agentName, action, params } = req.body;
     
-    if (!agentName || !agents[agentName]) {
+    if (!agentName || !agentLoader.getAgent(agentName)) {
       return res.status(400).json({ error: `סוכן לא תקין: ${agentName}` });
     }
     
@@ -213,24 +335,54 @@ app.post('/agent-action', async (req, res) => {
       return res.status(400).json({ error: 'לא צוינה פעולה' });
     }
     
-    const agent = agents[agentName];
+    // פרמטרים לא תקינים נדחים כאן, לפני שנוצרת משימה
+    try {
+      agentLoader.prepareAction(agentName, action, params);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const agent = agentLoader.getAgent(agentName);
     
     // וודא שהסוכן פעיל
-    if (!agent.active) {
-      await agent.start();
+    if (!agent.active && !agent.isRunning) {
+      await agentLoader.startAgent(agentName);
     }
     
-    // בדוק אם הפעולה קיימת
-    if (typeof agent[action] !== 'function') {
-      return res.status(400).json({ error: `פעולה לא תקינה: ${action}` });
-    }
+    // הפעולה רצה כמשימה במנהל הסוכנים - עם ביטול, מגבלת זמן, יומן משימות ושיוך השימוש והתקציב לסוכן
+    const taskId = agentManager.addTask(agentName, action, params || {}, {
+      ...(req.body.timeoutMs && { timeoutMs: req.body.timeoutMs })
+    });
+    logger.info(`מפעיל פעולת סוכן: ${agentName}.${action}() (משימה ${taskId})`);
     
-    // הפעל את הפעולה המבוקשת עם הפרמטרים
-    logger.info(`מפעיל פעולת סוכן: ${agentName}.${action}()`);
-    const result = await agent[action](...(params || []));
+    let result;
+    try {
+      result = await agentManager.waitForTask(taskId);
+    } catch (error) {
+      const task = agentManager.getTaskStatus(taskId);
+      
+      // המשימה עדיין רצה (או ממתינה לניסיון חוזר) - את התוצאה אפשר לקבל ב-/agent-manager/task/:taskId
+      if (['pending', 'running', 'retrying'].includes(task.status)) {
+        return res.status(202).json({
+          success: true,
+          taskId,
+          status: task.status,
+          message: `פעולה ${action} של סוכן ${agentName} עדיין רצה`
+        });
+      }
+      
+      logger.error(`שגיאה בהפעלת פעולת סוכן: ${error.message}`);
+      return res.status(500).json({
+        error: 'שגיאה בהפעלת פעולת סוכן',
+        message: error.message,
+        taskId,
+        status: task.status
+      });
+    }
     
     res.json({ 
       success: true, 
+      taskId,
       result,
       message: `פעולה ${action} הופעלה בהצלחה על סוכן ${agentName}`
     });
@@ -270,7 +422,7 @@ app.post('/select-project', async (req, res) => {
     const result = await projectManager.selectProject(projectName);
     
     // עדכן את נתיבי הסוכנים לעבוד על הפרויקט הנבחר
-    for (const agent of Object.values(agents)) {
+    for (const agent of Object.values(agentLoader.getAgents())) {
       if (typeof agent.setProjectPath === 'function') {
         await agent.setProjectPath(result.path);
       }
@@ -349,19 +501,44 @@ app.post('/open-file', async (req, res) => {
 });
 
 // הפעלת השרת
-app.listen(PORT, async () => {
+server.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   
+  // בדיקת זמינות הספק המקומי ורשימת המודלים שלו
+  await aiEngine.checkLocalProvider();
+  
   // רישום הסוכנים במערכת
   await registerAgents();
   
+  // הפעלת מנהל הסוכנים - תהליכי עבודה, צינורות ומשימות מתוזמנות נכנסים לתור שלו
+  // (גם משימות שרצו לפני הפעלה מחדש משוחזרות כאן מיומן המשימות)
+  await agentManager.start();
+  
   // אתחול סוכן התזמון אם מוגדר ב-.env
   if (process.env.SCHEDULER_AUTO_INIT === 'true') {
-    schedulerAgent.init();
+    agentLoader.getAgent('scheduler').init();
     console.log('Scheduler agent initialized');
   }
 });
 
+// כיבוי מסודר - הסוכנים רצים בתהליך הזה, ולכן נעצרים כאן (start.js מעביר את האות לתהליך השרת)
+const shutdown = async () => {
+  logger.info('מכבה את המערכת...');
+
+  try {
+    await agentLoader.stopAll();
+    await agentManager.stop();
+    logger.info('כל הסוכנים כובו בהצלחה');
+  } catch (error) {
+    logger.error(`שגיאה בכיבוי הסוכנים: ${error.message}`);
+  }
+
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // =============================================================
 // API לניהול Git 
 // =============================================================
@@ -370,6 +547,7 @@ app.listen(PORT, async () => {
 app.post('/git/sync', async (req, res) => {
   try {
     // וודא שסוכן Git פעיל
+    const gitSyncAgent = agentLoader.getAgent('git_sync_agent');
     if (!gitSyncAgent.active) {
       await gitSyncAgent.start();
     }
@@ -397,6 +575,7 @@ app.post('/git/init', async (req, res) => {
     }
     
     // וודא שסוכן Git פעיל
+    const gitSyncAgent = agentLoader.getAgent('git_sync_agent');
     if (!gitSyncAgent.active) {
       await gitSyncAgent.start();
     }
@@ -521,7 +700,7 @@ app.post('/agent-manager/stop', async (req, res) => {
 app.get('/agent-manager/stats', async (req, res) => {
   try {
     const stats = agentManager.getStats();
-    res.json(stats);
+    res.json({ ...stats, aiCache: aiEngine.getCacheStats(), aiRateLimits: aiEngine.getRateLimitStats() });
   } catch (error) {
     logger.error(`שגיאה בקבלת סטטיסטיקות מנהל הסוכנים: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -552,16 +731,11 @@ app.post('/agent-manager/schedule-task', async (req, res) => {
       return res.status(400).json({ error: 'נדרש שם סוכן ופעולה' });
     }
 
-    // וודא שהסוכן רשום
-    if (!agents[agentName]) {
+    // וודא שהסוכן נטען (הטוען רושם אותו במנהל הסוכנים)
+    if (!agentLoader.getAgent(agentName)) {
       return res.status(404).json({ error: `סוכן ${agentName} לא נמצא` });
     }
     
-    // רשום את הסוכן אם הוא לא רשום כבר
-    if (!agentManager.agents.has(agentName)) {
-      agentManager.registerAgent(agentName, agents[agentName]);
-    }
-    
     // הוסף משימה לתור
     const taskId = await agentManager.scheduleTask(agentName, action, params, options);
     
@@ -594,11 +768,610 @@ app.get('/agent-manager/task/:taskId', async (req, res) => {
   }
 });
 
+// ביטול משימה - ממתינה יוצאת מהתור, ורצה נעצרת (כולל שאילתות AI פתוחות)
+app.post('/agent-manager/task/:taskId/cancel', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const outcome = agentManager.cancelTask(taskId, req.body?.reason);
+    
+    if (!outcome) {
+      return res.status(404).json({ error: `משימה ${taskId} לא נמצאה` });
+    }
+    
+    if (!outcome.cancelled) {
+      return res.status(409).json({ error: `משימה ${taskId} כבר הסתיימה (${outcome.task.status})`, task: outcome.task });
+    }
+    
+    res.json({ success: true, task: outcome.task });
+  } catch (error) {
+    logger.error(`שגיאה בביטול משימה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// רשימת המשימות המתות - משימות שנכשלו סופית, עם היסטוריית השגיאות של כל הניסיונות
+app.get('/agent-manager/dead-letters', async (req, res) => {
+  try {
+    res.json({ success: true, tasks: agentManager.getDeadLetters() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת המשימות המתות: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הרצה מחדש של משימה מתה (אפשר לשנות parameters, maxRetries ו-timeoutMs)
+app.post('/agent-manager/dead-letters/:taskId/redrive', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const { parameters, maxRetries, timeoutMs } = req.body || {};
+    
+    let task;
+    try {
+      task = agentManager.redriveTask(taskId, { parameters, maxRetries, timeoutMs });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (!task) {
+      return res.status(404).json({ error: `משימה ${taskId} אינה ברשימת המשימות המתות` });
+    }
+    
+    res.json({ success: true, task });
+  } catch (error) {
+    logger.error(`שגיאה בהרצה מחדש של משימה מתה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הסרת משימה מרשימת המשימות המתות בלי להריץ אותה שוב
+app.delete('/agent-manager/dead-letters/:taskId', async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    
+    if (!agentManager.discardDeadLetter(taskId)) {
+      return res.status(404).json({ error: `משימה ${taskId} אינה ברשימת המשימות המתות` });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`שגיאה בהסרת משימה מתה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הוספת תהליך עבודה - שלבים עם תלויות, העברת תוצאות ({ $ref }) וענפים לכישלון (when: 'failure')
+app.post('/agent-manager/workflow', async (req, res) => {
+  try {
+    const { name, steps } = req.body;
+    
+    let workflow;
+    try {
+      workflow = agentManager.addWorkflow({ name, steps });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    res.json({ success: true, ...workflow });
+  } catch (error) {
+    logger.error(`שגיאה בהוספת תהליך עבודה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// רשימת תהליכי העבודה
+app.get('/agent-manager/workflows', async (req, res) => {
+  try {
+    res.json({ success: true, workflows: agentManager.getWorkflows() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת תהליכי העבודה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// מצב תהליך עבודה - הגרף המלא עם הסטטוס של כל שלב
+app.get('/agent-manager/workflow/:workflowId', async (req, res) => {
+  try {
+    const { workflowId } = req.params;
+    const workflow = agentManager.getWorkflow(workflowId);
+    
+    if (!workflow) {
+      return res.status(404).json({ error: `תהליך עבודה ${workflowId} לא נמצא` });
+    }
+    
+    res.json({ success: true, workflow });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת מצב תהליך עבודה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// צינורות העבודה של פרויקט (projects/<project>/pipelines), כולל שגיאות הטעינה של צינורות לא תקינים
+app.get('/projects/:projectName/pipelines', async (req, res) => {
+  try {
+    const pipelines = await pipelineManager.listPipelines(req.params.projectName);
+    res.json({ success: true, pipelines });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת צינורות העבודה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// צינור עבודה אחד אחרי טעינה ובדיקה
+app.get('/projects/:projectName/pipelines/:pipelineName', async (req, res) => {
+  try {
+    const { projectName, pipelineName } = req.params;
+    
+    let pipeline;
+    try {
+      pipeline = await pipelineManager.loadPipeline(projectName, pipelineName);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (!pipeline) {
+      return res.status(404).json({ error: `צינור ${pipelineName} לא נמצא בפרויקט ${projectName}` });
+    }
+    
+    res.json({ success: true, pipeline });
+  } catch (error) {
+    logger.error(`שגיאה בטעינת צינור עבודה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הרצת צינור עבודה
+app.post('/projects/:projectName/pipelines/:pipelineName/run', async (req, res) => {
+  try {
+    const { projectName, pipelineName } = req.params;
+    
+    let run;
+    try {
+      run = await pipelineManager.run(projectName, pipelineName, req.body?.inputs);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (!run) {
+      return res.status(404).json({ error: `צינור ${pipelineName} לא נמצא בפרויקט ${projectName}` });
+    }
+    
+    res.json({ success: true, ...run });
+  } catch (error) {
+    logger.error(`שגיאה בהרצת צינור עבודה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// תזמון הרצה חוזרת של צינור עבודה בסוכן התזמון (ברירת מחדל: ה-schedule שבקובץ)
+app.post('/projects/:projectName/pipelines/:pipelineName/schedule', async (req, res) => {
+  try {
+    const { projectName, pipelineName } = req.params;
+    const { cronExpression, inputs } = req.body || {};
+    
+    let taskId;
+    try {
+      taskId = await agentLoader.getAgent('scheduler').schedulePipeline(projectName, pipelineName, cronExpression, inputs);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    res.json({ success: true, taskId });
+  } catch (error) {
+    logger.error(`שגיאה בתזמון צינור עבודה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// מצב הרצה של צינור עבודה, כולל הפלטים כשההרצה הסתיימה
+app.get('/pipelines/runs/:runId', async (req, res) => {
+  try {
+    const run = pipelineManager.getRun(req.params.runId);
+    
+    if (!run) {
+      return res.status(404).json({ error: `הרצה ${req.params.runId} לא נמצאה` });
+    }
+    
+    res.json({ success: true, run });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת מצב הרצת צינור: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================
+// API לערוץ ההודעות בין הסוכנים
+// =============================================================
+
+// הנושאים המוגדרים והסכמות שלהם
+app.get('/bus/topics', async (req, res) => {
+  try {
+    res.json({ success: true, topics: messageBus.getTopics() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת נושאי ההודעות: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ההודעות האחרונות שפורסמו (topic - נושא או תבנית עם *)
+app.get('/bus/messages', async (req, res) => {
+  try {
+    const { topic } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    
+    if (topic && !messageBus.isValidPattern(topic)) {
+      return res.status(400).json({ error: `תבנית נושא לא תקינה: ${topic}` });
+    }
+    
+    res.json({ success: true, messages: messageBus.getRecentMessages({ topic, limit }) });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת הודעות הערוץ: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// פרסום הודעה ידני (לבדיקות)
+app.post('/bus/publish', async (req, res) => {
+  try {
+    const { topic, payload, source } = req.body;
+    
+    let message;
+    try {
+      message = messageBus.publish(topic, payload, { source: source || 'api' });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    res.json({ success: true, message });
+  } catch (error) {
+    logger.error(`שגיאה בפרסום הודעה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ההרשמות של הסוכנים ומצב תיבות ההודעות שלהם
+app.get('/bus/subscriptions', async (req, res) => {
+  try {
+    res.json({ success: true, subscriptions: messageBus.getSubscriptions() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת ההרשמות: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הרשמה קבועה של סוכן לנושא
+app.post('/bus/subscriptions', async (req, res) => {
+  try {
+    const { agentName, pattern, handler } = req.body;
+    
+    let subscription;
+    try {
+      subscription = messageBus.subscribe(agentName, pattern, handler);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    res.json({ success: true, subscription });
+  } catch (error) {
+    logger.error(`שגיאה בהרשמה לנושא: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ביטול הרשמה אחת של סוכן
+app.delete('/bus/subscriptions/:agentName/:subscriptionId', async (req, res) => {
+  try {
+    const { agentName, subscriptionId } = req.params;
+    
+    if (!messageBus.unsubscribe(agentName, subscriptionId)) {
+      return res.status(404).json({ error: `הרשמה ${subscriptionId} של סוכן ${agentName} לא נמצאה` });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`שגיאה בביטול הרשמה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ביטול כל ההרשמות של סוכן ומחיקת תיבת ההודעות שלו
+app.delete('/bus/subscriptions/:agentName', async (req, res) => {
+  try {
+    const { agentName } = req.params;
+    
+    if (!messageBus.unsubscribe(agentName)) {
+      return res.status(404).json({ error: `לסוכן ${agentName} אין הרשמות` });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`שגיאה בביטול ההרשמות: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================
+// API למנוע ה-AI
+// =============================================================
+
+// מצב ספקי ה-AI (מפסקי זרם)
+app.get('/ai/providers', async (req, res) => {
+  try {
+    res.json({ success: true, providers: aiEngine.getProviderHealth() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת מצב ספקי AI: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// בדיקה חוזרת של הספק המקומי (למשל אחרי הפעלת שרת Ollama)
+app.post('/ai/providers/local/check', async (req, res) => {
+  try {
+    const status = await aiEngine.checkLocalProvider();
+    res.json({ success: true, status });
+  } catch (error) {
+    logger.error(`שגיאה בבדיקת הספק המקומי: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ניתוב המודלים לפי סוכן וסוג משימה, והמודלים המוצהרים לכל ספק
+app.get('/ai/routing', async (req, res) => {
+  try {
+    res.json({ success: true, ...modelRouter.getRouting() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת ניתוב המודלים: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// המסלול שייבחר לסוכן ולסוג משימה
+app.get('/ai/routing/resolve', async (req, res) => {
+  try {
+    const { agent, taskType } = req.query;
+    res.json({ success: true, route: agentManager.getRecommendedModel(agent, taskType) });
+  } catch (error) {
+    logger.error(`שגיאה בבחירת מסלול: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הגדרה או עדכון של מסלול לסוכן ('*' - ברירת המחדל הכללית) או לסוג משימה שלו
+app.put('/ai/routing/:agentName/:taskType?', async (req, res) => {
+  try {
+    const { agentName, taskType } = req.params;
+    const route = await modelRouter.setRoute(agentName, taskType, req.body);
+    res.json({ success: true, route });
+  } catch (error) {
+    logger.error(`שגיאה בעדכון ניתוב המודלים: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// הסרת מסלול של סוכן (כולו) או של סוג משימה שלו
+app.delete('/ai/routing/:agentName/:taskType?', async (req, res) => {
+  try {
+    const { agentName, taskType } = req.params;
+    const removed = await modelRouter.removeRoute(agentName, taskType);
+    
+    if (!removed) {
+      return res.status(404).json({ error: `לא הוגדר מסלול עבור ${taskType ? `${agentName}/${taskType}` : agentName}` });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`שגיאה בהסרת מסלול: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// טעינה מחדש של קובץ הניתוב (נטען גם אוטומטית כשהקובץ משתנה)
+app.post('/ai/routing/reload', async (req, res) => {
+  try {
+    const loaded = modelRouter.reload();
+    const { lastError, loadedAt } = modelRouter.getRouting();
+    
+    if (!loaded) {
+      return res.status(400).json({ error: lastError, loadedAt });
+    }
+    
+    res.json({ success: true, loadedAt });
+  } catch (error) {
+    logger.error(`שגיאה בטעינת ניתוב המודלים: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// תבניות הפרומפטים, הגרסאות והשפות הזמינות
+app.get('/prompts', async (req, res) => {
+  try {
+    res.json({ success: true, templates: promptRegistry.list() });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת תבניות הפרומפטים: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// השוואת גרסאות של תבנית לפי הפעולות שתועדו איתן (מספר פעולות ושיעור הצלחה לכל גרסה ושפה)
+app.get('/prompts/usage/:name(*)', async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    if (!promptRegistry.get(name)) {
+      return res.status(404).json({ error: `תבנית פרומפט לא קיימת: ${name}` });
+    }
+    
+    const versions = await memoryManager.getPromptUsage(name);
+    res.json({ success: true, name, versions });
+  } catch (error) {
+    logger.error(`שגיאה בהשוואת גרסאות התבנית: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// טעינה מחדש של התבניות מהדיסק
+app.post('/prompts/reload', async (req, res) => {
+  try {
+    const count = promptRegistry.reload();
+    res.json({ success: true, count });
+  } catch (error) {
+    logger.error(`שגיאה בטעינת תבניות הפרומפטים: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// תבנית אחת כולל הטקסט של כל הגרסאות והשפות
+app.get('/prompts/:name(*)', async (req, res) => {
+  try {
+    const template = promptRegistry.get(req.params.name);
+    
+    if (!template) {
+      return res.status(404).json({ error: `תבנית פרומפט לא קיימת: ${req.params.name}` });
+    }
+    
+    res.json({ success: true, template });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת תבנית פרומפט: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// דוח שימוש בטוקנים ועלויות, מקובץ לפי יום או שבוע
+app.get('/usage', async (req, res) => {
+  try {
+    const { period, days, groupBy, agent, project } = req.query;
+    
+    const report = await usageTracker.getReport({
+      period: period || 'daily',
+      days: days ? parseInt(days) : (period === 'weekly' ? 84 : 30),
+      groupBy: groupBy || 'agent',
+      agentName: agent,
+      project
+    });
+    
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error(`שגיאה בהפקת דוח שימוש: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// שרשורי שיחה של סוכנים (סינון לפי agent ו-session)
+app.get('/ai/threads', async (req, res) => {
+  try {
+    const { agent, session } = req.query;
+    const threads = await conversationManager.listThreads({ agentName: agent, sessionId: session });
+    res.json({ success: true, threads });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת שרשורי שיחה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// שרשור שיחה מלא
+app.get('/ai/threads/:threadId', async (req, res) => {
+  try {
+    const thread = await conversationManager.getThread(req.params.threadId);
+    
+    if (!thread) {
+      return res.status(404).json({ error: `שרשור ${req.params.threadId} לא נמצא` });
+    }
+    
+    res.json({ success: true, thread });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת שרשור שיחה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// מחיקת שרשור שיחה
+app.delete('/ai/threads/:threadId', async (req, res) => {
+  try {
+    const deleted = await conversationManager.deleteThread(req.params.threadId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: `שרשור ${req.params.threadId} לא נמצא` });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`שגיאה במחיקת שרשור שיחה: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ביטול רשומות במטמון תשובות ה-AI (סינון אופציונלי לפי tag, provider, model)
+app.delete('/ai/cache', async (req, res) => {
+  try {
+    const { tag, provider, model } = req.query;
+    const removed = await aiEngine.invalidateCache({ tag, provider, model });
+    
+    res.json({ success: true, removed, stats: aiEngine.getCacheStats() });
+  } catch (error) {
+    logger.error(`שגיאה בביטול מטמון ה-AI: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// יומן הביקורת של סודות ומידע אישי שהושחרו לפני שליחה לספקים (ללא הערכים עצמם)
+app.get('/ai/redactions', async (req, res) => {
+  try {
+    const entries = await aiEngine.getRedactionLog(req.query.date);
+    res.json({ success: true, entries });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת יומן ההשחרות: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// תקציבים מוגדרים ומצב השימוש מולם
+app.get('/budgets', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      budgets: budgetManager.getBudgets(),
+      status: await budgetManager.getStatus(),
+      blockedTasks: agentManager.getBudgetBlockedTasks()
+    });
+  } catch (error) {
+    logger.error(`שגיאה בקבלת תקציבים: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// הגדרה או עדכון של תקציב לסוכן או לפרויקט (scope: agents/projects)
+app.put('/budgets/:scope/:name', async (req, res) => {
+  try {
+    const { scope, name } = req.params;
+    const budget = await budgetManager.setBudget(scope, name, req.body);
+    res.json({ success: true, budget });
+  } catch (error) {
+    logger.error(`שגיאה בעדכון תקציב: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// הסרת תקציב
+app.delete('/budgets/:scope/:name', async (req, res) => {
+  try {
+    const { scope, name } = req.params;
+    const removed = await budgetManager.removeBudget(scope, name);
+    
+    if (!removed) {
+      return res.status(404).json({ error: `לא הוגדר תקציב עבור ${scope}/${name}` });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`שגיאה בהסרת תקציב: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // API נקודות קצה לסוכן התזמון
 app.get('/scheduler/tasks/:agentId', async (req, res) => {
   try {
     const { agentId } = req.params;
-    const tasks = await schedulerAgent.getTasksForAgent(agentId);
+    const tasks = await agentLoader.getAgent('scheduler').getTasksForAgent(agentId);
     res.json(tasks);
   } catch (error) {
     console.error('Error getting scheduled tasks:', error);
@@ -609,7 +1382,7 @@ app.get('/scheduler/tasks/:agentId', async (req, res) => {
 app.post('/scheduler/create', async (req, res) => {
   try {
     const { agentId, name, cronExpression, action, params } = req.body;
-    const taskId = await schedulerAgent.scheduleTask(agentId, name, cronExpression, action, params);
+    const taskId = await agentLoader.getAgent('scheduler').scheduleTask(agentId, name, cronExpression, action, params);
     res.json({ success: true, taskId });
   } catch (error) {
     console.error('Error creating scheduled task:', error);
@@ -620,7 +1393,7 @@ app.post('/scheduler/create', async (req, res) => {
 app.delete('/scheduler/delete/:taskId', async (req, res) => {
   try {
     const { taskId } = req.params;
-    await schedulerAgent.removeTask(taskId);
+    await agentLoader.getAgent('scheduler').removeTask(taskId);
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting scheduled task:', error);
@@ -634,7 +1407,7 @@ app.get('/summary/agent/:agentName', async (req, res) => {
     const { agentName } = req.params;
     const { period, insights, format } = req.query;
 
-    const summaryAgent = agentManager.getAgent('summary');
+    const summaryAgent = agentLoader.getAgent('summary');
     if (!summaryAgent) {
       return res.status(404).json({ error: 'Summary agent not found' });
     }
@@ -657,7 +1430,7 @@ app.get('/summary/system', async (req, res) => {
   try {
     const { period, insights, format } = req.query;
 
-    const summaryAgent = agentManager.getAgent('summary');
+    const summaryAgent = agentLoader.getAgent('summary');
     if (!summaryAgent) {
       return res.status(404).json({ error: 'Summary agent not found' });
     }
@@ -15,42 +15,8 @@ if (!fs.existsSync(path.join(__dirname, '.env'))) {
   process.exit(1);
 }
 
-// ייבוא הסוכנים
-const devAgent = require('./agents/dev');
-const qaAgent = require('./agents/qa');
-const executorAgent = require('./agents/executor');
-const summaryAgent = require('./agents/summary');
-const gitSyncAgent = require('./agents/git_sync');
-
-// פונקציה להפעלת כל הסוכנים
-async function startAllAgents() {
-  logger.info('מפעיל את כל הסוכנים...');
-  
-  try {
-    await devAgent.start();
-    logger.info('סוכן הפיתוח הופעל');
-    
-    await qaAgent.start();
-    logger.info('סוכן הבדיקות הופעל');
-    
-    await executorAgent.start();
-    logger.info('סוכן הביצוע הופעל');
-    
-    await summaryAgent.start();
-    logger.info('סוכן הסיכום הופעל');
-    
-    await gitSyncAgent.start();
-    logger.info('סוכן סנכרון Git הופעל');
-    
-    logger.info('כל הסוכנים הופעלו בהצלחה!');
-  } catch (error) {
-    logger.error(`שגיאה בהפעלת הסוכנים: ${error.message}`);
-    console.error('שגיאה בהפעלת הסוכנים:', error);
-  }
-}
-
-// הפעל את כל הסוכנים
-startAllAgents();
+// הסוכנים נטענים ומופעלים בתהליך השרת עצמו (server.js), כדי שיהיה מופע אחד של כל סוכן
+// ושההודעות ב-messageBus יגיעו למנויים שלהן
 
 // התחל את השרת
 const serverProcess = spawn('node', ['server.js'], {
@@ -63,22 +29,12 @@ serverProcess.on('error', (error) => {
   console.error('שגיאה בהפעלת השרת:', error);
 });
 
-// טפל בסיום תהליך
-process.on('SIGINT', async () => {
+// טפל בסיום תהליך - השרת מכבה את הסוכנים שלו, ואנחנו מסיימים כשהוא מסתיים
+process.on('SIGINT', () => {
   logger.info('מכבה את המערכת...');
-  
-  // כבה את כל הסוכנים
-  try {
-    await devAgent.stop();
-    await qaAgent.stop();
-    await executorAgent.stop();
-    await summaryAgent.stop();
-    await gitSyncAgent.stop();
-    logger.info('כל הסוכנים כובו בהצלחה');
-  } catch (error) {
-    logger.error(`שגיאה בכיבוי הסוכנים: ${error.message}`);
-  }
-  
-  // סיים את התהליך
-  process.exit(0);
-}); 
\ No newline at end of file
+  serverProcess.kill('SIGINT');
+});
+
+serverProcess.on('exit', (code) => {
+  process.exit(code ?? 0);
+});
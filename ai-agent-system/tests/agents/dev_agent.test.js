@@ -0,0 +1,32 @@
+const fs = require('fs-extra');
+const aiEngine = require('../../core/aiEngine');
+const devAgent = require('../../agents/dev_agent');
+
+const REQUIREMENTS = 'A function slugify(text) that lowercases the text and replaces runs of non-alphanumeric characters with a single dash';
+
+describe('dev_agent', () => {
+  beforeAll(async () => {
+    aiEngine.useCassette('dev_agent', 'replay');
+    await devAgent.start();
+  });
+
+  afterAll(async () => {
+    await devAgent.stop();
+  });
+
+  test('generateCode שומר את הקוד מתוך בלוק הקוד בתשובה', async () => {
+    const code = await devAgent.subAgents.gpt4.generateCode('src/slugify.js', REQUIREMENTS);
+
+    expect(code).toContain('function slugify(text)');
+    expect(code).not.toContain('```');
+    expect(await fs.readFile('src/slugify.js', 'utf-8')).toBe(code);
+  });
+
+  test('reviewCode שומר סקירה לפי חומרת הממצאים', async () => {
+    const { severity, issues } = await devAgent.subAgents.claude.reviewCode('src/slugify.js', { autoFix: false });
+
+    expect(severity).toBe('low');
+    expect(issues).toHaveLength(1);
+    expect(await fs.pathExists('src/slugify.js.review.md')).toBe(true);
+  });
+});
@@ -0,0 +1,44 @@
+const fs = require('fs-extra');
+const aiEngine = require('../../core/aiEngine');
+const qaAgent = require('../../agents/qa');
+const { CassetteMissError } = require('../../core/errors');
+
+const SOURCE = `function average(numbers) {
+  let sum = 0;
+  for (let i = 0; i <= numbers.length; i++) {
+    sum += numbers[i];
+  }
+  return sum / numbers.length;
+}
+
+module.exports = { average };
+`;
+
+describe('qa_agent', () => {
+  beforeAll(async () => {
+    aiEngine.useCassette('qa', 'replay');
+    await fs.outputFile('src/average.js', SOURCE);
+    await qaAgent.start();
+  });
+
+  afterAll(async () => {
+    await qaAgent.stop();
+  });
+
+  test('analyzeCode מחזיר את הממצאים מהתשובה המוקלטת', async () => {
+    const { results } = await qaAgent.analyzeCode('src/average.js');
+    const result = results['average.js'];
+
+    expect(result.score).toBe(55);
+    expect(result.language).toBe('JavaScript');
+    expect(result.issues).toHaveLength(2);
+    expect(result.issues[0]).toMatchObject({ severity: 'גבוהה', lines: [3] });
+    expect(result.prompt).toMatchObject({ name: 'qa/analyze' });
+  });
+
+  test('שינוי בקוד הנבדק משנה את הפרומפט ונכשל ב-CassetteMissError', async () => {
+    await fs.outputFile('src/average.js', SOURCE.replace('i <= numbers.length', 'i < numbers.length'));
+
+    await expect(qaAgent.analyzeCode('src/average.js')).rejects.toBeInstanceOf(CassetteMissError);
+  });
+});
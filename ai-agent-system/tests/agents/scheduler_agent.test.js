@@ -0,0 +1,32 @@
+const aiEngine = require('../../core/aiEngine');
+const agentManager = require('../../core/agentManager');
+const schedulerAgent = require('../../agents/scheduler_agent');
+
+describe('scheduler_agent', () => {
+  beforeAll(() => {
+    aiEngine.useCassette('scheduler_agent', 'replay');
+    agentManager.registerAgent('qa_agent', { start: async () => {}, stop: async () => {} });
+    schedulerAgent.init();
+  });
+
+  afterAll(() => {
+    schedulerAgent.stop();
+    agentManager.unregisterAgent('qa_agent');
+  });
+
+  test('createScheduleFromDescription יוצר משימות מביטויי ה-cron התקינים בלבד', async () => {
+    const tasks = await schedulerAgent.createScheduleFromDescription(
+      'qa_agent',
+      'Run QA every weekday at 8 in the morning and stop it at 6 in the evening'
+    );
+
+    // ההצעה השלישית בתשובה המוקלטת אינה ביטוי cron תקין ומדולגת
+    expect(tasks.map(({ name, cronExpression, action }) => ({ name, cronExpression, action }))).toEqual([
+      { name: 'weekday_morning_qa', cronExpression: '0 8 * * 1-5', action: 'run' },
+      { name: 'weekday_evening_stop', cronExpression: '0 18 * * 1-5', action: 'stop' }
+    ]);
+
+    const scheduled = await schedulerAgent.getTasksForAgent('qa_agent');
+    expect(scheduled).toHaveLength(2);
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// תיקיית סוכנים זמנית - טוען הסוכנים קורא את AGENTS_DIR כשהוא נטען
+const agentsDir = path.join(process.cwd(), 'agents');
+fs.ensureDirSync(agentsDir);
+process.env.AGENTS_DIR = agentsDir;
+
+const agentLoader = require('../../core/agentLoader');
+const agentManager = require('../../core/agentManager');
+
+const ECHO_SOURCE = 'module.exports = { say: async (text, times = 1) => text.repeat(times) };\n';
+
+function manifest(overrides = {}) {
+  return {
+    name: 'echo',
+    version: '1.0.0',
+    main: 'echo.js',
+    aliases: ['echo_agent'],
+    permissions: ['ai'],
+    actions: {
+      say: {
+        parameters: {
+          type: 'object',
+          properties: { text: { type: 'string' }, times: { type: 'integer', minimum: 1 } },
+          required: ['text']
+        }
+      }
+    },
+    ...overrides
+  };
+}
+
+function writeAgent(file, content, source = ECHO_SOURCE) {
+  fs.writeJsonSync(path.join(agentsDir, file), content);
+  fs.writeFileSync(path.join(agentsDir, content.main || 'echo.js'), source);
+}
+
+describe('agentLoader', () => {
+  beforeAll(async () => {
+    writeAgent('echo.manifest.json', manifest());
+    await agentLoader.load('echo.manifest.json');
+  });
+
+  afterAll(() => {
+    delete process.env.AGENTS_DIR;
+  });
+
+  describe('טעינת מניפסט', () => {
+    test('סוכן תקין נרשם במנהל הסוכנים יחד עם הכינויים שלו', () => {
+      expect(agentLoader.list()).toEqual([expect.objectContaining({ name: 'echo', version: '1.0.0', aliases: ['echo_agent'] })]);
+      expect(agentManager.isAgentRegistered('echo')).toBe(true);
+      expect(agentManager.isAgentRegistered('echo_agent')).toBe(true);
+      expect(agentManager.isActionAllowed('echo', 'say')).toBe(true);
+    });
+
+    test.each([
+      ['חסרות הרשאות', manifest({ permissions: undefined }), "מניפסט לא תקין: / must have required property 'permissions'"],
+      ['הרשאה לא מוכרת', manifest({ name: 'rogue', permissions: ['root'] }), 'מניפסט לא תקין: /permissions/0 must be equal to one of the allowed values'],
+      ['שם לא תקין', manifest({ name: 'Echo-Agent' }), 'מניפסט לא תקין: /name must match pattern'],
+      ['main מחוץ לתיקייה', manifest({ name: 'outside', main: '../outside.js' }), 'main חייב להיות קובץ בתיקיית הסוכנים: ../outside.js'],
+      ['שם שתפוס כבר ככינוי', manifest({ name: 'echo_agent', aliases: [] }), 'השם echo_agent כבר שייך לסוכן echo (echo.manifest.json)'],
+      [
+        'פרמטר חובה שאינו מוגדר',
+        manifest({ name: 'broken', aliases: [], actions: { say: { parameters: { type: 'object', properties: {}, required: ['text'] } } } }),
+        'פעולה say: פרמטרי חובה שאינם מוגדרים: text'
+      ]
+    ])('%s - המניפסט נדחה', async (_, content, message) => {
+      fs.writeJsonSync(path.join(agentsDir, 'invalid.manifest.json'), content);
+
+      await expect(agentLoader.load('invalid.manifest.json')).rejects.toThrow(message);
+      expect(agentLoader.getErrors()['invalid.manifest.json'].message).toContain(message);
+    });
+
+    test('פעולה שמוצהרת במניפסט חייבת להתקיים במודול', async () => {
+      writeAgent('partial.manifest.json', manifest({
+        name: 'partial',
+        main: 'partial.js',
+        aliases: [],
+        actions: { ...manifest().actions, shout: { parameters: { type: 'object', properties: {} } } }
+      }));
+
+      await expect(agentLoader.load('partial.manifest.json')).rejects.toThrow('פעולות שמוצהרות במניפסט ואינן קיימות ב-partial.js: shout');
+      expect(agentManager.isAgentRegistered('partial')).toBe(false);
+    });
+
+    test('autoStart דורש מתודת start או init', async () => {
+      writeAgent('eager.manifest.json', manifest({ name: 'eager', main: 'eager.js', aliases: [], autoStart: true }));
+
+      await expect(agentLoader.load('eager.manifest.json')).rejects.toThrow('autoStart מוגדר אבל ל-eager.js אין מתודת start או init');
+    });
+
+    test('הרשאה שאינה ב-AGENT_ALLOWED_PERMISSIONS חוסמת את טעינת הסוכן', async () => {
+      writeAgent('writer.manifest.json', manifest({ name: 'writer', main: 'writer.js', aliases: [], permissions: ['ai', 'fs:write'] }));
+      agentLoader.allowedPermissions = ['ai', 'fs:read'];
+
+      try {
+        await expect(agentLoader.load('writer.manifest.json')).rejects.toThrow('הסוכן writer דורש הרשאות שאינן מותרות (AGENT_ALLOWED_PERMISSIONS): fs:write');
+      } finally {
+        agentLoader.allowedPermissions = [];
+      }
+    });
+
+    test('מניפסט לא תקין לא עוצר את טעינת שאר הסוכנים', async () => {
+      fs.writeJsonSync(path.join(agentsDir, 'invalid.manifest.json'), manifest({ name: 'Invalid' }));
+      writeAgent('greeter.manifest.json', manifest({ name: 'greeter', main: 'greeter.js', aliases: [] }));
+
+      const loaded = await agentLoader.loadAll();
+
+      expect(loaded.map(agent => agent.name)).toEqual(expect.arrayContaining(['echo', 'greeter']));
+      expect(Object.keys(agentLoader.getErrors())).toEqual(expect.arrayContaining(['invalid.manifest.json']));
+    });
+  });
+
+  describe('prepareAction', () => {
+    test('הפרמטרים נבדקים מול הסכמה ומסודרים לפי סדר הארגומנטים', () => {
+      expect(agentLoader.prepareAction('echo_agent', 'say', { times: 2, text: 'hi' })).toEqual(['hi', 2]);
+      expect(agentLoader.prepareAction('echo', 'say', ['hi'])).toEqual(['hi', undefined]);
+    });
+
+    test('פעולה לא מוצהרת, פרמטר לא מוכר או ערך לא תקין נדחים', () => {
+      expect(() => agentLoader.prepareAction('echo', 'toString')).toThrow('פעולה toString אינה מוצהרת כפעולה ציבורית של סוכן echo');
+      expect(() => agentLoader.prepareAction('echo', 'say', { text: 'hi', loud: true })).toThrow('פרמטרים לא מוכרים לפעולה say: loud');
+      expect(() => agentLoader.prepareAction('echo', 'say', { text: 'hi', times: 0 })).toThrow('פרמטרים לא תקינים לפעולה say: /times must be >= 1');
+      expect(() => agentLoader.prepareAction('echo', 'say', ['a', 1, 'extra'])).toThrow('פעולה say מקבלת עד 2 פרמטרים (התקבלו 3)');
+    });
+  });
+});
@@ -0,0 +1,362 @@
+const agentManager = require('../../core/agentManager');
+
+// המתנה לתנאי שמתקיים כשהתור מתקדם ברקע
+async function waitFor(condition, timeoutMs = 5000) {
+  const startedAt = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error('פג זמן ההמתנה בבדיקה');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function waitForWorkflow(workflowId) {
+  return waitFor(() => agentManager.getWorkflow(workflowId).status !== 'running');
+}
+
+describe('agentManager', () => {
+  const builder = {
+    build: jest.fn(async name => ({ filePath: `dist/${name}` })),
+    publish: jest.fn(async filePath => ({ url: `https://example.test/${filePath}` })),
+    fail: jest.fn(async () => {
+      throw new Error('הבנייה נכשלה');
+    }),
+    flaky: jest.fn(async () => {
+      if (builder.flaky.mock.calls.length === 1) {
+        throw new Error('שגיאה זמנית');
+      }
+      return { ok: true };
+    }),
+    notify: jest.fn(async message => ({ sent: message })),
+    reject: jest.fn(async () => {
+      const error = new Error('קלט לא תקין');
+      error.retryable = false;
+      throw error;
+    })
+  };
+
+  beforeAll(async () => {
+    agentManager.registerAgent('builder', builder, { actions: ['build', 'publish', 'fail', 'flaky', 'notify', 'reject'] });
+    await agentManager.start();
+  });
+
+  afterAll(async () => {
+    await agentManager.stop();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('כינויים', () => {
+    test('משימה שנשלחת לכינוי של סוכן רצה בסוכן עצמו, והכינוי מוסר עם ביטול הרישום', async () => {
+      const scheduler = { listTasks: jest.fn(async () => ['nightly']) };
+      agentManager.registerAgent('scheduler', scheduler, { aliases: ['scheduler_agent'], actions: ['listTasks'] });
+
+      const taskId = agentManager.addTask('scheduler_agent', 'listTasks');
+      expect(agentManager.getTaskStatus(taskId).agentName).toBe('scheduler');
+      await expect(agentManager.waitForTask(taskId)).resolves.toEqual(['nightly']);
+
+      expect(agentManager.getAgent('scheduler_agent')).toBe(scheduler);
+      expect(agentManager.isActionAllowed('scheduler_agent', 'listTasks')).toBe(true);
+
+      agentManager.unregisterAgent('scheduler');
+      expect(agentManager.isAgentRegistered('scheduler_agent')).toBe(false);
+    });
+  });
+
+  describe('ניסיונות חוזרים', () => {
+    test('משימה שהצליחה בניסיון חוזר לא נשארת עם השגיאה של הניסיון הקודם', async () => {
+      const taskId = agentManager.addTask('builder', 'flaky', {}, { maxRetries: 1, backoff: { initialDelayMs: 10 } });
+
+      await agentManager.waitForTask(taskId);
+
+      const task = agentManager.getTaskStatus(taskId);
+      expect(task).toMatchObject({ status: 'completed', attempts: 2, error: null, retryAt: null, result: { ok: true } });
+      expect(task.errorHistory).toEqual([expect.objectContaining({ attempt: 1, error: 'שגיאה זמנית' })]);
+    });
+
+    test('ניסיון שחרג מזמן הריצה ועדיין רץ נספר במגבלת maxConcurrentTasks', async () => {
+      let slowFinishedAt = null;
+      const slow = {
+        // מתעלם מאות הביטול וממשיך לרוץ אחרי שהניסיון הופסק
+        work: jest.fn(() => new Promise(resolve => setTimeout(() => {
+          slowFinishedAt = new Date().toISOString();
+          resolve();
+        }, 200)))
+      };
+      agentManager.registerAgent('slow', slow, { actions: ['work'] });
+      agentManager.config.agentManager.maxConcurrentTasks = 1;
+
+      try {
+        const slowTaskId = agentManager.addTask('slow', 'work', {}, { timeoutMs: 30 });
+        await waitFor(() => agentManager.getTaskStatus(slowTaskId).status === 'failed');
+
+        expect(agentManager.getStats().runningTasks).toBe(1);
+
+        const taskId = agentManager.addTask('builder', 'build', { name: 'app.js' });
+        await agentManager.waitForTask(taskId);
+
+        expect(slowFinishedAt).not.toBeNull();
+        expect(agentManager.getTaskStatus(taskId).startedAt >= slowFinishedAt).toBe(true);
+      } finally {
+        delete agentManager.config.agentManager.maxConcurrentTasks;
+        agentManager.unregisterAgent('slow');
+      }
+    });
+    test('ההשהיה לפני ניסיון חוזר גדלה לפי multiplier ומוגבלת ב-maxDelayMs', async () => {
+      const taskId = agentManager.addTask('builder', 'fail', {}, {
+        maxRetries: 5,
+        backoff: { initialDelayMs: 40, multiplier: 2, maxDelayMs: 100 }
+      });
+      const delays = [];
+
+      try {
+        for (let attempt = 1; attempt <= 3; attempt++) {
+          await waitFor(() => {
+            const task = agentManager.getTaskStatus(taskId);
+            return task.status === 'retrying' && task.attempts === attempt;
+          });
+
+          const task = agentManager.getTaskStatus(taskId);
+          delays.push(new Date(task.retryAt) - new Date(task.errorHistory[attempt - 1].at));
+        }
+      } finally {
+        agentManager.cancelTask(taskId);
+      }
+
+      // 40, 80, ואז 160 שנחתך ל-100 (ההשהיה מחושבת כמה מילישניות אחרי זמן הכישלון)
+      [40, 80, 100].forEach((expected, index) => {
+        expect(delays[index]).toBeGreaterThanOrEqual(expected);
+        expect(delays[index]).toBeLessThan(expected + 20);
+      });
+    });
+
+    test('משימה שמיצתה את הניסיונות עוברת לרשימת המשימות המתות, ומשם אפשר להריץ אותה שוב', async () => {
+      const taskId = agentManager.addTask('builder', 'fail', {}, { maxRetries: 1, backoff: { initialDelayMs: 10 } });
+
+      await expect(agentManager.waitForTask(taskId)).rejects.toThrow('הבנייה נכשלה');
+
+      expect(agentManager.getTaskStatus(taskId)).toMatchObject({ status: 'failed', attempts: 2 });
+      const [deadLetter] = agentManager.getDeadLetters().filter(task => task.id === taskId);
+      expect(deadLetter.errorHistory.map(entry => entry.attempt)).toEqual([1, 2]);
+
+      const redriven = agentManager.redriveTask(taskId, { maxRetries: 0 });
+      expect(redriven).toMatchObject({ status: 'pending', attempts: 0, redrives: 1, deadLetteredAt: null });
+      expect(agentManager.getDeadLetters().map(task => task.id)).not.toContain(taskId);
+
+      await expect(agentManager.waitForTask(taskId)).rejects.toThrow('הבנייה נכשלה');
+
+      // ההרצה החוזרת ממשיכה את היסטוריית השגיאות של ההרצה הקודמת
+      const task = agentManager.getTaskStatus(taskId);
+      expect(task.attempts).toBe(1);
+      expect(task.errorHistory).toHaveLength(3);
+      expect(agentManager.getDeadLetters().map(dead => dead.id)).toContain(taskId);
+
+      expect(agentManager.discardDeadLetter(taskId)).toBe(true);
+      expect(agentManager.getDeadLetters().map(dead => dead.id)).not.toContain(taskId);
+      expect(agentManager.getTaskStatus(taskId).status).toBe('failed');
+      expect(agentManager.redriveTask(taskId)).toBeNull();
+      expect(agentManager.discardDeadLetter(taskId)).toBe(false);
+    });
+
+    test('שגיאה שסומנה retryable=false לא מנוסה שוב', async () => {
+      const taskId = agentManager.addTask('builder', 'reject', {}, { maxRetries: 3, backoff: { initialDelayMs: 10 } });
+
+      await expect(agentManager.waitForTask(taskId)).rejects.toThrow('קלט לא תקין');
+
+      expect(builder.reject).toHaveBeenCalledTimes(1);
+      expect(agentManager.getTaskStatus(taskId)).toMatchObject({ status: 'failed', attempts: 1 });
+      expect(agentManager.getDeadLetters().map(task => task.id)).toContain(taskId);
+    });
+  });
+
+  describe('מופעים ועדיפויות', () => {
+    // סוכן שכל משימה שלו ממתינה עד שהבדיקה משחררת אותה
+    function createGatedAgent(started) {
+      const gates = [];
+      const instance = {
+        run: jest.fn(label => {
+          started.push({ label, instance });
+          return new Promise(resolve => gates.push(resolve));
+        })
+      };
+
+      return { instance, releaseAll: () => gates.splice(0).forEach(resolve => resolve()) };
+    }
+
+    test('משימות של סוכן מתחלקות בין המופעים שלו עד concurrency לכל מופע', async () => {
+      const started = [];
+      const first = createGatedAgent(started);
+      const second = createGatedAgent(started);
+      agentManager.registerAgent('renderer', first.instance, { concurrency: 1, actions: ['run'] });
+
+      try {
+        expect(agentManager.addAgentInstance('renderer', second.instance)).toBe(2);
+        expect(agentManager.getAgentConcurrency('renderer')).toBe(1);
+
+        const taskIds = ['a', 'b', 'c'].map(label => agentManager.addTask('renderer', 'run', { label }));
+        await waitFor(() => started.length === 2);
+
+        // מופע אחד לכל משימה, והשלישית ממתינה למופע פנוי
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(started.map(entry => entry.label)).toEqual(['a', 'b']);
+        expect(new Set(started.map(entry => entry.instance))).toEqual(new Set([first.instance, second.instance]));
+        expect(agentManager.getTaskStatus(taskIds[2]).status).toBe('pending');
+        expect(agentManager.getRegisteredAgents().renderer).toMatchObject({
+          status: 'busy',
+          instances: 2,
+          concurrency: 1,
+          activeTasks: taskIds.slice(0, 2)
+        });
+
+        first.releaseAll();
+        second.releaseAll();
+        await waitFor(() => started.length === 3);
+        first.releaseAll();
+        second.releaseAll();
+
+        await Promise.all(taskIds.map(taskId => agentManager.waitForTask(taskId)));
+      } finally {
+        agentManager.unregisterAgent('renderer');
+      }
+    });
+
+    test('משימה בעדיפות גבוהה יוצאת מהתור לפני משימה שנכנסה לפניה', async () => {
+      const started = [];
+      const gated = createGatedAgent(started);
+      agentManager.registerAgent('sorter', gated.instance, { concurrency: 1, actions: ['run'] });
+
+      try {
+        const blocker = agentManager.addTask('sorter', 'run', { label: 'blocker' });
+        await waitFor(() => started.length === 1);
+
+        const low = agentManager.addTask('sorter', 'run', { label: 'low' }, { priority: 'low' });
+        const high = agentManager.addTask('sorter', 'run', { label: 'high' }, { priority: 'high' });
+
+        for (let count = 2; count <= 3; count++) {
+          gated.releaseAll();
+          await waitFor(() => started.length === count);
+        }
+        gated.releaseAll();
+
+        await Promise.all([blocker, low, high].map(taskId => agentManager.waitForTask(taskId)));
+        expect(started.map(entry => entry.label)).toEqual(['blocker', 'high', 'low']);
+      } finally {
+        agentManager.unregisterAgent('sorter');
+      }
+    });
+
+    test('משימה שממתינה בתור עולה בעדיפות עם הזמן, עד קריטית', () => {
+      agentManager.config.agentManager.priorityAgingMs = 30000;
+
+      try {
+        const now = Date.now();
+        const queuedAgo = ms => new Date(now - ms).toISOString();
+
+        expect(agentManager._getEffectivePriority({ priority: 'low', queuedAt: queuedAgo(10000) }, now)).toBe(0);
+        expect(agentManager._getEffectivePriority({ priority: 'low', queuedAt: queuedAgo(65000) }, now)).toBe(2);
+        expect(agentManager._getEffectivePriority({ priority: 'high', queuedAt: queuedAgo(300000) }, now)).toBe(3);
+
+        agentManager.config.agentManager.priorityAgingMs = 0;
+        expect(agentManager._getEffectivePriority({ priority: 'low', queuedAt: queuedAgo(300000) }, now)).toBe(0);
+      } finally {
+        delete agentManager.config.agentManager.priorityAgingMs;
+      }
+    });
+  });
+
+  describe('תהליכי עבודה', () => {
+    test('שלב תלוי ממתין לתלויות שלו ומקבל את התוצאה שלהן דרך $ref', async () => {
+      const { workflowId, tasks } = agentManager.addWorkflow({
+        name: 'release',
+        steps: [
+          { id: 'publish', agent: 'builder', action: 'publish', params: { filePath: { $ref: 'build.result.filePath' } }, dependsOn: ['build'] },
+          { id: 'build', agent: 'builder', action: 'build', params: { name: 'app.js' } }
+        ]
+      });
+
+      // השלב התלוי מחוץ לתור עד שהתלות מסתיימת
+      expect(agentManager.getTaskStatus(tasks.publish).status).toBe('waiting');
+      expect(agentManager.getTaskStatus(tasks.publish).parameters).toEqual({ filePath: { $ref: `${tasks.build}.result.filePath` } });
+
+      await waitForWorkflow(workflowId);
+
+      const build = agentManager.getTaskStatus(tasks.build);
+      const publish = agentManager.getTaskStatus(tasks.publish);
+      expect(publish.status).toBe('completed');
+      expect(publish.startedAt >= build.completedAt).toBe(true);
+      expect(builder.publish).toHaveBeenCalledWith('dist/app.js');
+      expect(publish.result).toEqual({ url: 'https://example.test/dist/app.js' });
+
+      expect(agentManager.getWorkflow(workflowId)).toMatchObject({
+        status: 'completed',
+        edges: [{ from: 'build', to: 'publish', when: 'success' }]
+      });
+    });
+
+    test('כישלון של שלב מריץ את ענפי failure ו-always ומדלג על ענף ההצלחה', async () => {
+      const { workflowId, tasks } = agentManager.addWorkflow({
+        name: 'broken-release',
+        steps: [
+          { id: 'build', agent: 'builder', action: 'fail' },
+          { id: 'publish', agent: 'builder', action: 'publish', params: { filePath: 'dist/app.js' }, dependsOn: ['build'] },
+          { id: 'alert', agent: 'builder', action: 'notify', params: { message: 'build failed' }, dependsOn: ['build'], when: 'failure' },
+          { id: 'cleanup', agent: 'builder', action: 'notify', params: { message: 'done' }, dependsOn: ['build'], when: 'always' }
+        ]
+      });
+
+      await waitForWorkflow(workflowId);
+
+      expect(agentManager.getTaskStatus(tasks.build).status).toBe('failed');
+      expect(agentManager.getTaskStatus(tasks.publish)).toMatchObject({ status: 'skipped' });
+      expect(agentManager.getTaskStatus(tasks.alert).status).toBe('completed');
+      expect(agentManager.getTaskStatus(tasks.cleanup).status).toBe('completed');
+      expect(builder.publish).not.toHaveBeenCalled();
+      expect(builder.notify.mock.calls).toEqual(expect.arrayContaining([['build failed'], ['done']]));
+
+      // הסטטוס של התהליך הוא של השלב הראשון שלא הצליח
+      expect(agentManager.getWorkflow(workflowId).status).toBe('failed');
+    });
+
+    test('ענף failure מדולג כשהתלויות הצליחו', async () => {
+      const { workflowId, tasks } = agentManager.addWorkflow({
+        steps: [
+          { id: 'build', agent: 'builder', action: 'build', params: { name: 'app.js' } },
+          { id: 'alert', agent: 'builder', action: 'notify', params: { message: 'build failed' }, dependsOn: ['build'], when: 'failure' }
+        ]
+      });
+
+      await waitForWorkflow(workflowId);
+
+      expect(agentManager.getTaskStatus(tasks.alert).status).toBe('skipped');
+      expect(builder.notify).not.toHaveBeenCalled();
+      expect(agentManager.getWorkflow(workflowId).status).toBe('completed');
+    });
+
+    test('תלות מעגלית נדחית לפני שנוספת משימה כלשהי', () => {
+      const before = Object.keys(agentManager.tasks).length;
+
+      expect(() => agentManager.addWorkflow({
+        steps: [
+          { id: 'a', agent: 'builder', action: 'build', dependsOn: ['c'] },
+          { id: 'b', agent: 'builder', action: 'build', dependsOn: ['a'] },
+          { id: 'c', agent: 'builder', action: 'build', dependsOn: ['b'] }
+        ]
+      })).toThrow('תלות מעגלית בין השלבים: a, b, c');
+
+      expect(Object.keys(agentManager.tasks)).toHaveLength(before);
+    });
+
+    test('הפניה לשלב שהשלב אינו תלוי בו נדחית', () => {
+      expect(() => agentManager.addWorkflow({
+        steps: [
+          { id: 'build', agent: 'builder', action: 'build' },
+          { id: 'publish', agent: 'builder', action: 'publish', params: { filePath: { $ref: 'build.result.filePath' } }, dependsOn: [] }
+        ]
+      })).toThrow('שלב publish: ההפניה build.result.filePath חייבת להיות לשלב שהשלב תלוי בו');
+    });
+  });
+});
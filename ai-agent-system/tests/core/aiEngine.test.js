@@ -0,0 +1,72 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const aiEngine = require('../../core/aiEngine');
+const taskContext = require('../../core/taskContext');
+
+async function collect(generator) {
+  const parts = [];
+  for await (const part of generator) {
+    parts.push(part);
+  }
+  return parts;
+}
+
+describe('aiEngine', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ניתוב מודלים', () => {
+    test('פרמטרי המסלול של הסוכן חלים גם כשהסוכן מגיע מהקשר המשימה', async () => {
+      const dispatch = jest.spyOn(aiEngine, '_dispatchQuery');
+
+      await aiEngine.query('review this change');
+      await taskContext.run({ taskId: 'task_1', agentName: 'qa_agent' }, () => aiEngine.query('review this change'));
+
+      const [[, withoutAgent], [, inTask]] = dispatch.mock.calls;
+      expect(withoutAgent.temperature).toBe(aiEngine.defaults.temperature);
+      // config/routing.json: qa_agent -> temperature 0.2
+      expect(inTask.temperature).toBe(0.2);
+    });
+  });
+
+  describe('queryStructured', () => {
+    const schema = { type: 'object', properties: { ok: { type: 'boolean' } }, required: ['ok'] };
+
+    test('עם מטמון פעיל הבקשה מושחרת ונרשמת ביומן הביקורת פעם אחת', async () => {
+      aiEngine.setMockResponses([{ match: 'deploy', response: '{"ok": true}' }]);
+      const audit = jest.spyOn(aiEngine.redactor, 'audit');
+      const prompt = 'deploy with key sk-abcdefghijklmnopqrstuvwxyz123456';
+
+      await expect(aiEngine.queryStructured(prompt, schema, { cache: true })).resolves.toEqual({ ok: true });
+      expect(audit).toHaveBeenCalledTimes(1);
+
+      // קריאה חוזרת נענית מהמטמון, ועדיין מושחרת פעם אחת בלבד
+      audit.mockClear();
+      const dispatch = jest.spyOn(aiEngine, '_dispatchQuery');
+      await expect(aiEngine.queryStructured(prompt, schema, { cache: true })).resolves.toEqual({ ok: true });
+      expect(dispatch).not.toHaveBeenCalled();
+      expect(audit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('הזרמה מ-HuggingFace', () => {
+    test('שורת data לא תקינה או ריקה מדולגת והזרם ממשיך', async () => {
+      const events = [
+        'data: {"token":{"text":"Hello","special":false}}\n\n',
+        'data: \n\n',
+        'data: keep-alive\n\n',
+        // אירוע שמתפצל בין שני חלקים של הזרם
+        'data: {"token":{"text":" wor',
+        'ld","special":false}}\n\n',
+        'data: {"token":{"text":"</s>","special":true}}\n\n'
+      ];
+      jest.spyOn(axios, 'post').mockResolvedValue({ data: Readable.from(events) });
+
+      const request = { system: null, messages: [{ role: 'user', content: 'hi' }], temperature: 0, maxTokens: 10 };
+      const parts = await collect(aiEngine._streamHuggingFace(request, 'test-model'));
+
+      expect(parts).toEqual(['Hello', ' world']);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const CircuitBreaker = require('../../core/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function openCircuit(provider) {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure(provider);
+    }
+  }
+
+  test('המפסק נפתח רק אחרי מספר הכישלונות הרצופים שהוגדר', () => {
+    breaker.recordFailure('openai');
+    breaker.recordFailure('openai');
+    expect(breaker.canRequest('openai')).toBe(true);
+    expect(breaker.getState().openai).toMatchObject({ state: 'closed', failures: 2 });
+
+    breaker.recordFailure('openai');
+    expect(breaker.canRequest('openai')).toBe(false);
+    expect(breaker.getState().openai).toMatchObject({ state: 'open', failures: 3 });
+
+    // ספקים אחרים אינם מושפעים
+    expect(breaker.canRequest('anthropic')).toBe(true);
+  });
+
+  test('הצלחה מאפסת את מונה הכישלונות', () => {
+    breaker.recordFailure('openai');
+    breaker.recordFailure('openai');
+    breaker.recordSuccess('openai');
+    breaker.recordFailure('openai');
+
+    expect(breaker.getState().openai).toMatchObject({ state: 'closed', failures: 1 });
+  });
+
+  test('אחרי הקירור יוצא ניסיון בודד, והצלחה בו סוגרת את המפסק', () => {
+    openCircuit('openai');
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.canRequest('openai')).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(breaker.canRequest('openai')).toBe(true);
+    expect(breaker.getState().openai.state).toBe('half_open');
+
+    // בזמן שהניסיון רץ בקשות אחרות ממשיכות לדלג על הספק
+    expect(breaker.canRequest('openai')).toBe(false);
+
+    breaker.recordSuccess('openai');
+    expect(breaker.getState().openai).toMatchObject({ state: 'closed', failures: 0 });
+    expect(breaker.canRequest('openai')).toBe(true);
+  });
+
+  test('כישלון בניסיון הבודד פותח את המפסק מחדש לקירור מלא', () => {
+    openCircuit('openai');
+    jest.advanceTimersByTime(1000);
+    expect(breaker.canRequest('openai')).toBe(true);
+
+    breaker.recordFailure('openai');
+    expect(breaker.getState().openai.state).toBe('open');
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.canRequest('openai')).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect(breaker.canRequest('openai')).toBe(true);
+  });
+
+  test('ניסיון שלא דיווח על תוצאה עד תום הקירור נחשב אבוד ומתאפשר ניסיון חדש', () => {
+    openCircuit('openai');
+    jest.advanceTimersByTime(1000);
+    expect(breaker.canRequest('openai')).toBe(true);
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.canRequest('openai')).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(breaker.canRequest('openai')).toBe(true);
+    expect(breaker.getState().openai.state).toBe('half_open');
+  });
+});
@@ -0,0 +1,69 @@
+const codeChunker = require('../../core/codeChunker');
+
+// טוקן לכל שורה - מספיק כדי לבדוק את גבולות הפיצול
+const countTokens = text => text.split('\n').length;
+
+const code = [
+  'const a = 1;',
+  '// doubles the value',
+  'function double(x) {',
+  '  return x * 2;',
+  '}',
+  '',
+  'function triple(x) {',
+  '  return x * 3;',
+  '}'
+].join('\n');
+
+describe('codeChunker', () => {
+  test('קובץ שנכנס בתקציב מוחזר כחלק אחד', () => {
+    expect(codeChunker.split(code, { maxTokens: 100, countTokens })).toEqual([
+      { index: 0, startLine: 1, endLine: 9, text: code }
+    ]);
+  });
+
+  test('הפיצול נעשה בגבולות פונקציות, והערה שמעל פונקציה נשארת איתה', () => {
+    const chunks = codeChunker.split(code, { maxTokens: 5, overlapLines: 0, countTokens });
+
+    expect(chunks.map(({ startLine, endLine }) => [startLine, endLine])).toEqual([[1, 1], [2, 6], [7, 9]]);
+    expect(chunks[1].text.startsWith('// doubles the value\nfunction double(x) {')).toBe(true);
+  });
+
+  test('כל חלק מתחיל בשורות החפיפה מסוף החלק הקודם', () => {
+    const chunks = codeChunker.split(code, { maxTokens: 5, overlapLines: 2, countTokens });
+
+    expect(chunks.map(({ startLine, endLine }) => [startLine, endLine])).toEqual([[1, 1], [1, 6], [5, 9]]);
+    expect(chunks[2].text).toBe(['}', '', 'function triple(x) {', '  return x * 3;', '}'].join('\n'));
+  });
+
+  test('פונקציה שגדולה מהתקציב מפוצלת לפי שורות בלי לחרוג ממנו', () => {
+    const body = Array.from({ length: 20 }, (_, i) => `  step${i}();`);
+    const longCode = ['function main() {', ...body, '}'].join('\n');
+
+    const chunks = codeChunker.split(longCode, { maxTokens: 5, overlapLines: 0, countTokens });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0].startLine).toBe(1);
+    expect(chunks[chunks.length - 1].endLine).toBe(22);
+    chunks.forEach((chunk, index) => {
+      expect(countTokens(chunk.text)).toBeLessThanOrEqual(5);
+      if (index > 0) {
+        expect(chunk.startLine).toBe(chunks[index - 1].endLine + 1);
+      }
+    });
+  });
+
+  test('מספרי שורות בחלק הם מוחלטים בקובץ', () => {
+    const chunk = { startLine: 7, endLine: 9, text: 'function triple(x) {\n  return x * 3;\n}' };
+
+    expect(codeChunker.numberLines(chunk)).toBe('7: function triple(x) {\n8:   return x * 3;\n9: }');
+  });
+
+  test('מספרי שורות יחסיים מתשובת המודל מומרים למוחלטים', () => {
+    const chunk = { startLine: 101, endLine: 150 };
+
+    // 120 בטווח החלק, 5 יחסי (105), 300 מחוץ לשניהם ונשאר כמו שהוא
+    expect(codeChunker.toAbsoluteLines([120, 5, 5, 300], chunk)).toEqual([105, 120, 300]);
+    expect(codeChunker.toAbsoluteLines(undefined, chunk)).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+const messageBus = require('../../core/messageBus');
+
+describe('messageBus', () => {
+  describe('התאמת נושאים', () => {
+    test.each([
+      ['qa.finding', 'qa.finding', true],
+      ['qa.finding', 'qa.findings', false],
+      ['file.*', 'file.written', true],
+      // * מתאים גם לנקודות
+      ['file.*', 'file.written.large', true],
+      ['file.*', 'files.written', false],
+      ['*.finding', 'qa.finding', true],
+      ['*', 'git.conflict', true],
+      ['a*b*c', 'axxbyyc', true],
+      ['a*b*c', 'axxbyy', false],
+      ['task.*.done', 'task.build.done', true],
+      ['task.*.done', 'task.build.failed', false]
+    ])('%s מול %s', (pattern, topic, expected) => {
+      expect(messageBus.matches(pattern, topic)).toBe(expected);
+    });
+
+    test('תבנית לא תקינה לא מתאימה לאף נושא', () => {
+      expect(messageBus.matches('file.(written)', 'file.(written)')).toBe(false);
+      expect(messageBus.matches('', 'file.written')).toBe(false);
+      expect(messageBus.isValidPattern(null)).toBe(false);
+      expect(() => messageBus.validatePattern('file/*')).toThrow('תבנית נושא לא תקינה: file/*');
+    });
+
+    test('תבנית עם כוכביות רבות לא נתקעת על נושא ארוך שאינו מתאים', () => {
+      const startedAt = Date.now();
+
+      expect(messageBus.matches('*a*a*a*a*a*a*b', 'a'.repeat(5000))).toBe(false);
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+  });
+
+  describe('פרסום והרשמה', () => {
+    const watcher = { onMessage: jest.fn(), handleConflict: jest.fn() };
+
+    beforeAll(() => {
+      messageBus.attach('watcher', watcher);
+    });
+
+    afterAll(() => {
+      messageBus.unsubscribe('watcher');
+      messageBus.detach('watcher');
+    });
+
+    test('הודעה נמסרת רק להרשמות שהתבנית שלהן מתאימה לנושא', async () => {
+      messageBus.subscribe('watcher', 'file.*');
+      messageBus.subscribe('watcher', 'git.conflict', 'handleConflict');
+
+      const written = messageBus.publish('file.written', { path: 'src/app.js', size: 10 });
+      messageBus.publish('qa.finding', { file: 'src/app.js', severity: 'low', description: 'unused variable' });
+      messageBus.publish('git.conflict', { conflictingFiles: ['README.md'] });
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(watcher.onMessage).toHaveBeenCalledTimes(1);
+      expect(watcher.onMessage).toHaveBeenCalledWith(expect.objectContaining({ id: written.id, topic: 'file.written', source: 'system' }));
+      expect(watcher.handleConflict).toHaveBeenCalledWith(expect.objectContaining({ topic: 'git.conflict' }));
+      expect(messageBus.getSubscriptions().find(agent => agent.agentName === 'watcher')).toMatchObject({ connected: true, pending: 0 });
+
+      expect(messageBus.getRecentMessages({ topic: 'file.*' }).map(message => message.id)).toEqual([written.id]);
+    });
+
+    test('הודעה שאינה עומדת בסכמת הנושא נדחית', () => {
+      expect(() => messageBus.publish('file.written', { size: 10 })).toThrow('הודעה לא תקינה בנושא file.written');
+      expect(() => messageBus.publish('no.such.topic', {})).toThrow('נושא לא מוגדר: no.such.topic');
+    });
+
+    test('הרשמה למתודה שאינה on* או handle* נדחית', () => {
+      expect(() => messageBus.subscribe('watcher', 'file.*', 'stop')).toThrow('מתודת טיפול לא מותרת: stop');
+      expect(() => messageBus.subscribe('watcher', 'file.*', 'onMissing')).toThrow('לסוכן watcher אין מתודה onMissing');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+const path = require('path');
+const fs = require('fs-extra');
+const agentManager = require('../../core/agentManager');
+const pipelineManager = require('../../core/pipelineManager');
+const projectManager = require('../../core/projectManager');
+
+const PIPELINE = `
+name: build
+inputs:
+  file:
+    required: true
+steps:
+  - id: generate
+    agent: writer
+    action: write
+    params:
+      name: "{{ inputs.file }}"
+  - id: check
+    agent: checker
+    action: check
+    params:
+      filePath: "{{ steps.generate.result.filePath }}"
+outputs:
+  report: "{{ steps.check.result.report }}"
+`;
+
+describe('pipelineManager', () => {
+  const writer = { write: jest.fn(async name => ({ filePath: `src/${name}` })) };
+  const checker = { check: jest.fn(async filePath => ({ report: `${filePath}: ok` })) };
+
+  beforeAll(async () => {
+    await fs.outputFile(path.join(projectManager.projectsRoot, 'demo', 'pipelines', 'build.yml'), PIPELINE);
+
+    agentManager.registerAgent('writer', writer, { actions: ['write'] });
+    agentManager.registerAgent('checker', checker, { actions: ['check'] });
+  });
+
+  afterAll(async () => {
+    await agentManager.stop();
+  });
+
+  test('הרצה נכשלת כל עוד מנהל הסוכנים לא הופעל', async () => {
+    await expect(pipelineManager.run('demo', 'build', { file: 'a.js' })).rejects.toThrow('מנהל הסוכנים אינו פעיל');
+  });
+
+  test('צינור רץ מקצה לקצה: התוצאה של שלב עוברת לשלב הבא והפלטים מחושבים בסיום', async () => {
+    await agentManager.start();
+
+    const { runId, tasks } = await pipelineManager.run('demo', 'build', { file: 'a.js' });
+    await agentManager.waitForTask(tasks.check, 5000);
+
+    expect(writer.write).toHaveBeenCalledWith('a.js');
+    expect(checker.check).toHaveBeenCalledWith('src/a.js');
+
+    const run = pipelineManager.getRun(runId);
+    expect(run.status).toBe('completed');
+    expect(run.outputs).toEqual({ report: 'src/a.js: ok' });
+
+    // ההרצה נשמרת כדי שתיטען גם אחרי הפעלה מחדש
+    expect(await fs.readJson(path.join(pipelineManager.runsDir, `${runId}.json`))).toMatchObject({
+      project: 'demo',
+      pipeline: 'build',
+      inputs: { file: 'a.js' }
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const RateLimiter = require('../../core/rateLimiter');
+
+// מסירת התור של ה-promises בלי לקדם את השעון המדומה
+async function flush() {
+  for (let i = 0; i < 5; i++) {
+    await Promise.resolve();
+  }
+}
+
+function track(promise) {
+  const state = { granted: false };
+  promise.then(() => {
+    state.granted = true;
+  }, () => {});
+  return state;
+}
+
+describe('RateLimiter', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('ספק ללא מגבלה מאושר מיד', async () => {
+    const limiter = new RateLimiter({ openai: { maxConcurrency: 1 } });
+
+    const release = await limiter.acquire('anthropic', 'claude');
+
+    expect(typeof release).toBe('function');
+    expect(limiter.getStats()).toEqual({});
+  });
+
+  test('מגבלה לספק/מודל גוברת על מגבלת הספק', async () => {
+    const limiter = new RateLimiter({ openai: { maxConcurrency: 5 }, 'openai/gpt-4': { maxConcurrency: 1 } });
+
+    await limiter.acquire('openai', 'gpt-4');
+    await limiter.acquire('openai', 'gpt-3.5-turbo');
+    const third = track(limiter.acquire('openai', 'gpt-4'));
+    await flush();
+
+    expect(third.granted).toBe(false);
+    expect(limiter.getStats()['openai/gpt-4']).toMatchObject({ active: 1, queued: 1 });
+    expect(limiter.getStats().openai).toMatchObject({ active: 1, queued: 0 });
+  });
+
+  test('בקשה ממתינה עד שבקשה פעילה משתחררת כשהמקביליות מלאה', async () => {
+    const limiter = new RateLimiter({ openai: { maxConcurrency: 1 } });
+
+    const release = await limiter.acquire('openai', 'gpt-4');
+    const second = track(limiter.acquire('openai', 'gpt-4'));
+    await flush();
+    expect(second.granted).toBe(false);
+
+    release();
+    // שחרור כפול לא משחרר מקום נוסף
+    release();
+    await flush();
+
+    expect(second.granted).toBe(true);
+    expect(limiter.getStats().openai).toMatchObject({ active: 1, queued: 0, granted: 2 });
+  });
+
+  test('התור מעדיף עדיפות גבוהה, ובעדיפות שווה מתחלף בין הסוכנים', async () => {
+    const limiter = new RateLimiter({ openai: { maxConcurrency: 1 } });
+    const order = [];
+
+    let release = await limiter.acquire('openai', 'gpt-4', { agentName: 'qa_agent' });
+
+    const waiters = [
+      ['qa_agent', 'normal'],
+      ['qa_agent', 'normal'],
+      ['dev_agent', 'normal'],
+      ['summary_agent', 'high']
+    ].map(([agentName, priority], index) => limiter.acquire('openai', 'gpt-4', { agentName, priority })
+      .then(next => {
+        order.push(`${agentName}#${index}`);
+        release = next;
+      }));
+
+    expect(limiter.getStats().openai.queuedByAgent).toEqual({ qa_agent: 2, dev_agent: 1, summary_agent: 1 });
+
+    for (let i = 0; i < waiters.length; i++) {
+      release();
+      await flush();
+    }
+
+    await Promise.all(waiters);
+    // הבקשה הפעילה הייתה של qa_agent, ולכן dev_agent קודם לבקשות שלו למרות שנכנס אחריהן
+    expect(order).toEqual(['summary_agent#3', 'dev_agent#2', 'qa_agent#0', 'qa_agent#1']);
+    expect(limiter.getStats().openai.maxQueueDepth).toBe(4);
+  });
+
+  test('מגבלת בקשות לדקה משחררת את הבקשה הבאה כשהחלון מתפנה', async () => {
+    jest.useFakeTimers();
+    const limiter = new RateLimiter({ openai: { requestsPerMinute: 2 } });
+
+    (await limiter.acquire('openai', 'gpt-4'))();
+    (await limiter.acquire('openai', 'gpt-4'))();
+    const third = track(limiter.acquire('openai', 'gpt-4'));
+    await flush();
+    expect(third.granted).toBe(false);
+    expect(limiter.getStats().openai.requestsLastMinute).toBe(2);
+
+    jest.advanceTimersByTime(59999);
+    await flush();
+    expect(third.granted).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(third.granted).toBe(true);
+    expect(limiter.getStats().openai.requestsLastMinute).toBe(1);
+  });
+
+  test('מגבלת טוקנים לדקה נספרת לפי הטוקנים בפועל שדווחו בשחרור', async () => {
+    jest.useFakeTimers();
+    const limiter = new RateLimiter({ openai: { tokensPerMinute: 1000 } });
+
+    const release = await limiter.acquire('openai', 'gpt-4', { tokens: 500 });
+    release(900);
+
+    const next = track(limiter.acquire('openai', 'gpt-4', { tokens: 200 }));
+    await flush();
+    expect(next.granted).toBe(false);
+    expect(limiter.getStats().openai.tokensLastMinute).toBe(900);
+
+    jest.advanceTimersByTime(60000);
+    await flush();
+    expect(next.granted).toBe(true);
+  });
+
+  test('בקשה גדולה מכל מגבלת הטוקנים עוברת כשהחלון ריק', async () => {
+    const limiter = new RateLimiter({ openai: { tokensPerMinute: 1000 } });
+
+    const release = await limiter.acquire('openai', 'gpt-4', { tokens: 5000 });
+
+    expect(typeof release).toBe('function');
+  });
+
+  test('ביטול ההמתנה מוציא את הבקשה מהתור', async () => {
+    const limiter = new RateLimiter({ openai: { maxConcurrency: 1 } });
+    const controller = new AbortController();
+    const reason = new Error('המשימה בוטלה');
+
+    await limiter.acquire('openai', 'gpt-4');
+    const waiting = limiter.acquire('openai', 'gpt-4', { signal: controller.signal });
+    controller.abort(reason);
+
+    await expect(waiting).rejects.toBe(reason);
+    expect(limiter.getStats().openai.queued).toBe(0);
+    await expect(limiter.acquire('openai', 'gpt-4', { signal: controller.signal })).rejects.toBe(reason);
+  });
+});
@@ -0,0 +1,104 @@
+const Redactor = require('../../core/redactor');
+
+describe('Redactor', () => {
+  const apiKey = 'sk-abcdefghijklmnopqrstuvwxyz123456';
+
+  test('סוד מוחלף במחליף קבוע ומשוחזר בתשובה', () => {
+    const redactor = new Redactor();
+    const state = redactor.createState();
+
+    const prompt = redactor.redact(`use ${apiKey} and again ${apiKey}`, state);
+    const system = redactor.redact(`the key is ${apiKey}`, state);
+
+    expect(prompt).toBe('use [[REDACTED_API_KEY_1]] and again [[REDACTED_API_KEY_1]]');
+    expect(system).toBe('the key is [[REDACTED_API_KEY_1]]');
+    expect(state.mapping).toEqual({ '[[REDACTED_API_KEY_1]]': apiKey });
+    expect(state.counts).toEqual({ api_key: 1 });
+
+    expect(redactor.restore('call [[REDACTED_API_KEY_1]] then [[REDACTED_EMAIL_9]]', state.mapping))
+      .toBe(`call ${apiKey} then [[REDACTED_EMAIL_9]]`);
+  });
+
+  test('בהשמה של סוד רק הערך מושחר, ושם המשתנה נשאר', () => {
+    const redactor = new Redactor();
+    const state = redactor.createState();
+
+    expect(redactor.redact('const password = "hunter2hunter2";', state)).toBe('const password = "[[REDACTED_SECRET_1]]";');
+    expect(redactor.redact('3: DB_PASSWORD=correcthorse', state)).toBe('3: DB_PASSWORD=[[REDACTED_SECRET_2]]');
+  });
+
+  test('הפניות למשתני סביבה, ערכים ברשימת ההיתרים וגלאים כבויים אינם מושחרים', () => {
+    const redactor = new Redactor({ allowlist: ['sk-publicdemokeypublicdemokey00'], disabled: ['email'] });
+    const state = redactor.createState();
+    const text = [
+      'OPENAI_API_KEY=process.env.OPENAI_API_KEY',
+      'demo: sk-publicdemokeypublicdemokey00',
+      'contact: dev@example.com'
+    ].join('\n');
+
+    expect(redactor.redact(text, state)).toBe(text);
+    expect(state.mapping).toEqual({});
+  });
+
+  test('תבניות מותאמות מההגדרות מושחרות בנוסף לגלאים המובנים', () => {
+    const redactor = new Redactor({ patterns: [{ name: 'employee_id', pattern: 'EMP-\\d{6}' }] });
+    const state = redactor.createState();
+
+    expect(redactor.redact('owner EMP-123456', state)).toBe('owner [[REDACTED_EMPLOYEE_ID_1]]');
+  });
+
+  test('השחרה ושחזור עמוקים עוברים על כל המחרוזות במבנה', () => {
+    const redactor = new Redactor();
+    const state = redactor.createState();
+
+    const redacted = redactor.redactDeep({ headers: [`Bearer ${apiKey}`], retries: 3, owner: 'dev@example.com' }, state);
+
+    expect(redacted).toEqual({ headers: ['Bearer [[REDACTED_API_KEY_1]]'], retries: 3, owner: '[[REDACTED_EMAIL_2]]' });
+    expect(redactor.restoreDeep(redacted, state.mapping)).toEqual({ headers: [`Bearer ${apiKey}`], retries: 3, owner: 'dev@example.com' });
+  });
+
+  test('reapply מחזיר את המחליפים לטקסט משוחזר', () => {
+    const redactor = new Redactor();
+    const mapping = { '[[REDACTED_API_KEY_1]]': apiKey };
+
+    expect(redactor.reapply(`key=${apiKey}`, mapping)).toBe('key=[[REDACTED_API_KEY_1]]');
+  });
+
+  test('משחזר ההזרמה משלים מחליף שנחתך בין שני חלקים', () => {
+    const redactor = new Redactor();
+    const restorer = redactor.createStreamRestorer({ '[[REDACTED_API_KEY_1]]': apiKey });
+
+    const parts = [restorer.push('the key is [[REDAC'), restorer.push('TED_API_KEY_1]] ok'), restorer.flush()];
+
+    expect(parts[0]).toBe('the key is ');
+    expect(parts.join('')).toBe(`the key is ${apiKey} ok`);
+  });
+
+  test('יומן הביקורת שומר טביעת אצבע ולא את הערך עצמו', async () => {
+    const redactor = new Redactor();
+    const state = redactor.createState();
+
+    expect(redactor.audit(state)).toBeNull();
+
+    redactor.redact(`key ${apiKey}`, state);
+    const entry = redactor.audit(state, { agentName: 'qa_agent', taskId: 'task_1' });
+
+    expect(entry).toMatchObject({
+      agentName: 'qa_agent',
+      taskId: 'task_1',
+      counts: { api_key: 1 },
+      items: [{ placeholder: '[[REDACTED_API_KEY_1]]', length: apiKey.length, fingerprint: expect.stringMatching(/^[0-9a-f]{12}$/) }]
+    });
+
+    const log = await redactor.getAuditLog();
+    expect(log).toEqual([entry]);
+    expect(JSON.stringify(log)).not.toContain(apiKey);
+    await expect(redactor.getAuditLog('../secrets')).rejects.toThrow('תאריך לא תקין');
+  });
+
+  test('השחרה כבויה מחזירה את הטקסט כמו שהוא', () => {
+    const redactor = new Redactor({ enabled: false });
+
+    expect(redactor.redact(`key ${apiKey}`, redactor.createState())).toBe(`key ${apiKey}`);
+  });
+});
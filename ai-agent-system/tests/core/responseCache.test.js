@@ -0,0 +1,90 @@
+const fs = require('fs-extra');
+const ResponseCache = require('../../core/responseCache');
+
+describe('ResponseCache', () => {
+  const response = { text: 'ok', toolCalls: [], usage: { promptTokens: 10, completionTokens: 5 } };
+  let now;
+  let dirIndex = 0;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // כל בדיקה עם תיקיית מטמון משלה
+  function createCache(options = {}) {
+    return new ResponseCache({ dir: `cache/test-${dirIndex++}`, ...options });
+  }
+
+  test('רשומה נענית מהמטמון עד שפג התוקף שלה, ואז נמחקת', async () => {
+    const cache = createCache({ ttlMs: 1000 });
+    const key = cache.getKey({ prompt: 'hello', provider: 'openai', model: 'gpt-4' });
+
+    await cache.set(key, response, { provider: 'openai', model: 'gpt-4' });
+
+    now += 999;
+    await expect(cache.get(key)).resolves.toEqual(response);
+
+    now += 1;
+    await expect(cache.get(key)).resolves.toBeNull();
+    expect(await fs.pathExists(cache._getEntryPath(key))).toBe(false);
+    expect(cache.getStats()).toMatchObject({ entries: 0, hits: 1, misses: 1, expired: 1, savedTokens: 15, hitRate: 0.5 });
+  });
+
+  test('תוקף שהוגדר לרשומה גובר על תוקף ברירת המחדל', async () => {
+    const cache = createCache({ ttlMs: 1000 });
+
+    await cache.set('short', response, { ttlMs: 100 });
+    await cache.set('default', response);
+
+    now += 500;
+    await expect(cache.get('short')).resolves.toBeNull();
+    await expect(cache.get('default')).resolves.toEqual(response);
+  });
+
+  test('רשומות שפג תוקפן נמחקות בטעינת המטמון מהדיסק', async () => {
+    const dir = `cache/test-${dirIndex++}`;
+    const cache = new ResponseCache({ dir, ttlMs: 1000 });
+
+    await cache.set('old', response, { ttlMs: 100 });
+    await cache.set('fresh', response);
+
+    now += 500;
+    const reloaded = new ResponseCache({ dir, ttlMs: 1000 });
+
+    expect(Object.keys(reloaded.index)).toEqual(['fresh']);
+    expect(await fs.pathExists(cache._getEntryPath('old'))).toBe(false);
+  });
+
+  test('כשהמטמון מלא נמחקת הרשומה שנקראה הכי מזמן', async () => {
+    const cache = createCache({ maxEntries: 2 });
+
+    await cache.set('first', response);
+    now += 1;
+    await cache.set('second', response);
+    now += 1;
+    await cache.get('first');
+    now += 1;
+    await cache.set('third', response);
+
+    expect(Object.keys(cache.index).sort()).toEqual(['first', 'third']);
+    expect(cache.getStats().evictions).toBe(1);
+  });
+
+  test('רשומה חדשה של אותה תגית מתוכן אחר מחליפה את הרשומות הקודמות', async () => {
+    const cache = createCache();
+    const meta = { provider: 'openai', model: 'gpt-4', tag: 'src/app.js' };
+
+    await cache.set('v1', response, { ...meta, contentHash: 'aaa' });
+    await cache.set('other-model', response, { ...meta, model: 'gpt-3.5-turbo', contentHash: 'aaa' });
+    await cache.set('v2', response, { ...meta, contentHash: 'bbb' });
+
+    expect(Object.keys(cache.index).sort()).toEqual(['other-model', 'v2']);
+    await expect(cache.invalidate({ tag: 'src/app.js' })).resolves.toBe(2);
+    expect(cache.getStats()).toMatchObject({ entries: 0, invalidations: 3 });
+  });
+});
@@ -0,0 +1,130 @@
+const path = require('path');
+const fs = require('fs-extra');
+const TaskJournal = require('../../core/taskJournal');
+
+// יומן המשימות פעיל בחבילה הזו (בשאר החבילות הוא כבוי), בתיקיית העבודה הזמנית של החבילה
+jest.mock('../../config/config', () => ({
+  getConfig: async () => ({
+    agentManager: { taskCheckInterval: 20 }
+  })
+}), { virtual: true });
+
+const journalPath = () => path.join(process.cwd(), 'memory', 'tasks', 'journal.jsonl');
+
+function makeTask(id, status, extra = {}) {
+  return { id, agentName: 'worker', actionType: 'work', parameters: {}, status, createdAt: new Date().toISOString(), ...extra };
+}
+
+// מנהל סוכנים חדש על אותו יומן - כמו הפעלה מחדש של השרת
+function bootAgentManager() {
+  let agentManager;
+  jest.isolateModules(() => {
+    // גם הלוגר נטען מחדש, ולכן מושתק שוב כמו ב-setup.js
+    require('../../core/logger').logger.silent = true;
+    agentManager = require('../../core/agentManager');
+  });
+  return agentManager;
+}
+
+describe('taskJournal', () => {
+  beforeEach(async () => {
+    await fs.remove(path.dirname(journalPath()));
+  });
+
+  test('טעינה מחילה את השורות לפי הסדר ומדלגת על שורה חלקית', () => {
+    const journal = new TaskJournal({ path: journalPath() });
+    journal.save(makeTask('a', 'pending'));
+    journal.save(makeTask('b', 'pending'));
+    journal.save(makeTask('a', 'completed', { result: 42 }));
+    journal.remove('b');
+
+    // נפילה באמצע כתיבה משאירה שורה אחרונה חלקית
+    fs.appendFileSync(journalPath(), '{"op":"put","task":{"id":"c"');
+
+    const tasks = new TaskJournal({ path: journalPath() }).load();
+
+    expect(tasks).toEqual([expect.objectContaining({ id: 'a', status: 'completed', result: 42 })]);
+  });
+
+  test('הדחיסה משאירה שורה אחת לכל משימה ושומרת רק את המשימות שהסתיימו האחרונות', () => {
+    const journal = new TaskJournal({ path: journalPath(), maxFinishedTasks: 1 });
+    journal.save(makeTask('old', 'completed', { completedAt: '2024-01-01T00:00:00.000Z' }));
+    journal.save(makeTask('new', 'completed', { completedAt: '2024-01-02T00:00:00.000Z' }));
+    journal.save(makeTask('dead', 'failed', { completedAt: '2023-01-01T00:00:00.000Z', deadLetteredAt: '2023-01-01T00:00:00.000Z' }));
+    journal.save(makeTask('queued', 'pending'));
+    journal.save(makeTask('queued', 'running'));
+
+    journal.compact();
+
+    const lines = fs.readFileSync(journalPath(), 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    expect(lines.map(line => line.task.id).sort()).toEqual(['dead', 'new', 'queued']);
+    expect(lines.find(line => line.task.id === 'queued').task.status).toBe('running');
+  });
+
+  test('היומן נדחס אוטומטית אחרי compactEvery כתיבות', () => {
+    const journal = new TaskJournal({ path: journalPath(), compactEvery: 3 });
+    journal.save(makeTask('a', 'pending'));
+    journal.save(makeTask('a', 'running'));
+    journal.save(makeTask('a', 'completed'));
+
+    expect(fs.readFileSync(journalPath(), 'utf-8').split('\n').filter(Boolean)).toHaveLength(1);
+  });
+
+  describe('שחזור אחרי הפעלה מחדש', () => {
+    const agents = [];
+
+    afterEach(async () => {
+      for (const agentManager of agents.splice(0)) {
+        await agentManager.stop();
+      }
+    });
+
+    test('משימה שרצה כשהשרת נפל מסומנת interrupted, ומשימה ממתינה חוזרת לתור', async () => {
+      const before = bootAgentManager();
+      agents.push(before);
+      // מופע אחד במקביליות 1: המשימה השנייה נשארת בתור
+      before.registerAgent('worker', { work: () => new Promise(() => {}) });
+      await before.start();
+
+      const runningId = before.addTask('worker', 'work');
+      const pendingId = before.addTask('worker', 'work');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(before.getTaskStatus(runningId).status).toBe('running');
+      expect(before.getTaskStatus(pendingId).status).toBe('pending');
+      await before.stop();
+
+      const after = bootAgentManager();
+      agents.push(after);
+      await after.start();
+
+      expect(after.getTaskStatus(runningId)).toMatchObject({
+        status: 'interrupted',
+        error: 'השרת הופעל מחדש בזמן שהמשימה רצה'
+      });
+      expect(after.getStats().totalTasksStats).toMatchObject({ interrupted: 1, recovered: 1 });
+
+      // המשימה הממתינה נכנסת לתור כשהסוכן שלה נרשם, ורצה
+      after.registerAgent('worker', { work: async () => 'done' });
+      await expect(after.waitForTask(pendingId, 5000)).resolves.toBe('done');
+    });
+
+    test('משימה עם onInterrupt: retry רצה שוב אחרי ההפעלה מחדש', async () => {
+      const before = bootAgentManager();
+      agents.push(before);
+      before.registerAgent('worker', { work: () => new Promise(() => {}) });
+      await before.start();
+
+      const taskId = before.addTask('worker', 'work', {}, { onInterrupt: 'retry' });
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await before.stop();
+
+      const after = bootAgentManager();
+      agents.push(after);
+      await after.start();
+      expect(after.getTaskStatus(taskId)).toMatchObject({ status: 'pending', recoveryAttempts: 1 });
+
+      after.registerAgent('worker', { work: async () => 'recovered' });
+      await expect(after.waitForTask(taskId, 5000)).resolves.toBe('recovered');
+    });
+  });
+});
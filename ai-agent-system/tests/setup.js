@@ -0,0 +1,30 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// הבדיקות רצות ללא מפתחות: כל השאילתות מופנות לספק ה-mock, והתשובות מושמעות
+// מהקלטות שב-tests/cassettes (כל חבילה בוחרת קלטת ב-aiEngine.useCassette)
+process.env.AI_FORCE_PROVIDER = 'mock';
+process.env.AI_CASSETTE_DIR = path.join(__dirname, 'cassettes');
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+
+// הלוגים של המערכת אינם חלק מפלט הבדיקות
+require('../core/logger').logger.silent = true;
+
+// קובץ ההגדרות הכללי אינו חלק מהמאגר
+jest.mock('../config/config', () => ({
+  getConfig: async () => ({
+    agentManager: { journal: { enabled: false }, taskCheckInterval: 20 }
+  })
+}), { virtual: true });
+
+// כל חבילה רצה בתיקיית עבודה זמנית משלה, כדי שזיכרון הסוכנים והקבצים שנוצרים לא ייכתבו למאגר
+const originalCwd = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-agent-system-'));
+process.chdir(workDir);
+process.env.PROJECTS_ROOT = path.join(workDir, 'projects');
+
+afterAll(async () => {
+  process.chdir(originalCwd);
+  await fs.remove(workDir);
+});